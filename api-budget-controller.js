@@ -1,5 +1,27 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ======================================================================
+// API-BUDGET: JEDER KOSTENPFLICHTIGE GOOGLE-AUFRUF LÄUFT HIER DURCH
+// Verbrauch wird pro Tag, Aufruf-Typ, Projekt und auslösendem Endpoint in
+// der Tabelle api_usage gespeichert und überlebt damit Neustarts.
+// Budgets: Tag + Monat global, optional Tag/Monat pro Projekt (api_budgets).
+// Schwellwert-Alarme laufen über einen BudgetAlertNotifier (budget-alerts.js).
+// ======================================================================
+
+const DEFAULT_PROJECT = 'default';
+const BUDGET_SCOPES = ['daily', 'monthly'];
+
+class BudgetExceededError extends Error {
+    constructor(type, reason) {
+        super(`API-Budget erschöpft (${type}): ${reason}`);
+        this.name = 'BudgetExceededError';
+        this.code = 'API_BUDGET_EXHAUSTED';
+        this.apiType = type;
+    }
+}
+
 class APIBudgetController {
-    constructor(dailyBudgetEUR = 5.0) {
+    constructor(dailyBudgetEUR = 5.0, options = {}) {
         this.dailyBudgetEUR = dailyBudgetEUR;
         this.costs = {
             geocoding: 0.005,           // $0.005 pro Anfrage
@@ -8,61 +30,191 @@ class APIBudgetController {
         };
         
         // Tägliche Limits basierend auf Budget
-        this.dailyLimits = {
-            geocoding: Math.floor(dailyBudgetEUR / this.costs.geocoding * 0.3), // 30% für Geocoding
-            distanceMatrix: Math.floor(dailyBudgetEUR / this.costs.distanceMatrix * 0.7) // 70% für Distance
-        };
+        this.dailyLimits = this.calculateLimits(dailyBudgetEUR);
+
+        // Monatsbudget (null = keins) und Budgets pro Projekt: { projekt: { daily, monthly } }
+        const monthlyFromEnv = parseFloat(process.env.API_MONTHLY_BUDGET_EUR);
+        this.monthlyBudgetEUR = options.monthlyBudgetEUR ?? (Number.isFinite(monthlyFromEnv) ? monthlyFromEnv : null);
+        this.projectBudgets = {};
+
+        // Alarm-Schwellen in Prozent des jeweiligen Budgets
+        this.alertThresholds = (options.alertThresholds || process.env.BUDGET_ALERT_THRESHOLDS || '50,80,100')
+            .toString().split(',').map(v => parseInt(v, 10)).filter(v => v > 0).sort((a, b) => a - b);
+        this.alertNotifier = options.alertNotifier || null;
+        this.raisedAlerts = new Set();
         
-        // Zähler (sollte in DB gespeichert werden)
-        this.todayUsage = {
-            geocoding: 0,
-            distanceMatrix: 0,
-            totalCostEUR: 0,
-            date: new Date().toISOString().split('T')[0]
-        };
+        // Zähler für heute/Monat - Spiegel der api_usage-Tabelle, damit canMakeAPICall synchron bleibt
+        this.todayUsage = this.emptyUsage(this.today());
+        this.monthUsage = this.emptyMonthUsage(this.currentMonth());
+
+        this.db = null;
+        // Merkt sich pro Request Endpoint + Projekt (siehe middleware())
+        this.context = new AsyncLocalStorage();
         
         console.log('💰 API Budget Controller initialisiert:');
         console.log(`   Tagesbudget: ${dailyBudgetEUR}€`);
+        console.log(`   Monatsbudget: ${this.monthlyBudgetEUR !== null ? this.monthlyBudgetEUR + '€' : 'keins'}`);
         console.log(`   Max Geocoding Calls: ${this.dailyLimits.geocoding}`);
         console.log(`   Max Distance Matrix: ${this.dailyLimits.distanceMatrix}`);
     }
+
+    // ======================================================================
+    // PERSISTENZ
+    // ======================================================================
+    // Tabellen api_usage, api_budgets, api_budget_alerts: Migration 3
+    async initialize(db) {
+        this.db = db;
+
+        await this.loadBudgets();
+        await this.loadUsage(this.today());
+        console.log(`💰 API-Verbrauch heute (aus DB): ${this.todayUsage.totalCostEUR.toFixed(2)}€, Monat: ${this.monthUsage.totalCostEUR.toFixed(2)}€`);
+    }
+
+    async loadBudgets() {
+        const rows = await this.all("SELECT scope, project, limit_eur FROM api_budgets");
+        rows.forEach(row => this.applyBudget(row.scope, row.limit_eur, row.project || null));
+    }
+
+    async loadUsage(date) {
+        const rows = await this.all(
+            "SELECT api_type, project, SUM(units) as units, SUM(cost_eur) as cost FROM api_usage WHERE usage_date = ? GROUP BY api_type, project",
+            [date]
+        );
+
+        const usage = this.emptyUsage(date);
+        rows.forEach(row => {
+            usage[row.api_type] = (usage[row.api_type] || 0) + row.units;
+            usage.totalCostEUR += row.cost || 0;
+            usage.byProject[row.project] = (usage.byProject[row.project] || 0) + (row.cost || 0);
+        });
+        this.todayUsage = usage;
+
+        const month = date.slice(0, 7);
+        const monthRows = await this.all(
+            "SELECT project, SUM(cost_eur) as cost FROM api_usage WHERE substr(usage_date, 1, 7) = ? GROUP BY project",
+            [month]
+        );
+
+        const monthUsage = this.emptyMonthUsage(month);
+        monthRows.forEach(row => {
+            monthUsage.totalCostEUR += row.cost || 0;
+            monthUsage.byProject[row.project] = row.cost || 0;
+        });
+        this.monthUsage = monthUsage;
+    }
+
+    persistUsage(type, count, calls, cost, endpoint, project) {
+        if (!this.db) return;
+
+        this.run(
+            `INSERT INTO api_usage (usage_date, api_type, endpoint, project, calls, units, cost_eur)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (usage_date, api_type, endpoint, project) DO UPDATE SET
+                calls = api_usage.calls + excluded.calls,
+                units = api_usage.units + excluded.units,
+                cost_eur = api_usage.cost_eur + excluded.cost_eur,
+                updated_at = CURRENT_TIMESTAMP`,
+            [this.todayUsage.date, type, endpoint, project, calls, count, cost]
+        ).catch(err => console.error('❌ API-Verbrauch konnte nicht gespeichert werden:', err.message));
+    }
+
+    // ======================================================================
+    // ENDPOINT- UND PROJEKT-ZUORDNUNG
+    // ======================================================================
+    // Express-Middleware: alle API-Aufrufe innerhalb des Requests werden diesem Endpoint/Projekt zugeordnet.
+    // Projekt per Header X-Budget-Project oder Parameter "project", sonst "default".
+    middleware() {
+        return (req, res, next) => {
+            // IDs zusammenfassen, damit /api/x/17 und /api/x/18 eine Zeile ergeben
+            const path = req.path.replace(/\/\d+(?=\/|$)/g, '/:id');
+            const project = this.normalizeProject(
+                req.get('X-Budget-Project') || req.query.project || (req.body && req.body.project)
+            );
+            this.context.run({ endpoint: `${req.method} ${path}`, project }, next);
+        };
+    }
+
+    currentEndpoint() {
+        const store = this.context.getStore();
+        return store ? store.endpoint : 'intern';
+    }
+
+    currentProject() {
+        const store = this.context.getStore();
+        return store && store.project ? store.project : DEFAULT_PROJECT;
+    }
+
+    normalizeProject(project) {
+        if (typeof project !== 'string') return DEFAULT_PROJECT;
+        const trimmed = project.trim();
+        return /^[\w.-]{1,64}$/.test(trimmed) ? trimmed : DEFAULT_PROJECT;
+    }
     
-    // Prüfe ob API Call erlaubt ist
-    canMakeAPICall(type) {
+    // ======================================================================
+    // BUDGET-PRÜFUNG
+    // ======================================================================
+    // Prüfe ob API Call erlaubt ist (count = Anfragen bzw. Matrix-Elemente)
+    canMakeAPICall(type, count = 1, project = this.currentProject()) {
+        const reason = this.getBlockReason(type, count, project);
+        if (reason) {
+            console.log(`🛑 ${reason}`);
+            return false;
+        }
+        return true;
+    }
+
+    // null = erlaubt, sonst Begründung (ohne Log, z.B. für Statusabfragen)
+    getBlockReason(type, count = 1, project = this.currentProject()) {
         this.checkNewDay();
+        const cost = this.costOf(type, count);
         
-        if (this.todayUsage.totalCostEUR >= this.dailyBudgetEUR) {
-            console.log(`🛑 Tagesbudget von ${this.dailyBudgetEUR}€ erreicht!`);
-            return false;
+        if (this.todayUsage.totalCostEUR + cost > this.dailyBudgetEUR) {
+            return `Tagesbudget von ${this.dailyBudgetEUR}€ erreicht!`;
+        }
+
+        if (this.monthlyBudgetEUR !== null && this.monthUsage.totalCostEUR + cost > this.monthlyBudgetEUR) {
+            return `Monatsbudget von ${this.monthlyBudgetEUR}€ erreicht!`;
+        }
+
+        const projectBudget = this.projectBudgets[project];
+        if (projectBudget) {
+            if (projectBudget.daily != null && (this.todayUsage.byProject[project] || 0) + cost > projectBudget.daily) {
+                return `Tagesbudget von Projekt "${project}" (${projectBudget.daily}€) erreicht!`;
+            }
+            if (projectBudget.monthly != null && (this.monthUsage.byProject[project] || 0) + cost > projectBudget.monthly) {
+                return `Monatsbudget von Projekt "${project}" (${projectBudget.monthly}€) erreicht!`;
+            }
         }
         
-        if (type === 'geocoding' && this.todayUsage.geocoding >= this.dailyLimits.geocoding) {
-            console.log(`🛑 Geocoding Limit erreicht: ${this.todayUsage.geocoding}/${this.dailyLimits.geocoding}`);
-            return false;
+        if (type === 'geocoding' && this.todayUsage.geocoding + count > this.dailyLimits.geocoding) {
+            return `Geocoding Limit erreicht: ${this.todayUsage.geocoding}/${this.dailyLimits.geocoding}`;
         }
         
-        if (type === 'distanceMatrix' && this.todayUsage.distanceMatrix >= this.dailyLimits.distanceMatrix) {
-            console.log(`🛑 Distance Matrix Limit erreicht: ${this.todayUsage.distanceMatrix}/${this.dailyLimits.distanceMatrix}`);
-            return false;
+        if (this.isDistanceType(type) && this.distanceUsage() + count > this.dailyLimits.distanceMatrix) {
+            return `Distance Matrix Limit erreicht: ${this.distanceUsage()}/${this.dailyLimits.distanceMatrix}`;
         }
         
-        return true;
+        return null;
     }
     
     // Registriere API Call
-    registerAPICall(type, count = 1) {
+    registerAPICall(type, count = 1, options = {}) {
         this.checkNewDay();
         
-        const cost = this.costs[type] * count;
+        const cost = this.costOf(type, count);
+        const project = options.project || this.currentProject();
         this.todayUsage[type] = (this.todayUsage[type] || 0) + count;
         this.todayUsage.totalCostEUR += cost;
+        this.todayUsage.byProject[project] = (this.todayUsage.byProject[project] || 0) + cost;
+        this.monthUsage.totalCostEUR += cost;
+        this.monthUsage.byProject[project] = (this.monthUsage.byProject[project] || 0) + cost;
+
+        const endpoint = options.endpoint || this.currentEndpoint();
+        this.persistUsage(type, count, options.calls || 1, cost, endpoint, project);
         
-        console.log(`💵 API Call: ${type} x${count} = ${cost.toFixed(3)}€ (Heute: ${this.todayUsage.totalCostEUR.toFixed(2)}€)`);
+        console.log(`💵 API Call: ${type} x${count} = ${cost.toFixed(3)}€ [${endpoint}, ${project}] (Heute: ${this.todayUsage.totalCostEUR.toFixed(2)}€)`);
         
-        // Warnung bei 80% Budget
-        if (this.todayUsage.totalCostEUR > this.dailyBudgetEUR * 0.8) {
-            console.log(`⚠️ WARNUNG: 80% des Tagesbudgets verbraucht!`);
-        }
+        this.checkAlerts(project);
         
         return {
             allowed: true,
@@ -70,20 +222,216 @@ class APIBudgetController {
             remainingBudget: Math.max(0, this.dailyBudgetEUR - this.todayUsage.totalCostEUR)
         };
     }
+
+    /**
+     * Budget prüfen, Aufruf ausführen, Verbrauch buchen.
+     * Wirft BudgetExceededError, ohne den Aufruf auszuführen, wenn das Budget nicht reicht.
+     * @param {string} type - geocoding | distanceMatrix | distanceMatrixAdvanced
+     * @param {number} count - abgerechnete Einheiten (Anfragen bzw. Matrix-Elemente)
+     * @param {Function} call - async () => Ergebnis des HTTP-Aufrufs
+     */
+    async withBudget(type, count, call) {
+        const reason = this.getBlockReason(type, count);
+        if (reason) {
+            console.log(`🛑 ${reason}`);
+            throw new BudgetExceededError(type, reason);
+        }
+
+        const result = await call();
+        // Google rechnet jede beantwortete Anfrage ab, auch ZERO_RESULTS
+        this.registerAPICall(type, count);
+        return result;
+    }
     
-    // Reset bei neuem Tag
+    // Reset bei neuem Tag/Monat
     checkNewDay() {
-        const today = new Date().toISOString().split('T')[0];
+        const today = this.today();
         if (this.todayUsage.date !== today) {
             console.log('📅 Neuer Tag - Reset API Usage');
-            this.todayUsage = {
-                geocoding: 0,
-                distanceMatrix: 0,
-                totalCostEUR: 0,
-                date: today
-            };
+            this.todayUsage = this.emptyUsage(today);
+        }
+        const month = today.slice(0, 7);
+        if (this.monthUsage.month !== month) {
+            console.log('📅 Neuer Monat - Reset Monatsverbrauch');
+            this.monthUsage = this.emptyMonthUsage(month);
         }
     }
+
+    // Tageszähler im Speicher zurücksetzen (bis zum nächsten Neustart). api_usage bleibt
+    // unverändert: Ausgaben-Zeitreihe und Monatsbudget rechnen mit dem tatsächlichen Verbrauch.
+    resetTodayCounters() {
+        this.todayUsage = this.emptyUsage(this.today());
+    }
+
+    // ======================================================================
+    // BUDGETS VERWALTEN
+    // ======================================================================
+    setDailyBudget(dailyBudgetEUR) {
+        this.dailyBudgetEUR = dailyBudgetEUR;
+        this.dailyLimits = this.calculateLimits(dailyBudgetEUR);
+    }
+
+    /**
+     * Budget setzen (und speichern) - limitEUR = null entfernt es.
+     * Das globale Tagesbudget lässt sich nicht entfernen.
+     * @param {'daily'|'monthly'} scope
+     * @param {number|null} limitEUR
+     * @param {string|null} [project] - null = globales Budget
+     */
+    async setBudget(scope, limitEUR, project = null) {
+        if (!BUDGET_SCOPES.includes(scope)) {
+            throw new Error(`Unbekannter Budget-Zeitraum "${scope}" (erlaubt: ${BUDGET_SCOPES.join(', ')})`);
+        }
+        if (limitEUR === null && scope === 'daily' && !project) {
+            throw new Error('Das globale Tagesbudget kann nicht entfernt werden');
+        }
+
+        const key = project ? this.normalizeProject(project) : '';
+        if (this.db) {
+            if (limitEUR === null) {
+                await this.run("DELETE FROM api_budgets WHERE scope = ? AND project = ?", [scope, key]);
+            } else {
+                await this.run(
+                    `INSERT INTO api_budgets (scope, project, limit_eur) VALUES (?, ?, ?)
+                     ON CONFLICT (scope, project) DO UPDATE SET limit_eur = excluded.limit_eur, updated_at = CURRENT_TIMESTAMP`,
+                    [scope, key, limitEUR]
+                );
+            }
+        }
+
+        this.applyBudget(scope, limitEUR, key || null);
+        return this.listBudgets();
+    }
+
+    applyBudget(scope, limitEUR, project) {
+        if (!project) {
+            if (scope === 'daily') this.setDailyBudget(limitEUR);
+            else this.monthlyBudgetEUR = limitEUR;
+            return;
+        }
+
+        const budget = this.projectBudgets[project] || { daily: null, monthly: null };
+        budget[scope] = limitEUR;
+        if (budget.daily === null && budget.monthly === null) {
+            delete this.projectBudgets[project];
+        } else {
+            this.projectBudgets[project] = budget;
+        }
+    }
+
+    listBudgets() {
+        this.checkNewDay();
+        return {
+            global: {
+                daily: this.budgetState(this.dailyBudgetEUR, this.todayUsage.totalCostEUR),
+                monthly: this.budgetState(this.monthlyBudgetEUR, this.monthUsage.totalCostEUR)
+            },
+            projects: Object.entries(this.projectBudgets).map(([project, budget]) => ({
+                project,
+                daily: this.budgetState(budget.daily, this.todayUsage.byProject[project] || 0),
+                monthly: this.budgetState(budget.monthly, this.monthUsage.byProject[project] || 0)
+            }))
+        };
+    }
+
+    budgetState(limit, spent) {
+        return {
+            limit,
+            spent: Math.round(spent * 100) / 100,
+            remaining: limit !== null ? Math.max(0, Math.round((limit - spent) * 100) / 100) : null,
+            percentage: limit ? Math.round((spent / limit) * 100) : null
+        };
+    }
+
+    // Welche Budgets greifen für ein Projekt? (für Prognosen + Alarme)
+    getApplicableBudgets(project = DEFAULT_PROJECT) {
+        this.checkNewDay();
+        const budgets = [
+            { scope: 'daily', project: null, period: this.todayUsage.date, limit: this.dailyBudgetEUR, spent: this.todayUsage.totalCostEUR }
+        ];
+        if (this.monthlyBudgetEUR !== null) {
+            budgets.push({ scope: 'monthly', project: null, period: this.monthUsage.month, limit: this.monthlyBudgetEUR, spent: this.monthUsage.totalCostEUR });
+        }
+
+        const projectBudget = this.projectBudgets[project];
+        if (projectBudget && projectBudget.daily != null) {
+            budgets.push({ scope: 'daily', project, period: this.todayUsage.date, limit: projectBudget.daily, spent: this.todayUsage.byProject[project] || 0 });
+        }
+        if (projectBudget && projectBudget.monthly != null) {
+            budgets.push({ scope: 'monthly', project, period: this.monthUsage.month, limit: projectBudget.monthly, spent: this.monthUsage.byProject[project] || 0 });
+        }
+        return budgets;
+    }
+
+    // ======================================================================
+    // SCHWELLWERT-ALARME
+    // ======================================================================
+    setAlertNotifier(notifier) {
+        this.alertNotifier = notifier;
+    }
+
+    checkAlerts(project) {
+        this.getApplicableBudgets(project).forEach(budget => {
+            if (!budget.limit) return;
+            const percentage = (budget.spent / budget.limit) * 100;
+
+            this.alertThresholds
+                .filter(threshold => percentage >= threshold)
+                .forEach(threshold => {
+                    const key = `${budget.period}|${budget.scope}|${budget.project || ''}|${threshold}|${budget.limit}`;
+                    if (this.raisedAlerts.has(key)) return;
+                    this.raisedAlerts.add(key);
+
+                    this.raiseAlert({ ...budget, threshold, percentage: Math.round(percentage) })
+                        .catch(err => console.error('❌ Budget-Alarm fehlgeschlagen:', err.message));
+                });
+        });
+    }
+
+    async raiseAlert(alert) {
+        const label = `${alert.scope === 'daily' ? 'Tagesbudget' : 'Monatsbudget'}${alert.project ? ` (${alert.project})` : ''}`;
+        console.log(`⚠️ WARNUNG: ${label} zu ${alert.threshold}% verbraucht (${alert.spent.toFixed(2)}€ von ${alert.limit}€)`);
+
+        // Nach einem Neustart nicht erneut melden: UNIQUE (period, scope, project, threshold, limit_eur)
+        let alertId = null;
+        if (this.db) {
+            const result = await this.run(
+                `INSERT INTO api_budget_alerts (period, scope, project, threshold, spent_eur, limit_eur)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT DO NOTHING`,
+                [alert.period, alert.scope, alert.project || '', alert.threshold, alert.spent, alert.limit]
+            );
+            if (result.changes === 0) return null;
+            alertId = result.lastID;
+        }
+
+        if (!this.alertNotifier || !this.alertNotifier.isConfigured()) {
+            if (alertId) await this.updateAlertStatus(alertId, 'not_configured', [], null);
+            return alert;
+        }
+
+        const delivery = await this.alertNotifier.send({ ...alert, label });
+        if (alertId) {
+            await this.updateAlertStatus(
+                alertId,
+                delivery.failed.length === 0 ? 'sent' : (delivery.delivered.length > 0 ? 'partial' : 'failed'),
+                delivery.delivered,
+                delivery.failed.map(f => `${f.channel}: ${f.error}`).join('; ') || null
+            );
+        }
+        return alert;
+    }
+
+    updateAlertStatus(id, status, channels, error) {
+        return this.run(
+            "UPDATE api_budget_alerts SET status = ?, channels = ?, error = ? WHERE id = ?",
+            [status, channels.join(','), error, id]
+        );
+    }
+
+    async getAlerts(limit = 50) {
+        return this.all("SELECT * FROM api_budget_alerts ORDER BY id DESC LIMIT ?", [limit]);
+    }
     
     // Status abrufen
     getStatus() {
@@ -96,15 +444,187 @@ class APIBudgetController {
                 remaining: Math.max(0, this.dailyBudgetEUR - this.todayUsage.totalCostEUR).toFixed(2),
                 percentage: Math.round((this.todayUsage.totalCostEUR / this.dailyBudgetEUR) * 100)
             },
+            monthly: {
+                month: this.monthUsage.month,
+                ...this.budgetState(this.monthlyBudgetEUR, this.monthUsage.totalCostEUR),
+                projected: this.projectMonthEnd()
+            },
             usage: {
                 geocoding: `${this.todayUsage.geocoding}/${this.dailyLimits.geocoding}`,
-                distanceMatrix: `${this.todayUsage.distanceMatrix}/${this.dailyLimits.distanceMatrix}`
+                distanceMatrix: `${this.distanceUsage()}/${this.dailyLimits.distanceMatrix}`
             },
-            limits: this.dailyLimits
+            limits: this.dailyLimits,
+            exhausted: {
+                geocoding: this.getBlockReason('geocoding', 1, DEFAULT_PROJECT) !== null,
+                distanceMatrix: this.getBlockReason('distanceMatrix', 1, DEFAULT_PROJECT) !== null
+            }
         };
     }
+
+    // Lineare Hochrechnung des bisherigen Monatsverbrauchs aufs Monatsende
+    projectMonthEnd() {
+        const now = new Date();
+        const dayOfMonth = now.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+        return Math.round((this.monthUsage.totalCostEUR / dayOfMonth) * daysInMonth * 100) / 100;
+    }
+
+    // Verbrauch aus der DB, pro Tag/Typ/Endpoint/Projekt
+    async getUsageReport({ from, to } = {}) {
+        const today = this.today();
+        const rows = await this.all(
+            `SELECT usage_date, api_type, endpoint, project, calls, units, cost_eur
+             FROM api_usage
+             WHERE usage_date >= ? AND usage_date <= ?
+             ORDER BY usage_date DESC, cost_eur DESC`,
+            [from || today, to || today]
+        );
+
+        const byEndpoint = {};
+        const byType = {};
+        const byProject = {};
+        rows.forEach(row => {
+            byEndpoint[row.endpoint] = (byEndpoint[row.endpoint] || 0) + row.cost_eur;
+            byType[row.api_type] = (byType[row.api_type] || 0) + row.cost_eur;
+            byProject[row.project] = (byProject[row.project] || 0) + row.cost_eur;
+        });
+
+        return {
+            from: from || today,
+            to: to || today,
+            totalCostEUR: rows.reduce((sum, row) => sum + row.cost_eur, 0),
+            byType,
+            byEndpoint,
+            byProject,
+            rows
+        };
+    }
+
+    /**
+     * Ausgaben als Zeitreihe, lückenlos (Tage/Monate ohne Verbrauch = 0).
+     * @param {object} options
+     * @param {string} options.from - YYYY-MM-DD
+     * @param {string} options.to - YYYY-MM-DD
+     * @param {'day'|'month'} [options.interval]
+     * @param {'type'|'project'|'endpoint'} [options.groupBy] - zusätzliche Aufschlüsselung pro Punkt
+     */
+    async getSpendSeries({ from, to, interval = 'day', groupBy = null }) {
+        const periodExpr = interval === 'month' ? 'substr(usage_date, 1, 7)' : 'usage_date';
+        const groupColumn = { type: 'api_type', project: 'project', endpoint: 'endpoint' }[groupBy] || null;
+
+        const rows = await this.all(
+            `SELECT ${periodExpr} as period, ${groupColumn ? `${groupColumn} as grp,` : ''}
+                    SUM(calls) as calls, SUM(units) as units, SUM(cost_eur) as cost
+             FROM api_usage
+             WHERE usage_date >= ? AND usage_date <= ?
+             GROUP BY period${groupColumn ? ', grp' : ''}
+             ORDER BY period`,
+            [from, to]
+        );
+
+        const points = new Map(this.listPeriods(from, to, interval).map(period => [period, {
+            period, costEUR: 0, calls: 0, units: 0, ...(groupColumn ? { breakdown: {} } : {})
+        }]));
+
+        rows.forEach(row => {
+            const point = points.get(row.period);
+            if (!point) return;
+            point.costEUR += row.cost || 0;
+            point.calls += row.calls || 0;
+            point.units += row.units || 0;
+            if (groupColumn) point.breakdown[row.grp] = Math.round((row.cost || 0) * 1000) / 1000;
+        });
+
+        const series = [...points.values()].map(point => ({ ...point, costEUR: Math.round(point.costEUR * 1000) / 1000 }));
+        return {
+            from,
+            to,
+            interval,
+            groupBy: groupColumn ? groupBy : null,
+            totalCostEUR: Math.round(series.reduce((sum, p) => sum + p.costEUR, 0) * 1000) / 1000,
+            series
+        };
+    }
+
+    listPeriods(from, to, interval) {
+        const periods = [];
+        const cursor = new Date(`${from}T00:00:00Z`);
+        const end = new Date(`${to}T00:00:00Z`);
+
+        while (cursor <= end && periods.length < 3660) {
+            const day = cursor.toISOString().split('T')[0];
+            const period = interval === 'month' ? day.slice(0, 7) : day;
+            if (periods[periods.length - 1] !== period) periods.push(period);
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+        return periods;
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    calculateLimits(dailyBudgetEUR) {
+        return {
+            geocoding: Math.floor(dailyBudgetEUR / this.costs.geocoding * 0.3), // 30% für Geocoding
+            distanceMatrix: Math.floor(dailyBudgetEUR / this.costs.distanceMatrix * 0.7) // 70% für Distance
+        };
+    }
+
+    costOf(type, count) {
+        return (this.costs[type] || 0) * count;
+    }
+
+    isDistanceType(type) {
+        return type === 'distanceMatrix' || type === 'distanceMatrixAdvanced';
+    }
+
+    // Matrix-Elemente mit und ohne Verkehr teilen sich ein Limit
+    distanceUsage() {
+        return (this.todayUsage.distanceMatrix || 0) + (this.todayUsage.distanceMatrixAdvanced || 0);
+    }
+
+    emptyUsage(date) {
+        return {
+            geocoding: 0,
+            distanceMatrix: 0,
+            distanceMatrixAdvanced: 0,
+            totalCostEUR: 0,
+            byProject: {},
+            date
+        };
+    }
+
+    emptyMonthUsage(month) {
+        return { month, totalCostEUR: 0, byProject: {} };
+    }
+
+    today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    currentMonth() {
+        return this.today().slice(0, 7);
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
 }
 
+APIBudgetController.DEFAULT_PROJECT = DEFAULT_PROJECT;
+APIBudgetController.BUDGET_SCOPES = BUDGET_SCOPES;
+
 // ======================================================================
 // OPTIMIERTE DISTANCE MATRIX STRATEGIE
 // ======================================================================
@@ -274,6 +794,7 @@ class BatchAPIOptimizer {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         APIBudgetController,
+        BudgetExceededError,
         SmartDistanceCalculator,
         BatchAPIOptimizer
     };
@@ -0,0 +1,355 @@
+// ======================================================================
+// TERMIN-DATEIEN: CSV / XLSX / JSON LESEN UND SCHREIBEN
+// Import: jede Datei wird in dieselbe Form gebracht wie Papa.parse mit
+// header: true ({ data: [...Zeilen], meta: { fields }, errors }) - Profile,
+// Vorschau und Abgleich funktionieren dadurch für alle Formate gleich.
+// Export: Termine inkl. Geocoding- und Planungsstatus. Die Spaltennamen
+// entsprechen dem Calendly-Profil, ein Export lässt sich also wieder importieren.
+// ======================================================================
+
+const path = require('path');
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+
+const IMPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8'
+};
+
+// Export-Spalten: [Spaltenname, Wert aus dem aufbereiteten Termin]
+// "Termin-ID" ist die externe ID aus dem Import (stabiler Abgleich-Schlüssel),
+// die Datenbank-ID steht separat und wird beim Re-Import ignoriert.
+const EXPORT_COLUMNS = [
+    ['Termin-ID', apt => apt.notes.external_id || ''],
+    ['Invitee Name', apt => apt.customer],
+    ['Adresse', apt => apt.address],
+    ['Start Date & Time', apt => apt.is_fixed && apt.fixed_date
+        ? `${apt.fixed_date.split('-').reverse().join('.')} ${apt.fixed_time || ''}`.trim()
+        : ''],
+    ['Company', apt => apt.notes.company || ''],
+    ['Customer Company', apt => apt.notes.customer_company || ''],
+    ['On Hold', apt => apt.withdrawn_at ? '' : (apt.on_hold || '')],
+    ['Notiz', apt => apt.notes.custom_notes || ''],
+    ['Status', apt => apt.status],
+    ['Priorität', apt => apt.priority],
+    ['Dauer (h)', apt => apt.duration],
+    ['Fix', apt => apt.is_fixed ? 'ja' : 'nein'],
+    ['Lead erstellt am', apt => apt.lead_created_at || ''],
+    ['Pipeline-Tage', apt => apt.pipeline_days ?? ''],
+    ['Lat', apt => apt.lat ?? ''],
+    ['Lng', apt => apt.lng ?? ''],
+    ['Geocoding', apt => apt.lat && apt.lng ? 'ok' : 'fehlt'],
+    ['Planungsstatus', apt => apt.planning.status],
+    ['Geplante Woche', apt => apt.planning.week_start || ''],
+    ['Geplanter Tag', apt => apt.planning.date || ''],
+    ['Geplante Zeit', apt => apt.planning.time || ''],
+    ['Fahrer', apt => apt.planning.driver || ''],
+    ['Datenbank-ID', apt => apt.id],
+    ['Import-Quelle', apt => apt.import_source || ''],
+    ['Zurückgezogen am', apt => apt.withdrawn_at || ''],
+    ['Erstellt am', apt => apt.created_at || '']
+];
+
+// Texte, die Excel als Formel ausführen würde (=, +, -, @, Tab, CR am Anfang) - wie Papa escapeFormulae
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// ======================================================================
+// IMPORT
+// ======================================================================
+function detectFormat(file) {
+    const ext = path.extname(file.originalname || '').toLowerCase().replace('.', '');
+    if (ext === 'xlsx' || file.mimetype === CONTENT_TYPES.xlsx) return 'xlsx';
+    if (ext === 'json' || file.mimetype === 'application/json') return 'json';
+    if (['csv', 'txt', 'tsv', ''].includes(ext) || (file.mimetype || '').startsWith('text/')) return 'csv';
+    return null;
+}
+
+/**
+ * Hochgeladene Datei (multer memoryStorage) in Zeilen umwandeln.
+ * @param {object} file - req.file
+ * @param {object} [options] - { sheet: Tabellenblatt-Name für XLSX }
+ * @returns {Promise<{ data: Array<object>, meta: object, errors: Array }>}
+ */
+async function readImportFile(file, options = {}) {
+    const format = detectFormat(file);
+
+    switch (format) {
+        case 'csv':
+            return readCsv(file.buffer);
+        case 'xlsx':
+            return readXlsx(file.buffer, options.sheet);
+        case 'json':
+            return readJson(file.buffer);
+        default: {
+            const error = new Error(`Dateiformat nicht unterstützt: ${file.originalname} (erlaubt: ${IMPORT_FORMATS.join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+    }
+}
+
+function readCsv(buffer) {
+    const parsed = Papa.parse(buffer.toString('utf-8').replace(/^\uFEFF/, ''), {
+        header: true,
+        skipEmptyLines: true,
+        delimiter: '',
+        encoding: 'utf-8',
+        dynamicTyping: false,
+        delimitersToGuess: [',', ';', '\t', '|'],
+        transform: unescapeFormula
+    });
+    parsed.meta.format = 'csv';
+    return parsed;
+}
+
+async function readXlsx(buffer, sheetName = null) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        const invalid = new Error(`XLSX-Datei nicht lesbar: ${error.message}`);
+        invalid.status = 400;
+        throw invalid;
+    }
+
+    const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!sheet) {
+        const missing = new Error(sheetName ? `Tabellenblatt "${sheetName}" nicht gefunden` : 'Arbeitsmappe enthält kein Tabellenblatt');
+        missing.status = 400;
+        throw missing;
+    }
+
+    // Erste nicht-leere Zeile = Kopfzeile
+    let fields = null;
+    const columnNames = [];
+    const data = [];
+
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        const values = [];
+        row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+            values[colNumber] = unescapeFormula(cellToString(cell));
+        });
+
+        if (!fields) {
+            values.forEach((value, col) => {
+                if (value) columnNames[col] = value;
+            });
+            fields = columnNames.filter(Boolean);
+            return;
+        }
+
+        const record = {};
+        let filled = false;
+        columnNames.forEach((name, col) => {
+            if (!name) return;
+            record[name] = values[col] || '';
+            if (record[name]) filled = true;
+        });
+        if (filled) data.push(record);
+    });
+
+    return {
+        data,
+        errors: [],
+        meta: {
+            format: 'xlsx',
+            sheet: sheet.name,
+            sheets: workbook.worksheets.map(ws => ws.name),
+            fields: fields || [],
+            delimiter: null,
+            truncated: false
+        }
+    };
+}
+
+// Zellwerte als Text, Datumszellen als "YYYY-MM-DD HH:MM" (bzw. nur Datum/Zeit)
+function cellToString(cell) {
+    const value = cell.value;
+    if (value === null || value === undefined) return '';
+
+    if (value instanceof Date) return formatExcelDate(value);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('').trim();
+        if (value.text !== undefined) return String(value.text).trim();               // Hyperlink
+        if (value.result !== undefined) {                                             // Formel
+            return value.result instanceof Date ? formatExcelDate(value.result) : String(value.result ?? '').trim();
+        }
+        if (value.error) return '';
+    }
+    return String(value).trim();
+}
+
+// Das ' aus unseren eigenen Exporten (siehe escapeFormula) wieder entfernen
+function unescapeFormula(value) {
+    return typeof value === 'string' && value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+// ExcelJS liefert Datumswerte als UTC-Zeitpunkt der Excel-Ortszeit
+function formatExcelDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+
+    if (day === '1899-12-30') return time;        // reine Uhrzeit-Zelle
+    if (time === '00:00') return day;             // reine Datums-Zelle
+    return `${day} ${time}`;
+}
+
+// JSON: Liste von Objekten oder { appointments: [...] } / { rows: [...] } / { data: [...] }
+function readJson(buffer) {
+    let parsed;
+    try {
+        parsed = JSON.parse(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        const invalid = new Error(`JSON nicht lesbar: ${error.message}`);
+        invalid.status = 400;
+        throw invalid;
+    }
+
+    const list = Array.isArray(parsed)
+        ? parsed
+        : (parsed && (parsed.appointments || parsed.rows || parsed.data));
+    if (!Array.isArray(list)) {
+        const invalid = new Error('JSON muss eine Liste von Objekten sein (oder { appointments: [...] })');
+        invalid.status = 400;
+        throw invalid;
+    }
+
+    const fields = [];
+    const errors = [];
+    const data = [];
+
+    list.forEach((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push({ row: index + 1, message: 'Eintrag ist kein Objekt' });
+            return;
+        }
+        const record = {};
+        Object.entries(item).forEach(([key, value]) => {
+            if (!fields.includes(key)) fields.push(key);
+            record[key] = value === null || value === undefined
+                ? ''
+                : (typeof value === 'object' ? JSON.stringify(value) : String(value).trim());
+        });
+        data.push(record);
+    });
+
+    return {
+        data,
+        errors,
+        meta: { format: 'json', fields, delimiter: null, truncated: false }
+    };
+}
+
+// ======================================================================
+// EXPORT
+// ======================================================================
+/**
+ * Termine mit Geocoding- und Planungsstatus laden.
+ * Planungsstatus kommt aus den aktiven Stopps (route_stops).
+ * @param {object} db - sqlite3-Datenbank
+ * @param {object} [options] - { includeWithdrawn }
+ */
+async function collectExportAppointments(db, { includeWithdrawn = true } = {}) {
+    const all = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    const [appointments, stops, drivers] = await Promise.all([
+        all(`SELECT * FROM appointments ${includeWithdrawn ? '' : 'WHERE withdrawn_at IS NULL'}
+             ORDER BY is_fixed DESC, fixed_date ASC, fixed_time ASC, id ASC`),
+        all("SELECT appointment_id, route_id, week_start, driver_id, stop_date, start_time FROM route_stops WHERE active = 1"),
+        all("SELECT id, name FROM drivers")
+    ]);
+
+    const driverNames = Object.fromEntries(drivers.map(d => [d.id, d.name]));
+    const planned = new Map(stops.map(stop => [stop.appointment_id, {
+        week_start: stop.week_start,
+        date: stop.stop_date,
+        time: stop.start_time || null,
+        driver: driverNames[stop.driver_id] || (stop.driver_id ? `Fahrer ${stop.driver_id}` : null),
+        route_id: stop.route_id
+    }]));
+
+    return appointments.map(apt => {
+        let notes = {};
+        try {
+            notes = JSON.parse(apt.notes || '{}') || {};
+        } catch (error) {
+            notes = { custom_notes: String(apt.notes) };
+        }
+
+        const plan = planned.get(apt.id);
+        let status = plan ? 'geplant' : 'nicht geplant';
+        if (apt.withdrawn_at) status = 'zurückgezogen';
+        else if (apt.status === 'abgesagt') status = 'abgesagt';
+        else if (apt.on_hold && apt.on_hold.trim()) status = 'on hold';
+
+        return { ...apt, notes, planning: { status, ...(plan || {}) } };
+    });
+}
+
+function toExportRows(appointments) {
+    return appointments.map(apt => Object.fromEntries(EXPORT_COLUMNS.map(([name, value]) => [name, value(apt)])));
+}
+
+/**
+ * @param {Array} appointments - Ergebnis von collectExportAppointments()
+ * @param {string} format - csv | xlsx | json
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ */
+async function writeExport(appointments, format) {
+    const rows = toExportRows(appointments);
+    const columns = EXPORT_COLUMNS.map(([name]) => name);
+
+    if (format === 'json') {
+        return {
+            body: JSON.stringify({ exported_at: new Date().toISOString(), count: rows.length, appointments: rows }, null, 2),
+            contentType: CONTENT_TYPES.json,
+            extension: 'json'
+        };
+    }
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+        const sheet = workbook.addWorksheet('Termine', { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = columns.map(name => ({ header: name, key: name, width: Math.max(12, Math.min(40, name.length + 4)) }));
+        rows.forEach(row => sheet.addRow(Object.fromEntries(columns.map(col => [col, escapeFormula(row[col])]))));
+        sheet.getRow(1).font = { bold: true };
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+        return {
+            body: Buffer.from(await workbook.xlsx.writeBuffer()),
+            contentType: CONTENT_TYPES.xlsx,
+            extension: 'xlsx'
+        };
+    }
+
+    // CSV mit Semikolon + BOM, damit Excel Umlaute und Spalten richtig öffnet
+    return {
+        body: '\uFEFF' + Papa.unparse({ fields: columns, data: rows.map(row => columns.map(col => row[col])) }, { delimiter: ';', escapeFormulae: true }),
+        contentType: CONTENT_TYPES.csv,
+        extension: 'csv'
+    };
+}
+
+// Kundennamen, Adressen und Notizen kommen aus externen Buchungen: nie als Formel in die Tabelle
+function escapeFormula(value) {
+    return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    detectFormat,
+    readImportFile,
+    collectExportAppointments,
+    toExportRows,
+    writeExport
+};
@@ -0,0 +1,830 @@
+// ======================================================================
+// TERMIN-IMPORT (CSV) MIT ABGLEICH STATT KOMPLETTERSATZ
+// Früher: DELETE FROM appointments + Neu-Insert. Dabei gingen Geocoding,
+// manuell gesetzte Zeiten, Bestätigungen und die IDs verloren, auf die
+// gespeicherte Routen verweisen. Jetzt wird jede Zeile über einen stabilen
+// Schlüssel einem bestehenden Termin zugeordnet:
+// - ID-Spalte der CSV (z.B. "Invitee UUID")   => import_key "id:<wert>"
+// - sonst normalisierter Name + Adresse       => import_key "na:<name>|<adresse>"
+// - übrig gebliebene Zeilen per eindeutigem Namen (Kunde ist umgezogen)
+// Neue Zeilen werden eingefügt, geänderte aktualisiert, fehlende als
+// zurückgezogen markiert (on_hold), und alles landet in einem Diff-Report.
+//
+// Lead-Alter: lead_created_at kommt aus der Datei (Spalte "lead_created")
+// oder ist der Tag des ersten Imports. pipeline_days wird daraus täglich
+// neu berechnet und bestimmt die Reihenfolge bei der Terminauswahl.
+//
+// Termindauer: Spalte "duration" (z.B. "1,5", "90 min", "1:30") oder
+// Ende minus Start; ohne Angabe 3 Stunden.
+// ======================================================================
+
+const { DEFAULT_PROFILE } = require('./import-profiles');
+
+const WITHDRAWN_HOLD_REASON = 'Zurückgezogen (nicht mehr im Import)';
+const PREMIUM_BRANDS = ['bmw', 'mercedes', 'audi', 'porsche', 'volkswagen'];
+const DEFAULT_DURATION = 3;
+const MIN_DURATION = 0.5;
+const MAX_DURATION = 12;
+
+class AppointmentImportService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Import-Schlüssel und Herkunft am Termin merken
+    // Spalten import_key, import_source, withdrawn_at, lead_created_at: Migration 5
+    async initialize() {
+        await this.refreshPipelineDays();
+        console.log('✅ Lead-Alter der Termine aktualisiert');
+    }
+
+    // ======================================================================
+    // LEAD-ALTER (pipeline_days)
+    // ======================================================================
+    /**
+     * Termine ohne Lead-Datum bekommen eins: importierte das Anlagedatum (= erster Import),
+     * alle anderen (Beispieldaten, Altbestand) behalten ihr bisheriges Alter.
+     * Danach pipeline_days = Tage seit lead_created_at für alle Termine.
+     * @returns {Promise<number>} Anzahl aktualisierter Termine
+     */
+    async refreshPipelineDays() {
+        const { sql } = this.db;
+        await this.run(`UPDATE appointments SET lead_created_at = CASE
+                WHEN import_source IS NOT NULL THEN ${sql.localDate('created_at')}
+                ELSE ${sql.localDate('created_at', 'COALESCE(pipeline_days, 0)')}
+            END
+            WHERE lead_created_at IS NULL`);
+        const result = await this.run(`UPDATE appointments
+            SET pipeline_days = ${sql.greatest('0', sql.daysSince('lead_created_at'))}
+            WHERE lead_created_at IS NOT NULL`);
+        return result.changes;
+    }
+
+    // Kurz nach Mitternacht neu berechnen, damit das Alter jeden Tag stimmt
+    startDailyRefresh() {
+        if (this.refreshTimer) return;
+        const schedule = () => {
+            const next = new Date();
+            next.setHours(24, 5, 0, 0);
+            this.refreshTimer = setTimeout(async () => {
+                try {
+                    const updated = await this.refreshPipelineDays();
+                    console.log(`📅 Lead-Alter neu berechnet (${updated} Termine)`);
+                } catch (error) {
+                    console.error('❌ Lead-Alter konnte nicht berechnet werden:', error.message);
+                }
+                schedule();
+            }, next.getTime() - Date.now());
+            this.refreshTimer.unref();
+        };
+        schedule();
+    }
+
+    leadAgeDays(leadDate) {
+        if (!leadDate) return 0;
+        const days = Math.floor((new Date(`${this.today()}T00:00:00`) - new Date(`${leadDate}T00:00:00`)) / 86400000);
+        return Math.max(0, days);
+    }
+
+    // Heutiges Datum in Ortszeit als YYYY-MM-DD
+    today() {
+        const now = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    // Lead-Datum aus der Datei: nur der Datumsteil zählt, Uhrzeit/Zeitzone wird ignoriert
+    parseLeadDate(value, format = 'auto') {
+        const datePart = String(value).trim().split(/[\sT,]+/)[0];
+        const result = this.readStartDateTime(`${datePart} 00:00`, format);
+        return result.error ? null : result.date;
+    }
+
+    /**
+     * Dauer in Stunden: "1.5", "1,5 h", "90 min", "1:30".
+     * @returns {number|null} auf Viertelstunden gerundet, null = nicht lesbar
+     */
+    parseDuration(value) {
+        const text = String(value).trim().toLowerCase().replace(',', '.');
+        let hours = null;
+        let match;
+        if ((match = text.match(/^(\d+(?:\.\d+)?)\s*(h|std\.?|stunden?)?$/))) hours = Number(match[1]);
+        else if ((match = text.match(/^(\d+)\s*(m|min\.?|minuten)$/))) hours = Number(match[1]) / 60;
+        else if ((match = text.match(/^(\d{1,2}):([0-5]\d)$/))) hours = Number(match[1]) + Number(match[2]) / 60;
+        return hours === null ? null : Math.round(hours * 4) / 4;
+    }
+
+    // ======================================================================
+    // CSV-ZEILEN => TERMINE
+    // ======================================================================
+    /**
+     * @param {Array<object>} rows - Zeilen aus Papa.parse (header: true)
+     * @param {object} options - { source: Text für notes.source, profile: Import-Profil (Default: Calendly) }
+     * @returns {{ appointments: Array, skipped: Array<{row, customer, reason}> }}
+     */
+    mapRows(rows, { source = 'CSV Import', profile = DEFAULT_PROFILE } = {}) {
+        const appointments = [];
+        const skipped = [];
+
+        rows.forEach((row, index) => {
+            const result = this.mapRow(row, index + 1, source, profile);
+            if (result.skip) {
+                skipped.push({ row: index + 1, customer: this.readColumn(row, profile.mapping.customer) || null, reason: result.skip });
+            } else {
+                appointments.push(result.appointment);
+            }
+        });
+
+        return { appointments, skipped };
+    }
+
+    mapRow(row, rowNumber, source, profile = DEFAULT_PROFILE) {
+        const m = profile.mapping;
+        const read = field => this.readColumn(row, m[field]);
+
+        const inviteeName = read('customer');
+        if (!inviteeName) {
+            return { skip: `Kein Name (Spalte "${[].concat(m.customer).join('/')}")` };
+        }
+
+        // Adresse aus Einzelspalten zusammensetzen, falls keine komplette Adresse da ist
+        let fullAddress = read('address');
+        if (!fullAddress && (read('street') || read('city'))) {
+            const parts = [];
+            if (read('street')) parts.push(read('street'));
+            if (read('postal_code') && read('city')) parts.push(`${read('postal_code')} ${read('city')}`);
+            else if (read('city')) parts.push(read('city'));
+            if (read('country')) parts.push(read('country'));
+            fullAddress = parts.join(', ');
+        }
+
+        // Start aus einer Spalte oder aus getrennten Datum/Zeit-Spalten
+        const startRaw = m.start
+            ? read('start')
+            : [read('start_date'), read('start_time')].filter(Boolean).join(' ');
+        const parsedStart = startRaw ? this.readStartDateTime(startRaw, profile.date_format) : null;
+        const fixed = parsedStart && !parsedStart.error ? parsedStart : null;
+        const isFixed = !!fixed;
+
+        const company = read('company');
+        const customerCompany = read('customer_company');
+        const onHold = this.isOnHold(read('on_hold'), profile.on_hold_rule) ? read('on_hold') : '';
+
+        let priority = 'mittel';
+        if (isFixed || PREMIUM_BRANDS.some(brand => customerCompany.toLowerCase().includes(brand))) {
+            priority = 'hoch';
+        }
+
+        const externalId = read('external_id') || null;
+        const address = fullAddress || 'Adresse nicht verfügbar';
+
+        const leadRaw = read('lead_created');
+        let leadCreatedAt = leadRaw ? this.parseLeadDate(leadRaw, profile.date_format) : null;
+
+        // Hinweise für den Validierungsbericht - die Zeile wird trotzdem importiert
+        const warnings = [];
+        if (parsedStart && parsedStart.error) {
+            warnings.push(`Startzeit "${startRaw}" nicht lesbar (${parsedStart.error}) - wird als flexibler Termin importiert`);
+        }
+        if (fixed && fixed.date < new Date().toISOString().split('T')[0]) {
+            warnings.push(`Termin am ${fixed.date} liegt in der Vergangenheit`);
+        }
+        if (!fullAddress) {
+            warnings.push('Keine Adresse - Termin kann nicht geocodiert werden');
+        } else if (!/\b\d{5}\b/.test(fullAddress)) {
+            warnings.push('Adresse ohne Postleitzahl - Geocoding ggf. ungenau');
+        }
+        // Dauer: eigene Spalte, sonst Ende - Start (nur am selben Tag)
+        const durationRaw = read('duration');
+        let duration = durationRaw ? this.parseDuration(durationRaw) : null;
+        if (durationRaw && duration === null) {
+            warnings.push(`Dauer "${durationRaw}" nicht lesbar - ${DEFAULT_DURATION} Stunden werden angenommen`);
+        }
+        const endRaw = read('end');
+        if (!durationRaw && fixed && endRaw) {
+            const end = this.readStartDateTime(endRaw, profile.date_format);
+            if (!end.error && end.date === fixed.date) {
+                const toHours = time => { const [h, min] = time.split(':').map(Number); return h + min / 60; };
+                duration = Math.round((toHours(end.time) - toHours(fixed.time)) * 4) / 4;
+            }
+        }
+        if (duration !== null && (duration < MIN_DURATION || duration > MAX_DURATION)) {
+            warnings.push(`Dauer ${duration}h außerhalb ${MIN_DURATION}-${MAX_DURATION}h - ${DEFAULT_DURATION} Stunden werden angenommen`);
+            duration = null;
+        }
+        if (leadRaw && !leadCreatedAt) {
+            warnings.push(`Lead-Datum "${leadRaw}" nicht lesbar - Tag des ersten Imports wird verwendet`);
+        } else if (leadCreatedAt && leadCreatedAt > this.today()) {
+            warnings.push(`Lead-Datum ${leadCreatedAt} liegt in der Zukunft - Tag des ersten Imports wird verwendet`);
+            leadCreatedAt = null;
+        }
+
+        return {
+            appointment: {
+                row: rowNumber,
+                import_key: this.buildImportKey({ externalId, customer: inviteeName, address }),
+                customer: inviteeName,
+                address,
+                priority,
+                status: isFixed ? 'bestätigt' : 'vorschlag',
+                // null = Datei sagt nichts zur Dauer (beim Abgleich bleibt die bisherige)
+                duration,
+                lead_created_at: leadCreatedAt,
+                pipeline_days: this.leadAgeDays(leadCreatedAt),
+                is_fixed: isFixed ? 1 : 0,
+                fixed_date: fixed ? fixed.date : null,
+                fixed_time: fixed ? fixed.time : null,
+                on_hold: onHold || null,
+                notes: {
+                    invitee_name: inviteeName,
+                    company,
+                    customer_company: customerCompany,
+                    start_time: startRaw || null,
+                    end_time: endRaw || null,
+                    custom_notes: read('notes'),
+                    external_id: externalId,
+                    source
+                },
+                warnings
+            }
+        };
+    }
+
+    // Spalte lesen; bei einer Liste von Spalten gewinnt die erste gefüllte
+    readColumn(row, column) {
+        if (!column) return '';
+        if (Array.isArray(column)) {
+            return column.map(col => String(row[col] ?? '').trim()).find(Boolean) || '';
+        }
+        return String(row[column] ?? '').trim();
+    }
+
+    isOnHold(value, rule = DEFAULT_PROFILE.on_hold_rule) {
+        if (!value) return false;
+        switch (rule.mode) {
+            case 'never':
+                return false;
+            case 'values':
+                return (rule.values || []).some(v => String(v).trim().toLowerCase() === value.toLowerCase());
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Startzeitpunkt nach Datumsformat des Profils, "auto" erkennt
+     * "DD.MM.YYYY HH:MM[:SS]", "DD/MM/YYYY HH:MM" und "YYYY-MM-DD HH:MM[:SS]".
+     * ISO-Werte (z.B. Datumszellen aus XLSX/JSON) gelten unabhängig vom Profil-Format.
+     * @returns {{date: string, time: string}|null} Ortszeit, nur Jahre 2020-2030
+     */
+    parseStartDateTime(value, format = 'auto') {
+        const result = this.readStartDateTime(value, format);
+        return result.error ? null : result;
+    }
+
+    // Wie parseStartDateTime, liefert aber statt null den Grund: { error }
+    readStartDateTime(value, format = 'auto') {
+        let parts = null;
+
+        if (/^\d{4}-\d{2}-\d{2}[\sT]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(String(value).trim())) {
+            parts = this.parseWithFormat(value, 'YYYY-MM-DD HH:mm');
+        } else if (format && format !== 'auto') {
+            parts = this.parseWithFormat(value, format);
+        } else if (/^\d{1,2}[./]\d{1,2}[./]\d{4}\s+\d{1,2}:\d{2}(:\d{2})?/.test(value)) {
+            parts = this.parseWithFormat(value, 'DD.MM.YYYY HH:mm');
+        } else if (/^(\d{1,2}[./]\d{1,2}[./]\d{4}|\d{4}-\d{2}-\d{2})$/.test(String(value).trim())) {
+            // Nur Datum ist kein fixer Termin - new Date() würde "07.11.2026" zudem als 11. Juli lesen
+            parts = null;
+        } else {
+            const dateTime = new Date(value);
+            if (!isNaN(dateTime.getTime())) {
+                parts = {
+                    year: dateTime.getFullYear(), month: dateTime.getMonth() + 1, day: dateTime.getDate(),
+                    hour: dateTime.getHours(), minute: dateTime.getMinutes()
+                };
+            }
+        }
+
+        if (!parts || ![parts.year, parts.month, parts.day].every(Number.isFinite)) {
+            return {
+                error: /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(String(value).trim())
+                    ? 'Uhrzeit fehlt'
+                    : `Format nicht erkannt, erwartet ${format && format !== 'auto' ? format : 'DD.MM.YYYY HH:mm'}`
+            };
+        }
+        if (!(parts.year >= 2020 && parts.year <= 2030)) return { error: `Jahr ${parts.year} außerhalb 2020-2030` };
+        // Ungültige Kalendertage (31.02.) abfangen
+        const check = new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        if (check.getMonth() !== parts.month - 1 || check.getDate() !== parts.day || parts.hour > 23 || parts.minute > 59) {
+            return { error: 'Ungültiges Datum oder Uhrzeit' };
+        }
+
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+            time: `${pad(parts.hour)}:${pad(parts.minute)}`
+        };
+    }
+
+    // Formate wie "DD.MM.YYYY HH:mm" - Trennzeichen beliebig (. / -), Sekunden optional
+    parseWithFormat(value, format) {
+        const order = format.match(/YYYY|YY|MM|DD|HH|mm/g) || [];
+        const match = String(value).trim().match(/^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[\sT,]+(\d{1,2}):(\d{2})(?::\d{2})?)?/);
+        if (!match) return null;
+
+        const dateTokens = order.filter(t => ['YYYY', 'YY', 'MM', 'DD'].includes(t));
+        const values = {};
+        dateTokens.forEach((token, idx) => { values[token] = parseInt(match[idx + 1], 10); });
+
+        const year = values.YYYY ?? (values.YY !== undefined ? 2000 + values.YY : NaN);
+        if (match[4] === undefined) return null; // ohne Uhrzeit kein fixer Termin
+
+        return {
+            year,
+            month: values.MM,
+            day: values.DD,
+            hour: parseInt(match[4], 10),
+            minute: parseInt(match[5], 10)
+        };
+    }
+
+    buildImportKey({ externalId = null, customer, address }) {
+        if (externalId) return `id:${externalId}`;
+        return `na:${this.normalize(customer)}|${this.normalize(address)}`;
+    }
+
+    // ======================================================================
+    // ABGLEICH
+    // ======================================================================
+    /**
+     * @param {Array} incoming - Ergebnis von mapRows().appointments
+     * @param {object} options
+     *   - geocode: async (appointments) => void, für neue Termine und geänderte Adressen
+     *   - withdrawMissing: CSV-Termine, die nicht mehr vorkommen, zurückziehen (Default true)
+     *   - importSource: Herkunft der Datei ("csv" = Calendly, "csv:profile-<id>" = eigenes Profil);
+     *     zurückgezogen wird nur, was aus derselben Quelle stammt
+     *   - dryRun: nichts schreiben, nicht geocodieren - Report enthält zusätzlich rows (Aktion je Zeile)
+     *   - acceptedRows: nur diese Zeilennummern übernehmen. Abgelehnte Zeilen werden trotzdem
+     *     zugeordnet, damit ihr Bestandstermin nicht als "fehlt im Import" zurückgezogen wird
+     * @returns {Promise<object>} Diff-Report
+     */
+    async mergeAppointments(incoming, { geocode = null, withdrawMissing = true, importSource = 'csv', dryRun = false, acceptedRows = null } = {}) {
+        const accepted = acceptedRows ? new Set(acceptedRows) : null;
+        const report = {
+            inserted: [],
+            updated: [],
+            unchanged: 0,
+            withdrawn: [],
+            reactivated: [],
+            keptManual: [],
+            duplicates: [],
+            skipped: [],
+            rejected: [],
+            errors: []
+        };
+        if (dryRun) report.rows = [];
+
+        const existing = await this.all("SELECT * FROM appointments");
+        const byKey = new Map();
+        existing.forEach(apt => {
+            // Altbestand ohne Schlüssel über Name + Adresse finden
+            const keys = [apt.import_key, this.buildImportKey({ customer: apt.customer, address: apt.address })];
+            keys.filter(Boolean).forEach(key => { if (!byKey.has(key)) byKey.set(key, apt); });
+        });
+
+        const seenKeys = new Map();
+        const matchedIds = new Set();
+        const plans = [];
+        const unmatched = [];
+
+        // Bei doppelten Schlüsseln gewinnt eine übernommene Zeile vor einer abgelehnten
+        const ordered = accepted
+            ? [...incoming.filter(apt => accepted.has(apt.row)), ...incoming.filter(apt => !accepted.has(apt.row))]
+            : incoming;
+
+        ordered.forEach(apt => {
+            if (seenKeys.has(apt.import_key)) {
+                report.duplicates.push({ row: apt.row, customer: apt.customer, import_key: apt.import_key, duplicate_of: seenKeys.get(apt.import_key) });
+                return;
+            }
+            seenKeys.set(apt.import_key, apt.row);
+
+            // Mit ID-Spalte zusätzlich über Name + Adresse suchen (erster Import mit IDs)
+            const current = byKey.get(apt.import_key) ||
+                (apt.import_key.startsWith('id:')
+                    ? byKey.get(this.buildImportKey({ customer: apt.customer, address: apt.address }))
+                    : null);
+
+            if (current && !matchedIds.has(current.id)) {
+                matchedIds.add(current.id);
+                plans.push({ type: 'update', incoming: apt, current, ...this.diffAppointment(current, apt) });
+            } else if (apt.on_hold) {
+                // Neue Zeilen mit "On Hold" wurden noch nie importiert - wie bisher überspringen
+                report.skipped.push({ row: apt.row, customer: apt.customer, reason: `On Hold: ${apt.on_hold}` });
+                if (dryRun) report.rows.push({ row: apt.row, action: 'skip' });
+            } else {
+                unmatched.push(apt);
+            }
+        });
+
+        // Zweiter Durchgang: Kunde mit geänderter Adresse (Name eindeutig) statt neu + zurückgezogen
+        unmatched.forEach(apt => {
+            const name = this.normalize(apt.customer);
+            const candidates = existing.filter(current =>
+                !matchedIds.has(current.id) && current.import_source === importSource && this.normalize(current.customer) === name);
+
+            if (candidates.length === 1) {
+                matchedIds.add(candidates[0].id);
+                plans.push({ type: 'update', incoming: apt, current: candidates[0], ...this.diffAppointment(candidates[0], apt) });
+            } else {
+                plans.push({ type: 'insert', incoming: apt });
+            }
+        });
+
+        // Nicht übernommene Zeilen bleiben im Bestand so, wie sie sind
+        const plansToApply = accepted ? plans.filter(plan => accepted.has(plan.incoming.row)) : plans;
+        if (accepted) {
+            plans.filter(plan => !accepted.has(plan.incoming.row)).forEach(plan => {
+                report.rejected.push({ row: plan.incoming.row, customer: plan.incoming.customer, action: plan.type });
+            });
+        }
+
+        // Nur vor dem Schreiben geocodieren, was wirklich neu ist
+        if (geocode && !dryRun) {
+            const toGeocode = plansToApply
+                .filter(plan => plan.type === 'insert' || plan.addressChanged)
+                .map(plan => plan.incoming);
+            if (toGeocode.length > 0) await geocode(toGeocode);
+        }
+
+        const withdrawCandidates = withdrawMissing
+            ? existing.filter(apt => apt.import_source === importSource && !matchedIds.has(apt.id) && !apt.withdrawn_at)
+            : [];
+
+        if (dryRun) {
+            plansToApply.forEach(plan => this.previewPlan(plan, report, importSource));
+            withdrawCandidates.forEach(apt => {
+                report.withdrawn.push({ id: apt.id, customer: apt.customer, address: apt.address, status: apt.status });
+            });
+            return report;
+        }
+
+        await this.db.transaction(async () => {
+            for (const plan of plansToApply) {
+                try {
+                    // Eigener Savepoint je Zeile: ein Fehler verwirft nur diese Zeile
+                    await this.db.transaction(async () => {
+                        if (plan.type === 'insert') {
+                            const id = await this.insertAppointment(plan.incoming, importSource);
+                            report.inserted.push({ id, row: plan.incoming.row, customer: plan.incoming.customer, import_key: plan.incoming.import_key });
+                        } else {
+                            await this.applyUpdate(plan, report, importSource);
+                        }
+                    });
+                } catch (error) {
+                    report.errors.push({ row: plan.incoming.row, customer: plan.incoming.customer, error: error.message });
+                }
+            }
+
+            for (const apt of withdrawCandidates) {
+                await this.run(
+                    "UPDATE appointments SET on_hold = ?, withdrawn_at = CURRENT_TIMESTAMP WHERE id = ?",
+                    [WITHDRAWN_HOLD_REASON, apt.id]
+                );
+                report.withdrawn.push({ id: apt.id, customer: apt.customer, address: apt.address, status: apt.status });
+            }
+        });
+
+        console.log(`🔀 CSV-Abgleich: ${report.inserted.length} neu, ${report.updated.length} geändert, ` +
+            `${report.unchanged} unverändert, ${report.withdrawn.length} zurückgezogen, ${report.reactivated.length} reaktiviert, ` +
+            `${report.duplicates.length} doppelt, ${report.skipped.length} übersprungen, ${report.rejected.length} abgelehnt, ` +
+            `${report.errors.length} Fehler`);
+
+        return report;
+    }
+
+    // Trockenlauf: dieselben Listen wie beim echten Abgleich, aber ohne Schreibzugriff
+    previewPlan(plan, report, importSource) {
+        const { incoming } = plan;
+        const needsGeocoding = plan.type === 'insert' || !!plan.addressChanged;
+
+        if (plan.type === 'insert') {
+            report.inserted.push({ id: null, row: incoming.row, customer: incoming.customer, import_key: incoming.import_key });
+            report.rows.push({ row: incoming.row, action: 'insert', id: null, changes: [], needs_geocoding: needsGeocoding });
+            return;
+        }
+
+        const { current, changes, keptManual, reactivated } = plan;
+        if (keptManual) report.keptManual.push(keptManual);
+
+        let action = 'update';
+        if (reactivated) action = 'reactivate';
+        else if (changes.length === 0) action = 'unchanged';
+
+        const entry = { id: current.id, row: incoming.row, customer: incoming.customer, changes };
+        if (action === 'reactivate') report.reactivated.push(entry);
+        else if (action === 'update') report.updated.push(entry);
+        else report.unchanged++;
+
+        report.rows.push({
+            row: incoming.row,
+            action,
+            id: current.id,
+            changes,
+            kept_manual: keptManual || null,
+            key_changed: current.import_key !== incoming.import_key || current.import_source !== importSource,
+            needs_geocoding: needsGeocoding
+        });
+    }
+
+    /**
+     * Validierungsbericht je Datenzeile für den Trockenlauf.
+     * @param {number} rowCount - Anzahl Datenzeilen der Datei
+     * @param {object} mapped - { appointments, skipped } aus mapRows()
+     * @param {object} diff - Report von mergeAppointments(..., { dryRun: true })
+     * @param {object} [geocoding] - Map Adresse => 'cache' | 'paid' | 'free' (kostenloser Geocoder)
+     */
+    buildRowReport(rowCount, { appointments, skipped }, diff, geocoding = new Map()) {
+        const byRow = new Map(appointments.map(apt => [apt.row, apt]));
+        const skippedByRow = new Map(skipped.map(entry => [entry.row, entry]));
+        const planByRow = new Map((diff.rows || []).map(entry => [entry.row, entry]));
+        const duplicateByRow = new Map(diff.duplicates.map(entry => [entry.row, entry]));
+        const holdByRow = new Map(diff.skipped.map(entry => [entry.row, entry]));
+
+        const rows = [];
+        for (let row = 1; row <= rowCount; row++) {
+            const entry = { row, status: 'ok', action: null, customer: null, errors: [], warnings: [], normalized: null };
+
+            if (skippedByRow.has(row)) {
+                entry.customer = skippedByRow.get(row).customer;
+                entry.action = 'skip';
+                entry.errors.push(skippedByRow.get(row).reason);
+            } else if (byRow.has(row)) {
+                const apt = byRow.get(row);
+                const plan = planByRow.get(row);
+
+                entry.customer = apt.customer;
+                entry.warnings.push(...(apt.warnings || []));
+                entry.normalized = {
+                    customer: apt.customer,
+                    address: apt.address,
+                    company: apt.notes.company || null,
+                    customer_company: apt.notes.customer_company || null,
+                    status: apt.status,
+                    priority: apt.priority,
+                    is_fixed: !!apt.is_fixed,
+                    fixed_date: apt.fixed_date,
+                    fixed_time: apt.fixed_time,
+                    on_hold: apt.on_hold,
+                    duration: apt.duration ?? DEFAULT_DURATION,
+                    lead_created_at: apt.lead_created_at,
+                    import_key: apt.import_key
+                };
+
+                if (duplicateByRow.has(row)) {
+                    entry.action = 'duplicate';
+                    entry.duplicate_of = duplicateByRow.get(row).duplicate_of;
+                    entry.warnings.push(`Doppelt in der Datei (wie Zeile ${entry.duplicate_of}) - wird ignoriert`);
+                } else if (holdByRow.has(row)) {
+                    entry.action = 'skip';
+                    entry.warnings.push(holdByRow.get(row).reason);
+                } else if (plan) {
+                    entry.action = plan.action;
+                    entry.existing_id = plan.id;
+                    entry.changes = plan.changes;
+                    if (plan.kept_manual) entry.warnings.push('In der App gesetzte Zeit bleibt erhalten');
+                    if (plan.needs_geocoding && apt.address !== 'Adresse nicht verfügbar') {
+                        entry.geocoding = geocoding.get(apt.address) || 'paid';
+                    }
+                } else {
+                    entry.action = 'rejected';
+                }
+            }
+
+            if (entry.errors.length > 0) entry.status = 'error';
+            else if (entry.warnings.length > 0) entry.status = 'warning';
+            rows.push(entry);
+        }
+
+        const count = predicate => rows.filter(predicate).length;
+        const actions = {};
+        rows.forEach(entry => { actions[entry.action] = (actions[entry.action] || 0) + 1; });
+
+        return {
+            rows,
+            totals: {
+                rows: rows.length,
+                ok: count(entry => entry.status === 'ok'),
+                warnings: count(entry => entry.status === 'warning'),
+                errors: count(entry => entry.status === 'error'),
+                actions,
+                geocoding_paid: count(entry => entry.geocoding === 'paid'),
+                geocoding_cached: count(entry => entry.geocoding === 'cache'),
+                geocoding_free: count(entry => entry.geocoding === 'free')
+            },
+            withdrawn: diff.withdrawn
+        };
+    }
+
+    /**
+     * Feldweiser Vergleich Bestand <-> CSV.
+     * Zeitfenster (fixed_date/fixed_time) werden dreiseitig abgeglichen: nur wenn sich
+     * "Start Date & Time" in der CSV seit dem letzten Import geändert hat, gewinnt die CSV.
+     * Sonst bleiben in der App gesetzte Zeiten und Bestätigungen erhalten. Fixe Termine,
+     * die nicht aus der CSV stammen (manuell, Kalender), überschreibt die CSV nie.
+     */
+    diffAppointment(current, incoming) {
+        const previousNotes = this.parseNotes(current.notes);
+        const changes = [];
+        const fields = {};
+        let keptManual = null;
+
+        const set = (field, from, to) => {
+            if ((from ?? null) === (to ?? null)) return;
+            changes.push({ field, from: from ?? null, to: to ?? null });
+            fields[field] = to;
+        };
+
+        set('customer', current.customer, incoming.customer);
+        set('address', current.address, incoming.address);
+        const addressChanged = 'address' in fields;
+
+        // Dauer ebenso nur, wenn die Datei eine liefert (Spalte oder Ende)
+        if (incoming.duration !== null) {
+            set('duration', current.duration == null ? null : Number(current.duration), incoming.duration);
+        }
+
+        // Lead-Datum nur überschreiben, wenn die Datei eins liefert - sonst bleibt der erste Import
+        if (incoming.lead_created_at) {
+            set('lead_created_at', current.lead_created_at, incoming.lead_created_at);
+            if ('lead_created_at' in fields) fields.pipeline_days = this.leadAgeDays(incoming.lead_created_at);
+        }
+
+        const csvStartChanged = (previousNotes.start_time || null) !== (incoming.notes.start_time || null);
+        const takeCsvSchedule = this.isCsvSource(current.import_source) ? csvStartChanged : !current.is_fixed;
+        const scheduleDiffers = !!current.is_fixed !== !!incoming.is_fixed ||
+            current.fixed_date !== incoming.fixed_date || current.fixed_time !== incoming.fixed_time;
+
+        if (scheduleDiffers) {
+            if (takeCsvSchedule) {
+                set('is_fixed', current.is_fixed ? 1 : 0, incoming.is_fixed);
+                set('fixed_date', current.fixed_date, incoming.fixed_date);
+                set('fixed_time', current.fixed_time, incoming.fixed_time);
+                set('status', current.status, incoming.status);
+                if (incoming.is_fixed) set('priority', current.priority, 'hoch');
+            } else {
+                keptManual = {
+                    id: current.id,
+                    customer: current.customer,
+                    kept: current.is_fixed ? `${current.fixed_date} ${current.fixed_time}` : 'flexibel',
+                    csv: incoming.is_fixed ? `${incoming.fixed_date} ${incoming.fixed_time}` : 'flexibel'
+                };
+            }
+        }
+
+        // "On Hold" aus der CSV setzen/aufheben; zurückgezogene Termine kommen zurück
+        const incomingHold = incoming.on_hold || null;
+        const currentHold = current.withdrawn_at ? null : (current.on_hold || null);
+        if (current.withdrawn_at) {
+            fields.on_hold = incomingHold;
+        } else if (incomingHold !== currentHold) {
+            changes.push({ field: 'on_hold', from: current.on_hold || null, to: incomingHold });
+            fields.on_hold = incomingHold;
+        }
+
+        ['company', 'customer_company', 'custom_notes', 'external_id'].forEach(key => {
+            const from = previousNotes[key] || '';
+            const to = incoming.notes[key] || '';
+            if (from !== to) changes.push({ field: key, from: from || null, to: to || null });
+        });
+
+        return { changes, fields, addressChanged, keptManual, reactivated: !!current.withdrawn_at };
+    }
+
+    async applyUpdate(plan, report, importSource) {
+        const { current, incoming, fields, changes, addressChanged, keptManual, reactivated } = plan;
+        if (keptManual) report.keptManual.push(keptManual);
+
+        const keyChanged = current.import_key !== incoming.import_key || current.import_source !== importSource;
+        if (changes.length === 0 && !reactivated) {
+            report.unchanged++;
+            // Altbestand bekommt beim ersten Abgleich seinen Schlüssel
+            if (keyChanged) {
+                await this.run("UPDATE appointments SET import_key = ?, import_source = ? WHERE id = ?", [incoming.import_key, importSource, current.id]);
+            }
+            return;
+        }
+
+        const updates = { ...fields };
+        if (addressChanged) {
+            // Neue Adresse => alte Koordinaten sind wertlos (außer frisch geocodiert)
+            updates.lat = incoming.lat ?? null;
+            updates.lng = incoming.lng ?? null;
+            updates.geocoded = incoming.lat && incoming.lng ? 1 : 0;
+        }
+
+        const previousNotes = this.parseNotes(current.notes);
+        updates.notes = JSON.stringify({
+            ...previousNotes,
+            ...incoming.notes,
+            // Die zuletzt übernommene CSV-Zeit merken, auch wenn die App-Zeit behalten wurde
+            import_date: new Date().toISOString()
+        });
+        updates.import_key = incoming.import_key;
+        updates.import_source = importSource;
+        if (reactivated) updates.withdrawn_at = null;
+
+        const columns = Object.keys(updates);
+        await this.run(
+            `UPDATE appointments SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(col => updates[col]), current.id]
+        );
+
+        const entry = { id: current.id, row: incoming.row, customer: incoming.customer, changes };
+        if (reactivated) report.reactivated.push(entry);
+        else report.updated.push(entry);
+    }
+
+    async insertAppointment(apt, importSource = 'csv') {
+        const result = await this.run(`
+            INSERT INTO appointments
+            (customer, address, priority, status, duration, pipeline_days, lead_created_at, notes,
+             preferred_dates, excluded_dates, is_fixed, fixed_date, fixed_time, on_hold,
+             lat, lng, geocoded, import_key, import_source)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, '[]', '[]', ?, ?, ?, NULL, ?, ?, ?, ?, ?)
+        `, [
+            apt.customer, apt.address, apt.priority, apt.status, apt.duration ?? DEFAULT_DURATION,
+            this.leadAgeDays(apt.lead_created_at), apt.lead_created_at || this.today(),
+            JSON.stringify({ ...apt.notes, import_date: new Date().toISOString() }),
+            apt.is_fixed, apt.fixed_date, apt.fixed_time,
+            apt.lat ?? null, apt.lng ?? null, apt.lat && apt.lng ? 1 : 0,
+            apt.import_key, importSource
+        ]);
+        return result.lastID;
+    }
+
+    summarize(report) {
+        return {
+            inserted: report.inserted.length,
+            updated: report.updated.length,
+            unchanged: report.unchanged,
+            withdrawn: report.withdrawn.length,
+            reactivated: report.reactivated.length,
+            kept_manual: report.keptManual.length,
+            duplicates: report.duplicates.length,
+            skipped: report.skipped.length,
+            rejected: report.rejected.length,
+            errors: report.errors.length
+        };
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    isCsvSource(source) {
+        return !!source && (source === 'csv' || source.startsWith('csv:'));
+    }
+
+    // Eigene Profile sind eigene Quellen - ein CRM-Import zieht keine Calendly-Termine zurück
+    sourceForProfile(profile) {
+        return profile && !profile.builtin && profile.id ? `csv:profile-${profile.id}` : 'csv';
+    }
+
+    normalize(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/str(asse|\.)/g, 'str')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    parseNotes(notes) {
+        if (!notes) return {};
+        try {
+            const parsed = JSON.parse(notes);
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+            return { custom_notes: String(notes) };
+        }
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+AppointmentImportService.WITHDRAWN_HOLD_REASON = WITHDRAWN_HOLD_REASON;
+
+module.exports = AppointmentImportService;
@@ -0,0 +1,213 @@
+// ======================================================================
+// AUTH-POLICY: WELCHE ROLLE DARF WELCHE ROUTE?
+// Jede Route braucht hier einen Eintrag. Routen ohne Eintrag werden
+// abgelehnt (fail closed) und im Audit als "ohne Policy" gemeldet.
+// ======================================================================
+
+const PUBLIC = 'public';
+
+const ALL_ROLES = ['admin', 'planner', 'driver', 'read-only'];
+const READERS = ['admin', 'planner', 'read-only'];   // alle Daten lesen, nichts ändern
+const PLANNERS = ['admin', 'planner'];              // planen, importieren, Termine ändern
+const ADMINS = ['admin'];
+
+// Reihenfolge zählt: der erste passende Eintrag gewinnt, Wildcards daher zuletzt
+const ROUTE_POLICIES = [
+    // Öffentlich
+    { method: 'GET',    path: '/robots.txt',                           roles: PUBLIC },
+    { method: 'GET',    path: '/api/health',                           roles: PUBLIC },
+    { method: 'POST',   path: '/api/auth/login',                       roles: PUBLIC },
+    { method: 'POST',   path: '/api/auth/refresh',                     roles: PUBLIC },
+
+    // Eigene Session
+    { method: 'POST',   path: '/api/auth/logout',                      roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/auth/me',                          roles: ALL_ROLES },
+
+    // Fahrer
+    { method: 'GET',    path: '/api/drivers',                          roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/drivers/:id',                      roles: ALL_ROLES },
+    { method: 'POST',   path: '/api/drivers',                          roles: PLANNERS },
+    { method: 'PUT',    path: '/api/drivers/:id',                      roles: PLANNERS },
+    { method: 'DELETE', path: '/api/drivers/:id',                      roles: PLANNERS },
+
+    // Routen (Fahrer sehen nur ihre eigenen, siehe getVisibleDriverId)
+    { method: 'GET',    path: '/api/routes/saved',                     roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/routes/active/:weekStart',         roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/routes/stops',                     roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/routes/versions',                  roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/routes/versions/:id',              roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/routes/versions/:id/stops',        roles: ALL_ROLES },
+    { method: 'GET',    path: '/api/routes/versions/:id/diff',         roles: ALL_ROLES },
+    { method: 'POST',   path: '/api/routes/versions/:id/rollback',     roles: PLANNERS },
+    { method: 'POST',   path: '/api/routes/optimize',                  roles: PLANNERS },
+    { method: 'POST',   path: '/api/routes/optimize-fleet',            roles: PLANNERS },
+    { method: 'POST',   path: '/api/routes/optimize-all',              roles: PLANNERS },
+    { method: 'POST',   path: '/api/routes/optimize-all/forecast',     roles: PLANNERS },
+    { method: 'POST',   path: '/api/routes/recalculate',               roles: PLANNERS },
+    { method: 'POST',   path: '/api/routes/optimize-efficient',        roles: PLANNERS },
+
+    // Kalender-Feeds: verwalten mit Login, abrufen per Token in der URL
+    { method: 'POST',   path: '/api/calendar/feeds',                   roles: ['admin', 'planner', 'driver'] },
+    { method: 'GET',    path: '/api/calendar/feeds',                   roles: ['admin', 'planner', 'driver'] },
+    { method: 'DELETE', path: '/api/calendar/feeds/:id',               roles: ['admin', 'planner', 'driver'] },
+    { method: 'GET',    path: '/api/calendar/feed/:token',             roles: PUBLIC },
+
+    // Termine (Kundendaten: nicht für Fahrer)
+    { method: 'GET',    path: '/api/appointments',                     roles: READERS },
+    { method: 'GET',    path: '/api/appointments/all',                 roles: READERS },
+    { method: 'GET',    path: '/api/appointments/export',              roles: READERS },
+    { method: 'POST',   path: '/api/appointments/fixed',               roles: PLANNERS },
+    { method: 'PUT',    path: '/api/appointments/fixed/:id',           roles: PLANNERS },
+    { method: 'DELETE', path: '/api/appointments/fixed/:id',           roles: PLANNERS },
+    { method: 'POST',   path: '/api/appointments/suggest-alternatives', roles: PLANNERS },
+    { method: 'POST',   path: '/api/appointments/find-alternatives',   roles: PLANNERS },
+    { method: 'POST',   path: '/api/appointments/reschedule',          roles: PLANNERS },
+    { method: 'PATCH',  path: '/api/appointments/:id/confirm',         roles: PLANNERS },
+    { method: 'GET',    path: '/api/appointments/:id/time-windows',    roles: READERS },
+    { method: 'PUT',    path: '/api/appointments/:id/time-windows',    roles: PLANNERS },
+
+    // Geocoding
+    { method: 'GET',    path: '/api/geocoding/status',                 roles: READERS },
+    { method: 'POST',   path: '/api/geocoding/single',                 roles: PLANNERS },
+    { method: 'POST',   path: '/api/geocoding/appointments',           roles: PLANNERS },
+    { method: 'POST',   path: '/api/geocoding/clear-cache',            roles: PLANNERS },
+    { method: 'POST',   path: '/api/geocoding/test-google',            roles: PLANNERS },
+
+    // Admin + Debug: ausschließlich Admins (inkl. CSV-Import, der Termine löscht)
+    { method: '*',      path: '/api/admin/*',                          roles: ADMINS },
+    { method: '*',      path: '/api/debug/*',                          roles: ADMINS }
+];
+
+class AuthPolicy {
+    /**
+     * @param {Array} policies - Einträge { method, path, roles }
+     * @param {object} authService - liefert authenticate(token) => Benutzer oder null
+     */
+    constructor(policies, authService) {
+        this.policies = policies.map(policy => ({
+            ...policy,
+            method: policy.method.toUpperCase(),
+            matcher: this.compilePath(policy.path)
+        }));
+        this.authService = authService;
+    }
+
+    // ======================================================================
+    // MIDDLEWARE
+    // ======================================================================
+    middleware() {
+        return async (req, res, next) => {
+            const policy = this.findPolicy(req.method, req.path);
+
+            if (!policy) {
+                console.warn(`🚫 Keine Auth-Policy für ${req.method} ${req.path} - Zugriff verweigert`);
+                return res.status(403).json({ error: 'Route ohne Auth-Policy', path: req.path });
+            }
+
+            if (policy.roles === PUBLIC) return next();
+
+            const authHeader = req.headers.authorization;
+            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                return res.status(401).json({ error: 'No valid session token' });
+            }
+
+            try {
+                const user = await this.authService.authenticate(authHeader.split(' ')[1]);
+                if (!user) {
+                    return res.status(401).json({ error: 'Invalid or expired session' });
+                }
+
+                if (!policy.roles.includes(user.role)) {
+                    return res.status(403).json({ error: 'Keine Berechtigung', required: policy.roles, role: user.role });
+                }
+
+                req.user = user;
+                req.session = { id: user.sessionId, user_id: user.id };
+                next();
+            } catch (error) {
+                console.error('❌ Session-Prüfung fehlgeschlagen:', error);
+                res.status(500).json({ error: 'Session-Prüfung fehlgeschlagen' });
+            }
+        };
+    }
+
+    findPolicy(method, path) {
+        const upper = method.toUpperCase();
+        // HEAD wird von Express wie GET beantwortet
+        const effective = upper === 'HEAD' ? 'GET' : upper;
+
+        return this.policies.find(policy =>
+            (policy.method === '*' || policy.method === effective) && policy.matcher.test(path)
+        ) || null;
+    }
+
+    // ":param" = genau ein Pfadsegment, "/*" am Ende = beliebiger Rest
+    compilePath(path) {
+        const wildcard = path.endsWith('/*');
+        const base = wildcard ? path.slice(0, -2) : path;
+
+        const pattern = base
+            .split('/')
+            .map(segment => segment.startsWith(':')
+                ? '[^/]+'
+                : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('/');
+
+        return new RegExp(`^${pattern}${wildcard ? '(?:/.*)?' : ''}/?$`, 'i');
+    }
+
+    // ======================================================================
+    // AUDIT: registrierte Express-Routen gegen die Policy-Tabelle prüfen
+    // ======================================================================
+    audit(app) {
+        const stack = app._router ? app._router.stack : [];
+        // Alles, was hinter dem 404-Catch-All registriert wurde, ist nie erreichbar
+        const catchAllIndex = stack.findIndex(layer => !layer.route && layer.regexp && layer.regexp.fast_star);
+
+        const routes = [];
+        stack.forEach((layer, index) => {
+            if (!layer.route) return;
+
+            Object.keys(layer.route.methods).forEach(method => {
+                const policy = this.findPolicy(method, layer.route.path);
+                routes.push({
+                    method: method.toUpperCase(),
+                    path: layer.route.path,
+                    roles: policy ? policy.roles : null,
+                    public: policy ? policy.roles === PUBLIC : false,
+                    policy: policy ? `${policy.method} ${policy.path}` : null,
+                    reachable: catchAllIndex === -1 || index < catchAllIndex
+                });
+            });
+        });
+
+        const usedPolicies = new Set(routes.filter(r => r.policy).map(r => r.policy));
+
+        return {
+            total: routes.length,
+            public: routes.filter(r => r.public),
+            withoutPolicy: routes.filter(r => !r.policy),
+            unreachable: routes.filter(r => !r.reachable),
+            unusedPolicies: this.policies
+                .filter(p => !usedPolicies.has(`${p.method} ${p.path}`))
+                .map(p => `${p.method} ${p.path}`),
+            routes
+        };
+    }
+
+    logAudit(app) {
+        const report = this.audit(app);
+
+        console.log(`🔐 Auth-Policy: ${report.total} Routen, ${report.public.length} öffentlich`);
+        report.public.forEach(r => console.log(`   🌐 ${r.method} ${r.path}`));
+        report.withoutPolicy.forEach(r => console.warn(`   ⚠️ OHNE POLICY (gesperrt): ${r.method} ${r.path}`));
+        report.unreachable.forEach(r => console.warn(`   ⚠️ NICHT ERREICHBAR (nach 404-Handler): ${r.method} ${r.path}`));
+
+        return report;
+    }
+}
+
+AuthPolicy.PUBLIC = PUBLIC;
+AuthPolicy.ROUTE_POLICIES = ROUTE_POLICIES;
+
+module.exports = AuthPolicy;
@@ -0,0 +1,279 @@
+// ======================================================================
+// BENUTZER, ROLLEN UND TOKENS
+// Ersetzt das gemeinsame Passwort durch echte Benutzerkonten:
+// - Passwörter als bcrypt-Hash in der users-Tabelle
+// - Kurzlebiges JWT als Access-Token (enthält die Session-ID)
+// - Langlebiges Refresh-Token, gehasht in user_sessions gespeichert
+// ======================================================================
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const ROLES = ['admin', 'planner', 'driver', 'read-only'];
+
+class AuthService {
+    constructor(db, options = {}) {
+        this.db = db;
+
+        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+        if (!this.jwtSecret) {
+            // Ohne festes Secret werden alle Tokens bei jedem Neustart ungültig
+            this.jwtSecret = crypto.randomBytes(48).toString('hex');
+            console.warn('⚠️ JWT_SECRET nicht gesetzt - verwende zufälliges Secret (Logins überleben keinen Neustart)');
+        }
+
+        this.accessTokenTtl = options.accessTokenTtl || process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenDays = parseInt(options.refreshTokenDays || process.env.REFRESH_TOKEN_DAYS || '7', 10);
+        this.bcryptRounds = 10;
+    }
+
+    // ======================================================================
+    // ADMIN-BOOTSTRAP (Tabellen users/user_sessions: Migration 2)
+    // ======================================================================
+    async initialize() {
+        await this.bootstrapAdmin();
+    }
+
+    // Erster Start: Admin aus ADMIN_USERNAME / ADMIN_PASSWORD anlegen
+    async bootstrapAdmin() {
+        const row = await this.get("SELECT COUNT(*) as count FROM users WHERE role = 'admin'");
+        if (row.count > 0) return;
+
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        let password = process.env.ADMIN_PASSWORD;
+        if (!password) {
+            password = crypto.randomBytes(12).toString('base64url');
+            console.warn(`⚠️ ADMIN_PASSWORD nicht gesetzt - Einmal-Passwort für "${username}": ${password}`);
+        }
+
+        await this.createUser({ username, password, role: 'admin', display_name: 'Administrator' });
+        console.log(`👑 Admin-Benutzer "${username}" angelegt`);
+    }
+
+    // ======================================================================
+    // BENUTZERVERWALTUNG
+    // ======================================================================
+    // Prüft input und normalisiert ihn dabei: is_active als 0/1, driver_id nur für die Rolle driver
+    validateUserInput(input, { requireAll = false } = {}) {
+        const errors = [];
+
+        if (requireAll || input.username !== undefined) {
+            if (!input.username || !/^[a-zA-Z0-9._@-]{3,64}$/.test(input.username)) {
+                errors.push('username: 3-64 Zeichen (Buchstaben, Ziffern, . _ @ -)');
+            }
+        }
+        if (requireAll || input.password !== undefined) {
+            if (!input.password || String(input.password).length < 8) {
+                errors.push('password: mindestens 8 Zeichen');
+            }
+        }
+        if (requireAll || input.role !== undefined) {
+            if (!ROLES.includes(input.role)) {
+                errors.push(`role: erlaubt sind ${ROLES.join(', ')}`);
+            }
+        }
+        if (input.role === 'driver' && !input.driver_id) {
+            errors.push('driver_id ist für die Rolle driver erforderlich');
+        }
+        if (input.role !== undefined && input.role !== 'driver') {
+            input.driver_id = null;
+        }
+        if (input.is_active !== undefined) {
+            if ([true, 1, '1'].includes(input.is_active)) input.is_active = 1;
+            else if ([false, 0, '0'].includes(input.is_active)) input.is_active = 0;
+            else errors.push('is_active: erlaubt sind true/false oder 1/0');
+        }
+
+        return errors;
+    }
+
+    async createUser({ username, password, role, display_name = null, driver_id = null }) {
+        const hash = await bcrypt.hash(String(password), this.bcryptRounds);
+        const result = await this.run(
+            "INSERT INTO users (username, password_hash, role, display_name, driver_id) VALUES (?, ?, ?, ?, ?)",
+            [username, hash, role, display_name, role === 'driver' ? driver_id : null]
+        );
+        return this.getUserById(result.lastID);
+    }
+
+    async updateUser(id, changes) {
+        const fields = [];
+        const params = [];
+
+        ['username', 'role', 'display_name', 'driver_id', 'is_active'].forEach(field => {
+            if (changes[field] !== undefined) {
+                fields.push(`${field} = ?`);
+                params.push(changes[field]);
+            }
+        });
+        if (changes.password !== undefined) {
+            fields.push('password_hash = ?');
+            params.push(await bcrypt.hash(String(changes.password), this.bcryptRounds));
+        }
+        if (fields.length === 0) return this.getUserById(id);
+
+        await this.run(
+            `UPDATE users SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, id]
+        );
+
+        // Passwort-/Rollenwechsel oder Deaktivierung => alle Sessions beenden
+        if (changes.password !== undefined || changes.role !== undefined || Number(changes.is_active) === 0) {
+            await this.revokeAllSessions(id);
+        }
+
+        return this.getUserById(id);
+    }
+
+    async deleteUser(id) {
+        await this.revokeAllSessions(id);
+        const result = await this.run("DELETE FROM users WHERE id = ?", [id]);
+        return result.changes > 0;
+    }
+
+    async listUsers() {
+        const rows = await this.all("SELECT * FROM users ORDER BY id");
+        return rows.map(row => this.toPublicUser(row));
+    }
+
+    async getUserById(id) {
+        const row = await this.get("SELECT * FROM users WHERE id = ?", [id]);
+        return row ? this.toPublicUser(row) : null;
+    }
+
+    toPublicUser(row) {
+        return {
+            id: row.id,
+            username: row.username,
+            role: row.role,
+            display_name: row.display_name,
+            driver_id: row.driver_id,
+            is_active: row.is_active,
+            last_login_at: row.last_login_at,
+            created_at: row.created_at
+        };
+    }
+
+    // ======================================================================
+    // LOGIN / REFRESH / LOGOUT
+    // ======================================================================
+    async login(username, password) {
+        const row = await this.get("SELECT * FROM users WHERE username = ?", [username]);
+
+        // Auch ohne Benutzer vergleichen, damit die Antwortzeit nichts verrät
+        if (!this.dummyHash) this.dummyHash = await bcrypt.hash('dummy-password', this.bcryptRounds);
+        const valid = await bcrypt.compare(String(password || ''), row ? row.password_hash : this.dummyHash);
+
+        if (!row || !valid || !row.is_active) return null;
+
+        await this.run("UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?", [row.id]);
+        return this.createSession(row);
+    }
+
+    async createSession(userRow) {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + this.refreshTokenDays);
+
+        const user = this.toPublicUser(userRow);
+        const result = await this.run(
+            "INSERT INTO user_sessions (token, user_id, user_data, expires_at) VALUES (?, ?, ?, ?)",
+            [this.hashToken(refreshToken), user.id, JSON.stringify({ username: user.username, role: user.role }), expiresAt.toISOString()]
+        );
+
+        return {
+            token: this.signAccessToken(user, result.lastID),
+            refreshToken,
+            refreshExpiresAt: expiresAt.toISOString(),
+            user
+        };
+    }
+
+    // Refresh-Token rotieren: alte Session löschen, neue ausstellen
+    async refresh(refreshToken) {
+        if (!refreshToken) return null;
+
+        const session = await this.get(
+            `SELECT s.id as session_id, u.* FROM user_sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.token = ? AND s.expires_at > ?`,
+            [this.hashToken(refreshToken), new Date().toISOString()]
+        );
+        if (!session || !session.is_active) return null;
+
+        await this.run("DELETE FROM user_sessions WHERE id = ?", [session.session_id]);
+        return this.createSession(session);
+    }
+
+    async logout(sessionId) {
+        await this.run("DELETE FROM user_sessions WHERE id = ?", [sessionId]);
+    }
+
+    async revokeAllSessions(userId) {
+        await this.run("DELETE FROM user_sessions WHERE user_id = ?", [userId]);
+    }
+
+    // ======================================================================
+    // ACCESS-TOKEN PRÜFEN
+    // ======================================================================
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { sub: user.id, role: user.role, driverId: user.driver_id, sid: sessionId },
+            this.jwtSecret,
+            { expiresIn: this.accessTokenTtl }
+        );
+    }
+
+    // Liefert den aktuellen Benutzer oder null; Rolle kommt aus der DB, nicht aus dem Token
+    async authenticate(accessToken) {
+        let payload;
+        try {
+            payload = jwt.verify(accessToken, this.jwtSecret);
+        } catch (error) {
+            return null;
+        }
+
+        const row = await this.get(
+            `SELECT u.* FROM user_sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.id = ? AND u.id = ? AND s.expires_at > ?`,
+            [payload.sid, payload.sub, new Date().toISOString()]
+        );
+        if (!row || !row.is_active) return null;
+
+        return { ...this.toPublicUser(row), sessionId: payload.sid };
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -0,0 +1,82 @@
+// ======================================================================
+// BUDGET-ALARME: ZUSTELLUNG PER WEBHOOK UND/ODER E-MAIL-HOOK
+// - Webhook:     BUDGET_ALERT_WEBHOOK_URL (JSON-POST, "text" passt z.B. für Slack/Teams)
+// - E-Mail-Hook: BUDGET_ALERT_EMAIL_URL + BUDGET_ALERT_EMAIL_TO
+//                (JSON-POST { from, to, subject, text } an einen Mail-Relay-Dienst)
+// Beide lassen sich lokal mit einem einfachen HTTP-Empfänger testen.
+// ======================================================================
+
+const axios = require('axios');
+
+class BudgetAlertNotifier {
+    constructor(options = {}) {
+        this.webhookUrl = options.webhookUrl || process.env.BUDGET_ALERT_WEBHOOK_URL || null;
+        this.emailUrl = options.emailUrl || process.env.BUDGET_ALERT_EMAIL_URL || null;
+        this.emailTo = options.emailTo || process.env.BUDGET_ALERT_EMAIL_TO || null;
+        this.emailFrom = options.emailFrom || process.env.BUDGET_ALERT_EMAIL_FROM || 'tourenplaner@localhost';
+        this.timeout = options.timeout || 5000;
+    }
+
+    getChannels() {
+        const channels = [];
+        if (this.webhookUrl) channels.push('webhook');
+        if (this.emailUrl && this.emailTo) channels.push('email');
+        return channels;
+    }
+
+    isConfigured() {
+        return this.getChannels().length > 0;
+    }
+
+    /**
+     * Alarm an alle konfigurierten Kanäle senden. Wirft nie - Fehler landen in failed.
+     * @param {object} alert - { scope, project, period, threshold, percentage, spent, limit, label }
+     * @returns {Promise<{delivered: string[], failed: Array<{channel:string,error:string}>}>}
+     */
+    async send(alert) {
+        const message = this.formatMessage(alert);
+        const delivered = [];
+        const failed = [];
+
+        for (const channel of this.getChannels()) {
+            try {
+                if (channel === 'webhook') {
+                    await axios.post(this.webhookUrl, {
+                        event: 'api_budget_alert',
+                        text: message.text,
+                        alert
+                    }, { timeout: this.timeout });
+                } else {
+                    await axios.post(this.emailUrl, {
+                        from: this.emailFrom,
+                        to: this.emailTo,
+                        subject: message.subject,
+                        text: message.text
+                    }, { timeout: this.timeout });
+                }
+                delivered.push(channel);
+                console.log(`📣 Budget-Alarm per ${channel} gesendet`);
+            } catch (error) {
+                failed.push({ channel, error: error.message });
+                console.error(`❌ Budget-Alarm per ${channel} fehlgeschlagen: ${error.message}`);
+            }
+        }
+
+        return { delivered, failed };
+    }
+
+    formatMessage(alert) {
+        const label = alert.label || (alert.scope === 'monthly' ? 'Monatsbudget' : 'Tagesbudget');
+        const subject = `[Tourenplaner] ${label}: ${alert.threshold}% verbraucht`;
+        const text = [
+            `${label} (${alert.period}): ${Number(alert.spent).toFixed(2)}€ von ${alert.limit}€ verbraucht (${alert.percentage}%).`,
+            alert.threshold >= 100
+                ? 'Weitere Google-Aufrufe werden blockiert, die Planung nutzt Schätzungen.'
+                : 'Bei Erreichen des Limits werden weitere Google-Aufrufe blockiert.'
+        ].join('\n');
+
+        return { subject, text };
+    }
+}
+
+module.exports = BudgetAlertNotifier;
@@ -0,0 +1,408 @@
+// ======================================================================
+// KALENDER-FEEDS (iCalendar / .ics)
+// Baut aus den aktiven Routen (saved_routes.route_data) einen Kalender
+// mit Drehs, Fahrten und Hotelnächten. Abonniert wird über eine URL mit
+// zufälligem Token - Handys können Feeds nicht mit Login abrufen.
+// Token werden wie Refresh-Tokens nur als SHA-256-Hash gespeichert.
+// ======================================================================
+
+const crypto = require('crypto');
+
+const PRODID = '-//Tourenplaner//Routen-Feed//DE';
+const TIMEZONE = 'Europe/Berlin';
+const UID_DOMAIN = 'tourenplaner';
+
+// Fahrer-Feeds zeigen zusätzlich die letzten Wochen, damit gerade
+// vergangene Termine nicht sofort aus dem Kalender verschwinden
+const DRIVER_FEED_PAST_DAYS = 28;
+
+// Europe/Berlin mit EU-Sommerzeitregel (letzter Sonntag im März/Oktober)
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19700329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19701025T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+const TRAVEL_LABELS = {
+    departure: 'Anfahrt',
+    travel: 'Fahrt',
+    return: 'Rückfahrt'
+};
+
+class CalendarFeedService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ======================================================================
+    // TOKENS
+    // ======================================================================
+    /**
+     * Neuen Feed anlegen. Der Klartext-Token wird nur hier einmal zurückgegeben.
+     * @param {object} feed - { driverId, weekStart?, label?, createdBy }
+     *   weekStart gesetzt => Wochen-Feed, sonst laufender Fahrer-Feed.
+     *   Wochen-Feed ohne driverId => alle Fahrer der Woche.
+     */
+    async createFeed({ driverId = null, weekStart = null, label = null, createdBy = null }) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const scope = weekStart ? 'week' : 'driver';
+
+        const result = await this.run(
+            `INSERT INTO calendar_feed_tokens (token_hash, scope, driver_id, week_start, label, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [this.hashToken(token), scope, driverId, weekStart, label, createdBy]
+        );
+
+        const feed = await this.get("SELECT * FROM calendar_feed_tokens WHERE id = ?", [result.lastID]);
+        return { token, feed: this.toPublicFeed(feed) };
+    }
+
+    async listFeeds(driverId = null) {
+        const rows = driverId
+            ? await this.all("SELECT * FROM calendar_feed_tokens WHERE driver_id = ? AND revoked_at IS NULL ORDER BY id DESC", [driverId])
+            : await this.all("SELECT * FROM calendar_feed_tokens WHERE revoked_at IS NULL ORDER BY id DESC");
+        return rows.map(row => this.toPublicFeed(row));
+    }
+
+    async getFeed(id) {
+        const row = await this.get("SELECT * FROM calendar_feed_tokens WHERE id = ?", [id]);
+        return row ? this.toPublicFeed(row) : null;
+    }
+
+    async revokeFeed(id) {
+        const result = await this.run(
+            "UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL",
+            [id]
+        );
+        return result.changes > 0;
+    }
+
+    // Liefert den Feed zu einem Klartext-Token oder null (unbekannt/widerrufen)
+    async resolveToken(token) {
+        if (!token) return null;
+        const row = await this.get(
+            "SELECT * FROM calendar_feed_tokens WHERE token_hash = ? AND revoked_at IS NULL",
+            [this.hashToken(token)]
+        );
+        if (!row) return null;
+
+        await this.run("UPDATE calendar_feed_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?", [row.id]);
+        return row;
+    }
+
+    toPublicFeed(row) {
+        return {
+            id: row.id,
+            scope: row.scope,
+            driver_id: row.driver_id,
+            week_start: row.week_start,
+            label: row.label,
+            created_by: row.created_by,
+            created_at: row.created_at,
+            last_used_at: row.last_used_at,
+            revoked_at: row.revoked_at
+        };
+    }
+
+    // ======================================================================
+    // ROUTEN LADEN + KALENDER BAUEN
+    // ======================================================================
+    async buildCalendarForFeed(feed) {
+        const routes = await this.loadRoutesForFeed(feed);
+        const drivers = await this.loadDriverNames();
+
+        const name = feed.label || (feed.scope === 'week'
+            ? `Touren Woche ${feed.week_start}${feed.driver_id ? ` - ${drivers[feed.driver_id] || `Fahrer ${feed.driver_id}`}` : ''}`
+            : `Touren ${drivers[feed.driver_id] || `Fahrer ${feed.driver_id}`}`);
+
+        return this.buildCalendar(routes, { name, drivers });
+    }
+
+    loadRoutesForFeed(feed) {
+        if (feed.scope === 'week') {
+            return feed.driver_id
+                ? this.all(
+                    "SELECT * FROM saved_routes WHERE is_active = 1 AND week_start = ? AND driver_id = ? ORDER BY id",
+                    [feed.week_start, feed.driver_id])
+                : this.all(
+                    "SELECT * FROM saved_routes WHERE is_active = 1 AND week_start = ? ORDER BY driver_id, id",
+                    [feed.week_start]);
+        }
+
+        const since = new Date();
+        since.setDate(since.getDate() - DRIVER_FEED_PAST_DAYS);
+        return this.all(
+            "SELECT * FROM saved_routes WHERE is_active = 1 AND driver_id = ? AND week_start >= ? ORDER BY week_start, id",
+            [feed.driver_id, since.toISOString().split('T')[0]]
+        );
+    }
+
+    async loadDriverNames() {
+        const rows = await this.all("SELECT id, name FROM drivers");
+        return Object.fromEntries(rows.map(row => [row.id, row.name]));
+    }
+
+    /**
+     * @param {Array} routes - Zeilen aus saved_routes
+     * @param {object} options - { name, drivers: { id: name } }
+     * @returns {string} iCalendar-Text (CRLF, gefaltete Zeilen)
+     */
+    buildCalendar(routes, { name, drivers = {} } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(name || 'Touren')}`,
+            `X-WR-TIMEZONE:${TIMEZONE}`,
+            'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+            'X-PUBLISHED-TTL:PT1H',
+            ...VTIMEZONE
+        ];
+
+        routes.forEach(route => {
+            let routeData;
+            try {
+                routeData = JSON.parse(route.route_data);
+            } catch (error) {
+                console.warn(`⚠️ Route ${route.id} für Kalender nicht lesbar: ${error.message}`);
+                return;
+            }
+
+            this.buildRouteEvents(route, routeData, drivers[route.driver_id]).forEach(event => {
+                lines.push(...this.formatEvent(event));
+            });
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    buildRouteEvents(route, routeData, driverName) {
+        const events = [];
+        const driverId = route.driver_id || routeData.driverId || 1;
+        const stamp = this.toUtcStamp(route.updated_at || route.created_at);
+        const base = { sequence: route.id, stamp, driverName };
+        const days = routeData.days || [];
+
+        days.forEach((day, dayIdx) => {
+            if (!day.date) return;
+
+            (day.appointments || []).forEach(apt => {
+                if (!apt.startTime || !apt.endTime) return;
+                const info = this.parseNotes(apt.notes);
+                const company = info.customer_company || info.company;
+
+                events.push({
+                    ...base,
+                    // Pro Termin stabil, damit ein neu geplanter Termin im Kalender verschoben wird
+                    uid: `apt-${apt.id}@${UID_DOMAIN}`,
+                    start: this.toLocalDateTime(day.date, apt.startTime),
+                    end: this.toLocalDateTime(day.date, apt.endTime),
+                    summary: `🎬 Dreh: ${apt.customer}${company ? ` (${company})` : ''}`,
+                    location: apt.address,
+                    geo: apt.lat && apt.lng ? { lat: apt.lat, lng: apt.lng } : null,
+                    categories: ['Dreh'],
+                    status: apt.status === 'bestätigt' || apt.is_fixed ? 'CONFIRMED' : 'TENTATIVE',
+                    description: [
+                        `Kunde: ${apt.customer}`,
+                        company ? `Firma: ${company}` : null,
+                        info.invitee_name && info.invitee_name !== apt.customer ? `Ansprechpartner: ${info.invitee_name}` : null,
+                        `Adresse: ${apt.address}`,
+                        `Status: ${apt.status || 'unbekannt'}${apt.is_fixed ? ' (fixer Termin)' : ''}`,
+                        `Dauer: ${apt.duration || 3}h`,
+                        info.custom_notes ? `Notiz: ${info.custom_notes}` : null,
+                        driverName ? `Team: ${driverName}` : null
+                    ].filter(Boolean).join('\n')
+                });
+            });
+
+            (day.travelSegments || []).forEach((segment, segIdx) => {
+                const label = TRAVEL_LABELS[segment.type];
+                if (!label || !segment.startTime || !segment.endTime) return;
+
+                events.push({
+                    ...base,
+                    uid: `travel-${driverId}-${day.date}-${segIdx}@${UID_DOMAIN}`,
+                    start: this.toLocalDateTime(day.date, segment.startTime),
+                    end: this.toLocalDateTime(day.date, segment.endTime),
+                    summary: `🚗 ${label}: ${segment.from} → ${segment.to}`,
+                    location: segment.to,
+                    categories: ['Fahrt'],
+                    status: 'CONFIRMED',
+                    transparent: false,
+                    description: [
+                        `Von: ${segment.from}`,
+                        `Nach: ${segment.to}`,
+                        segment.distance != null ? `Strecke: ${Math.round(segment.distance)} km` : null,
+                        segment.duration != null ? `Fahrzeit: ${this.formatHours(segment.duration)}` : null,
+                        driverName ? `Team: ${driverName}` : null
+                    ].filter(Boolean).join('\n')
+                });
+            });
+
+            if (day.overnight) {
+                const overnight = day.overnight;
+                // Bis zur ersten Abfahrt am Folgetag, sonst 08:00
+                const nextDay = days[dayIdx + 1];
+                const nextDate = this.addDays(day.date, 1);
+                const checkOut = nextDay && nextDay.date === nextDate && nextDay.travelSegments?.[0]?.startTime
+                    ? nextDay.travelSegments[0].startTime
+                    : '08:00';
+
+                events.push({
+                    ...base,
+                    uid: `hotel-${driverId}-${day.date}@${UID_DOMAIN}`,
+                    start: this.toLocalDateTime(day.date, overnight.checkIn || '19:00'),
+                    end: this.toLocalDateTime(nextDate, checkOut),
+                    summary: `🏨 Übernachtung: ${overnight.hotel || overnight.city}`,
+                    location: overnight.city,
+                    geo: overnight.location ? { lat: overnight.location.lat, lng: overnight.location.lng } : null,
+                    categories: ['Hotel'],
+                    status: 'CONFIRMED',
+                    transparent: true,
+                    description: [
+                        `Hotel: ${overnight.hotel || `Hotel in ${overnight.city}`}`,
+                        overnight.reason ? `Grund: ${overnight.reason}` : null,
+                        driverName ? `Team: ${driverName}` : null
+                    ].filter(Boolean).join('\n')
+                });
+            }
+        });
+
+        return events;
+    }
+
+    formatEvent(event) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${event.stamp}`,
+            `LAST-MODIFIED:${event.stamp}`,
+            `SEQUENCE:${event.sequence}`,
+            `DTSTART;TZID=${TIMEZONE}:${event.start}`,
+            `DTEND;TZID=${TIMEZONE}:${event.end}`,
+            `SUMMARY:${this.escapeText(event.summary)}`
+        ];
+
+        if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        if (event.geo) lines.push(`GEO:${event.geo.lat};${event.geo.lng}`);
+        if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        if (event.categories) lines.push(`CATEGORIES:${event.categories.map(c => this.escapeText(c)).join(',')}`);
+        if (event.status) lines.push(`STATUS:${event.status}`);
+        lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+        lines.push('END:VEVENT');
+
+        return lines;
+    }
+
+    // ======================================================================
+    // ICS-HILFSFUNKTIONEN
+    // ======================================================================
+    // RFC 5545 3.3.11: Backslash, Semikolon, Komma und Zeilenumbrüche maskieren
+    escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // RFC 5545 3.1: Zeilen nach 75 Oktetten falten, ohne UTF-8-Zeichen zu zerschneiden
+    foldLine(line) {
+        if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const bytes = Buffer.byteLength(char, 'utf8');
+            // Folgezeilen beginnen mit einem Leerzeichen, das mitzählt
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    toLocalDateTime(date, time) {
+        const [h, m] = String(time).split(':').map(n => parseInt(n, 10));
+        return `${date.replace(/-/g, '')}T${String(h || 0).padStart(2, '0')}${String(m || 0).padStart(2, '0')}00`;
+    }
+
+    // SQLite CURRENT_TIMESTAMP ist UTC ohne Zeitzonen-Kennung
+    toUtcStamp(value) {
+        const date = value ? new Date(String(value).replace(' ', 'T') + (String(value).endsWith('Z') ? '' : 'Z')) : new Date();
+        const valid = isNaN(date.getTime()) ? new Date() : date;
+        return valid.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    addDays(date, days) {
+        const d = new Date(`${date}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split('T')[0];
+    }
+
+    formatHours(hours) {
+        const totalMinutes = Math.round(hours * 60);
+        return `${Math.floor(totalMinutes / 60)}:${String(totalMinutes % 60).padStart(2, '0')} h`;
+    }
+
+    parseNotes(notes) {
+        if (!notes) return {};
+        try {
+            const parsed = JSON.parse(notes);
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+            return { custom_notes: String(notes) };
+        }
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+module.exports = CalendarFeedService;
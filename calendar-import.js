@@ -0,0 +1,802 @@
+// ======================================================================
+// KALENDER-IMPORT (.ics-Dateien + CalDAV)
+// Buchungen kommen als Kalender-Einladungen (Calendly & Co.). Jeder VEVENT
+// wird zu einem fixen Termin (is_fixed, fixed_date, fixed_time).
+// - UID (+ RECURRENCE-ID) ist der stabile Schlüssel, gemerkt in calendar_events
+// - Verschobene Events (SEQUENCE / geänderte Zeit) aktualisieren den Termin
+// - STATUS:CANCELLED bzw. METHOD:CANCEL sagt den Termin ab
+// - Unbekannte Events werden gegen bestehende Termine abgeglichen, bevor
+//   ein neuer Termin angelegt wird (kein Doppel-Import nach CSV-Import)
+// ======================================================================
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const LOCAL_TIMEZONE = 'Europe/Berlin';
+const CANCELLED_HOLD_REASON = 'Abgesagt (Kalender)';
+
+// Outlook/Exchange schreibt Windows-Zeitzonennamen statt IANA-IDs
+const WINDOWS_TIMEZONES = {
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Romance Standard Time': 'Europe/Paris',
+    'GMT Standard Time': 'Europe/London',
+    'UTC': 'UTC'
+};
+
+const CALENDAR_QUERY = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT"/>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+class CalendarImportService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.defaultDuration = options.defaultDuration || 3;
+
+        this.caldav = {
+            url: options.caldavUrl || process.env.CALDAV_URL || null,
+            username: options.caldavUsername || process.env.CALDAV_USERNAME || null,
+            password: options.caldavPassword || process.env.CALDAV_PASSWORD || null,
+            pollMinutes: parseFloat(options.pollMinutes ?? process.env.CALDAV_POLL_MINUTES ?? 15),
+            timeout: options.timeout || 30000
+        };
+
+        this.pollTimer = null;
+        this.syncRunning = false;
+        // Imports nacheinander ausführen - eine SQLite-Verbindung kann nur eine Transaktion
+        this.queue = Promise.resolve();
+        this.lastSync = null;
+    }
+
+    // ======================================================================
+    // IMPORT
+    // ======================================================================
+    /**
+     * Importiert einen oder mehrere iCalendar-Texte.
+     * @param {string|string[]} icsTexts
+     * @param {object} options - { source: 'ics-upload'|'caldav', dryRun, fullSync }
+     *   fullSync: Quelle liefert ALLE Events - bekannte, aber fehlende
+     *   zukünftige Events dieser Quelle gelten als gelöscht/abgesagt
+     */
+    importCalendars(icsTexts, options = {}) {
+        const job = this.queue.then(() => this.runImport(icsTexts, options));
+        this.queue = job.catch(() => {});
+        return job;
+    }
+
+    async runImport(icsTexts, { source = 'ics-upload', dryRun = false, fullSync = false } = {}) {
+        const texts = Array.isArray(icsTexts) ? icsTexts : [icsTexts];
+        const report = {
+            source,
+            dryRun,
+            events: 0,
+            created: [],
+            updated: [],
+            cancelled: [],
+            linked: [],
+            unchanged: 0,
+            skipped: [],
+            conflicts: [],
+            errors: []
+        };
+
+        // Gleiches Event mehrfach (z.B. Einladung + Update in einer Datei): höchste SEQUENCE gewinnt
+        const events = new Map();
+        texts.forEach(text => {
+            this.parseCalendar(text).forEach(event => {
+                const existing = events.get(event.key);
+                if (!existing || event.sequence >= existing.sequence) {
+                    events.set(event.key, event);
+                }
+            });
+        });
+        report.events = events.size;
+
+        const today = new Date().toISOString().split('T')[0];
+        // Gleicher Kunde zur gleichen Zeit unter verschiedenen UIDs nur einmal anlegen
+        const seenSlots = new Map();
+
+        const sync = async () => {
+            for (const event of events.values()) {
+                try {
+                    // Eigener Savepoint je Event: ein Fehler verwirft nur dieses Event
+                    if (dryRun) await this.importEvent(event, source, report, dryRun, seenSlots);
+                    else await this.db.transaction(() => this.importEvent(event, source, report, dryRun, seenSlots));
+                } catch (error) {
+                    report.errors.push({ uid: event.uid, summary: event.summary, error: error.message });
+                }
+            }
+
+            if (fullSync) {
+                const missing = await this.all(
+                    "SELECT * FROM calendar_events WHERE source = ? AND status = 'active' AND event_date >= ?",
+                    [source, today]
+                );
+                for (const tracked of missing.filter(row => !events.has(row.event_key))) {
+                    await this.cancelTracked(tracked, 'Event nicht mehr im Kalender', report, dryRun);
+                }
+            }
+        };
+
+        if (dryRun) await sync();
+        else await this.db.transaction(sync);
+
+        console.log(`📅 Kalender-Import (${source}${dryRun ? ', Testlauf' : ''}): ${report.events} Events, ` +
+            `${report.created.length} neu, ${report.updated.length} aktualisiert, ${report.linked.length} zugeordnet, ` +
+            `${report.cancelled.length} abgesagt, ${report.skipped.length} übersprungen, ${report.errors.length} Fehler`);
+
+        return report;
+    }
+
+    async importEvent(event, source, report, dryRun, seenSlots = new Map()) {
+        const label = { uid: event.uid, customer: event.customer, date: event.date, time: event.time };
+
+        if (!event.date || !event.time) {
+            report.skipped.push({ ...label, reason: event.allDay ? 'Ganztägiges Event' : 'Kein gültiger Start (DTSTART)' });
+            return;
+        }
+
+        const tracked = await this.get("SELECT * FROM calendar_events WHERE event_key = ?", [event.key]);
+        const appointment = tracked && tracked.appointment_id
+            ? await this.get("SELECT * FROM appointments WHERE id = ?", [tracked.appointment_id])
+            : null;
+
+        // Bekanntes Event, Termin existiert noch
+        if (tracked && appointment) {
+            if (event.sequence < (tracked.sequence || 0)) {
+                report.skipped.push({ ...label, appointment_id: appointment.id, reason: `Veraltete Version (SEQUENCE ${event.sequence} < ${tracked.sequence})` });
+                return;
+            }
+
+            if (event.cancelled) {
+                if (tracked.status === 'cancelled') {
+                    report.unchanged++;
+                } else {
+                    await this.cancelTracked(tracked, 'Im Kalender abgesagt', report, dryRun);
+                }
+                return;
+            }
+
+            if (tracked.content_hash === event.hash && tracked.status === 'active') {
+                report.unchanged++;
+                if (!dryRun) await this.touchTracked(tracked.id, event, source);
+                return;
+            }
+
+            const changes = this.describeChanges(appointment, event);
+            await this.checkConflicts(event, appointment.id, report);
+            if (!dryRun) {
+                await this.updateAppointment(appointment, event);
+                await this.saveTracked(event, source, appointment.id);
+            }
+            report.updated.push({ ...label, appointment_id: appointment.id, changes, reactivated: tracked.status === 'cancelled' });
+            return;
+        }
+
+        // Absage für ein Event, das wir nie importiert haben
+        if (event.cancelled) {
+            report.skipped.push({ ...label, reason: 'Abgesagtes Event ohne bestehenden Termin' });
+            return;
+        }
+
+        const slot = `${this.normalize(event.customer)}|${event.date}|${event.time}`;
+        if (seenSlots.has(slot)) {
+            report.skipped.push({ ...label, reason: `Doppeltes Event (gleich wie UID ${seenSlots.get(slot)})` });
+            return;
+        }
+        seenSlots.set(slot, event.uid);
+
+        // Unbekanntes Event (oder Termin wurde z.B. durch CSV-Ersatz gelöscht): erst Duplikate suchen
+        const duplicate = await this.findDuplicate(event);
+        await this.checkConflicts(event, duplicate ? duplicate.id : null, report);
+
+        if (duplicate) {
+            if (!dryRun) {
+                await this.updateAppointment(duplicate, event);
+                await this.saveTracked(event, source, duplicate.id);
+            }
+            report.linked.push({ ...label, appointment_id: duplicate.id, matched_by: duplicate.matchedBy, changes: this.describeChanges(duplicate, event) });
+            return;
+        }
+
+        const id = dryRun ? null : await this.insertAppointment(event);
+        if (!dryRun) await this.saveTracked(event, source, id);
+        report.created.push({ ...label, appointment_id: id, address: event.address, duration: event.duration });
+    }
+
+    // Gleicher Kunde am gleichen Slot, sonst gleicher Kunde an gleicher Adresse
+    async findDuplicate(event) {
+        const candidates = await this.all(
+            "SELECT * FROM appointments WHERE status != 'abgesagt' AND id NOT IN (SELECT appointment_id FROM calendar_events WHERE appointment_id IS NOT NULL)"
+        );
+        const customer = this.normalize(event.customer);
+        const address = this.normalize(event.address);
+
+        const sameSlot = candidates.find(apt =>
+            apt.is_fixed && apt.fixed_date === event.date && apt.fixed_time === event.time &&
+            this.normalize(apt.customer) === customer);
+        if (sameSlot) return { ...sameSlot, matchedBy: 'kunde+zeit' };
+
+        const sameCustomer = candidates.find(apt =>
+            this.normalize(apt.customer) === customer && address && this.normalize(apt.address) === address);
+        if (sameCustomer) return { ...sameCustomer, matchedBy: 'kunde+adresse' };
+
+        return null;
+    }
+
+    // Überschneidungen mit anderen fixen Terminen melden (Kalender bleibt maßgeblich)
+    async checkConflicts(event, ownId, report) {
+        const others = await this.all(
+            "SELECT id, customer, fixed_time, duration FROM appointments WHERE is_fixed = 1 AND fixed_date = ? AND status != 'abgesagt' AND id != ?",
+            [event.date, ownId || 0]
+        );
+        const start = this.timeToHours(event.time);
+        const end = start + event.duration;
+
+        others.forEach(apt => {
+            if (!apt.fixed_time) return;
+            const aptStart = this.timeToHours(apt.fixed_time);
+            const aptEnd = aptStart + (apt.duration || this.defaultDuration);
+            if (start < aptEnd && aptStart < end) {
+                report.conflicts.push({
+                    uid: event.uid,
+                    customer: event.customer,
+                    date: event.date,
+                    time: event.time,
+                    conflictsWith: { id: apt.id, customer: apt.customer, time: apt.fixed_time }
+                });
+            }
+        });
+    }
+
+    async cancelTracked(tracked, reason, report, dryRun) {
+        const appointment = tracked.appointment_id
+            ? await this.get("SELECT id, customer, fixed_date, fixed_time FROM appointments WHERE id = ?", [tracked.appointment_id])
+            : null;
+
+        if (!dryRun) {
+            if (appointment) {
+                await this.run(
+                    "UPDATE appointments SET status = 'abgesagt', on_hold = ? WHERE id = ?",
+                    [CANCELLED_HOLD_REASON, appointment.id]
+                );
+            }
+            await this.run(
+                "UPDATE calendar_events SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, last_seen_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [tracked.id]
+            );
+        }
+
+        report.cancelled.push({
+            uid: tracked.event_key,
+            appointment_id: appointment ? appointment.id : null,
+            customer: appointment ? appointment.customer : null,
+            date: appointment ? appointment.fixed_date : tracked.event_date,
+            reason
+        });
+    }
+
+    // ======================================================================
+    // TERMINE SCHREIBEN
+    // ======================================================================
+    buildNotes(event, existingNotes = null) {
+        let notes = {};
+        try {
+            notes = existingNotes ? JSON.parse(existingNotes) : {};
+        } catch (error) {
+            notes = { custom_notes: String(existingNotes) };
+        }
+
+        return JSON.stringify({
+            ...notes,
+            invitee_name: event.customer,
+            invitee_email: event.email || notes.invitee_email || null,
+            start_time: `${event.date} ${event.time}`,
+            end_time: event.endDate ? `${event.endDate} ${event.endTime}` : null,
+            custom_notes: notes.custom_notes || (event.description || '').slice(0, 1000),
+            calendar_uid: event.uid,
+            calendar_summary: event.summary,
+            import_date: new Date().toISOString(),
+            source: notes.source || 'Kalender-Import (ICS)'
+        });
+    }
+
+    async insertAppointment(event) {
+        const result = await this.run(`
+            INSERT INTO appointments
+            (customer, address, priority, status, duration, pipeline_days, lead_created_at, notes,
+             preferred_dates, excluded_dates, is_fixed, fixed_date, fixed_time, on_hold,
+             lat, lng, geocoded, import_source)
+            VALUES (?, ?, 'hoch', 'bestätigt', ?, 0, ${this.db.sql.today()}, ?, '[]', '[]', 1, ?, ?, NULL, ?, ?, ?, 'calendar')
+        `, [
+            event.customer,
+            event.address || 'Adresse nicht verfügbar',
+            event.duration,
+            this.buildNotes(event),
+            event.date,
+            event.time,
+            event.geo ? event.geo.lat : null,
+            event.geo ? event.geo.lng : null,
+            event.geo ? 1 : 0
+        ]);
+        return result.lastID;
+    }
+
+    async updateAppointment(appointment, event) {
+        const address = event.address || appointment.address;
+        const addressChanged = this.normalize(address) !== this.normalize(appointment.address);
+        // Neue Adresse => alte Koordinaten verwerfen (außer das Event liefert GEO)
+        const lat = event.geo ? event.geo.lat : (addressChanged ? null : appointment.lat);
+        const lng = event.geo ? event.geo.lng : (addressChanged ? null : appointment.lng);
+
+        await this.run(`
+            UPDATE appointments SET
+                customer = ?, address = ?, duration = ?, notes = ?,
+                is_fixed = 1, fixed_date = ?, fixed_time = ?,
+                status = 'bestätigt', priority = 'hoch', on_hold = NULL,
+                lat = ?, lng = ?, geocoded = ?
+            WHERE id = ?
+        `, [
+            event.customer,
+            address,
+            event.duration,
+            this.buildNotes(event, appointment.notes),
+            event.date,
+            event.time,
+            lat,
+            lng,
+            lat != null && lng != null ? 1 : 0,
+            appointment.id
+        ]);
+    }
+
+    describeChanges(appointment, event) {
+        const changes = [];
+        if (appointment.fixed_date !== event.date || appointment.fixed_time !== event.time) {
+            const before = appointment.fixed_date ? `${appointment.fixed_date} ${appointment.fixed_time}` : 'flexibel';
+            changes.push(`Zeit: ${before} → ${event.date} ${event.time}`);
+        }
+        if (Number(appointment.duration) !== event.duration) {
+            changes.push(`Dauer: ${appointment.duration}h → ${event.duration}h`);
+        }
+        if (event.address && this.normalize(appointment.address) !== this.normalize(event.address)) {
+            changes.push(`Adresse: ${appointment.address} → ${event.address}`);
+        }
+        if (this.normalize(appointment.customer) !== this.normalize(event.customer)) {
+            changes.push(`Kunde: ${appointment.customer} → ${event.customer}`);
+        }
+        if (appointment.status === 'abgesagt') {
+            changes.push('Wieder bestätigt');
+        }
+        return changes;
+    }
+
+    async saveTracked(event, source, appointmentId) {
+        await this.run(`
+            INSERT INTO calendar_events (event_key, source, appointment_id, sequence, content_hash, event_date, status)
+            VALUES (?, ?, ?, ?, ?, ?, 'active')
+            ON CONFLICT(event_key) DO UPDATE SET
+                source = excluded.source,
+                appointment_id = excluded.appointment_id,
+                sequence = excluded.sequence,
+                content_hash = excluded.content_hash,
+                event_date = excluded.event_date,
+                status = 'active',
+                cancelled_at = NULL,
+                last_seen_at = CURRENT_TIMESTAMP
+        `, [event.key, source, appointmentId, event.sequence, event.hash, event.date]);
+    }
+
+    async touchTracked(id, event, source) {
+        await this.run(
+            "UPDATE calendar_events SET last_seen_at = CURRENT_TIMESTAMP, source = ?, sequence = ? WHERE id = ?",
+            [source, event.sequence, id]
+        );
+    }
+
+    // ======================================================================
+    // CALDAV
+    // ======================================================================
+    isCalDAVConfigured() {
+        return !!this.caldav.url;
+    }
+
+    async syncCalDAV({ dryRun = false } = {}) {
+        if (!this.isCalDAVConfigured()) {
+            throw new Error('CALDAV_URL nicht konfiguriert');
+        }
+        if (this.syncRunning) {
+            throw new Error('CalDAV-Synchronisation läuft bereits');
+        }
+
+        this.syncRunning = true;
+        const startedAt = new Date().toISOString();
+        try {
+            const calendars = await this.fetchCalDAV();
+            // Ein leerer Abruf ist eher ein Serverproblem als ein leerer Kalender - nichts absagen
+            const report = await this.importCalendars(calendars, { source: 'caldav', dryRun, fullSync: calendars.length > 0 });
+
+            if (!dryRun) {
+                this.lastSync = { at: startedAt, success: true, summary: this.summarize(report) };
+            }
+            return report;
+        } catch (error) {
+            this.lastSync = { at: startedAt, success: false, error: error.message };
+            throw error;
+        } finally {
+            this.syncRunning = false;
+        }
+    }
+
+    // calendar-query REPORT; Server ohne REPORT (oder direkte .ics-URL) per GET
+    async fetchCalDAV() {
+        const auth = this.caldav.username
+            ? { username: this.caldav.username, password: this.caldav.password || '' }
+            : undefined;
+
+        let response;
+        try {
+            response = await axios({
+                method: 'REPORT',
+                url: this.caldav.url,
+                auth,
+                headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+                data: CALENDAR_QUERY,
+                responseType: 'text',
+                timeout: this.caldav.timeout
+            });
+        } catch (error) {
+            if (!error.response || ![400, 403, 405, 501].includes(error.response.status)) throw error;
+            response = await axios.get(this.caldav.url, { auth, responseType: 'text', timeout: this.caldav.timeout });
+        }
+
+        const body = String(response.data || '');
+        if (body.includes('BEGIN:VCALENDAR') && !/<(\w+:)?multistatus/i.test(body)) {
+            return [body];
+        }
+        return this.extractCalendarData(body);
+    }
+
+    extractCalendarData(xml) {
+        const calendars = [];
+        const pattern = /<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/gi;
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const content = match[1]
+                .replace(/^\s*<!\[CDATA\[/, '')
+                .replace(/\]\]>\s*$/, '')
+                .replace(/&#13;|&#x0?D;/gi, '\r')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, "'")
+                .replace(/&amp;/g, '&');
+            if (content.includes('BEGIN:VCALENDAR')) calendars.push(content);
+        }
+        return calendars;
+    }
+
+    startPolling() {
+        if (!this.isCalDAVConfigured() || !(this.caldav.pollMinutes > 0) || this.pollTimer) return false;
+
+        const intervalMs = this.caldav.pollMinutes * 60 * 1000;
+        this.pollTimer = setInterval(() => {
+            this.syncCalDAV().catch(error => console.error('❌ CalDAV-Synchronisation fehlgeschlagen:', error.message));
+        }, intervalMs);
+        // Timer soll den Prozess nicht am Beenden hindern
+        if (this.pollTimer.unref) this.pollTimer.unref();
+
+        console.log(`📅 CalDAV-Abgleich alle ${this.caldav.pollMinutes} Minuten: ${this.caldav.url}`);
+        return true;
+    }
+
+    stopPolling() {
+        if (this.pollTimer) clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    async getStatus() {
+        const counts = await this.all(
+            "SELECT source, status, COUNT(*) as count FROM calendar_events GROUP BY source, status"
+        );
+        return {
+            caldav: {
+                configured: this.isCalDAVConfigured(),
+                url: this.caldav.url,
+                polling: !!this.pollTimer,
+                poll_minutes: this.caldav.pollMinutes,
+                running: this.syncRunning,
+                last_sync: this.lastSync
+            },
+            tracked_events: counts
+        };
+    }
+
+    summarize(report) {
+        return {
+            events: report.events,
+            created: report.created.length,
+            updated: report.updated.length,
+            linked: report.linked.length,
+            cancelled: report.cancelled.length,
+            unchanged: report.unchanged,
+            skipped: report.skipped.length,
+            conflicts: report.conflicts.length,
+            errors: report.errors.length
+        };
+    }
+
+    // ======================================================================
+    // ICS PARSEN
+    // ======================================================================
+    /**
+     * @returns {Array} gemappte Events { key, uid, sequence, cancelled, customer,
+     *   email, address, geo, date, time, endDate, endTime, duration, summary, description, hash }
+     */
+    parseCalendar(text) {
+        const lines = String(text || '')
+            .replace(/\r\n/g, '\n')
+            .replace(/\r/g, '\n')
+            // RFC 5545 3.1: Folgezeilen beginnen mit Leerzeichen/Tab
+            .replace(/\n[ \t]/g, '')
+            .split('\n');
+
+        const events = [];
+        let method = null;
+        let current = null;
+        let depth = 0; // verschachtelte Komponenten (VALARM) im VEVENT ignorieren
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            const prop = this.parseLine(line);
+            if (!prop) return;
+
+            if (prop.name === 'BEGIN') {
+                if (prop.value === 'VEVENT' && !current) {
+                    current = {};
+                    depth = 0;
+                } else if (current) {
+                    depth++;
+                }
+                return;
+            }
+            if (prop.name === 'END') {
+                if (current && prop.value === 'VEVENT' && depth === 0) {
+                    events.push(current);
+                    current = null;
+                } else if (current) {
+                    depth--;
+                }
+                return;
+            }
+
+            if (!current) {
+                if (prop.name === 'METHOD') method = prop.value.toUpperCase();
+                return;
+            }
+            if (depth > 0) return;
+
+            if (prop.name === 'ATTENDEE') {
+                (current.ATTENDEE = current.ATTENDEE || []).push(prop);
+            } else if (!current[prop.name]) {
+                current[prop.name] = prop;
+            }
+        });
+
+        return events
+            .map(raw => this.mapEvent(raw, method))
+            .filter(Boolean);
+    }
+
+    parseLine(line) {
+        // Name und Parameter bis zum ersten Doppelpunkt außerhalb von Anführungszeichen
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+        }
+        if (colon === -1) return null;
+
+        const [name, ...paramParts] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        const params = {};
+        paramParts.forEach(part => {
+            const eq = part.indexOf('=');
+            if (eq === -1) return;
+            params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    mapEvent(raw, method) {
+        if (!raw.UID) return null;
+
+        const uid = raw.UID.value.trim();
+        const recurrenceId = raw['RECURRENCE-ID'] ? raw['RECURRENCE-ID'].value : null;
+        const start = raw.DTSTART ? this.parseDateTime(raw.DTSTART) : null;
+        let end = raw.DTEND ? this.parseDateTime(raw.DTEND) : null;
+        if (!end && start && raw.DURATION) {
+            end = this.addDuration(start, raw.DURATION.value);
+        }
+
+        const organizerEmail = raw.ORGANIZER ? this.extractEmail(raw.ORGANIZER.value) : null;
+        const invitee = (raw.ATTENDEE || []).find(att => this.extractEmail(att.value) !== organizerEmail) || null;
+        const summary = raw.SUMMARY ? this.unescapeText(raw.SUMMARY.value) : '';
+
+        const event = {
+            key: recurrenceId ? `${uid}#${recurrenceId}` : uid,
+            uid,
+            sequence: raw.SEQUENCE ? parseInt(raw.SEQUENCE.value, 10) || 0 : 0,
+            cancelled: method === 'CANCEL' || (raw.STATUS && raw.STATUS.value.toUpperCase() === 'CANCELLED'),
+            customer: (invitee && invitee.params.CN) || summary || 'Unbekannter Kunde',
+            email: invitee ? this.extractEmail(invitee.value) : null,
+            summary,
+            description: raw.DESCRIPTION ? this.unescapeText(raw.DESCRIPTION.value) : '',
+            address: raw.LOCATION ? this.unescapeText(raw.LOCATION.value).trim() : '',
+            geo: this.parseGeo(raw.GEO),
+            allDay: !!(start && start.allDay),
+            date: start && !start.allDay ? start.date : null,
+            time: start && !start.allDay ? start.time : null,
+            endDate: end && !end.allDay ? end.date : null,
+            endTime: end && !end.allDay ? end.time : null,
+            duration: this.defaultDuration
+        };
+
+        if (start && end && !start.allDay && !end.allDay) {
+            const hours = (end.instant - start.instant) / 3600000;
+            // Auf halbe Stunden gerundet, mindestens 1h
+            if (hours > 0) event.duration = Math.max(1, Math.round(hours * 2) / 2);
+        }
+
+        event.hash = crypto.createHash('sha256')
+            .update([event.date, event.time, event.duration, event.customer, event.address].join('|'))
+            .digest('hex');
+
+        return event;
+    }
+
+    /**
+     * DTSTART/DTEND in lokale Zeit (Europe/Berlin) umrechnen.
+     * Formen: 20261026T100000Z (UTC), TZID=...:20261026T100000, 20261026T100000 (floating), VALUE=DATE
+     */
+    parseDateTime(prop) {
+        const match = prop.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, y, mo, d, h, mi, s, utc] = match;
+        if (prop.params.VALUE === 'DATE' || h === undefined) {
+            return { allDay: true, date: `${y}-${mo}-${d}` };
+        }
+
+        const parts = { year: +y, month: +mo, day: +d, hour: +h, minute: +mi, second: +(s || 0) };
+        let instant;
+        if (utc) {
+            instant = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        } else {
+            const zone = this.resolveTimezone(prop.params.TZID);
+            instant = this.zonedTimeToInstant(parts, zone);
+        }
+
+        return { allDay: false, instant, ...this.instantToLocal(instant) };
+    }
+
+    resolveTimezone(tzid) {
+        if (!tzid) return LOCAL_TIMEZONE; // floating time = Ortszeit des Teams
+        const zone = WINDOWS_TIMEZONES[tzid] || tzid.replace(/^\/[^/]+\/[^/]+\//, ''); // "/mozilla.org/20050126_1/Europe/Berlin"
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return zone;
+        } catch (error) {
+            console.warn(`⚠️ Unbekannte Zeitzone "${tzid}" - verwende ${LOCAL_TIMEZONE}`);
+            return LOCAL_TIMEZONE;
+        }
+    }
+
+    zonedTimeToInstant(parts, timeZone) {
+        const guess = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        const offset = this.timezoneOffset(guess, timeZone);
+        const instant = guess - offset;
+        // Um die Zeitumstellung herum kann sich der Offset noch einmal ändern
+        const corrected = this.timezoneOffset(instant, timeZone);
+        return corrected === offset ? instant : guess - corrected;
+    }
+
+    timezoneOffset(instant, timeZone) {
+        const p = this.zoneParts(instant, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+    }
+
+    zoneParts(instant, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(instant));
+        const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+        return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+    }
+
+    instantToLocal(instant) {
+        const p = this.zoneParts(instant, LOCAL_TIMEZONE);
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+            time: `${pad(p.hour)}:${pad(p.minute)}`
+        };
+    }
+
+    // DURATION wie PT1H30M oder P1D
+    addDuration(start, value) {
+        if (start.allDay) return null;
+        const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return null;
+        const [, sign, w, d, h, m, s] = match;
+        const seconds = ((+w || 0) * 7 * 86400) + ((+d || 0) * 86400) + ((+h || 0) * 3600) + ((+m || 0) * 60) + (+s || 0);
+        const instant = start.instant + (sign === '-' ? -1 : 1) * seconds * 1000;
+        return { allDay: false, instant, ...this.instantToLocal(instant) };
+    }
+
+    parseGeo(prop) {
+        if (!prop) return null;
+        const [lat, lng] = prop.value.split(';').map(parseFloat);
+        return isFinite(lat) && isFinite(lng) ? { lat, lng } : null;
+    }
+
+    extractEmail(value) {
+        const match = String(value || '').match(/mailto:(.+)$/i);
+        return match ? match[1].trim().toLowerCase() : null;
+    }
+
+    unescapeText(value) {
+        return String(value).replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N') ? '\n' : ch);
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    normalize(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    timeToHours(time) {
+        const [h, m] = String(time).split(':').map(Number);
+        return h + (m || 0) / 60;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+CalendarImportService.CANCELLED_HOLD_REASON = CANCELLED_HOLD_REASON;
+
+module.exports = CalendarImportService;
@@ -0,0 +1,149 @@
+// ======================================================================
+// KOSTENPROGNOSE FÜR PLANUNGSLÄUFE
+// Führt die Planung als Trockenlauf aus: Routing/Geocoding werden durch
+// zählende Stellvertreter ersetzt, die nur schätzen und mitschreiben,
+// welche Google-Aufrufe ein echter Lauf auslösen würde. Caches werden nur
+// gelesen (Planner-Option dryRun), daher zählen nur ungecachte Anfragen.
+// ======================================================================
+
+const { RoutingProvider, HaversineRoutingProvider } = require('./routing-provider');
+const { GeocodingProvider } = require('./geocoding-provider');
+
+// Nur Google rechnet pro Anfrage/Element ab
+const BILLABLE_PROVIDERS = ['google'];
+
+class ForecastRoutingProvider extends RoutingProvider {
+    constructor(realProvider) {
+        super(realProvider.name);
+        this.realistic = realProvider.realistic;
+        this.billable = BILLABLE_PROVIDERS.includes(realProvider.name);
+        this.estimator = new HaversineRoutingProvider();
+        this.requestedPairs = new Set();
+        this.units = { distanceMatrix: 0, distanceMatrixAdvanced: 0 };
+    }
+
+    async table(origins, destinations, options = {}) {
+        origins.forEach(from => destinations.forEach(to => this.count(from, to, options)));
+        return this.estimator.table(origins, destinations);
+    }
+
+    async route(from, to, options = {}) {
+        this.count(from, to, options);
+        return this.estimator.route(from, to);
+    }
+
+    // Jedes Paar nur einmal: im echten Lauf liegt es danach im distance_cache
+    count(from, to, options) {
+        const key = `${from.lat},${from.lng}-${to.lat},${to.lng}`;
+        if (this.requestedPairs.has(key)) return;
+        this.requestedPairs.add(key);
+        this.units[options.traffic ? 'distanceMatrixAdvanced' : 'distanceMatrix']++;
+    }
+}
+
+class ForecastGeocodingProvider extends GeocodingProvider {
+    /**
+     * @param {object} realProvider - aktiver Geocoder (bestimmt Name + Abrechnung)
+     * @param {object} [estimator] - liefert Näherungskoordinaten, z.B. Offline-Datensatz
+     */
+    constructor(realProvider, estimator = null) {
+        super(realProvider.name);
+        this.billable = BILLABLE_PROVIDERS.includes(realProvider.name);
+        this.estimator = estimator;
+        this.requestedAddresses = new Set();
+    }
+
+    async geocode(address) {
+        this.requestedAddresses.add(address.trim().toLowerCase());
+        if (!this.estimator) return null;
+        try {
+            return await this.estimator.geocode(address);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+class CostForecaster {
+    /**
+     * @param {object} budgetController - APIBudgetController (Preise + Budgets)
+     * @param {object} options - { routingProvider, geocodingProvider, geocodingEstimator }
+     */
+    constructor(budgetController, options = {}) {
+        this.budget = budgetController;
+        this.routing = new ForecastRoutingProvider(options.routingProvider);
+        this.geocoding = new ForecastGeocodingProvider(options.geocodingProvider, options.geocodingEstimator);
+    }
+
+    // Optionen für IntelligentRoutePlanner im Trockenlauf
+    getPlannerOptions() {
+        return { routingProvider: this.routing, geocodingProvider: this.geocoding, dryRun: true };
+    }
+
+    getReport(project) {
+        const units = {
+            geocoding: this.geocoding.requestedAddresses.size,
+            distanceMatrix: this.routing.units.distanceMatrix,
+            distanceMatrixAdvanced: this.routing.units.distanceMatrixAdvanced
+        };
+
+        const breakdown = {
+            geocoding: this.geocoding.billable ? this.budget.costOf('geocoding', units.geocoding) : 0,
+            distanceMatrix: this.routing.billable ? this.budget.costOf('distanceMatrix', units.distanceMatrix) : 0,
+            distanceMatrixAdvanced: this.routing.billable ? this.budget.costOf('distanceMatrixAdvanced', units.distanceMatrixAdvanced) : 0
+        };
+        const estimatedCostEUR = Object.values(breakdown).reduce((sum, cost) => sum + cost, 0);
+
+        const budgets = this.budget.getApplicableBudgets(project).map(b => {
+            const remaining = Math.max(0, b.limit - b.spent);
+            return {
+                scope: b.scope,
+                project: b.project,
+                period: b.period,
+                limit: b.limit,
+                spent: this.round(b.spent),
+                remaining: this.round(remaining),
+                fits: estimatedCostEUR <= remaining
+            };
+        });
+
+        // Stückzahl-Limits pro Tag (30/70-Aufteilung des Tagesbudgets)
+        const usage = this.budget.todayUsage;
+        const limits = {
+            geocoding: {
+                needed: this.geocoding.billable ? units.geocoding : 0,
+                remaining: Math.max(0, this.budget.dailyLimits.geocoding - usage.geocoding)
+            },
+            distanceMatrix: {
+                needed: this.routing.billable ? units.distanceMatrix + units.distanceMatrixAdvanced : 0,
+                remaining: Math.max(0, this.budget.dailyLimits.distanceMatrix - this.budget.distanceUsage())
+            }
+        };
+        Object.values(limits).forEach(limit => { limit.fits = limit.needed <= limit.remaining; });
+
+        const fitsBudget = budgets.every(b => b.fits) && Object.values(limits).every(l => l.fits);
+
+        return {
+            providers: { routing: this.routing.name, geocoding: this.geocoding.name },
+            units,
+            breakdown: Object.fromEntries(Object.entries(breakdown).map(([k, v]) => [k, this.round(v)])),
+            estimatedCostEUR: this.round(estimatedCostEUR),
+            budgets,
+            limits,
+            fitsBudget,
+            note: fitsBudget
+                ? 'Prognose passt ins Budget'
+                : 'Prognose überschreitet ein Budget - der Lauf wechselt unterwegs auf Schätzungen'
+        };
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = {
+    CostForecaster,
+    ForecastRoutingProvider,
+    ForecastGeocodingProvider
+};
@@ -0,0 +1,481 @@
+// ======================================================================
+// DATENBANK-SICHERUNG: Online-Backups über die SQLite-Backup-API,
+// Wiederherstellung mit Integritätsprüfung und anonymisierte Snapshots
+// für die lokale Fehlersuche.
+// Nur für DB_CLIENT=sqlite - PostgreSQL wird mit pg_dump gesichert.
+//
+// Konfiguration:
+//   BACKUP_DIR             - Zielverzeichnis (Standard: /app/data/backups in
+//                            Produktion, sonst ./backups)
+//   BACKUP_INTERVAL_HOURS  - Abstand der automatischen Backups (Standard 24, 0 = aus)
+//   BACKUP_KEEP            - so viele Backups je Anlass bleiben erhalten (Standard 14)
+// ======================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { SqliteDatabase } = require('./database');
+const SchemaMigrator = require('./schema-migrations');
+
+// backup-<Zeitstempel>-<Anlass>.db
+const BACKUP_FILE = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(?:-\d{3})?Z)-(scheduled|manual|pre-restore)\.db$/;
+const REASONS = ['scheduled', 'manual', 'pre-restore'];
+
+// Koordinaten im Snapshot auf 2 Nachkommastellen (~1 km): Region bleibt, Haus nicht
+const SNAPSHOT_COORDINATE_DECIMALS = 2;
+
+// Synthetische Straßen für anonymisierte Adressen
+const STREETS = [
+    'Hauptstraße', 'Bahnhofstraße', 'Gartenweg', 'Lindenallee', 'Schulstraße',
+    'Am Markt', 'Birkenweg', 'Industriestraße', 'Ringstraße', 'Mühlenweg'
+];
+
+class DatabaseBackupService {
+    /**
+     * @param {SqliteDatabase} db - Datenbank des Servers (nur SQLite, siehe database.js)
+     * @param {object} [options]
+     * @param {SchemaMigrator} [options.migrator] - bringt wiederhergestellte Backups auf den aktuellen Schema-Stand
+     * @param {string} [options.directory]
+     * @param {number} [options.intervalHours]
+     * @param {number} [options.keep]
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.migrator = options.migrator || new SchemaMigrator(db);
+        this.directory = path.resolve(options.directory || process.env.BACKUP_DIR ||
+            (process.env.NODE_ENV === 'production' ? '/app/data/backups' : './backups'));
+        this.intervalHours = numberOr(options.intervalHours, process.env.BACKUP_INTERVAL_HOURS, 24);
+        this.keep = Math.max(1, Math.floor(numberOr(options.keep, process.env.BACKUP_KEEP, 14)));
+        this.timer = null;
+        this.busy = null;
+    }
+
+    // ======================================================================
+    // AUTOMATISCHE BACKUPS
+    // ======================================================================
+    // Nach einem Neustart (z.B. Deploy) zählt der Abstand ab dem letzten
+    // automatischen Backup - sonst gäbe es bei häufigen Deploys nie eines.
+    async startSchedule() {
+        if (this.timer || !(this.intervalHours > 0)) return false;
+
+        const intervalMs = this.intervalHours * 60 * 60 * 1000;
+        const last = (await this.listBackups()).find(backup => backup.reason === 'scheduled');
+        const firstDelay = last ? Math.max(0, intervalMs - (Date.now() - new Date(last.createdAt).getTime())) : 0;
+
+        const schedule = (delay) => {
+            this.timer = setTimeout(async () => {
+                try {
+                    await this.createBackup({ reason: 'scheduled' });
+                } catch (error) {
+                    console.error('❌ Automatisches Backup fehlgeschlagen:', error.message);
+                }
+                schedule(intervalMs);
+            }, delay);
+            // Timer soll den Prozess nicht am Beenden hindern
+            this.timer.unref();
+        };
+        schedule(firstDelay);
+
+        console.log(`💾 Automatische Backups alle ${this.intervalHours}h nach ${this.directory} (je Anlass ${this.keep} behalten)`);
+        return true;
+    }
+
+    stopSchedule() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // ======================================================================
+    // BACKUP
+    // ======================================================================
+    /**
+     * Online-Backup der laufenden Datenbank. Die Kopie wird vor dem
+     * Umbenennen auf Integrität geprüft, danach greift die Aufbewahrung.
+     * @param {object} [options] - { reason: 'scheduled'|'manual' }
+     */
+    async createBackup({ reason = 'manual' } = {}) {
+        return this.exclusive('Backup', () => this.writeBackup(reason));
+    }
+
+    async writeBackup(reason) {
+        if (!REASONS.includes(reason)) throw new Error(`Unbekannter Backup-Anlass: ${reason}`);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const started = Date.now();
+        const name = `backup-${new Date().toISOString().replace(/:/g, '-').replace('.', '-')}-${reason}.db`;
+        const target = path.join(this.directory, name);
+        const partial = `${target}.partial`;
+
+        try {
+            await copyDatabase(this.db.backup(partial));
+            const check = await this.inspect(partial);
+            if (!check.ok) throw new Error(`Backup-Kopie fehlerhaft: ${check.integrity.join('; ')}`);
+            await fs.promises.rename(partial, target);
+        } catch (error) {
+            await fs.promises.rm(partial, { force: true });
+            throw error;
+        }
+
+        const backup = await this.describe(name);
+        const removed = await this.applyRetention();
+        console.log(`💾 Backup ${name} erstellt (${Math.round(backup.size / 1024)} KB, ${Date.now() - started}ms)${removed.length > 0 ? `, ${removed.length} alte entfernt` : ''}`);
+        return backup;
+    }
+
+    async listBackups() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const backups = await Promise.all(files.filter(file => BACKUP_FILE.test(file)).map(file => this.describe(file)));
+        return backups.sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    async describe(name) {
+        const [, stamp, reason] = BACKUP_FILE.exec(name);
+        const stat = await fs.promises.stat(path.join(this.directory, name));
+        return {
+            name,
+            reason,
+            createdAt: stamp.replace(/T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z$/, (match, h, m, s, ms) => `T${h}:${m}:${s}.${ms || '000'}Z`),
+            size: stat.size
+        };
+    }
+
+    // Je Anlass die neuesten `keep` Backups behalten
+    async applyRetention() {
+        const removed = [];
+        const backups = await this.listBackups();
+        for (const reason of REASONS) {
+            const outdated = backups.filter(backup => backup.reason === reason).slice(this.keep);
+            for (const backup of outdated) {
+                await fs.promises.rm(path.join(this.directory, backup.name), { force: true });
+                removed.push(backup.name);
+            }
+        }
+        return removed;
+    }
+
+    // Pfad eines Backups - nur Dateinamen aus dem Backup-Verzeichnis
+    resolve(name) {
+        if (typeof name !== 'string' || !BACKUP_FILE.test(name)) {
+            throw withStatus(new Error(`Ungültiger Backup-Name: ${name}`), 400);
+        }
+        const file = path.join(this.directory, name);
+        if (!fs.existsSync(file)) throw withStatus(new Error(`Backup ${name} nicht gefunden`), 404);
+        return file;
+    }
+
+    // ======================================================================
+    // PRÜFEN
+    // ======================================================================
+    /**
+     * Integrität und Schema-Stand einer Datenbankdatei (nur lesend).
+     * @returns {Promise<{ ok: boolean, integrity: string[], schema: object|null, counts: object }>}
+     */
+    async inspect(file) {
+        let database;
+        try {
+            database = await openDatabase(file, sqlite3.OPEN_READONLY);
+            const rows = await database.all('PRAGMA integrity_check');
+            const integrity = rows.map(row => row.integrity_check);
+            const schema = await new SchemaMigrator(database, { migrations: this.migrator.migrations }).status();
+
+            const counts = {};
+            for (const table of ['appointments', 'saved_routes', 'users']) {
+                counts[table] = await database.hasTable(table)
+                    ? (await database.get(`SELECT COUNT(*) as count FROM ${table}`)).count
+                    : null;
+            }
+
+            return {
+                ok: integrity.length === 1 && integrity[0] === 'ok',
+                integrity,
+                schema: {
+                    currentVersion: schema.currentVersion,
+                    latestVersion: schema.latestVersion,
+                    pending: schema.pending.map(migration => migration.version),
+                    unknown: schema.unknown.map(migration => migration.version)
+                },
+                counts
+            };
+        } catch (error) {
+            // z.B. SQLITE_NOTADB, wenn die Datei keine SQLite-Datenbank ist
+            return { ok: false, integrity: [error.message], schema: null, counts: {} };
+        } finally {
+            if (database) await database.close().catch(() => {});
+        }
+    }
+
+    // ======================================================================
+    // WIEDERHERSTELLEN
+    // ======================================================================
+    /**
+     * Backup in die laufende Datenbank zurückspielen.
+     * Vorher: Integritätsprüfung des Backups und ein "pre-restore"-Backup
+     * des aktuellen Stands. Danach: offene Migrationen und erneute Prüfung.
+     */
+    async restore(name) {
+        const file = this.resolve(name);
+
+        return this.exclusive('Wiederherstellung', async () => {
+            const check = await this.inspect(file);
+            if (!check.ok) {
+                throw withStatus(new Error(`Backup ${name} ist beschädigt: ${check.integrity.slice(0, 5).join('; ')}`), 422);
+            }
+            if (check.schema.unknown.length > 0) {
+                throw withStatus(new Error(`Backup ${name} stammt aus einer neueren Version (Migrationen ${check.schema.unknown.join(', ')} unbekannt)`), 409);
+            }
+
+            const safetyBackup = await this.writeBackup('pre-restore');
+            await copyDatabase(this.db.backup(file, 'main', 'main', false));
+            const migration = await this.migrator.migrate();
+
+            const integrity = (await this.db.all('PRAGMA integrity_check')).map(row => row.integrity_check);
+            if (integrity.length !== 1 || integrity[0] !== 'ok') {
+                throw new Error(`Datenbank nach Wiederherstellung fehlerhaft (${integrity.slice(0, 5).join('; ')}) - Stand davor: ${safetyBackup.name}`);
+            }
+
+            console.log(`♻️ Backup ${name} wiederhergestellt (Stand davor: ${safetyBackup.name})`);
+            return {
+                restored: name,
+                safetyBackup,
+                counts: check.counts,
+                schema: migration.status,
+                migrationsApplied: migration.applied
+            };
+        });
+    }
+
+    // ======================================================================
+    // ANONYMISIERTER SNAPSHOT
+    // ======================================================================
+    /**
+     * Kopie der Datenbank ohne personenbezogene Daten, mit der sich
+     * Planungsfehler lokal nachstellen lassen.
+     * - Kunden/Fahrer: synthetische Namen und Straßen; PLZ und Ort bleiben
+     * - Koordinaten auf ~1 km gerundet (Tabellen und route_data)
+     * - Dauern, Zeitfenster, Routen bleiben unverändert
+     * - Benutzer, Sessions, Feed-Tokens, Geocoding- und Entfernungs-Cache werden geleert
+     *   (lokal legt ADMIN_PASSWORD beim Start einen neuen Admin an)
+     * @returns {Promise<{ filename: string, body: Buffer, stats: object }>}
+     */
+    async createAnonymizedSnapshot() {
+        const file = path.join(os.tmpdir(), `expertise_tours-anonym-${process.pid}-${Date.now()}.db`);
+        try {
+            await copyDatabase(this.db.backup(file));
+
+            const snapshot = await openDatabase(file, sqlite3.OPEN_READWRITE);
+            let stats;
+            try {
+                stats = await snapshot.transaction(() => anonymize(snapshot));
+                // Gelöschte Inhalte dürfen nicht in freien Seiten der Datei bleiben
+                await snapshot.run('VACUUM');
+            } finally {
+                await snapshot.close();
+            }
+
+            const check = await this.inspect(file);
+            if (!check.ok) throw new Error(`Anonymisierter Snapshot fehlerhaft: ${check.integrity.join('; ')}`);
+
+            const body = await fs.promises.readFile(file);
+            console.log(`🕶️ Anonymisierter Snapshot erstellt (${stats.appointments} Termine, ${stats.routes} Routen, ${Math.round(body.length / 1024)} KB)`);
+            return {
+                filename: `expertise_tours-anonym-${new Date().toISOString().split('T')[0]}.db`,
+                body,
+                stats
+            };
+        } finally {
+            await fs.promises.rm(file, { force: true });
+        }
+    }
+
+    // Backup und Wiederherstellung nie gleichzeitig
+    async exclusive(label, work) {
+        if (this.busy) {
+            throw withStatus(new Error(`${this.busy} läuft bereits - bitte warten`), 409);
+        }
+        this.busy = label;
+        try {
+            return await work();
+        } finally {
+            this.busy = null;
+        }
+    }
+}
+
+// ======================================================================
+// ANONYMISIERUNG
+// ======================================================================
+async function anonymize(snapshot) {
+    // Originaltexte -> synthetische Texte; ersetzt auch Namen in Freitexten
+    // (Entscheidungsgründe, Fahrt-Beschriftungen "von X nach Y")
+    const replacements = new Map();
+    const appointments = new Map();
+
+    const rows = await snapshot.all('SELECT id, customer, address FROM appointments');
+    for (const row of rows) {
+        const synthetic = { customer: `Testkunde ${row.id}`, address: syntheticAddress(row.address, row.id) };
+        appointments.set(row.id, synthetic);
+        if (row.customer) replacements.set(row.customer, synthetic.customer);
+        if (row.address) replacements.set(row.address, synthetic.address);
+        await snapshot.run(`UPDATE appointments SET customer = ?, address = ?, notes = NULL,
+            import_key = CASE WHEN import_key IS NULL THEN NULL ELSE 'anon:' || id END WHERE id = ?`,
+        [synthetic.customer, synthetic.address, row.id]);
+    }
+
+    // Exakte Koordinaten führen zur Hausnummer zurück
+    const decimals = SNAPSHOT_COORDINATE_DECIMALS;
+    for (const [table, lat, lng] of [
+        ['appointments', 'lat', 'lng'],
+        ['drivers', 'home_lat', 'home_lng'],
+        ['route_stops', 'lat', 'lng'],
+        ['route_overnights', 'lat', 'lng']
+    ]) {
+        await snapshot.run(`UPDATE ${table} SET ${lat} = ROUND(${lat}, ${decimals}), ${lng} = ROUND(${lng}, ${decimals})`);
+    }
+
+    const drivers = await snapshot.all('SELECT id, name, home_base FROM drivers');
+    for (const driver of drivers) {
+        const name = `Fahrer ${driver.id}`;
+        const homeBase = syntheticAddress(driver.home_base, driver.id);
+        if (driver.name) replacements.set(driver.name, name);
+        if (driver.home_base) replacements.set(driver.home_base, homeBase);
+        await snapshot.run('UPDATE drivers SET name = ?, home_base = ? WHERE id = ?', [name, homeBase, driver.id]);
+    }
+
+    const scrub = scrubber(replacements);
+    const scrubJson = (text) => {
+        if (!text) return text;
+        try {
+            return JSON.stringify(scrubValue(JSON.parse(text), scrub, appointments));
+        } catch (error) {
+            return scrub(text);
+        }
+    };
+
+    const routes = await snapshot.all('SELECT id, route_data, trigger_details, created_by FROM saved_routes');
+    for (const route of routes) {
+        await snapshot.run('UPDATE saved_routes SET route_data = ?, trigger_details = ?, created_by_name = ? WHERE id = ?', [
+            scrubJson(route.route_data),
+            scrubJson(route.trigger_details),
+            route.created_by ? `Benutzer ${route.created_by}` : null,
+            route.id
+        ]);
+    }
+
+    const stops = await snapshot.all('SELECT id, appointment_id, customer, address FROM route_stops');
+    for (const stop of stops) {
+        const synthetic = appointments.get(stop.appointment_id);
+        await snapshot.run('UPDATE route_stops SET customer = ?, address = ? WHERE id = ?', [
+            synthetic ? synthetic.customer : scrub(stop.customer),
+            synthetic ? synthetic.address : scrub(stop.address),
+            stop.id
+        ]);
+    }
+
+    const legs = await snapshot.all('SELECT id, from_label, to_label FROM route_legs');
+    for (const leg of legs) {
+        await snapshot.run('UPDATE route_legs SET from_label = ?, to_label = ? WHERE id = ?', [scrub(leg.from_label), scrub(leg.to_label), leg.id]);
+    }
+
+    const cleared = {};
+    for (const table of ['user_sessions', 'users', 'calendar_feed_tokens', 'geocoding_cache', 'distance_cache']) {
+        cleared[table] = (await snapshot.run(`DELETE FROM ${table}`)).changes;
+    }
+
+    return {
+        appointments: rows.length,
+        drivers: drivers.length,
+        routes: routes.length,
+        stops: stops.length,
+        legs: legs.length,
+        cleared
+    };
+}
+
+// Straße und Hausnummer synthetisch, PLZ und Ort bleiben (Geografie der Planung)
+function syntheticAddress(original, seed) {
+    const street = `${STREETS[seed % STREETS.length]} ${(seed % 97) + 1}`;
+    const match = /(\d{5})\s+([^,\d][^,]*)/.exec(original || '');
+    return match ? `${street}, ${match[1]} ${match[2].trim()}` : street;
+}
+
+function roundCoordinate(value) {
+    const factor = 10 ** SNAPSHOT_COORDINATE_DECIMALS;
+    return Math.round(value * factor) / factor;
+}
+
+function scrubber(replacements) {
+    // Längste Texte zuerst, damit "Müller GmbH & Co" vor "Müller GmbH" greift
+    const originals = [...replacements.keys()].filter(text => text.trim().length >= 3).sort((a, b) => b.length - a.length);
+    if (originals.length === 0) return text => text;
+    const pattern = new RegExp(originals.map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+    return text => (typeof text === 'string' ? text.replace(pattern, match => replacements.get(match)) : text);
+}
+
+// route_data: Termine über ihre ID ersetzen, alle übrigen Texte durchsuchen
+function scrubValue(value, scrub, appointments) {
+    if (typeof value === 'string') return scrub(value);
+    if (Array.isArray(value)) return value.map(item => scrubValue(item, scrub, appointments));
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (key === 'notes') continue;
+        copy[key] = (key === 'lat' || key === 'lng') && typeof item === 'number'
+            ? roundCoordinate(item)
+            : scrubValue(item, scrub, appointments);
+    }
+    if ('customer' in value || 'customer_company' in value) {
+        const synthetic = appointments.get(value.id !== undefined ? value.id : value.appointmentId);
+        if (synthetic) {
+            if ('customer' in value) copy.customer = synthetic.customer;
+            if ('customer_company' in value) copy.customer_company = synthetic.customer;
+            if ('address' in value) copy.address = synthetic.address;
+        }
+    }
+    return copy;
+}
+
+// ======================================================================
+// HILFSFUNKTIONEN
+// ======================================================================
+// Backup-Objekt der SQLite-Backup-API vollständig kopieren
+function copyDatabase(backup) {
+    return new Promise((resolve, reject) => {
+        const step = () => backup.step(-1, (err) => {
+            if (err) return backup.finish(() => reject(err));
+            if (!backup.completed && !backup.failed) return step();
+            backup.finish((finishErr) => {
+                if (finishErr) reject(finishErr);
+                else if (backup.failed) reject(new Error('SQLite-Backup fehlgeschlagen'));
+                else resolve();
+            });
+        });
+        step();
+    });
+}
+
+// Weitere Datei (Backup, Snapshot) über dieselbe Schnittstelle wie die Server-Datenbank
+function openDatabase(file, mode) {
+    return new SqliteDatabase({ filename: file, mode }).ready;
+}
+
+function numberOr(value, envValue, fallback) {
+    const candidate = value !== undefined ? Number(value) : (envValue !== undefined && envValue !== '' ? Number(envValue) : fallback);
+    return Number.isFinite(candidate) && candidate >= 0 ? candidate : fallback;
+}
+
+function withStatus(error, status) {
+    error.status = status;
+    return error;
+}
+
+DatabaseBackupService.REASONS = REASONS;
+
+module.exports = DatabaseBackupService;
@@ -0,0 +1,163 @@
+// ======================================================================
+// ENTSCHEIDUNGSPROTOKOLL DER WOCHENPLANUNG
+// Pro Termin: eingeplant (placed), auf eine spätere Woche verschoben
+// (deferred) oder in dieser Form nicht planbar (rejected) - jeweils mit der
+// Regel, die entschieden hat, und den Tagen/Varianten, die geprüft wurden.
+// Wird von IntelligentRoutePlanner während eines Laufs befüllt.
+// ======================================================================
+
+const OUTCOMES = ['placed', 'deferred', 'rejected'];
+
+// Regeln, die über einen Termin entscheiden können (stabile Codes für Auswertungen)
+const CONSTRAINTS = {
+    fixed: 'Fixer Termin zur vereinbarten Zeit',
+    sequence: 'Gierige Tagesplanung (nächster Termin in Reichweite)',
+    gap_fill: 'Lücke neben fixen Terminen',
+    local_search: 'Lokale Suche nach der Tagesplanung',
+    missing_geocode: 'Adresse ohne Koordinaten',
+    api_budget: 'API-Tagesbudget erschöpft',
+    past_day: 'Tag liegt in der Vergangenheit',
+    outside_week: 'Fixes Datum liegt außerhalb der Woche',
+    weekly_hours: 'Wochenarbeitszeit ausgeschöpft',
+    daily_hours: 'Tagesarbeitszeit ausgeschöpft',
+    friday_return: 'Freitags-Rückkehr zur Basis',
+    max_single_travel: 'Maximale Einzelfahrt überschritten',
+    time_window: 'Zeitfenster des Kunden',
+    time_conflict: 'Kein freier Slot zwischen fixen Terminen',
+    region_not_visited: 'Region in dieser Woche nicht angefahren'
+};
+
+// Ohne diese Regeln hätte der Termin auch in einer anderen Woche keine Chance
+const REJECTING_CONSTRAINTS = ['missing_geocode', 'past_day', 'outside_week', 'max_single_travel'];
+
+class DecisionLog {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    // Termin bekannt machen (Reihenfolge der Eingabe bleibt im Ergebnis erhalten)
+    track(apt) {
+        if (!this.entries.has(apt.id)) {
+            this.entries.set(apt.id, {
+                appointmentId: apt.id,
+                customer: apt.customer || apt.customer_company || null,
+                address: apt.address || null,
+                placement: null,
+                alternatives: []
+            });
+        }
+        return this.entries.get(apt.id);
+    }
+
+    /**
+     * Geprüfte, aber verworfene Variante festhalten.
+     * @param {object} apt - Termin
+     * @param {object|null} day - Planungstag (null = unabhängig vom Tag)
+     * @param {string} constraint - Schlüssel aus CONSTRAINTS
+     * @param {string} reason - konkrete Begründung (Zeiten, Kilometer, ...)
+     */
+    reject(apt, day, constraint, reason) {
+        const entry = this.track(apt);
+        const date = day ? day.date : null;
+        // Gleiche Regel am gleichen Tag nur einmal (z.B. mehrfach geprüfte Lücken)
+        if (entry.alternatives.some(a => a.date === date && a.constraint === constraint)) return;
+        entry.alternatives.push({
+            date,
+            day: day ? day.day : null,
+            constraint,
+            reason
+        });
+    }
+
+    place(apt, day, constraint, reason) {
+        const entry = this.track(apt);
+        entry.placement = { date: day.date, day: day.day, constraint, reason };
+    }
+
+    // Termin wurde nachträglich wieder aus dem Tag genommen (z.B. Freitags-Rückkehr)
+    unplace(apt, day, constraint, reason) {
+        const entry = this.track(apt);
+        entry.placement = null;
+        this.reject(apt, day, constraint, reason);
+    }
+
+    /**
+     * Endgültiges Protokoll aus dem fertigen Wochenplan ableiten.
+     * @param {Array<object>} week - Tage mit appointments (nach lokaler Suche)
+     * @returns {{ entries: Array<object>, summary: object }}
+     */
+    build(week) {
+        const finalDays = new Map();
+        week.forEach(day => day.appointments.forEach(apt => finalDays.set(apt.id, { day, apt })));
+
+        const entries = [...this.entries.values()].map(entry => {
+            const final = finalDays.get(entry.appointmentId);
+            const described = final ? this.describePlaced(entry, final.day, final.apt) : this.describeUnplaced(entry);
+            described.constraintLabel = CONSTRAINTS[described.constraint] || null;
+            return described;
+        });
+
+        const summary = { placed: 0, deferred: 0, rejected: 0, byConstraint: {} };
+        entries.forEach(entry => {
+            summary[entry.outcome]++;
+            if (entry.outcome !== 'placed') {
+                summary.byConstraint[entry.constraint] = (summary.byConstraint[entry.constraint] || 0) + 1;
+            }
+        });
+
+        return { entries, summary };
+    }
+
+    describePlaced(entry, day, apt) {
+        // Verschoben oder eingefügt von der lokalen Suche => deren Entscheidung zählt
+        const placement = entry.placement && entry.placement.date === day.date
+            ? entry.placement
+            : {
+                constraint: 'local_search',
+                reason: entry.placement
+                    ? `Von ${entry.placement.day} auf ${day.day} verlegt`
+                    : `Nachträglich am ${day.day} eingefügt`
+            };
+
+        return {
+            appointmentId: entry.appointmentId,
+            customer: entry.customer,
+            address: entry.address,
+            outcome: 'placed',
+            constraint: placement.constraint,
+            reason: placement.reason,
+            date: day.date,
+            startTime: apt.startTime,
+            endTime: apt.endTime,
+            alternatives: entry.alternatives
+        };
+    }
+
+    describeUnplaced(entry) {
+        // Entscheidend ist die letzte Ablehnung - bei mehreren Tagen die des spätesten geprüften Tags
+        const decisive = [...entry.alternatives].reverse().find(a => a.constraint !== 'local_search')
+            || entry.alternatives[entry.alternatives.length - 1]
+            || { constraint: 'region_not_visited', reason: 'Kein Tag dieser Woche wurde für diesen Termin geprüft' };
+
+        // Abgelehnt nur, wenn jede geprüfte Variante an einer harten, wochenunabhängigen Regel scheiterte
+        const considered = entry.alternatives.filter(a => a.constraint !== 'local_search');
+        const rejected = considered.length > 0 && considered.every(a => REJECTING_CONSTRAINTS.includes(a.constraint));
+
+        return {
+            appointmentId: entry.appointmentId,
+            customer: entry.customer,
+            address: entry.address,
+            outcome: rejected ? 'rejected' : 'deferred',
+            constraint: decisive.constraint,
+            reason: decisive.reason,
+            date: null,
+            startTime: null,
+            endTime: null,
+            alternatives: entry.alternatives
+        };
+    }
+}
+
+module.exports = DecisionLog;
+module.exports.OUTCOMES = OUTCOMES;
+module.exports.CONSTRAINTS = CONSTRAINTS;
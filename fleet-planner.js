@@ -0,0 +1,297 @@
+// ======================================================================
+// FLOTTEN-PLANUNG: MEHRERE FAHRER / FILMTEAMS MIT EIGENER BASIS
+// Verteilt den offenen Terminpool nach Geografie und Auslastung auf alle
+// Fahrer aus der drivers-Tabelle und plant pro Fahrer eine eigene Woche.
+// ======================================================================
+
+const IntelligentRoutePlanner = require('./intelligent-route-planner-fixed');
+
+// Fallback, falls die Basis eines Fahrers nicht geocodiert werden kann
+const DEFAULT_HOME_BASE = { lat: 52.3759, lng: 9.7320, name: 'Hannover' };
+
+class FleetPlanner {
+    constructor(db, geocodingService, plannerOptions = {}) {
+        this.db = db;
+        this.geocodingService = geocodingService;
+        // Routing-/Geocoding-Provider, die an jeden Einzelplaner weitergereicht werden
+        this.plannerOptions = plannerOptions;
+
+        this.settings = {
+            weeklyCapacityHours: 40,   // Default, falls der Fahrer kein eigenes Wochenlimit hat
+            poolFactor: 1.5,           // Überbuchung des Kandidaten-Pools, der Planer wählt daraus aus
+            balanceToleranceKm: 50,    // Umweg, den wir für Lastausgleich akzeptieren ...
+            balanceToleranceFactor: 1.5 // ... bzw. relativ zur nächstgelegenen Basis
+        };
+    }
+
+    // ======================================================================
+    // FAHRER LADEN + BASIS GEOCODEN
+    // ======================================================================
+    async loadDrivers() {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all("SELECT * FROM drivers ORDER BY id", (err, result) => err ? reject(err) : resolve(result));
+        });
+
+        const drivers = [];
+        for (const row of rows) {
+            drivers.push({
+                id: row.id,
+                name: row.name,
+                homeBaseAddress: row.home_base,
+                homeBase: await this.resolveHomeBase(row),
+                weeklyHours: row.max_hours_per_week || this.settings.weeklyCapacityHours
+            });
+        }
+
+        console.log(`🚐 ${drivers.length} Fahrer für Flottenplanung geladen`);
+        return drivers;
+    }
+
+    async resolveHomeBase(driverRow) {
+        const name = this.getCityName(driverRow.home_base) || driverRow.name;
+
+        // Bereits über /api/drivers geocodet
+        if (driverRow.home_lat != null && driverRow.home_lng != null) {
+            return { lat: driverRow.home_lat, lng: driverRow.home_lng, name };
+        }
+
+        if (!this.geocodingService || !driverRow.home_base) {
+            return { ...DEFAULT_HOME_BASE };
+        }
+
+        try {
+            const coords = await this.geocodingService.geocodeAddress(driverRow.home_base);
+            return { lat: coords.lat, lng: coords.lng, name };
+        } catch (error) {
+            console.warn(`⚠️ Basis von ${driverRow.name} konnte nicht geocodiert werden: ${error.message}`);
+            return { ...DEFAULT_HOME_BASE };
+        }
+    }
+
+    // ======================================================================
+    // TERMINPOOL AUF FAHRER VERTEILEN
+    // ======================================================================
+    assignAppointments(appointments, drivers) {
+        const buckets = new Map(drivers.map(d => [d.id, { driver: d, appointments: [], loadHours: 0 }]));
+        const assignments = [];
+        const unassigned = [];
+        const capacityOf = driver => driver.weeklyHours * this.settings.poolFactor;
+
+        const fixed = appointments.filter(apt => this.isFixed(apt));
+        const flexible = appointments.filter(apt => !this.isFixed(apt));
+
+        // 1. Fixe Termine: nächste Basis, solange sich keine fixen Zeiten überschneiden
+        for (const apt of fixed) {
+            const ranked = this.rankDriversByDistance(apt, drivers);
+            const nearest = ranked[0];
+            let choice = null;
+
+            for (const candidate of ranked) {
+                const bucket = buckets.get(candidate.driver.id);
+                if (!this.hasFixedOverlap(bucket.appointments, apt)) {
+                    choice = candidate;
+                    break;
+                }
+            }
+
+            if (!choice) {
+                unassigned.push(this.describeAssignment(apt, null, 'fixed_time_conflict',
+                    'Alle Teams haben zur selben Zeit bereits einen fixen Termin'));
+                continue;
+            }
+
+            const bucket = buckets.get(choice.driver.id);
+            bucket.appointments.push(apt);
+            bucket.loadHours += this.estimateLoadHours(apt, choice.distanceKm);
+
+            assignments.push(this.describeAssignment(apt, choice, choice === nearest ? 'fixed_nearest_base' : 'fixed_time_conflict_reassigned',
+                choice === nearest
+                    ? `Fixer Termin, nächste Basis ${choice.driver.homeBase.name} (${Math.round(choice.distanceKm)} km)`
+                    : `Fixer Termin, ${nearest.driver.name} ist zur selben Zeit belegt → ${choice.driver.name} (${Math.round(choice.distanceKm)} km)`));
+        }
+
+        // 2. Flexible Termine: Geografie zuerst, bei Überlast Ausgleich auf das nächste Team in Reichweite
+        const sortedFlexible = [...flexible].sort((a, b) => {
+            if (a.status === 'bestätigt' && b.status !== 'bestätigt') return -1;
+            if (b.status === 'bestätigt' && a.status !== 'bestätigt') return 1;
+            return (b.pipeline_days || 0) - (a.pipeline_days || 0);
+        });
+
+        for (const apt of sortedFlexible) {
+            const ranked = this.rankDriversByDistance(apt, drivers);
+            const nearest = ranked[0];
+            const maxDistance = Math.max(
+                nearest.distanceKm * this.settings.balanceToleranceFactor,
+                nearest.distanceKm + this.settings.balanceToleranceKm
+            );
+
+            let choice = null;
+            for (const candidate of ranked) {
+                if (candidate.distanceKm > maxDistance) break;
+                const bucket = buckets.get(candidate.driver.id);
+                if (bucket.loadHours + this.estimateLoadHours(apt, candidate.distanceKm) <= capacityOf(candidate.driver)) {
+                    choice = candidate;
+                    break;
+                }
+            }
+
+            if (!choice) {
+                unassigned.push(this.describeAssignment(apt, nearest, 'capacity_exhausted',
+                    `Alle Teams im Umkreis von ${Math.round(maxDistance)} km sind diese Woche ausgelastet`));
+                continue;
+            }
+
+            const bucket = buckets.get(choice.driver.id);
+            bucket.appointments.push(apt);
+            bucket.loadHours += this.estimateLoadHours(apt, choice.distanceKm);
+
+            assignments.push(this.describeAssignment(apt, choice, choice === nearest ? 'nearest_base' : 'workload_balance',
+                choice === nearest
+                    ? `Nächste Basis ${choice.driver.homeBase.name} (${Math.round(choice.distanceKm)} km)`
+                    : `${nearest.driver.name} ausgelastet → ${choice.driver.name} (${Math.round(choice.distanceKm)} km statt ${Math.round(nearest.distanceKm)} km)`));
+        }
+
+        buckets.forEach(bucket => {
+            console.log(`👥 ${bucket.driver.name}: ${bucket.appointments.length} Termine zugeteilt (~${bucket.loadHours.toFixed(1)}h Last)`);
+        });
+
+        return { buckets, assignments, unassigned };
+    }
+
+    // ======================================================================
+    // WOCHE FÜR DIE GANZE FLOTTE PLANEN
+    // ======================================================================
+    async planWeek(appointments, weekStart) {
+        console.log(`🚐 FLOTTENPLANUNG für Woche ${weekStart}: ${appointments.length} Termine`);
+
+        const drivers = await this.loadDrivers();
+        if (drivers.length === 0) {
+            throw new Error('Keine Fahrer in der Datenbank');
+        }
+
+        // Ohne Koordinaten keine geografische Zuteilung möglich
+        const geoAppointments = appointments.filter(apt => apt.lat && apt.lng);
+        const withoutCoords = appointments.filter(apt => !apt.lat || !apt.lng);
+
+        const { buckets, assignments, unassigned } = this.assignAppointments(geoAppointments, drivers);
+        withoutCoords.forEach(apt => {
+            unassigned.push(this.describeAssignment(apt, null, 'missing_geocode', 'Termin hat keine Koordinaten'));
+        });
+
+        const driverResults = [];
+        const plannedBy = new Map();
+
+        for (const bucket of buckets.values()) {
+            const { driver } = bucket;
+            if (bucket.appointments.length === 0) {
+                driverResults.push({ driver, route: null, assigned: 0, planned: 0 });
+                continue;
+            }
+
+            const planner = new IntelligentRoutePlanner(this.db, { ...this.plannerOptions, homeBase: driver.homeBase });
+            const route = await planner.optimizeWeek(bucket.appointments, weekStart, driver.id);
+
+            route.days.forEach(day => {
+                day.appointments?.forEach(apt => {
+                    if (apt.id) plannedBy.set(apt.id, driver.id);
+                });
+            });
+
+            driverResults.push({
+                driver,
+                route,
+                assigned: bucket.appointments.length,
+                planned: route.stats.totalAppointments
+            });
+        }
+
+        assignments.forEach(a => {
+            a.planned = plannedBy.get(a.appointmentId) === a.driverId;
+        });
+
+        return {
+            weekStart,
+            drivers: driverResults,
+            assignments,
+            unassigned,
+            stats: {
+                drivers: drivers.length,
+                totalAvailable: appointments.length,
+                assigned: assignments.length,
+                planned: plannedBy.size,
+                unassigned: unassigned.length
+            }
+        };
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    rankDriversByDistance(apt, drivers) {
+        return drivers
+            .map(driver => ({
+                driver,
+                distanceKm: this.haversineDistance(apt.lat, apt.lng, driver.homeBase.lat, driver.homeBase.lng)
+            }))
+            .sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+
+    // Drehdauer plus anteilige Anfahrt (Hin- und Rückweg werden über die Woche geteilt)
+    estimateLoadHours(apt, distanceKm) {
+        const travelHours = distanceKm * 1.2 / 75;
+        return (apt.duration || 3) + travelHours * 0.5;
+    }
+
+    hasFixedOverlap(bucketAppointments, apt) {
+        const start = this.timeToHours(apt.fixed_time || '08:30');
+        const end = start + (apt.duration || 3);
+
+        return bucketAppointments.some(other => {
+            if (!this.isFixed(other) || other.fixed_date !== apt.fixed_date) return false;
+            const otherStart = this.timeToHours(other.fixed_time || '08:30');
+            const otherEnd = otherStart + (other.duration || 3);
+            return start < otherEnd && otherStart < end;
+        });
+    }
+
+    describeAssignment(apt, choice, reasonCode, reason) {
+        return {
+            appointmentId: apt.id,
+            customer: apt.customer,
+            address: apt.address,
+            driverId: choice ? choice.driver.id : null,
+            driverName: choice ? choice.driver.name : null,
+            distanceKm: choice ? Math.round(choice.distanceKm) : null,
+            reasonCode,
+            reason
+        };
+    }
+
+    isFixed(apt) {
+        return (apt.is_fixed === 1 || apt.is_fixed === '1' || apt.is_fixed === true) && !!apt.fixed_date;
+    }
+
+    timeToHours(timeStr) {
+        const [h, m] = timeStr.split(':').map(Number);
+        return h + (m || 0) / 60;
+    }
+
+    getCityName(address) {
+        if (!address || typeof address !== 'string') return null;
+        const m = address.match(/\d{5}\s+([^,]+)/);
+        return m ? m[1].trim() : address.split(',').pop().trim();
+    }
+
+    haversineDistance(lat1, lng1, lat2, lng2) {
+        const R = 6371;
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLng/2) * Math.sin(dLng/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return R * c;
+    }
+}
+
+module.exports = FleetPlanner;
@@ -0,0 +1,425 @@
+// ======================================================================
+// GEOCODING-PROVIDER: AUSTAUSCHBARE ADRESS-AUFLÖSUNG
+// - google:    Google Geocoding API (kostenpflichtig)
+// - nominatim: Nominatim-kompatible HTTP-API (OSM, auch selbst gehostet)
+// - offline:   importierter PLZ-/Straßen-Datensatz in SQLite, ohne Netz
+// Auswahl per GEOCODING_PROVIDER, siehe createGeocodingProvider()
+//
+// geocode(address) liefert { lat, lng, formatted_address, accuracy, provider }
+// oder null (Adresse unbekannt). Netzwerk-/Konfigurationsfehler werden geworfen.
+// ======================================================================
+
+const axios = require('axios');
+
+// Deutschland Bounding Box
+function isInGermany(lat, lng) {
+    return lat >= 47.2 && lat <= 55.1 && lng >= 5.8 && lng <= 15.1;
+}
+
+class GeocodingProvider {
+    constructor(name) {
+        this.name = name;
+        this.requestCount = 0;
+    }
+
+    async geocode(address) {
+        throw new Error(`${this.name}: geocode() nicht implementiert`);
+    }
+}
+
+// ======================================================================
+// GOOGLE GEOCODING API
+// ======================================================================
+class GoogleGeocodingProvider extends GeocodingProvider {
+    constructor(options = {}) {
+        super('google');
+        this.apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+        this.timeout = options.timeout || 8000;
+        this.disabled = false; // nach REQUEST_DENIED/403 nicht weiter versuchen
+        // APIBudgetController - jeder Request wird vorher geprüft und danach gebucht
+        this.budget = options.budget || null;
+    }
+
+    async geocode(address) {
+        if (this.disabled) {
+            throw new Error('Google Maps API deaktiviert');
+        }
+        if (!this.apiKey || this.apiKey === 'YOUR_API_KEY_HERE') {
+            this.disabled = true;
+            throw new Error('Google Maps API Key nicht verfügbar');
+        }
+
+        this.requestCount++;
+        console.log(`🌐 Google Geocoding Request #${this.requestCount}: ${address}`);
+
+        const request = () => axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+            params: {
+                address,
+                key: this.apiKey,
+                region: 'de',
+                components: 'country:DE',
+                language: 'de'
+            },
+            timeout: this.timeout
+        });
+
+        let response;
+        try {
+            response = this.budget
+                ? await this.budget.withBudget('geocoding', 1, request)
+                : await request();
+        } catch (error) {
+            if (error.code === 'API_BUDGET_EXHAUSTED') {
+                throw error;
+            } else if (error.code === 'ECONNABORTED') {
+                throw new Error('Google Maps API Timeout');
+            } else if (error.response?.status === 429) {
+                throw new Error('Google Maps API Rate Limit erreicht');
+            } else if (error.response?.status === 403) {
+                this.disabled = true;
+                throw new Error('Google Maps API Key ungültig oder deaktiviert');
+            }
+            throw new Error(`Google Maps API Fehler: ${error.message}`);
+        }
+
+        const { status, results, error_message } = response.data;
+        if (status === 'ZERO_RESULTS') return null;
+        if (status !== 'OK' || !results?.length) {
+            if (status === 'REQUEST_DENIED') this.disabled = true;
+            throw new Error(`Google Maps API Status: ${status} - ${error_message || 'Unbekannter Fehler'}`);
+        }
+
+        const result = results[0];
+        const location = result.geometry.location;
+        if (!isInGermany(location.lat, location.lng)) return null;
+
+        return {
+            lat: location.lat,
+            lng: location.lng,
+            formatted_address: result.formatted_address,
+            accuracy: result.geometry.location_type?.toLowerCase() || 'approximate',
+            place_id: result.place_id,
+            components: this.parseAddressComponents(result.address_components || []),
+            provider: this.name
+        };
+    }
+
+    parseAddressComponents(components) {
+        const parsed = {};
+        for (const component of components) {
+            const types = component.types;
+            if (types.includes('street_number')) parsed.street_number = component.long_name;
+            else if (types.includes('route')) parsed.street = component.long_name;
+            else if (types.includes('locality')) parsed.city = component.long_name;
+            else if (types.includes('postal_code')) parsed.postal_code = component.long_name;
+            else if (types.includes('administrative_area_level_1')) parsed.state = component.long_name;
+            else if (types.includes('country')) parsed.country = component.long_name;
+        }
+        return parsed;
+    }
+}
+
+// ======================================================================
+// NOMINATIM-KOMPATIBLE API (/search?format=jsonv2)
+// ======================================================================
+class NominatimGeocodingProvider extends GeocodingProvider {
+    constructor(options = {}) {
+        super('nominatim');
+        this.baseUrl = (options.baseUrl || process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+        this.email = options.email || process.env.NOMINATIM_EMAIL;
+        this.timeout = options.timeout || 8000;
+
+        // Öffentlicher OSM-Server erlaubt max. 1 Anfrage pro Sekunde
+        const isPublic = this.baseUrl.includes('nominatim.openstreetmap.org');
+        this.minIntervalMs = options.minIntervalMs != null ? options.minIntervalMs : (isPublic ? 1000 : 0);
+        this.lastRequestAt = 0;
+    }
+
+    async geocode(address) {
+        const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        this.lastRequestAt = Date.now();
+
+        this.requestCount++;
+        const params = {
+            q: address,
+            format: 'jsonv2',
+            countrycodes: 'de',
+            addressdetails: 1,
+            limit: 1
+        };
+        if (this.email) params.email = this.email;
+
+        const response = await axios.get(`${this.baseUrl}/search`, {
+            params,
+            headers: { 'User-Agent': 'tourenplaner-backend/1.0', 'Accept-Language': 'de' },
+            timeout: this.timeout
+        });
+
+        const hit = Array.isArray(response.data) ? response.data[0] : null;
+        if (!hit) return null;
+
+        const lat = parseFloat(hit.lat);
+        const lng = parseFloat(hit.lon);
+        if (!isInGermany(lat, lng)) return null;
+
+        const addr = hit.address || {};
+        let accuracy = 'approximate';
+        if (addr.house_number) accuracy = 'rooftop';
+        else if (addr.road) accuracy = 'street';
+        else if (addr.postcode) accuracy = 'postal_code';
+
+        return {
+            lat,
+            lng,
+            formatted_address: hit.display_name,
+            accuracy,
+            components: {
+                street: addr.road,
+                street_number: addr.house_number,
+                postal_code: addr.postcode,
+                city: addr.city || addr.town || addr.village || addr.municipality,
+                state: addr.state,
+                country: addr.country
+            },
+            provider: this.name
+        };
+    }
+}
+
+// ======================================================================
+// OFFLINE: IMPORTIERTER PLZ-/STRASSEN-DATENSATZ
+// geo_postcodes: ein Schwerpunkt pro PLZ (+Ort)
+// geo_streets:   optional, ein Punkt pro Straße innerhalb einer PLZ
+// options.schemaReady: Promise, das nach den Schema-Migrationen erfüllt ist
+// ======================================================================
+class OfflineGeocodingProvider extends GeocodingProvider {
+    constructor(options = {}) {
+        super('offline');
+        this.db = options.db;
+        if (!this.db) {
+            throw new Error('Offline-Geocoding benötigt eine Datenbank');
+        }
+        // Tabellen geo_postcodes/geo_streets legt Migration 6 an - erst danach abfragen
+        this.ready = options.schemaReady || Promise.resolve();
+    }
+
+    async geocode(address) {
+        await this.ready;
+        this.requestCount++;
+
+        const plzMatch = address.match(/\b(\d{5})\b/);
+        const plz = plzMatch ? plzMatch[1] : null;
+        const city = this.extractCity(address, plz);
+        const street = this.extractStreet(address);
+
+        // 1. Straße innerhalb der PLZ
+        if (plz && street) {
+            const row = await this.get(
+                "SELECT * FROM geo_streets WHERE plz = ? AND street_normalized = ?",
+                [plz, this.normalize(street)]
+            );
+            if (row) {
+                return this.toResult(row, `${row.street}, ${row.plz} ${row.city || ''}`.trim(), 'street');
+            }
+        }
+
+        // 2. PLZ-Schwerpunkt (bei mehreren Orten pro PLZ: passender Ort bevorzugt)
+        if (plz) {
+            const rows = await this.all("SELECT * FROM geo_postcodes WHERE plz = ?", [plz]);
+            if (rows.length > 0) {
+                const normalizedCity = city ? this.normalize(city) : null;
+                const row = rows.find(r => r.city_normalized === normalizedCity) || rows[0];
+                return this.toResult(row, `${row.plz} ${row.city}`, 'postal_code');
+            }
+        }
+
+        // 3. Nur Ortsname
+        if (city) {
+            const row = await this.get(
+                `SELECT MIN(city) as city, AVG(lat) as lat, AVG(lng) as lng, MIN(plz) as plz
+                 FROM geo_postcodes WHERE city_normalized = ? GROUP BY city_normalized`,
+                [this.normalize(city)]
+            );
+            if (row) {
+                return this.toResult(row, row.city, 'city');
+            }
+        }
+
+        return null;
+    }
+
+    toResult(row, formatted, accuracy) {
+        return {
+            lat: row.lat,
+            lng: row.lng,
+            formatted_address: formatted,
+            accuracy,
+            components: { postal_code: row.plz, city: row.city, street: row.street },
+            provider: this.name
+        };
+    }
+
+    // ======================================================================
+    // DATENSATZ-IMPORT
+    // rows: [{ plz, city, lat, lng, street? }] - mit street => geo_streets
+    // ======================================================================
+    async importRows(rows, { replace = false } = {}) {
+        await this.ready;
+
+        const stats = { postcodes: 0, streets: 0, skipped: 0, errors: [] };
+
+        await this.db.transaction(async () => {
+            if (replace) {
+                await this.run('DELETE FROM geo_streets');
+                await this.run('DELETE FROM geo_postcodes');
+            }
+
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+                const plz = String(row.plz || '').trim().padStart(5, '0');
+                const lat = parseFloat(String(row.lat).replace(',', '.'));
+                const lng = parseFloat(String(row.lng).replace(',', '.'));
+                const city = String(row.city || '').trim();
+                const street = String(row.street || '').trim();
+
+                if (!/^\d{5}$/.test(plz) || !isInGermany(lat, lng)) {
+                    stats.skipped++;
+                    if (stats.errors.length < 20) stats.errors.push({ row: i + 1, error: 'Ungültige PLZ oder Koordinaten' });
+                    continue;
+                }
+
+                if (street) {
+                    await this.run(
+                        `INSERT INTO geo_streets (plz, city, street, street_normalized, lat, lng) VALUES (?, ?, ?, ?, ?, ?)
+                         ON CONFLICT (plz, street_normalized) DO UPDATE SET
+                            city = excluded.city, street = excluded.street, lat = excluded.lat, lng = excluded.lng`,
+                        [plz, city || null, street, this.normalize(street), lat, lng]
+                    );
+                    stats.streets++;
+                } else if (city) {
+                    await this.run(
+                        `INSERT INTO geo_postcodes (plz, city, city_normalized, lat, lng) VALUES (?, ?, ?, ?, ?)
+                         ON CONFLICT (plz, city_normalized) DO UPDATE SET
+                            city = excluded.city, lat = excluded.lat, lng = excluded.lng`,
+                        [plz, city, this.normalize(city), lat, lng]
+                    );
+                    stats.postcodes++;
+                } else {
+                    stats.skipped++;
+                    if (stats.errors.length < 20) stats.errors.push({ row: i + 1, error: 'Weder Ort noch Straße angegeben' });
+                }
+            }
+
+            // PLZ ohne eigenen Schwerpunkt: aus den Straßenpunkten ableiten
+            const centroids = await this.all(
+                `SELECT s.plz, MAX(s.city) as city, AVG(s.lat) as lat, AVG(s.lng) as lng
+                 FROM geo_streets s
+                 WHERE NOT EXISTS (SELECT 1 FROM geo_postcodes p WHERE p.plz = s.plz)
+                 GROUP BY s.plz`
+            );
+            for (const c of centroids) {
+                const city = c.city || c.plz;
+                await this.run(
+                    `INSERT INTO geo_postcodes (plz, city, city_normalized, lat, lng) VALUES (?, ?, ?, ?, ?)
+                     ON CONFLICT DO NOTHING`,
+                    [c.plz, city, this.normalize(city), c.lat, c.lng]
+                );
+            }
+            stats.derivedPostcodes = centroids.length;
+        });
+
+        console.log(`📮 Offline-Datensatz importiert: ${stats.postcodes} PLZ, ${stats.streets} Straßen, ${stats.skipped} übersprungen`);
+        return stats;
+    }
+
+    async getStats() {
+        await this.ready;
+        const row = await this.get(
+            `SELECT (SELECT COUNT(*) FROM geo_postcodes) as postcodes,
+                    (SELECT COUNT(*) FROM geo_streets) as streets`
+        );
+        return row;
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    normalize(value) {
+        return String(value)
+            .toLowerCase()
+            .replace(/ß/g, 'ss')
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue')
+            .replace(/str\.|strasse\b/g, 'str')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    extractCity(address, plz) {
+        if (plz) {
+            const match = address.match(new RegExp(`${plz}\\s+([^,]+)`));
+            if (match) return match[1].trim();
+        }
+        const parts = address.split(',').map(p => p.trim()).filter(Boolean);
+        if (parts.length > 1) return parts[parts.length - 1].replace(/\b\d{5}\b/, '').trim() || null;
+        // Nur ein Teil ohne Ziffern (z.B. "Berlin") ist vermutlich ein Ortsname
+        return parts.length === 1 && !/\d/.test(parts[0]) ? parts[0] : null;
+    }
+
+    extractStreet(address) {
+        const first = address.split(',')[0].trim();
+        if (/^\d{5}\b/.test(first)) return null;
+        // Hausnummer abschneiden
+        return first.replace(/\s+\d+\s*[a-zA-Z]?(\s*[-/]\s*\d+\s*[a-zA-Z]?)?$/, '').trim() || null;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+// ======================================================================
+// FACTORY
+// GEOCODING_PROVIDER=google|nominatim|offline
+// Ohne Angabe: google, wenn ein API-Key existiert, sonst offline
+// ======================================================================
+function createGeocodingProvider(options = {}) {
+    const name = (options.provider || process.env.GEOCODING_PROVIDER ||
+        (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'offline')).toLowerCase();
+
+    switch (name) {
+        case 'google':
+            return new GoogleGeocodingProvider(options);
+        case 'nominatim':
+            return new NominatimGeocodingProvider(options);
+        case 'offline':
+            return new OfflineGeocodingProvider(options);
+        default:
+            throw new Error(`Unbekannter GEOCODING_PROVIDER "${name}" (erlaubt: google, nominatim, offline)`);
+    }
+}
+
+module.exports = {
+    GeocodingProvider,
+    GoogleGeocodingProvider,
+    NominatimGeocodingProvider,
+    OfflineGeocodingProvider,
+    createGeocodingProvider,
+    isInGermany
+};
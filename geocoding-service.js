@@ -3,40 +3,21 @@
 // Datei: geocoding-service.js
 // ======================================================================
 
-const axios = require('axios');
+const { createGeocodingProvider, GoogleGeocodingProvider } = require('./geocoding-provider');
 
 class EnhancedGeocodingService {
-    constructor(dbInstance) {
+    /**
+     * @param {object} dbInstance - SQLite-Instanz
+     * @param {object} [options]
+     * @param {object} [options.provider] - Geocoding-Backend, Default: createGeocodingProvider() (GEOCODING_PROVIDER)
+     */
+    constructor(dbInstance, options = {}) {
         this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
-        if (!this.apiKey) {
-            throw new Error('Google Maps API Key nicht konfiguriert');
-        }
         this.requestCount = 0;
         this.cache = new Map(); // Simple in-memory cache
-        this.googleApiDisabled = false;
-        this.db = dbInstance;
-
-        if (this.db) {
-            this.db.run(
-                `CREATE TABLE IF NOT EXISTS geocoding_cache (
-                    address TEXT PRIMARY KEY,
-                    lat REAL NOT NULL,
-                    lng REAL NOT NULL,
-                    formatted_address TEXT,
-                    accuracy TEXT,
-                    method TEXT,
-                    cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`,
-                (err) => {
-                    if (err) {
-                        console.error('❌ Geocoding Cache Tabelle konnte nicht erstellt werden:', err.message);
-                    } else {
-                        console.log('✅ Geocoding Cache Tabelle verifiziert');
-                    }
-                }
-            );
-        }
-        
+        this.db = dbInstance; // Tabelle geocoding_cache: Migration 1 (migrations.js)
+        this.provider = options.provider || createGeocodingProvider({ db: dbInstance });
+
         // Deutsche Städte mit präzisen Koordinaten
         this.germanCitiesDatabase = new Map([
             // Großstädte
@@ -129,6 +110,7 @@ class EnhancedGeocodingService {
         console.log('🗺️ Enhanced Geocoding Service initialisiert');
         console.log(`📊 ${this.germanCitiesDatabase.size} deutsche Städte in Datenbank`);
         console.log(`🔑 Google Maps API: ${this.apiKey ? 'Verfügbar' : 'Nicht verfügbar'}`);
+        console.log(`🧭 Geocoding-Backend: ${this.provider.name}`);
     }
 
     // ======================================================================
@@ -160,17 +142,21 @@ class EnhancedGeocodingService {
         let method = 'unknown';
 
         try {
-            // Schritt 1: Google Maps API versuchen
-            result = await this.geocodeWithGoogleMaps(cleanAddress);
-            method = 'google_maps';
-            console.log(`✅ Google Maps: ${address} → ${result.lat}, ${result.lng}`);
-        } catch (googleError) {
-            console.warn(`⚠️ Google Maps fehlgeschlagen für "${address}": ${googleError.message}`);
+            // Schritt 1: Konfiguriertes Backend (Google / Nominatim / Offline-Datensatz)
+            this.requestCount++;
+            result = await this.provider.geocode(cleanAddress);
+            if (!result) {
+                throw new Error('Adresse nicht gefunden');
+            }
+            method = this.provider.name;
+            console.log(`✅ ${this.provider.name}: ${address} → ${result.lat}, ${result.lng}`);
+        } catch (providerError) {
+            console.warn(`⚠️ ${this.provider.name} fehlgeschlagen für "${address}": ${providerError.message}`);
             
             try {
                 // Schritt 2: Intelligente Adress-Analyse
                 result = await this.geocodeWithIntelligentAnalysis(cleanAddress);
-                method = 'intelligent_analysis';
+                method = result.accuracy === 'postal_code' ? 'plz_based' : 'intelligent_analysis';
                 console.log(`🧠 Intelligente Analyse: ${address} → ${result.lat}, ${result.lng}`);
             } catch (analysisError) {
                 console.warn(`⚠️ Intelligente Analyse fehlgeschlagen: ${analysisError.message}`);
@@ -194,9 +180,10 @@ class EnhancedGeocodingService {
             }
         }
 
-        // Ergebnis anreichern
+        // Ergebnis anreichern - provider = Backend, das tatsächlich geantwortet hat
         const enrichedResult = {
             ...result,
+            provider: method,
             geocoding_method: method,
             original_address: address,
             processed_at: new Date().toISOString()
@@ -212,67 +199,21 @@ class EnhancedGeocodingService {
     }
 
     // ======================================================================
-    // GOOGLE MAPS API GEOCODING
+    // GOOGLE MAPS API GEOCODING (direkt, z.B. für den API-Test)
     // ======================================================================
     async geocodeWithGoogleMaps(address) {
-        if (this.googleApiDisabled) {
-            throw new Error('Google Maps API deaktiviert');
-        }
-        if (!this.apiKey || this.apiKey === 'YOUR_API_KEY_HERE') {
-            this.googleApiDisabled = true;
-            throw new Error('Google Maps API Key nicht verfügbar');
+        if (!this.googleProvider) {
+            this.googleProvider = this.provider instanceof GoogleGeocodingProvider
+                ? this.provider
+                : new GoogleGeocodingProvider({ budget: this.provider.budget });
         }
 
         this.requestCount++;
-        console.log(`🌐 Google Maps API Request #${this.requestCount}: ${address}`);
-
-        try {
-            const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-                params: {
-                    address: address,
-                    key: this.apiKey,
-                    region: 'de',
-                    components: 'country:DE',
-                    language: 'de'
-                },
-                timeout: 8000
-            });
-
-            if (response.data.status === 'OK' && response.data.results.length > 0) {
-                const result = response.data.results[0];
-                const location = result.geometry.location;
-                
-                // Prüfe ob Ergebnis in Deutschland liegt
-                if (location.lat < 47.2 || location.lat > 55.1 || location.lng < 5.8 || location.lng > 15.1) {
-                    throw new Error('Ergebnis liegt außerhalb Deutschlands');
-                }
-
-                return {
-                    lat: location.lat,
-                    lng: location.lng,
-                    formatted_address: result.formatted_address,
-                    accuracy: result.geometry.location_type?.toLowerCase() || 'approximate',
-                    place_id: result.place_id,
-                    components: this.parseAddressComponents(result.address_components)
-                };
-            } else {
-                throw new Error(`Google Maps API Status: ${response.data.status} - ${response.data.error_message || 'Unbekannter Fehler'}`);
-            }
-        } catch (error) {
-            if (error.code === 'ECONNABORTED') {
-                throw new Error('Google Maps API Timeout');
-            } else if (error.response?.status === 429) {
-                throw new Error('Google Maps API Rate Limit erreicht');
-            } else if (error.response?.status === 403) {
-                this.googleApiDisabled = true;
-                throw new Error('Google Maps API Key ungültig oder deaktiviert');
-            } else {
-                if (error.response?.data?.status === 'REQUEST_DENIED') {
-                    this.googleApiDisabled = true;
-                }
-                throw new Error(`Google Maps API Fehler: ${error.message}`);
-            }
+        const result = await this.googleProvider.geocode(address);
+        if (!result) {
+            throw new Error('Google Maps API Status: ZERO_RESULTS - Adresse nicht gefunden');
         }
+        return result;
     }
 
     // ======================================================================
@@ -464,33 +405,6 @@ class EnhancedGeocodingService {
         return (maxLen - matrix[len2][len1]) / maxLen;
     }
 
-    // ======================================================================
-    // ADRESSKOMPONENTEN PARSEN
-    // ======================================================================
-    parseAddressComponents(components) {
-        const parsed = {};
-        
-        for (const component of components) {
-            const types = component.types;
-            
-            if (types.includes('street_number')) {
-                parsed.street_number = component.long_name;
-            } else if (types.includes('route')) {
-                parsed.street = component.long_name;
-            } else if (types.includes('locality')) {
-                parsed.city = component.long_name;
-            } else if (types.includes('postal_code')) {
-                parsed.postal_code = component.long_name;
-            } else if (types.includes('administrative_area_level_1')) {
-                parsed.state = component.long_name;
-            } else if (types.includes('country')) {
-                parsed.country = component.long_name;
-            }
-        }
-        
-        return parsed;
-    }
-
     // ======================================================================
     // BATCH-GEOCODING FÜR MEHRERE ADRESSEN
     // ======================================================================
@@ -596,7 +510,7 @@ class EnhancedGeocodingService {
                 `SELECT lat, lng, formatted_address, accuracy, method 
                  FROM geocoding_cache 
                  WHERE address = ? 
-                 AND cached_at > datetime('now', '-90 days')`,
+                 AND cached_at > ${this.db.sql.ago(90, 'days')}`,
                 [address.toLowerCase()],
                 (err, row) => {
                     if (err || !row) {
@@ -607,6 +521,7 @@ class EnhancedGeocodingService {
                             lng: row.lng,
                             formatted_address: row.formatted_address,
                             accuracy: row.accuracy,
+                            provider: row.method,
                             geocoding_method: row.method,
                             cached: true
                         });
@@ -620,9 +535,12 @@ class EnhancedGeocodingService {
         if (!this.db) return;
 
         this.db.run(
-            `INSERT OR REPLACE INTO geocoding_cache 
+            `INSERT INTO geocoding_cache 
              (address, lat, lng, formatted_address, accuracy, method, cached_at)
-             VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT (address) DO UPDATE SET
+                lat = excluded.lat, lng = excluded.lng, formatted_address = excluded.formatted_address,
+                accuracy = excluded.accuracy, method = excluded.method, cached_at = excluded.cached_at`,
             [
                 address.toLowerCase(),
                 result.lat,
@@ -0,0 +1,376 @@
+// ======================================================================
+// HORIZONT-PLANUNG: ALLE OFFENEN TERMINE ÜBER MEHRERE WOCHEN
+// Statt jede Woche gierig mit den dringendsten Terminen aufzufüllen, werden
+// die flexiblen Termine zuerst nach Fristen, Geografie und Kapazität auf
+// Wochen verteilt (eine Woche ≈ ein Gebiet). Erst danach plant
+// IntelligentRoutePlanner die Tage jeder Woche. Nicht eingeplante Termine
+// gehen zurück in den Pool der Folgewochen.
+// ======================================================================
+
+const IntelligentRoutePlanner = require('./intelligent-route-planner-fixed');
+const { parseTimeWindows, isDateAllowed } = require('./time-windows');
+
+const PRIORITY_RANK = { 'hoch': 3, 'mittel': 2, 'niedrig': 1 };
+
+class HorizonPlanner {
+    /**
+     * @param {object} db - SQLite-Instanz
+     * @param {object} [plannerOptions] - wird an jeden Wochenplaner weitergereicht (Provider, dryRun, ...)
+     * @param {object} [options]
+     * @param {number} [options.maxWeeks] - Länge des Horizonts in Wochen (Default 52)
+     */
+    constructor(db, plannerOptions = {}, options = {}) {
+        this.db = db;
+        this.plannerOptions = plannerOptions;
+        // Über alle Wochen geteilt: jede Strecke wird nur einmal beim Routing-Provider angefragt
+        this.distanceCache = new Map();
+
+        this.settings = {
+            maxWeeks: options.maxWeeks || 52,
+            capacityFactor: 0.9,   // Schätzung ohne Pausen/Rundung: etwas Luft lassen, sonst fallen gerade dringende Termine heraus
+            maxAttempts: 3,        // so oft darf ein Termin einer Woche zugeteilt werden, ohne geplant zu werden
+            maxClusterKm: 150      // weiter entfernte Termine gehören zu einem anderen Gebiet (eigene Woche)
+        };
+    }
+
+    /**
+     * Termine über den Horizont verteilen und Woche für Woche planen.
+     * @returns {Promise<object>} weekResults[{week, planned, assigned, carriedOver, region, route}],
+     *          remainingAppointments, totalPlanned, assignments, unplanned, summary
+     */
+    async plan(appointments, startWeek, driverId = 1) {
+        const planner = this.createPlanner();
+        await planner.loadDriverProfile(driverId);
+        const weeks = this.buildWeeks(startWeek);
+
+        const fixed = appointments.filter(apt => this.isFixed(apt));
+        const flexible = appointments.filter(apt => !this.isFixed(apt) && apt.status !== 'abgesagt');
+
+        console.log(`🔭 HORIZONT-PLANUNG: ${flexible.length} flexible + ${fixed.length} fixe Termine über bis zu ${weeks.length} Wochen ab ${startWeek}`);
+
+        const geoFlexible = await planner.ensureGeocoding(flexible);
+        const geoFixed = await planner.ensureGeocoding(fixed);
+        const unplanned = [];
+
+        const geocodedIds = new Set(geoFlexible.map(apt => apt.id));
+        flexible.filter(apt => !geocodedIds.has(apt.id)).forEach(apt => {
+            unplanned.push(this.describeUnplanned(apt, 'missing_geocode', 'Termin hat keine Koordinaten'));
+        });
+
+        let pool = geoFlexible.map(apt => this.describeCandidate(planner, apt, weeks));
+        pool.filter(info => info.latestWeek < 0).forEach(info => {
+            unplanned.push(this.describeUnplanned(info.apt, 'no_allowed_week', 'Harte Zeitfenster schließen alle Wochen des Horizonts aus'));
+        });
+        pool = pool.filter(info => info.latestWeek >= 0);
+
+        const weekResults = [];
+        const assignments = [];
+        const plannedIds = new Set();
+        let totalPlanned = 0;
+
+        for (const [index, week] of weeks.entries()) {
+            const fixedThisWeek = geoFixed.filter(apt => apt.fixed_date >= week.start && apt.fixed_date <= week.end);
+            const fixedAhead = geoFixed.some(apt => apt.fixed_date > week.end);
+
+            // Fristen, die vor dieser Woche abgelaufen sind
+            pool.filter(info => info.latestWeek < index).forEach(info => {
+                unplanned.push(this.describeUnplanned(info.apt, 'deadline_missed',
+                    `Letzte erlaubte Woche ${weeks[info.latestWeek].start} ohne freien Platz verstrichen`));
+            });
+            pool = pool.filter(info => info.latestWeek >= index);
+
+            if (pool.length === 0 && fixedThisWeek.length === 0) {
+                if (!fixedAhead) break;
+                continue;
+            }
+
+            const { assigned, region } = this.assignWeek(planner, pool, index, week.start, fixedThisWeek);
+            if (assigned.length === 0 && fixedThisWeek.length === 0) continue;
+
+            console.log(`\n📅 Horizont-Woche ${index + 1} (${week.start}): ${assigned.length} Termine zugeteilt${region ? ` (Gebiet ${region})` : ''}, ${pool.length} im Pool`);
+
+            let route;
+            try {
+                const weekPlanner = this.createPlanner();
+                route = await weekPlanner.optimizeWeek([...fixedThisWeek, ...assigned.map(entry => entry.info.apt)], week.start, driverId);
+            } catch (error) {
+                console.error(`❌ Fehler bei Woche ${week.start}:`, error.message);
+                continue;
+            }
+
+            const plannedThisWeek = new Set();
+            route.days.forEach(day => {
+                day.appointments?.forEach(apt => {
+                    if (apt.id) plannedThisWeek.add(apt.id);
+                });
+            });
+            plannedThisWeek.forEach(id => plannedIds.add(id));
+
+            // Nicht eingeplante Termine gehen zurück in den Pool - mit der Begründung des Wochenplaners
+            const decisions = new Map(route.decisions.entries.map(decision => [decision.appointmentId, decision]));
+            let carriedOver = 0;
+            assigned.forEach(entry => {
+                entry.info.attempts++;
+                const planned = plannedThisWeek.has(entry.info.apt.id);
+                const decision = decisions.get(entry.info.apt.id);
+                assignments.push({
+                    ...entry.record,
+                    planned,
+                    plannerConstraint: planned || !decision ? null : decision.constraint,
+                    plannerReason: planned || !decision ? null : decision.reason
+                });
+                if (!planned) {
+                    carriedOver++;
+                    entry.info.lastDecision = decision || null;
+                }
+            });
+            pool = pool.filter(info => !plannedThisWeek.has(info.apt.id));
+
+            pool.filter(info => info.attempts >= this.settings.maxAttempts).forEach(info => {
+                unplanned.push(this.describeUnplanned(info.apt, 'not_plannable',
+                    `${info.attempts} Wochen zugeteilt, vom Wochenplaner aber nie eingeplant` +
+                    (info.lastDecision ? ` (zuletzt: ${info.lastDecision.reason})` : '')));
+            });
+            pool = pool.filter(info => info.attempts < this.settings.maxAttempts);
+
+            if (plannedThisWeek.size > 0) {
+                totalPlanned += route.stats.totalAppointments;
+                weekResults.push({
+                    week: week.start,
+                    planned: route.stats.totalAppointments,
+                    assigned: assigned.length,
+                    carriedOver,
+                    region,
+                    route
+                });
+                console.log(`✅ Woche ${week.start}: ${route.stats.totalAppointments} Termine geplant, ${carriedOver} zurück in den Pool`);
+            } else {
+                console.log(`⚠️ Woche ${week.start}: Keine Termine konnten geplant werden`);
+            }
+        }
+
+        pool.forEach(info => {
+            unplanned.push(this.describeUnplanned(info.apt, 'horizon_exhausted', `Kein Platz innerhalb von ${weeks.length} Wochen`));
+        });
+
+        const remainingAppointments = appointments.filter(apt => !plannedIds.has(apt.id));
+        const summary = HorizonPlanner.summarizeWeeks(weekResults);
+        console.log(`🔭 HORIZONT: ${totalPlanned} Termine in ${weekResults.length} Wochen, ${summary.totalKm} km, ${summary.hotelNights} Hotelnächte`);
+
+        return { weekResults, remainingAppointments, totalPlanned, assignments, unplanned, summary };
+    }
+
+    // ======================================================================
+    // ZUTEILUNG EINER WOCHE
+    // 1. Termine, deren letzte erlaubte Woche diese ist (Frist)
+    // 2. Anker: fixe Termine der Woche, sonst der dringendste Termin im Pool
+    // 3. Auffüllen mit dem jeweils nächstgelegenen Termin, bis die Woche voll ist
+    //    oder der nächste Termin außerhalb des Gebiets liegt
+    // ======================================================================
+    assignWeek(planner, pool, index, weekStart, fixedThisWeek) {
+        const c = planner.constraints;
+        const capacity = c.maxWorkHoursPerWeek * this.settings.capacityFactor;
+        const candidates = pool.filter(info => info.allowedWeeks.has(index)).sort((a, b) => this.compareUrgency(a, b));
+        const anchors = fixedThisWeek.map(apt => ({ lat: apt.lat, lng: apt.lng }));
+        const assigned = [];
+        const taken = new Set();
+        let load = fixedThisWeek.reduce((sum, apt) => sum + planner.durationOf(apt), 0);
+        let region = fixedThisWeek.length > 0 ? planner.getCityName(fixedThisWeek[0].address) : null;
+
+        // An- und Abreise der Woche: einmal hin ins Gebiet, Freitag zurück
+        const approachHours = point => 2 * this.travelHours(planner, c.homeBase, point);
+        if (anchors.length > 0) load += approachHours(anchors[0]);
+
+        const take = (info, reasonCode, reason, distanceKm) => {
+            taken.add(info);
+            anchors.push({ lat: info.apt.lat, lng: info.apt.lng });
+            assigned.push({
+                info,
+                record: {
+                    appointmentId: info.apt.id,
+                    customer: info.apt.customer,
+                    address: info.apt.address,
+                    week: weekStart,
+                    distanceKm: distanceKm === null ? null : Math.round(distanceKm),
+                    reasonCode,
+                    reason
+                }
+            });
+        };
+        const nearestAnchorKm = info => anchors.reduce(
+            (best, point) => Math.min(best, planner.haversineDistance(point.lat, point.lng, info.apt.lat, info.apt.lng)),
+            Infinity
+        );
+
+        // 1. Frist: letzte Chance für diesen Termin
+        for (const info of candidates) {
+            if (info.latestWeek !== index) continue;
+            const distanceKm = anchors.length > 0 ? nearestAnchorKm(info) : null;
+            const cost = info.duration + (distanceKm === null ? approachHours(info.apt) : this.kmToHours(distanceKm));
+            if (load + cost > capacity) continue;
+            load += cost;
+            take(info, 'deadline', 'Letzte erlaubte Woche laut Zeitfenster', distanceKm);
+            if (!region) region = planner.getCityName(info.apt.address);
+        }
+
+        // 2. Anker: ohne fixe Termine/Fristen bestimmt der dringendste Termin das Gebiet der Woche
+        if (anchors.length === 0) {
+            const seed = candidates.find(info => !taken.has(info));
+            if (!seed) return { assigned, region };
+            load += seed.duration + approachHours(seed.apt);
+            take(seed, 'seed', `Dringendster Termin, bestimmt das Gebiet der Woche (${Math.round(seed.homeDistanceKm)} km von der Basis)`, null);
+            region = planner.getCityName(seed.apt.address);
+        }
+
+        // 3. Auffüllen: immer der Termin, der am nächsten an einem bereits zugeteilten liegt
+        for (;;) {
+            let best = null;
+            let bestKm = Infinity;
+            for (const info of candidates) {
+                if (taken.has(info)) continue;
+                const km = nearestAnchorKm(info);
+                if (km < bestKm) {
+                    best = info;
+                    bestKm = km;
+                }
+            }
+            if (!best || bestKm > this.settings.maxClusterKm) break;
+
+            const cost = best.duration + this.kmToHours(bestKm);
+            if (load + cost > capacity) break;
+            load += cost;
+            take(best, 'cluster', `${Math.round(bestKm)} km vom Gebiet ${region}`, bestKm);
+        }
+
+        return { assigned, region };
+    }
+
+    // Fristen zuerst, dann bereits liegengebliebene und bestätigte Termine, dann älteste Leads und Priorität
+    compareUrgency(a, b) {
+        if (a.latestWeek !== b.latestWeek) return a.latestWeek - b.latestWeek;
+        if (a.attempts !== b.attempts) return b.attempts - a.attempts;
+        const aConfirmed = a.apt.status === 'bestätigt';
+        const bConfirmed = b.apt.status === 'bestätigt';
+        if (aConfirmed !== bConfirmed) return aConfirmed ? -1 : 1;
+        if ((b.apt.pipeline_days || 0) !== (a.apt.pipeline_days || 0)) {
+            return (b.apt.pipeline_days || 0) - (a.apt.pipeline_days || 0);
+        }
+        return (PRIORITY_RANK[b.apt.priority] || 0) - (PRIORITY_RANK[a.apt.priority] || 0);
+    }
+
+    // ======================================================================
+    // AUSWERTUNG ÜBER ALLE WOCHEN (auch für die wochenweise Planung nutzbar)
+    // ======================================================================
+    static summarizeWeeks(weekResults) {
+        const perWeek = weekResults.map(result => {
+            const days = result.route.days || [];
+            const km = days.reduce((sum, day) =>
+                sum + (day.travelSegments || []).reduce((s, segment) => s + (segment.distance || 0), 0), 0);
+            return {
+                week: result.week,
+                planned: result.planned,
+                region: result.region || null,
+                km: Math.round(km),
+                hotelNights: days.filter(day => day.overnight).length,
+                travelHours: Math.round((result.route.stats?.totalTravelTime || 0) * 10) / 10,
+                workHours: Math.round((result.route.stats?.totalWorkTime || 0) * 10) / 10
+            };
+        });
+
+        const sum = key => perWeek.reduce((total, week) => total + week[key], 0);
+        return {
+            weeks: perWeek.length,
+            appointments: sum('planned'),
+            totalKm: sum('km'),
+            hotelNights: sum('hotelNights'),
+            travelHours: Math.round(sum('travelHours') * 10) / 10,
+            workHours: Math.round(sum('workHours') * 10) / 10,
+            perWeek
+        };
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    createPlanner() {
+        const planner = new IntelligentRoutePlanner(this.db, this.plannerOptions);
+        planner.distanceCache = this.distanceCache;
+        return planner;
+    }
+
+    buildWeeks(startWeek) {
+        const weeks = [];
+        for (let i = 0; i < this.settings.maxWeeks; i++) {
+            const start = new Date(`${startWeek}T12:00:00Z`);
+            start.setUTCDate(start.getUTCDate() + i * 7);
+            const end = new Date(start);
+            end.setUTCDate(end.getUTCDate() + 4);
+            weeks.push({ start: this.isoDate(start), end: this.isoDate(end) });
+        }
+        return weeks;
+    }
+
+    // Erlaubte Wochen laut harten Zeitfenstern; latestWeek = Frist innerhalb des Horizonts (-1 = keine)
+    describeCandidate(planner, apt, weeks) {
+        const rules = parseTimeWindows(apt);
+        const duration = planner.durationOf(apt);
+        const allowedWeeks = new Set();
+
+        weeks.forEach((week, index) => {
+            if (rules.length === 0) {
+                allowedWeeks.add(index);
+                return;
+            }
+            for (let offset = 0; offset < 5; offset++) {
+                const date = new Date(`${week.start}T12:00:00Z`);
+                date.setUTCDate(date.getUTCDate() + offset);
+                const iso = this.isoDate(date);
+                const { start, end } = planner.windowDayBounds(iso);
+                if (isDateAllowed(rules, iso, start, end, duration)) {
+                    allowedWeeks.add(index);
+                    return;
+                }
+            }
+        });
+
+        const home = planner.constraints.homeBase;
+        return {
+            apt,
+            duration,
+            allowedWeeks,
+            latestWeek: allowedWeeks.size > 0 ? Math.max(...allowedWeeks) : -1,
+            homeDistanceKm: planner.haversineDistance(home.lat, home.lng, apt.lat, apt.lng),
+            attempts: 0,
+            lastDecision: null
+        };
+    }
+
+    describeUnplanned(apt, reasonCode, reason) {
+        return {
+            appointmentId: apt.id,
+            customer: apt.customer,
+            address: apt.address,
+            reasonCode,
+            reason
+        };
+    }
+
+    // Straßenkilometer ≈ Luftlinie × 1,2 bei ~75 km/h
+    kmToHours(km) {
+        return km * 1.2 / 75;
+    }
+
+    travelHours(planner, from, to) {
+        return this.kmToHours(planner.haversineDistance(from.lat, from.lng, to.lat, to.lng));
+    }
+
+    isFixed(apt) {
+        return (apt.is_fixed === 1 || apt.is_fixed === '1' || apt.is_fixed === true) && !!apt.fixed_date;
+    }
+
+    isoDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+}
+
+module.exports = HorizonPlanner;
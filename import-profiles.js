@@ -0,0 +1,362 @@
+// ======================================================================
+// IMPORT-PROFILE: WELCHE CSV-SPALTE FÜLLT WELCHES TERMIN-FELD?
+// Der Calendly-Export (deutsche Spaltennamen) ist das eingebaute Profil
+// "calendly-de". Exporte aus anderen Systemen (CRM) bekommen ein eigenes,
+// gespeichertes Profil mit Spalten-Zuordnung, Datumsformat und On-Hold-Regel.
+// Für unbekannte Dateien schlägt suggestMapping() eine Zuordnung vor.
+// ======================================================================
+
+// Termin-Felder, die ein Profil befüllen kann
+const MAPPING_FIELDS = {
+    customer:         { label: 'Name (Testimonial-Person)', required: true },
+    address:          { label: 'Adresse (komplett)' },
+    street:           { label: 'Straße & Hausnummer' },
+    postal_code:      { label: 'PLZ' },
+    city:             { label: 'Ort' },
+    country:          { label: 'Land' },
+    start:            { label: 'Start (Datum + Zeit)' },
+    start_date:       { label: 'Startdatum (separate Spalte)' },
+    start_time:       { label: 'Startzeit (separate Spalte)' },
+    end:              { label: 'Ende (Datum + Zeit)' },
+    company:          { label: 'Firma der Person' },
+    customer_company: { label: 'Unser Kunde' },
+    notes:            { label: 'Notiz' },
+    external_id:      { label: 'Stabile Zeilen-ID' },
+    on_hold:          { label: 'On Hold' },
+    lead_created:     { label: 'Lead erstellt am (Datum)' },
+    duration:         { label: 'Dauer (Stunden oder Minuten)' }
+};
+
+const DATE_FORMATS = ['auto', 'DD.MM.YYYY HH:mm', 'DD/MM/YYYY HH:mm', 'MM/DD/YYYY HH:mm', 'YYYY-MM-DD HH:mm', 'DD.MM.YY HH:mm'];
+
+// non_empty: jeder Wert bedeutet On Hold (Calendly-Export)
+// values:    nur die aufgeführten Werte (z.B. "ja", "x") - alles andere ist aktiv
+const ON_HOLD_MODES = ['non_empty', 'values', 'never'];
+
+const DEFAULT_PROFILE = {
+    id: 'calendly-de',
+    name: 'Calendly-Export (Standard)',
+    description: 'Eingebautes Profil für den deutschen Calendly-Export',
+    builtin: true,
+    mapping: {
+        customer: 'Invitee Name',
+        address: 'Adresse',
+        street: 'Straße & Hausnr.',
+        postal_code: 'PLZ',
+        city: 'Ort',
+        country: 'Land',
+        start: 'Start Date & Time',
+        end: 'End Date & Time',
+        company: 'Company',
+        customer_company: 'Customer Company',
+        notes: 'Notiz',
+        external_id: ['ID', 'Id', 'Termin-ID', 'Event ID', 'Invitee UUID', 'Event UUID', 'External ID'],
+        on_hold: 'On Hold',
+        lead_created: ['Lead erstellt am', 'Invitee Created At', 'Created At'],
+        duration: ['Dauer (h)', 'Dauer', 'Duration']
+    },
+    date_format: 'auto',
+    on_hold_rule: { mode: 'non_empty', values: [] }
+};
+
+// Bekannte Spaltennamen (normalisiert) je Feld - für den Zuordnungs-Vorschlag
+const FIELD_SYNONYMS = {
+    customer: ['invitee name', 'name', 'kunde', 'kontakt', 'contact', 'contact name', 'full name', 'ansprechpartner', 'person', 'teilnehmer'],
+    address: ['adresse', 'address', 'anschrift', 'full address', 'lieferadresse', 'standort'],
+    street: ['strasse hausnr', 'strasse', 'street', 'street address', 'strasse und hausnummer', 'address line 1'],
+    postal_code: ['plz', 'postleitzahl', 'zip', 'zip code', 'postal code', 'postcode'],
+    city: ['ort', 'stadt', 'city', 'town', 'wohnort'],
+    country: ['land', 'country'],
+    start: ['start date time', 'start', 'start time', 'termin', 'datum uhrzeit', 'appointment', 'event start', 'beginn'],
+    start_date: ['datum', 'date', 'start date', 'termin datum', 'drehtag'],
+    start_time: ['uhrzeit', 'zeit', 'time', 'termin uhrzeit'],
+    end: ['end date time', 'end', 'ende', 'end time', 'event end'],
+    company: ['company', 'firma', 'unternehmen', 'organisation', 'organization', 'account'],
+    customer_company: ['customer company', 'auftraggeber', 'kunde firma', 'client', 'mandant', 'projekt'],
+    notes: ['notiz', 'notizen', 'notes', 'note', 'bemerkung', 'kommentar', 'comment'],
+    external_id: ['id', 'termin id', 'event id', 'invitee uuid', 'event uuid', 'external id', 'crm id', 'record id', 'deal id'],
+    on_hold: ['on hold', 'hold', 'pausiert', 'gesperrt', 'zurueckgestellt', 'status hold'],
+    lead_created: ['lead erstellt am', 'lead erstellt', 'lead created', 'invitee created at', 'created at', 'created',
+        'erstellt am', 'angelegt am', 'anlagedatum', 'anfrage am', 'eingang'],
+    duration: ['dauer h', 'dauer', 'duration', 'laenge', 'stunden', 'dauer min', 'event duration']
+};
+
+class ImportProfileService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ======================================================================
+    // PROFILE VERWALTEN
+    // ======================================================================
+    async listProfiles() {
+        const rows = await this.all("SELECT * FROM import_profiles ORDER BY name");
+        return [DEFAULT_PROFILE, ...rows.map(row => this.toProfile(row))];
+    }
+
+    async getProfile(id) {
+        if (id === undefined || id === null || id === '' || id === DEFAULT_PROFILE.id) return DEFAULT_PROFILE;
+        const row = await this.get("SELECT * FROM import_profiles WHERE id = ?", [id]);
+        return row ? this.toProfile(row) : null;
+    }
+
+    validateProfile(input, { requireAll = false } = {}) {
+        const errors = [];
+
+        if (requireAll || input.name !== undefined) {
+            if (!input.name || !String(input.name).trim()) errors.push('name ist erforderlich');
+        }
+
+        if (requireAll || input.mapping !== undefined) {
+            const mapping = input.mapping;
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                errors.push('mapping muss ein Objekt { feld: "Spalte" } sein');
+            } else {
+                Object.entries(mapping).forEach(([field, column]) => {
+                    if (!MAPPING_FIELDS[field]) {
+                        errors.push(`mapping.${field}: unbekanntes Feld (erlaubt: ${Object.keys(MAPPING_FIELDS).join(', ')})`);
+                    } else if (column !== null && typeof column !== 'string' &&
+                        !(Array.isArray(column) && column.every(c => typeof c === 'string'))) {
+                        errors.push(`mapping.${field}: Spaltenname (Text) oder Liste von Spaltennamen erwartet`);
+                    }
+                });
+                if (!mapping.customer) errors.push('mapping.customer ist erforderlich');
+                if (!mapping.address && !mapping.street && !mapping.city && !mapping.postal_code) {
+                    errors.push('mapping braucht address oder street/postal_code/city');
+                }
+                if (mapping.start_time && !mapping.start_date) {
+                    errors.push('mapping.start_time nur zusammen mit mapping.start_date');
+                }
+            }
+        }
+
+        if (input.date_format !== undefined && !DATE_FORMATS.includes(input.date_format)) {
+            errors.push(`date_format: erlaubt sind ${DATE_FORMATS.join(', ')}`);
+        }
+
+        if (input.on_hold_rule !== undefined && input.on_hold_rule !== null) {
+            const rule = input.on_hold_rule;
+            if (typeof rule !== 'object' || !ON_HOLD_MODES.includes(rule.mode)) {
+                errors.push(`on_hold_rule.mode: erlaubt sind ${ON_HOLD_MODES.join(', ')}`);
+            } else if (rule.mode === 'values' && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+                errors.push('on_hold_rule.values: Liste der Werte für "On Hold" erforderlich');
+            }
+        }
+
+        return errors;
+    }
+
+    async createProfile(input, createdBy = null) {
+        const result = await this.run(
+            `INSERT INTO import_profiles (name, description, mapping, date_format, on_hold_rule, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                String(input.name).trim(),
+                input.description || null,
+                JSON.stringify(this.cleanMapping(input.mapping)),
+                input.date_format || 'auto',
+                JSON.stringify(input.on_hold_rule || DEFAULT_PROFILE.on_hold_rule),
+                createdBy
+            ]
+        );
+        return this.getProfile(result.lastID);
+    }
+
+    async updateProfile(id, changes) {
+        const fields = [];
+        const params = [];
+
+        if (changes.name !== undefined) { fields.push('name = ?'); params.push(String(changes.name).trim()); }
+        if (changes.description !== undefined) { fields.push('description = ?'); params.push(changes.description); }
+        if (changes.mapping !== undefined) { fields.push('mapping = ?'); params.push(JSON.stringify(this.cleanMapping(changes.mapping))); }
+        if (changes.date_format !== undefined) { fields.push('date_format = ?'); params.push(changes.date_format); }
+        if (changes.on_hold_rule !== undefined) { fields.push('on_hold_rule = ?'); params.push(JSON.stringify(changes.on_hold_rule || DEFAULT_PROFILE.on_hold_rule)); }
+        if (fields.length === 0) return this.getProfile(id);
+
+        await this.run(
+            `UPDATE import_profiles SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, id]
+        );
+        return this.getProfile(id);
+    }
+
+    async deleteProfile(id) {
+        const result = await this.run("DELETE FROM import_profiles WHERE id = ?", [id]);
+        return result.changes > 0;
+    }
+
+    // Leere Zuordnungen entfernen, damit "nicht gemappt" eindeutig ist
+    cleanMapping(mapping) {
+        return Object.fromEntries(Object.entries(mapping || {})
+            .filter(([, column]) => column !== null && column !== '' && !(Array.isArray(column) && column.length === 0)));
+    }
+
+    toProfile(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            builtin: false,
+            mapping: JSON.parse(row.mapping),
+            date_format: row.date_format || 'auto',
+            on_hold_rule: row.on_hold_rule ? JSON.parse(row.on_hold_rule) : DEFAULT_PROFILE.on_hold_rule,
+            created_by: row.created_by,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    // ======================================================================
+    // PROFIL AUF DATEI ANWENDEN
+    // ======================================================================
+    // Zugeordnete Spalten, die in der Datei fehlen (nur Einzelspalten, keine Listen)
+    findMissingColumns(profile, headers = []) {
+        const present = new Set(headers);
+        return Object.entries(profile.mapping)
+            .filter(([, column]) => typeof column === 'string' && !present.has(column))
+            .map(([field, column]) => ({ field, column, required: !!MAPPING_FIELDS[field]?.required }));
+    }
+
+    // Passt das Profil zur Datei? Pflichtspalte + mindestens eine Adress-Spalte
+    matchesHeaders(profile, headers = []) {
+        const present = new Set(headers);
+        const has = column => Array.isArray(column) ? column.some(c => present.has(c)) : present.has(column);
+        const m = profile.mapping;
+        return has(m.customer) && ['address', 'street', 'postal_code', 'city'].some(field => m[field] && has(m[field]));
+    }
+
+    // ======================================================================
+    // ZUORDNUNG VORSCHLAGEN
+    // ======================================================================
+    /**
+     * @param {string[]} headers - Spaltennamen der Datei
+     * @param {Array<object>} sampleRows - einige Zeilen für die Datumsformat-Erkennung
+     * @returns {{ mapping, confidence, date_format, unmapped_columns, missing_required }}
+     */
+    suggestMapping(headers = [], sampleRows = []) {
+        const mapping = {};
+        const confidence = {};
+        const used = new Set();
+
+        // Erst exakte Treffer für alle Felder, dann Teiltreffer - so klaut "Start" nicht "Start Date"
+        const candidates = [];
+        headers.forEach(header => {
+            const normalized = this.normalizeHeader(header);
+            Object.entries(FIELD_SYNONYMS).forEach(([field, synonyms]) => {
+                synonyms.forEach((synonym, rank) => {
+                    let score = 0;
+                    if (normalized === synonym) score = 1 - rank * 0.01;
+                    else if (synonym.length >= 3 && (` ${normalized} `).includes(` ${synonym} `)) score = 0.6 - rank * 0.01;
+                    if (score > 0) candidates.push({ field, header, score });
+                });
+            });
+        });
+
+        candidates
+            .sort((a, b) => b.score - a.score)
+            .forEach(({ field, header, score }) => {
+                if (mapping[field] || used.has(header)) return;
+                mapping[field] = header;
+                confidence[field] = Math.round(score * 100) / 100;
+                used.add(header);
+            });
+
+        // Kombinierte Start-Spalte schlägt getrennte Datum/Zeit-Spalten
+        if (mapping.start) {
+            ['start_date', 'start_time'].forEach(field => {
+                if (mapping[field]) {
+                    used.delete(mapping[field]);
+                    delete mapping[field];
+                    delete confidence[field];
+                }
+            });
+        } else if (mapping.start_time && !mapping.start_date) {
+            used.delete(mapping.start_time);
+            delete mapping.start_time;
+            delete confidence.start_time;
+        }
+
+        const startColumn = mapping.start || mapping.start_date;
+        const samples = startColumn
+            ? sampleRows.map(row => mapping.start_date && mapping.start_time
+                ? `${row[mapping.start_date] || ''} ${row[mapping.start_time] || ''}`.trim()
+                : (row[startColumn] || '').trim()).filter(Boolean)
+            : [];
+
+        return {
+            mapping,
+            confidence,
+            date_format: this.detectDateFormat(samples),
+            on_hold_rule: mapping.on_hold ? this.suggestOnHoldRule(sampleRows.map(row => row[mapping.on_hold])) : DEFAULT_PROFILE.on_hold_rule,
+            unmapped_columns: headers.filter(header => !used.has(header)),
+            missing_required: Object.keys(MAPPING_FIELDS).filter(field => MAPPING_FIELDS[field].required && !mapping[field])
+        };
+    }
+
+    detectDateFormat(samples) {
+        if (samples.length === 0) return 'auto';
+
+        if (samples.every(v => /^\d{4}-\d{1,2}-\d{1,2}/.test(v))) return 'YYYY-MM-DD HH:mm';
+        if (samples.every(v => /^\d{1,2}\.\d{1,2}\.\d{4}/.test(v))) return 'DD.MM.YYYY HH:mm';
+        if (samples.every(v => /^\d{1,2}\.\d{1,2}\.\d{2}\b/.test(v))) return 'DD.MM.YY HH:mm';
+
+        if (samples.every(v => /^\d{1,2}\/\d{1,2}\/\d{4}/.test(v))) {
+            // Erster Teil > 12 => Tag zuerst; zweiter Teil > 12 => Monat zuerst
+            const parts = samples.map(v => v.split('/').map(n => parseInt(n, 10)));
+            if (parts.some(([first]) => first > 12)) return 'DD/MM/YYYY HH:mm';
+            if (parts.some(([, second]) => second > 12)) return 'MM/DD/YYYY HH:mm';
+            return 'DD/MM/YYYY HH:mm';
+        }
+        return 'auto';
+    }
+
+    // Wenige immer gleiche Werte ("ja"/"nein") => nur "ja"-Werte zählen als On Hold
+    suggestOnHoldRule(values) {
+        const filled = values.map(v => String(v || '').trim().toLowerCase()).filter(Boolean);
+        const negatives = ['nein', 'no', 'false', '0', 'n', '-'];
+        if (filled.some(v => negatives.includes(v))) {
+            const positives = [...new Set(filled.filter(v => !negatives.includes(v)))];
+            return { mode: 'values', values: positives.length > 0 ? positives : ['ja', 'yes', 'true', '1', 'x'] };
+        }
+        return DEFAULT_PROFILE.on_hold_rule;
+    }
+
+    normalizeHeader(header) {
+        return String(header || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+ImportProfileService.DEFAULT_PROFILE = DEFAULT_PROFILE;
+ImportProfileService.MAPPING_FIELDS = MAPPING_FIELDS;
+ImportProfileService.DATE_FORMATS = DATE_FORMATS;
+ImportProfileService.ON_HOLD_MODES = ON_HOLD_MODES;
+
+module.exports = ImportProfileService;
@@ -1,4 +1,8 @@
-const axios = require('axios');
+const { createRoutingProvider } = require('./routing-provider');
+const { createGeocodingProvider } = require('./geocoding-provider');
+const { parseTimeWindows, evaluateTimeWindows, allowedRanges, isDateAllowed, describeRule } = require('./time-windows');
+const RouteLocalSearch = require('./route-local-search');
+const DecisionLog = require('./decision-log');
 
 /**
  * Intelligente Wochen- und Tagesplanung nach euren Regeln:
@@ -6,37 +10,126 @@ const axios = require('axios');
  * - Start täglich 08:30, Fahrzeit zählt als Arbeitszeit
  * - Pausen: >6h = 30 Min, >9h = +30 Min (insgesamt 60 Min), in 30-Minuten-Blöcken
  * - Termine nur zu :00 oder :30
- * - Freitag: Rückkehr nach Hannover bis 17:00 zwingend
+ * - Freitag: Rückkehr zur Basis des Fahrers (Default Hannover) bis 17:00 zwingend
+ * - Start, Tages-/Wochenlimit, Übernachtungsschwelle und Freitags-Rückkehr
+ *   können pro Fahrer in der drivers-Tabelle überschrieben werden
  * - Übernachtungen Mo–Do erlaubt und gewünscht, inkl. Vorpositionierung
- * - Google Distance Matrix mit starkem Caching, Fallback auf Haversine
+ * - Distanzen über den konfigurierten Routing-Provider (Google/OSRM/Haversine)
+ *   mit starkem Caching, Fallback auf Haversine
+ * - Zeitfenster flexibler Termine (time-windows.js): harte werden eingehalten,
+ *   weiche bevorzugt; Verletzungen (z.B. durch fixe Termine) stehen im Ergebnis
+ * - Nach der gierigen Tagesplanung: lokale Suche über die Woche
+ *   (route-local-search.js) mit Zeitlimit und Bericht im Ergebnis
+ * - Entscheidungsprotokoll pro Termin (decision-log.js): eingeplant,
+ *   verschoben oder abgelehnt, mit entscheidender Regel und geprüften Varianten
  */
 class IntelligentRoutePlanner {
-  constructor(db) {
+  /**
+   * @param {object} db - SQLite-Instanz
+   * @param {object} [options]
+   * @param {{lat:number,lng:number,name:string}} [options.homeBase] - Basis des Fahrers (Default: Hannover)
+   * @param {object} [options.routingProvider] - Default: createRoutingProvider() (ROUTING_PROVIDER)
+   * @param {object} [options.geocodingProvider] - Default: createGeocodingProvider() (GEOCODING_PROVIDER)
+   * @param {boolean} [options.dryRun] - Caches nur lesen, nichts schreiben (z.B. für Kostenprognosen)
+   * @param {object} [options.localSearch] - { timeLimitMs } für die Verbesserungsphase, 0 = aus
+   */
+  constructor(db, options = {}) {
     this.db = db;
-    this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    this.routingProvider = options.routingProvider || createRoutingProvider();
+    this.geocodingProvider = options.geocodingProvider || createGeocodingProvider({ db });
     this.distanceCache = new Map();
     this.apiCallsCount = 0;
+    this.dryRun = !!options.dryRun;
+    // Tagesbudget erschöpft => für den Rest des Laufs nur noch Schätzungen, keine weiteren API-Versuche
+    this.budgetExhausted = { routing: false, geocoding: false };
+    // Zeitfenster je Termin-ID + Bericht
+    this.timeWindowRules = new Map();
+    this.timeWindowViolations = [];
+    this.timeWindowBlocked = [];
+    this.localSearchOptions = options.localSearch || {};
+    this.localSearchReport = null;
+    this.decisions = new DecisionLog();
 
     this.constraints = {
       maxWorkHoursPerWeek: 40,    // ZURÜCK ZUM ORIGINAL: 40h pro Woche
       maxWorkHoursPerDay: 10,     // ZURÜCK ZUM ORIGINAL: 10h pro Tag 
       workStartTime: 8.5,         // 08:30
-      appointmentDuration: 3,     // 3h pro Dreh
-      homeBase: { lat: 52.3759, lng: 9.7320, name: 'Hannover' },
+      appointmentDuration: 3,     // Standard, falls der Termin keine eigene Dauer (appointments.duration) hat
+      homeBase: options.homeBase || { lat: 52.3759, lng: 9.7320, name: 'Hannover' },
       
       // EINFACHE PUFFER-REGEL - Nutze Google Maps Zeit + kleiner Puffer
       maxSingleTravelHours: 9,    // NEU: Maximale Fahrtzeit zwischen zwei Orten
-      overnightThresholdKm: 120   // Heimfahrt vermeiden, wenn >120 km
+      overnightThresholdKm: 120,  // Heimfahrt vermeiden, wenn >120 km
+      fridayReturnTime: 17        // Freitag spätestens 17:00 zurück an der Basis
     };
   }
 
+  // -------------------------------------------------------------------
+  // Fahrer-Profil (Basis + Arbeitszeiten) aus der drivers-Tabelle
+  // -------------------------------------------------------------------
+  async loadDriverProfile(driverId) {
+    if (!this.db || !driverId) return null;
+
+    const driver = await new Promise((resolve) => {
+      this.db.get('SELECT * FROM drivers WHERE id = ?', [driverId], (err, row) => {
+        if (err) {
+          console.warn(`⚠️ Fahrer-Profil ${driverId} nicht ladbar: ${err.message}`);
+          resolve(null);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+
+    if (driver) this.applyDriverProfile(driver);
+    return driver;
+  }
+
+  applyDriverProfile(driver) {
+    const c = this.constraints;
+
+    if (driver.home_lat != null && driver.home_lng != null) {
+      c.homeBase = {
+        lat: driver.home_lat,
+        lng: driver.home_lng,
+        name: driver.home_base ? this.getCityName(driver.home_base) : c.homeBase.name
+      };
+    }
+    if (driver.start_time) c.workStartTime = this.timeToHours(driver.start_time);
+    if (driver.max_hours_per_day != null) c.maxWorkHoursPerDay = Number(driver.max_hours_per_day);
+    if (driver.max_hours_per_week != null) c.maxWorkHoursPerWeek = Number(driver.max_hours_per_week);
+    if (driver.overnight_threshold_km != null) c.overnightThresholdKm = Number(driver.overnight_threshold_km);
+    if (driver.friday_return_time) c.fridayReturnTime = this.timeToHours(driver.friday_return_time);
+
+    console.log(`👤 Profil ${driver.name}: Start ${this.hoursToTime(c.workStartTime)}, ${c.maxWorkHoursPerDay}h/Tag, ${c.maxWorkHoursPerWeek}h/Woche, Fr bis ${this.hoursToTime(c.fridayReturnTime)}`);
+  }
+
   // -------------------------------------------------------------------
   // Öffentliche Hauptfunktion
   // -------------------------------------------------------------------
   async optimizeWeek(appointments, weekStart, driverId) {
-    console.log(`🚀 OPTIMIERE WOCHE: ${weekStart}`);
+    this.driverId = driverId || 1;
+    await this.loadDriverProfile(this.driverId);
+    console.log(`🚀 OPTIMIERE WOCHE: ${weekStart} (Fahrer ${this.driverId}, Basis ${this.constraints.homeBase.name})`);
+    this.decisions = new DecisionLog();
+    appointments.forEach(apt => this.decisions.track(apt));
     const geoAppointments = await this.ensureGeocoding(appointments);
     console.log(`📊 EINGABE: ${appointments.length} Termine, ${geoAppointments.length} geocoded`);
+
+    const geocodedIds = new Set(geoAppointments.map(apt => apt.id));
+    appointments.filter(apt => !geocodedIds.has(apt.id)).forEach(apt => {
+      if (this.budgetExhausted.geocoding) {
+        this.decisions.reject(apt, null, 'api_budget', 'Geocoding wegen erschöpftem Tagesbudget übersprungen');
+      } else {
+        this.decisions.reject(apt, null, 'missing_geocode', `Adresse "${apt.address}" nicht gefunden (${this.geocodingProvider.name})`);
+      }
+    });
+
+    this.timeWindowRules = new Map(geoAppointments.map(apt => [apt.id, parseTimeWindows(apt)]));
+    this.timeWindowViolations = [];
+    this.timeWindowBlocked = [];
+    const withWindows = [...this.timeWindowRules.values()].filter(rules => rules.length > 0).length;
+    if (withWindows > 0) console.log(`🕒 ${withWindows} Termine mit Zeitfenstern`);
     
     const { regions, fixedAppointments } = this.clusterByRegion(geoAppointments);
     console.log(`🏛️ CLUSTERING ERGEBNIS: ${fixedAppointments.length} fixe Termine gefunden`);
@@ -60,6 +153,7 @@ class IntelligentRoutePlanner {
     const regionOrder = this.sortRegionsByDistance(regions);
     let previousOvernight = null;
     let weekHours = 0;
+    const dayRegions = [];
 
     for (let dayIdx = 0; dayIdx < 5; dayIdx++) {
       const day = week[dayIdx];
@@ -72,6 +166,11 @@ class IntelligentRoutePlanner {
       
       if (weekHours >= this.constraints.maxWorkHoursPerWeek) {
         console.log(`⚠️ WOCHENLIMIT ERREICHT: ${weekHours.toFixed(1)}h von ${this.constraints.maxWorkHoursPerWeek}h - STOPPE Planung`);
+        const placedIds = new Set(week.flatMap(d => d.appointments.map(a => a.id)));
+        Object.values(regions).flatMap(r => r.appointments).filter(apt => !placedIds.has(apt.id)).forEach(apt => {
+          this.decisions.reject(apt, day, 'weekly_hours',
+            `${weekHours.toFixed(1)}h von ${this.constraints.maxWorkHoursPerWeek}h erreicht - ab ${day.day} keine weitere Planung`);
+        });
         break;
       }
 
@@ -125,6 +224,12 @@ class IntelligentRoutePlanner {
         bucket = regions[regionName]?.appointments || [];
       }
 
+      bucket.filter(apt => !this.isDayAllowedFor(apt, day.date)).forEach(apt => {
+        this.decisions.reject(apt, day, 'time_window',
+          `Harte Zeitfenster schließen ${day.day} aus (${this.windowRulesFor(apt).filter(r => r.type === 'hard').map(describeRule).join('; ')})`);
+      });
+      dayRegions.push(`${day.day}: ${regionName}`);
+
       // Flexible Slots des Tages ermitteln (Lücken neben FIX-Terminen)
       const flexibleCandidates = this.pickFlexibleForDay(day.date, bucket, 15, day.appointments); // Erhöht auf 15 Kandidaten pro Tag
       console.log(`📅 TAG ${day.day}: ${flexibleCandidates.length} flexible Kandidaten aus Region ${regionName}, ${bucket.length} verfügbar`);
@@ -141,6 +246,45 @@ class IntelligentRoutePlanner {
       weekHours += (day.totalHours || 0);
     }
 
+    // Verbesserungsphase: Greedy-Woche per lokaler Suche umbauen (inkl. Einfügen übrig gebliebener Termine)
+    const greedyPlannedIds = new Set(week.flatMap(d => d.appointments.map(a => a.id)));
+    const unplanned = geoAppointments.filter(apt => !fixedAppointments.includes(apt) && !greedyPlannedIds.has(apt.id));
+
+    // Nie geprüft: die Region des Termins war an keinem Tag dran
+    const regionOf = new Map(Object.entries(regions).flatMap(([name, data]) => data.appointments.map(apt => [apt.id, name])));
+    unplanned.filter(apt => this.decisions.track(apt).alternatives.length === 0).forEach(apt => {
+      this.decisions.reject(apt, null, 'region_not_visited',
+        `Region ${regionOf.get(apt.id) || '?'} nicht angefahren (${dayRegions.join(', ') || 'keine offenen Tage'})`);
+    });
+
+    this.localSearchReport = await new RouteLocalSearch(this, this.localSearchOptions).improve(week, unplanned);
+    if (this.localSearchReport.enabled) {
+      const stillOpen = new Set(week.flatMap(d => d.appointments.map(a => a.id)));
+      unplanned.filter(apt => !stillOpen.has(apt.id)).forEach(apt => {
+        this.decisions.reject(apt, null, 'local_search', 'Lokale Suche fand keine zulässige Einfügeposition');
+      });
+    }
+
+    // Ungeplante flexible Termine mit harten Zeitfenstern: Woche ganz gesperrt oder
+    // an den erlaubten Tagen keine passende Tour
+    const plannedIds = new Set(week.flatMap(d => d.appointments.map(a => a.id)));
+    const openDays = week.filter(d => !d.isPastDay);
+    this.timeWindowBlocked = geoAppointments
+      .filter(apt => !fixedAppointments.includes(apt) && !plannedIds.has(apt.id))
+      .filter(apt => this.windowRulesFor(apt).some(rule => rule.type === 'hard'))
+      .map(apt => {
+        const allowedDates = openDays.filter(d => this.isDayAllowedFor(apt, d.date)).map(d => d.date);
+        return {
+          id: apt.id,
+          customer: apt.customer,
+          reason: allowedDates.length === 0
+            ? 'Harte Zeitfenster schließen alle offenen Tage dieser Woche aus'
+            : 'An den erlaubten Tagen keine passende Tour',
+          allowedDates,
+          windows: this.windowRulesFor(apt).map(describeRule)
+        };
+      });
+
     return this.formatWeekResult(week, weekStart);
   }
 
@@ -171,6 +315,7 @@ class IntelligentRoutePlanner {
           this.placeAppointment(day, apt, slot.start);
           this.placeTravelIfNeeded(day, slot.travelFrom);
           planned.push(apt);
+          this.decisions.place(apt, day, 'gap_fill', `${this.hoursToTime(slot.start)} in einer Lücke neben den fixen Terminen`);
         }
         // Pausen nachziehen
         this.ensureBreaks(day);
@@ -184,30 +329,50 @@ class IntelligentRoutePlanner {
         return da - db;
       });
 
-      const first = pending.shift();
-      if (first) {
+      // Nächster Termin, der heute (Zeitfenster, Dauer) noch passt; die anderen bleiben für Folgetage
+      const dayEnd = this.windowDayBounds(day.date).end;
+      while (day.appointments.length === 0 && pending.length) {
+        const first = pending.shift();
+        if (this.earliestWindowStart(first, day.date, this.constraints.workStartTime, dayEnd) === null) {
+          console.log(`🕒 ZEITFENSTER: ${first.customer} (${this.durationOf(first)}h) ist am ${day.date} nicht möglich`);
+          this.rejectForDayEnd(first, day, `${this.durationOf(first)}h passen am ${day.day} nicht zwischen ${this.hoursToTime(this.constraints.workStartTime)} und ${this.hoursToTime(dayEnd)}`);
+          continue;
+        }
+
         const toFirst = await this.getDistance(startLocation, first);
         if (!toFirst) {
           console.log(`🚫 ERSTER TERMIN UNERREICHBAR: ${first.customer} (>9h Fahrt)`);
-          pending.unshift(first); // Termin zurück in pending
-          // Kein erster Termin möglich, überspringe zu while-Schleife
-        } else {
+          this.decisions.reject(first, day, 'max_single_travel',
+            `Anfahrt ab ${previousDayOvernight ? previousDayOvernight.city : this.constraints.homeBase.name} über ${this.constraints.maxSingleTravelHours}h`);
+          continue;
+        }
+
         // Abfahrt nicht vor 08:30; runde auf :00/:30
         let departAt = Math.max(this.constraints.workStartTime, currentTime);
         departAt = this.roundToHalfHourUp(departAt);
+        // Beginnt das Zeitfenster später, entsprechend später losfahren statt vor Ort zu warten
+        const startAt = this.earliestWindowStart(first, day.date, this.roundToHalfHourUp(departAt + toFirst.duration), dayEnd);
+        if (startAt === null) {
+          console.log(`⏰ ${first.customer} (${this.durationOf(first)}h) passt nach der Anfahrt nicht mehr in den ${day.day}`);
+          this.rejectForDayEnd(first, day, `Nach ${toFirst.duration.toFixed(1)}h Anfahrt endet ${this.durationOf(first)}h nicht bis ${this.hoursToTime(dayEnd)}`);
+          continue;
+        }
+        departAt = Math.max(departAt, startAt - toFirst.duration);
         const arriveAt = departAt + toFirst.duration;
         this.placeTravel(day, previousDayOvernight ? 'departure_from_hotel' : 'departure',
-                         previousDayOvernight ? previousDayOvernight.city : 'Hannover',
+                         previousDayOvernight ? previousDayOvernight.city : this.constraints.homeBase.name,
                          this.getCityName(first.address), toFirst, departAt, arriveAt);
 
-          const startAt = this.roundToHalfHourUp(arriveAt);
-          this.placeAppointment(day, first, startAt);
-          planned.push(first);
-        }
+        this.placeAppointment(day, first, startAt);
+        planned.push(first);
+        this.decisions.place(first, day, 'sequence',
+          `Erster Termin des Tages, ${Math.round(toFirst.distance || 0)} km ab ${previousDayOvernight ? previousDayOvernight.city : this.constraints.homeBase.name}`);
       }
 
       // 2) Weitere Termine sequenziell in Reichweite einplanen
-      while (pending.length) {
+      // dayStop: Regel, an der die Tagesplanung endete - gilt für alle heute nicht mehr geprüften Termine
+      let dayStop = null;
+      while (pending.length && day.appointments.length) {
         // Wähle den nächsten Termin nahe beim aktuellen Standort
         const last = day.appointments[day.appointments.length - 1];
         pending.sort((a, b) => {
@@ -216,36 +381,66 @@ class IntelligentRoutePlanner {
           return da - db;
         });
         const next = pending.shift();
+        const now = this.timeToHours(day.appointments[day.appointments.length - 1].endTime);
+        if (this.earliestWindowStart(next, day.date, this.roundToHalfHourUp(now)) === null) {
+          console.log(`🕒 ZEITFENSTER: ${next.customer} passt am ${day.date} nicht mehr - bleibt für Folgetage`);
+          this.rejectForDayEnd(next, day, `Ab ${this.hoursToTime(this.roundToHalfHourUp(now))} kein passender Slot mehr`);
+          continue;
+        }
+
         const leg = await this.getDistance(last, next);
         if (!leg) {
           console.log(`🚫 TERMIN UNERREICHBAR: ${next.customer} (>9h Fahrt von ${last.customer})`);
+          this.decisions.reject(next, day, 'max_single_travel', `Fahrt ab ${last.customer} über ${this.constraints.maxSingleTravelHours}h`);
+          dayStop = { constraint: 'max_single_travel', reason: `Tagesplanung nach unerreichbarem Termin ${next.customer} beendet` };
           pending.unshift(next); // Termin zurück in pending
           break; // Stoppe weitere Termine für diesen Tag
         }
 
-        // Prüfe, ob noch Platz im Tag (Freitag: max bis 17:00)
-        const now = this.timeToHours(day.appointments[day.appointments.length - 1].endTime);
-        const nextStartCandidate = this.roundToHalfHourUp(now + leg.duration);
+        // Prüfe, ob noch Platz im Tag (Freitag: max bis Rückkehrzeit)
+        const arrival = this.roundToHalfHourUp(now + leg.duration);
+        // Zeitfenster: frühestens zum Fensterbeginn (Wartezeit vor Ort), sonst anderer Tag
+        const nextStartCandidate = this.earliestWindowStart(next, day.date, arrival);
+        const waitsBeyondDayEnd = nextStartCandidate !== null && nextStartCandidate > arrival &&
+          nextStartCandidate + this.durationOf(next) > this.constraints.workStartTime + this.constraints.maxWorkHoursPerDay;
+        if (nextStartCandidate === null || waitsBeyondDayEnd) {
+          console.log(`🕒 ZEITFENSTER: ${next.customer} wäre erst nach ${this.hoursToTime(arrival)} möglich - bleibt für Folgetage`);
+          this.rejectForDayEnd(next, day, `Ankunft ${this.hoursToTime(arrival)}, danach kein erlaubter Slot am ${day.day}`);
+          continue;
+        }
         const workedSoFar = (this.computeWorkHours(day) + this.computeTravelHours(day));
         
-        // FREITAG-REGEL: Berechne maximale Arbeitszeit basierend auf 17:00 Cutoff
+        // FREITAG-REGEL: Berechne maximale Arbeitszeit basierend auf Freitags-Cutoff
         const maxWorkHours = day.day === 'Freitag' ? 
-          (17 - this.constraints.workStartTime) : 
+          (this.constraints.fridayReturnTime - this.constraints.workStartTime) : 
           this.constraints.maxWorkHoursPerDay;
         const remaining = maxWorkHours - workedSoFar;
         
-        // ZUSÄTZLICHER FREITAG-CHECK: Termin darf nicht nach 17:00 enden
-        const appointmentEnd = nextStartCandidate + this.constraints.appointmentDuration;
-        if (day.day === 'Freitag' && appointmentEnd > 17) {
-          console.log(`⏰ FREITAG-STOP: Termin würde bis ${this.hoursToTime(appointmentEnd)} gehen (nach 17:00)`);
+        // ZUSÄTZLICHER FREITAG-CHECK: Termin darf nicht nach der Rückkehrzeit enden
+        const appointmentEnd = nextStartCandidate + this.durationOf(next);
+        if (day.day === 'Freitag' && appointmentEnd > this.constraints.fridayReturnTime) {
+          console.log(`⏰ FREITAG-STOP: Termin würde bis ${this.hoursToTime(appointmentEnd)} gehen (nach ${this.hoursToTime(this.constraints.fridayReturnTime)})`);
+          this.decisions.reject(next, day, 'friday_return',
+            `Termin würde bis ${this.hoursToTime(appointmentEnd)} dauern, Rückkehr bis ${this.hoursToTime(this.constraints.fridayReturnTime)} Pflicht`);
+          dayStop = { constraint: 'friday_return', reason: `Freitag: Rückkehr bis ${this.hoursToTime(this.constraints.fridayReturnTime)}, Tagesplanung beendet` };
           pending.unshift(next);
           break;
         }
 
         console.log(`🔍 LEG OBJECT DEBUG: leg.duration=${leg.duration}h, leg.realtime=${leg.realtime}, leg.fallback=${leg.fallback}`);
-        console.log(`🔄 TERMIN-CHECK: ${next.customer} - Benötigt: ${(leg.duration + this.constraints.appointmentDuration).toFixed(1)}h, Verfügbar: ${remaining.toFixed(1)}h`);
+        console.log(`🔄 TERMIN-CHECK: ${next.customer} - Benötigt: ${(leg.duration + this.durationOf(next)).toFixed(1)}h, Verfügbar: ${remaining.toFixed(1)}h`);
         
-        if (remaining < (leg.duration + this.constraints.appointmentDuration)) {
+        if (remaining < (leg.duration + this.durationOf(next))) {
+          const limitConstraint = day.day === 'Freitag' ? 'friday_return' : 'daily_hours';
+          this.decisions.reject(next, day, limitConstraint,
+            `${(leg.duration + this.durationOf(next)).toFixed(1)}h nötig (Fahrt + Termin), nur noch ${Math.max(0, remaining).toFixed(1)}h von ${maxWorkHours}h frei`);
+
+          // Langer Termin passt nicht mehr - ein kürzerer aus der Liste vielleicht schon
+          if (pending.some(p => this.durationOf(p) < this.durationOf(next))) {
+            console.log(`⏳ ${next.customer} (${this.durationOf(next)}h) passt heute nicht mehr - prüfe kürzere Termine`);
+            continue;
+          }
+
           // Fahrt ggf. noch durchführen, um für Overnight zu positionieren
           if (remaining >= leg.duration) {
             this.placeTravel(day, 'travel', this.getCityName(last.address), this.getCityName(next.address),
@@ -256,19 +451,24 @@ class IntelligentRoutePlanner {
             }
           }
           // Nächster Termin bleibt für Folgetage
+          dayStop = { constraint: limitConstraint, reason: `${day.day} voll: ${workedSoFar.toFixed(1)}h von ${maxWorkHours}h verplant` };
           pending.unshift(next);
           break;
         }
 
         // Reise + Termin einplanen
         this.placeTravel(day, 'travel', this.getCityName(last.address), this.getCityName(next.address),
-                         leg, this.roundToHalfHourUp(now), nextStartCandidate);
+                         leg, this.roundToHalfHourUp(now), arrival);
         this.placeAppointment(day, next, nextStartCandidate);
         planned.push(next);
+        this.decisions.place(next, day, 'sequence',
+          `${Math.round(leg.distance || 0)} km (${leg.duration.toFixed(1)}h) ab ${last.customer}, Start ${this.hoursToTime(nextStartCandidate)}`);
 
         // Pausen einziehen
         this.ensureBreaks(day);
       }
+
+      if (dayStop) pending.forEach(apt => this.decisions.reject(apt, day, dayStop.constraint, dayStop.reason));
     }
 
     // Tagesabschluss: Rückfahrt oder Overnight
@@ -290,7 +490,7 @@ class IntelligentRoutePlanner {
   async findSlotAround(day, appointment) {
     // Erzeuge Zeitslots zwischen bestehenden Terminen
     const startOfDay = this.constraints.workStartTime;
-    const endOfDay = day.day === 'Freitag' ? 17 : startOfDay + this.constraints.maxWorkHoursPerDay;
+    const endOfDay = day.day === 'Freitag' ? this.constraints.fridayReturnTime : startOfDay + this.constraints.maxWorkHoursPerDay;
 
     const allBlocks = [...day.appointments].sort((a, b) => this.timeToHours(a.startTime) - this.timeToHours(b.startTime));
     const windows = [];
@@ -309,11 +509,17 @@ class IntelligentRoutePlanner {
       windows.push({ from: this.timeToHours(allBlocks[allBlocks.length-1].endTime), to: endOfDay });
     }
 
-    // Prüfe Fenster der Größe: Reisehin + 3h + Reisewieder + Puffer
-    for (const w of windows) {
+    // Prüfe Fenster der Größe: Reisehin + Termindauer + Reisewieder + Puffer
+    // Erst nur Slots im weichen Zeitfenster (Kundenwunsch), dann alle im harten
+    const hasSoftWindows = this.windowRulesFor(appointment).some(rule => rule.type === 'soft');
+    const attempts = (hasSoftWindows ? [true, false] : [false])
+      .flatMap(preferSoft => windows.map(w => ({ w, preferSoft })));
+    // Für das Entscheidungsprotokoll: woran die letzte passende Lücke gescheitert ist
+    let failure = { constraint: 'time_conflict', reason: `Keine Lücke von ${this.durationOf(appointment)}h zwischen den fixen Terminen` };
+    for (const { w, preferSoft } of attempts) {
       const from = Math.max(startOfDay, this.roundToHalfHourUp(w.from));
       const to = Math.min(endOfDay, w.to);
-      if (to - from < (this.constraints.appointmentDuration + 0.25)) continue;
+      if (to - from < (this.durationOf(appointment) + 0.25)) continue;
 
       // Schätze Reisezeiten (Haversine + Puffer) – genauere Werte setzen wir beim Platzieren
       const last = day.appointments.find(a => this.timeToHours(a.endTime) <= from) || null;
@@ -323,13 +529,14 @@ class IntelligentRoutePlanner {
       const travelInGuess = last ? (this.haversineDistance(last.lat, last.lng, appointment.lat, appointment.lng) * 1.2 / 75 + this.calculateSimpleTravelPadding(this.haversineDistance(last.lat, last.lng, appointment.lat, appointment.lng) * 1.2 / 75)) : 0.5;
       const travelOutGuess = next ? (this.haversineDistance(appointment.lat, appointment.lng, next.lat, next.lng) * 1.2 / 75 + this.calculateSimpleTravelPadding(this.haversineDistance(appointment.lat, appointment.lng, next.lat, next.lng) * 1.2 / 75)) : 0.5;
 
-      const earliestStart = this.roundToHalfHourUp(from + travelInGuess);
       const latestEnd = to - travelOutGuess;
+      const earliestStart = this.earliestWindowStart(appointment, day.date, this.roundToHalfHourUp(from + travelInGuess), latestEnd, preferSoft);
 
-      if (earliestStart + this.constraints.appointmentDuration <= latestEnd) {
+      if (earliestStart !== null) {
         // WICHTIG: Vor Rückgabe prüfen, ob der Slot tatsächlich frei ist
-        const proposedEnd = earliestStart + this.constraints.appointmentDuration;
+        const proposedEnd = earliestStart + this.durationOf(appointment);
         if (this.hasTimeConflict(day, earliestStart, proposedEnd)) {
+          failure = { constraint: 'time_conflict', reason: `${this.hoursToTime(earliestStart)}-${this.hoursToTime(proposedEnd)} überschneidet sich mit einem Termin` };
           continue; // Dieses Fenster ist doch belegt, nächstes versuchen
         }
         
@@ -340,12 +547,18 @@ class IntelligentRoutePlanner {
         // Prüfe auf zu lange Fahrten (>9h)
         if ((travelTo === null && last) || (travelFrom === null && next)) {
           console.log(`🚫 FIXER TERMIN UNERREICHBAR: ${appointment.customer} (>9h Fahrt)`);
+          failure = { constraint: 'max_single_travel', reason: `Fahrt zu/von ${(travelTo === null && last ? last : next).customer} über ${this.constraints.maxSingleTravelHours}h` };
           continue; // Versuche nächstes Zeitfenster
         }
         
         return { start: earliestStart, travelTo, travelFrom };
       }
+
+      failure = this.windowRulesFor(appointment).length > 0
+        ? { constraint: 'time_window', reason: `Lücke ${this.hoursToTime(from)}-${this.hoursToTime(to)} liegt außerhalb der Zeitfenster` }
+        : { constraint: 'time_conflict', reason: `Lücke ${this.hoursToTime(from)}-${this.hoursToTime(to)} zu klein inkl. Anfahrt` };
     }
+    this.decisions.reject(appointment, day, failure.constraint, failure.reason);
     return null;
   }
 
@@ -358,7 +571,7 @@ class IntelligentRoutePlanner {
 
     const toHome = await this.getDistance(last, this.constraints.homeBase);
     if (!toHome) {
-      console.log(`🚫 HEIMFAHRT UNMÖGLICH: >9h von ${last.customer} nach Hannover`);
+      console.log(`🚫 HEIMFAHRT UNMÖGLICH: >9h von ${last.customer} nach ${this.constraints.homeBase.name}`);
       // Erzwinge Übernachtung, da Heimfahrt nicht möglich
       day.overnight = this.makeOvernight(last, 'Heimfahrt >9h unmöglich');
       return;
@@ -367,29 +580,31 @@ class IntelligentRoutePlanner {
     const arrive = leaveAt + toHome.duration;
 
     const mustBeHome = day.day === 'Freitag';
-    const latestHome = 17;
+    const latestHome = this.constraints.fridayReturnTime;
 
     if (mustBeHome && arrive > latestHome) {
-      // Termine vom Ende entfernen, bis Rückkehr 17:00 klappt
+      // Termine vom Ende entfernen, bis Rückkehr zur Freitagszeit klappt
       while (day.appointments.length) {
         const removed = day.appointments.pop();
+        this.decisions.unplace(removed, day, 'friday_return',
+          `Rückkehr nach ${this.constraints.homeBase.name} bis ${this.hoursToTime(latestHome)} sonst nicht erreichbar`);
         const prevLast = day.appointments[day.appointments.length - 1];
         if (!prevLast) break;
         const tryHome = await this.getDistance(prevLast, this.constraints.homeBase);
         if (!tryHome) {
-          console.log(`🚫 HEIMFAHRT UNMÖGLICH: >9h von ${prevLast.customer} nach Hannover`);
+          console.log(`🚫 HEIMFAHRT UNMÖGLICH: >9h von ${prevLast.customer} nach ${this.constraints.homeBase.name}`);
           continue; // Entferne weitere Termine
         }
         const tLeave = this.roundToHalfHourUp(this.timeToHours(prevLast.endTime));
         const tArr = tLeave + tryHome.duration;
         if (tArr <= latestHome) {
-          this.placeTravel(day, 'return', this.getCityName(prevLast.address), 'Hannover', tryHome, tLeave, tArr);
+          this.placeTravel(day, 'return', this.getCityName(prevLast.address), this.constraints.homeBase.name, tryHome, tLeave, tArr);
           return;
         }
       }
       // Wenn keine Termine mehr: direkte Rückfahrt
       const startFromFirst = this.constraints.workStartTime;
-      this.placeTravel(day, 'return', this.getCityName(last.address), 'Hannover', toHome, startFromFirst, startFromFirst + toHome.duration);
+      this.placeTravel(day, 'return', this.getCityName(last.address), this.constraints.homeBase.name, toHome, startFromFirst, startFromFirst + toHome.duration);
       return;
     }
 
@@ -397,13 +612,13 @@ class IntelligentRoutePlanner {
     const distanceKm = toHome.distance;
     if (day.day !== 'Freitag' && (distanceKm > this.constraints.overnightThresholdKm || arrive > (this.constraints.workStartTime + this.constraints.maxWorkHoursPerDay))) {
       day.overnight = this.makeOvernight(last, distanceKm > this.constraints.overnightThresholdKm
-        ? `${Math.round(distanceKm)} km bis Hannover`
+        ? `${Math.round(distanceKm)} km bis ${this.constraints.homeBase.name}`
         : `Rückkehr erst ${this.hoursToTime(arrive)}`);
       return;
     }
 
     // Rückfahrt
-    this.placeTravel(day, 'return', this.getCityName(last.address), 'Hannover', toHome, leaveAt, arrive);
+    this.placeTravel(day, 'return', this.getCityName(last.address), this.constraints.homeBase.name, toHome, leaveAt, arrive);
   }
 
   // -------------------------------------------------------------------
@@ -411,14 +626,16 @@ class IntelligentRoutePlanner {
   // -------------------------------------------------------------------
   placeAppointment(day, apt, startHours) {
     const start = this.roundToHalfHourUp(startHours);
-    const end = start + this.constraints.appointmentDuration;
-    const block = { ...apt, startTime: this.hoursToTime(start), endTime: this.hoursToTime(end) };
+    const duration = this.durationOf(apt);
+    const end = start + duration;
+    const block = { ...apt, duration, startTime: this.hoursToTime(start), endTime: this.hoursToTime(end) };
     
     // Kollisionsprüfung: Verhindere doppelte Zeitslots
     if (this.hasTimeConflict(day, start, end)) {
       throw new Error(`Zeitkonflikt: Slot ${this.hoursToTime(start)}-${this.hoursToTime(end)} bereits belegt am ${day.date}`);
     }
     
+    this.checkTimeWindows(day, block, start, end, false);
     day.appointments.push(block);
     day.appointments.sort((a,b) => this.timeToHours(a.startTime) - this.timeToHours(b.startTime));
   }
@@ -486,7 +703,13 @@ class IntelligentRoutePlanner {
   }
 
   computeWorkHours(day) {
-    return (day.appointments || []).reduce((sum) => sum + this.constraints.appointmentDuration, 0);
+    return (day.appointments || []).reduce((sum, a) => sum + (this.timeToHours(a.endTime) - this.timeToHours(a.startTime)), 0);
+  }
+
+  // Dauer eines Termins in Stunden (appointments.duration, z.B. 1.5 für ein Interview)
+  durationOf(apt) {
+    const duration = Number(apt && apt.duration);
+    return duration > 0 ? duration : this.constraints.appointmentDuration;
   }
   computeTravelHours(day) {
     return (day.travelSegments || []).reduce((sum, s) => sum + s.duration, 0);
@@ -516,6 +739,7 @@ class IntelligentRoutePlanner {
       if (idx < 0) {
         console.log(`❌ DATUM NICHT GEFUNDEN: fixed_date="${apt.fixed_date}" -> isoDate="${isoDate}"`);
         console.log(`📅 Verfügbare Wochentage:`, week.map(d => d.date));
+        this.decisions.reject(apt, null, 'outside_week', `Fixes Datum ${apt.fixed_date} liegt nicht in ${week[0].date} bis ${week[4].date}`);
         continue;
       }
       
@@ -523,18 +747,25 @@ class IntelligentRoutePlanner {
       const day = week[idx];
       if (day.isPastDay) {
         console.log(`⏰ ÜBERSPRINGE fixen Termin in der Vergangenheit: ${apt.customer_company} am ${day.date}`);
+        this.decisions.reject(apt, day, 'past_day', `Fixer Termin am ${day.date} liegt in der Vergangenheit`);
         continue;
       }
 
       const start = apt.fixed_time || '08:30';
       const startH = this.roundToHalfHourUp(this.timeToHours(start));
-      const endH = startH + this.constraints.appointmentDuration;
+      const duration = this.durationOf(apt);
+      const endH = startH + duration;
 
-      week[idx].appointments.push({
+      const block = {
         ...apt,
+        duration,
         startTime: this.hoursToTime(startH),
         endTime: this.hoursToTime(endH)
-      });
+      };
+      // Fixe Zeit gewinnt - ein verletztes Zeitfenster wird nur gemeldet
+      this.checkTimeWindows(day, block, startH, endH, true);
+      week[idx].appointments.push(block);
+      this.decisions.place(apt, day, 'fixed', `Vereinbart für ${day.day} ${block.startTime}`);
     }
     
     // Chronologisch sortieren
@@ -545,7 +776,7 @@ class IntelligentRoutePlanner {
   }
 
   async addTravelBetweenFixedAppointments(week) {
-    let previousLocation = this.constraints.homeBase; // Start von Hannover
+    let previousLocation = this.constraints.homeBase; // Start von der Basis des Fahrers
     let previousEndTime = null;
     
     for (let dayIdx = 0; dayIdx < week.length; dayIdx++) {
@@ -577,7 +808,7 @@ class IntelligentRoutePlanner {
             );
             
             const fromLabel = previousLocation === this.constraints.homeBase ? 
-              'Hannover' : this.getCityName(previousLocation.address || 'Unbekannt');
+              this.constraints.homeBase.name : this.getCityName(previousLocation.address || 'Unbekannt');
             
             day.travelSegments = day.travelSegments || [];
             day.travelSegments.push({
@@ -671,16 +902,22 @@ class IntelligentRoutePlanner {
   }
 
   pickFlexibleForDay(date, list, maxCount, fixedAppointments = []) {
-    if (list.length === 0) return [];
+    // Harte Zeitfenster: an diesem Tag unmögliche Termine bleiben in der Liste für andere Tage
+    const eligible = list.filter(apt => this.isDayAllowedFor(apt, date));
+    if (eligible.length === 0) return [];
+
+    // Weiche Zeitfenster: Termine, deren Wunschtag heute ist, zuerst
+    const prefers = new Map(eligible.map(apt => [apt, this.prefersDay(apt, date)]));
     
     // Wenn fixe Termine vorhanden, sortiere nach Nähe zum ersten fixen Termin
     let sorted;
     if (fixedAppointments.length > 0) {
       const referencePoint = fixedAppointments[0]; // Nimm ersten fixen Termin als Referenz
-      sorted = [...list].sort((a, b) => {
+      sorted = [...eligible].sort((a, b) => {
         // Erst nach Status (bestätigt bevorzugt)
         if ((a.status === 'bestätigt') !== (b.status === 'bestätigt'))
           return a.status === 'bestätigt' ? -1 : 1;
+        if (prefers.get(a) !== prefers.get(b)) return prefers.get(a) ? -1 : 1;
         
         // Dann nach geografischer Nähe zum fixen Termin
         const distA = this.haversineDistance(a.lat, a.lng, referencePoint.lat, referencePoint.lng);
@@ -690,9 +927,10 @@ class IntelligentRoutePlanner {
       });
     } else {
       // Ohne fixe Termine: Standard-Sortierung
-      sorted = [...list].sort((a,b) => {
+      sorted = [...eligible].sort((a,b) => {
         if ((a.status === 'bestätigt') !== (b.status === 'bestätigt'))
           return a.status === 'bestätigt' ? -1 : 1;
+        if (prefers.get(a) !== prefers.get(b)) return prefers.get(a) ? -1 : 1;
         return (b.pipeline_days || 0) - (a.pipeline_days || 0);
       });
     }
@@ -707,6 +945,81 @@ class IntelligentRoutePlanner {
     return take;
   }
 
+  // Termin passt heute zeitlich nicht: Zeitfenster, Freitags-Rückkehr oder Tageslimit
+  rejectForDayEnd(apt, day, reason) {
+    const hasHardWindows = this.windowRulesFor(apt).some(rule => rule.type === 'hard');
+    const constraint = hasHardWindows ? 'time_window' : (day.day === 'Freitag' ? 'friday_return' : 'daily_hours');
+    this.decisions.reject(apt, day, constraint, reason);
+  }
+
+  // -------------------------------------------------------------------
+  // Zeitfenster (Regeln siehe time-windows.js)
+  // -------------------------------------------------------------------
+  windowRulesFor(apt) {
+    return this.timeWindowRules.get(apt.id) || [];
+  }
+
+  // Arbeitstag für die Prüfung "passt der Termin überhaupt": Start bis Tageslimit, Freitag bis Rückkehr
+  windowDayBounds(date) {
+    const start = this.constraints.workStartTime;
+    const isFriday = new Date(`${date}T12:00:00Z`).getUTCDay() === 5;
+    return { start, end: isFriday ? this.constraints.fridayReturnTime : start + this.constraints.maxWorkHoursPerDay };
+  }
+
+  isDayAllowedFor(apt, date) {
+    const rules = this.windowRulesFor(apt);
+    if (rules.length === 0) return true;
+    const { start, end } = this.windowDayBounds(date);
+    return isDateAllowed(rules, date, start, end, this.durationOf(apt));
+  }
+
+  prefersDay(apt, date) {
+    const rules = this.windowRulesFor(apt);
+    if (!rules.some(rule => rule.type === 'soft')) return false;
+    const { start, end } = this.windowDayBounds(date);
+    return isDateAllowed(rules, date, start, end, this.durationOf(apt), 'soft');
+  }
+
+  /**
+   * Frühester Start ab "earliest" (auf :00/:30), bei dem der Termin ganz in ein erlaubtes
+   * Fenster passt und bis latestEnd endet. null = heute nicht möglich.
+   * preferSoft: nur Fenster, die auch die weichen Wünsche erfüllen.
+   */
+  earliestWindowStart(apt, date, earliest, latestEnd = Infinity, preferSoft = false) {
+    const duration = this.durationOf(apt);
+    const rules = this.windowRulesFor(apt);
+    if (rules.length === 0) return earliest + duration <= latestEnd ? earliest : null;
+
+    for (const range of allowedRanges(rules, date, 0, 24, preferSoft ? 'soft' : 'hard')) {
+      const start = this.roundToHalfHourUp(Math.max(earliest, range.from));
+      if (start + duration <= Math.min(range.to, latestEnd)) return start;
+    }
+    return null;
+  }
+
+  // Platzierten Termin gegen seine Zeitfenster prüfen und Verletzungen für den Bericht merken
+  checkTimeWindows(day, block, start, end, fixed) {
+    const rules = this.windowRulesFor(block);
+    if (rules.length === 0) return;
+
+    const result = evaluateTimeWindows(rules, day.date, start, end);
+    const violations = [...result.hard, ...result.soft];
+    block.timeWindowStatus = result.hard.length > 0 ? 'hard_violation' : (result.soft.length > 0 ? 'soft_violation' : 'ok');
+    if (violations.length === 0) return;
+
+    block.timeWindowViolations = violations;
+    this.timeWindowViolations.push({
+      id: block.id,
+      customer: block.customer,
+      date: day.date,
+      startTime: block.startTime,
+      endTime: block.endTime,
+      fixed,
+      violations
+    });
+    console.log(`🕒 ZEITFENSTER ${result.hard.length > 0 ? 'HART' : 'weich'} verletzt: ${block.customer} am ${day.date} ${block.startTime} (${violations.map(v => v.rule).join('; ')})`);
+  }
+
   // -------------------------------------------------------------------
   // Geocoding + Distanz (Google Distance Matrix mit Caching)
   // -------------------------------------------------------------------
@@ -720,8 +1033,6 @@ class IntelligentRoutePlanner {
     }
     if (!needs.length) return [...withCoords];
 
-    if (!this.apiKey) throw new Error('Google Maps API Key nicht konfiguriert');
-
     for (const apt of needs) {
       // erst DB-Cache prüfen
       const cached = await this.getGeocodeFromDB(apt.address);
@@ -729,15 +1040,26 @@ class IntelligentRoutePlanner {
         withCoords.push({ ...apt, lat: cached.lat, lng: cached.lng });
         continue;
       }
-      // API-Abfrage
-      const resp = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-        params: { address: apt.address, key: this.apiKey, region: 'de', components: 'country:DE' },
-        timeout: 4000
-      });
-      if (resp.data.status === 'OK' && resp.data.results?.length) {
-        const loc = resp.data.results[0].geometry.location;
-        withCoords.push({ ...apt, lat: loc.lat, lng: loc.lng });
-        await this.saveGeocodeToDB(apt.address, loc.lat, loc.lng, resp.data.results[0].formatted_address);
+      if (this.budgetExhausted.geocoding) {
+        console.log(`💸 GEOCODING ÜBERSPRUNGEN (Budget erschöpft): ${apt.address}`);
+        continue;
+      }
+      // Geocoding-Backend abfragen; ohne Treffer bleibt der Termin ungeplant
+      try {
+        const result = await this.geocodingProvider.geocode(apt.address);
+        if (result) {
+          withCoords.push({ ...apt, lat: result.lat, lng: result.lng });
+          await this.saveGeocodeToDB(apt.address, result.lat, result.lng, result.formatted_address, result.provider);
+        } else {
+          console.log(`⚠️ GEOCODING OHNE TREFFER (${this.geocodingProvider.name}): ${apt.address}`);
+        }
+      } catch (e) {
+        if (e.code === 'API_BUDGET_EXHAUSTED') {
+          this.budgetExhausted.geocoding = true;
+          console.log(`💸 API-BUDGET ERSCHÖPFT: kein weiteres Geocoding in diesem Lauf`);
+          continue;
+        }
+        console.log(`❌ GEOCODING FEHLER (${this.geocodingProvider.name}): ${apt.address} - ${e.message}`);
       }
     }
     return withCoords;
@@ -747,80 +1069,68 @@ class IntelligentRoutePlanner {
     const key = `${from.lat},${from.lng}-${to.lat},${to.lng}`;
     if (this.distanceCache.has(key)) return this.distanceCache.get(key);
 
-    // DB-Cache - aber nur echte Google Maps Daten verwenden!
+    const provider = this.routingProvider;
+
+    // DB-Cache - aber nur echte Straßendaten des aktiven Providers verwenden!
     const dbCached = await this.getDistanceFromDB(from, to);
     if (dbCached) {
-      // NEUE REGEL: Fallback-Daten aus dem Cache ignorieren, echte Google Maps API verwenden!
-      if (dbCached.fallback || !dbCached.realtime) {
-        console.log(`🗑️ IGNORIERE ALTE FALLBACK-DATEN: ${dbCached.distance?.toFixed(1)}km → ${dbCached.duration?.toFixed(2)}h (veraltet)`);
+      if (!provider.realistic || dbCached.provider !== provider.name) {
+        console.log(`🗑️ IGNORIERE CACHE (${dbCached.provider || 'unbekannt'}): ${dbCached.distance?.toFixed(1)}km → ${dbCached.duration?.toFixed(2)}h`);
       } else {
-        console.log(`💾 DB CACHE HIT: ${dbCached.distance?.toFixed(1)}km → ${dbCached.duration?.toFixed(2)}h (echte Google Maps Daten)`);
-        this.distanceCache.set(key, dbCached);
-        return dbCached;
+        console.log(`💾 DB CACHE HIT: ${dbCached.distance?.toFixed(1)}km → ${dbCached.duration?.toFixed(2)}h (${dbCached.provider})`);
+        const cached = { ...dbCached, realtime: true };
+        this.distanceCache.set(key, cached);
+        return cached;
       }
     }
 
     // Fallback-Haversine
     const directKm = this.haversineDistance(from.lat, from.lng, to.lat, to.lng);
 
-    console.log(`🔍 GOOGLE MAPS API ANFRAGE: Von ${from.lat},${from.lng} nach ${to.lat},${to.lng}`);
-    console.log(`🔑 API KEY: ${this.apiKey ? 'VORHANDEN' : 'FEHLT!'}`);
-    
-    try {
-      const url = 'https://maps.googleapis.com/maps/api/distancematrix/json';
-      const params = {
-        key: this.apiKey,
-        mode: 'driving',
-        region: 'de',
-        origins: `${from.lat},${from.lng}`,
-        destinations: `${to.lat},${to.lng}`,
-        departure_time: 'now',
-        traffic_model: 'best_guess'
-      };
-      
-      console.log(`🌐 GOOGLE MAPS URL: ${url}?${new URLSearchParams(params).toString().substring(0, 100)}...`);
-      
-      const resp = await axios.get(url, { params, timeout: 4000 });
-      this.apiCallsCount++;
-      
-      console.log(`📡 GOOGLE MAPS RESPONSE STATUS: ${resp.data?.status}, ROWS: ${resp.data?.rows?.length}`);
-      if (resp.data?.rows?.[0]?.elements?.[0]) {
-        console.log(`📍 ELEMENT STATUS: ${resp.data.rows[0].elements[0].status}`);
-      }
+    if (provider.realistic && !this.budgetExhausted.routing) {
+      console.log(`🔍 ROUTING-ANFRAGE (${provider.name}): Von ${from.lat},${from.lng} nach ${to.lat},${to.lng}`);
 
-      const el = resp.data?.rows?.[0]?.elements?.[0];
-      if (el && el.status === 'OK') {
-        const dist = (el.distance?.value || 0) / 1000;
-        const durS = (el.duration_in_traffic?.value || el.duration?.value || 0);
-        const googleHours = durS / 3600;
-        
-        // EINFACHE PUFFER-REGEL: Google Maps Zeit + kleiner Puffer
-        const finalDuration = googleHours + this.calculateSimpleTravelPadding(googleHours);
-        
-        // PRÜFE MAXIMALE EINZELFAHRTZEIT
-        if (finalDuration > this.constraints.maxSingleTravelHours) {
-          console.log(`🚫 FAHRT ZU LANG: ${dist.toFixed(1)}km würde ${finalDuration.toFixed(2)}h dauern (max ${this.constraints.maxSingleTravelHours}h)`);
-          return null; // Fahrt zu lang, nicht durchführbar
+      try {
+        const leg = await provider.route(from, to, { traffic: true, timeout: 4000 });
+        this.apiCallsCount++;
+
+        if (leg) {
+          const routedHours = leg.duration;
+
+          // EINFACHE PUFFER-REGEL: Provider-Zeit + kleiner Puffer
+          const finalDuration = routedHours + this.calculateSimpleTravelPadding(routedHours);
+
+          // PRÜFE MAXIMALE EINZELFAHRTZEIT
+          if (finalDuration > this.constraints.maxSingleTravelHours) {
+            console.log(`🚫 FAHRT ZU LANG: ${leg.distance.toFixed(1)}km würde ${finalDuration.toFixed(2)}h dauern (max ${this.constraints.maxSingleTravelHours}h)`);
+            return null; // Fahrt zu lang, nicht durchführbar
+          }
+
+          console.log(`🗺️ ${provider.name.toUpperCase()}: ${leg.distance.toFixed(1)}km → ${routedHours.toFixed(2)}h + ${(finalDuration-routedHours).toFixed(2)}h Puffer = ${finalDuration.toFixed(2)}h`);
+
+          const result = {
+            distance: leg.distance,
+            duration: finalDuration,
+            realtime: true,
+            traffic_considered: !!leg.traffic_considered,
+            provider: provider.name
+          };
+          this.distanceCache.set(key, result);
+          await this.saveDistanceToDB(from, to, result);
+          return result;
         }
-        
-        console.log(`🗺️ GOOGLE MAPS: ${dist.toFixed(1)}km → ${googleHours.toFixed(2)}h + ${(finalDuration-googleHours).toFixed(2)}h Puffer = ${finalDuration.toFixed(2)}h`);
-        
-        const result = { 
-          distance: dist, 
-          duration: finalDuration, 
-          realtime: true, 
-          traffic_considered: !!el.duration_in_traffic
-        };
-        this.distanceCache.set(key, result);
-        await this.saveDistanceToDB(from, to, result);
-        return result;
-      }
-    } catch (e) {
-      console.log(`❌ GOOGLE MAPS API FEHLER: ${e.message}`);
-      if (e.response) {
-        console.log(`🔥 HTTP STATUS: ${e.response.status}, DATA: ${JSON.stringify(e.response.data)}`);
+        console.log(`⚠️ ${provider.name}: keine Route gefunden`);
+      } catch (e) {
+        if (e.code === 'API_BUDGET_EXHAUSTED') {
+          this.budgetExhausted.routing = true;
+          console.log(`💸 API-BUDGET ERSCHÖPFT: restliche Strecken werden geschätzt`);
+        }
+        console.log(`❌ ROUTING FEHLER (${provider.name}): ${e.message}`);
+        if (e.response) {
+          console.log(`🔥 HTTP STATUS: ${e.response.status}, DATA: ${JSON.stringify(e.response.data)}`);
+        }
+        console.log(`⚠️ FALLBACK ZU HAVERSINE-SCHÄTZUNG`);
       }
-      console.log(`⚠️ FALLBACK ZU HAVERSINE-SCHÄTZUNG`);
     }
 
     console.log(`🔄 VERWENDE FALLBACK: ${directKm.toFixed(1)}km Luftlinie`);
@@ -838,7 +1148,8 @@ class IntelligentRoutePlanner {
       distance: directKm * 1.2, 
       duration: fallbackDuration, 
       approximated: true, 
-      fallback: true
+      fallback: true,
+      provider: 'haversine'
     };
     this.distanceCache.set(key, fallback);
     await this.saveDistanceToDB(from, to, fallback);
@@ -877,11 +1188,14 @@ class IntelligentRoutePlanner {
       });
     });
   }
-  saveGeocodeToDB(address, lat, lng, formatted) {
+  saveGeocodeToDB(address, lat, lng, formatted, method = null) {
+    if (this.dryRun) return Promise.resolve();
     return new Promise((resolve) => {
       this.db.run(
-        `INSERT OR REPLACE INTO geocoding_cache (address, lat, lng, formatted_address, cached_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [address, lat, lng, formatted],
+        `INSERT INTO geocoding_cache (address, lat, lng, formatted_address, method, cached_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (address) DO UPDATE SET lat = excluded.lat, lng = excluded.lng,
+           formatted_address = excluded.formatted_address, method = excluded.method, cached_at = excluded.cached_at`,
+        [address, lat, lng, formatted, method],
         () => resolve()
       );
     });
@@ -889,20 +1203,23 @@ class IntelligentRoutePlanner {
   getDistanceFromDB(from, to) {
     return new Promise((resolve) => {
       this.db.get(
-        `SELECT distance, duration FROM distance_cache WHERE origin_lat = ? AND origin_lng = ? AND dest_lat = ? AND dest_lng = ?`,
+        `SELECT distance, duration, provider FROM distance_cache WHERE origin_lat = ? AND origin_lng = ? AND dest_lat = ? AND dest_lng = ?`,
         [from.lat, from.lng, to.lat, to.lng],
         (err, row) => {
           if (err || !row) return resolve(null);
-          resolve({ distance: row.distance, duration: row.duration });
+          resolve({ distance: row.distance, duration: row.duration, provider: row.provider });
         }
       );
     });
   }
   saveDistanceToDB(from, to, obj) {
+    if (this.dryRun) return Promise.resolve();
     return new Promise((resolve) => {
       this.db.run(
-        `INSERT OR REPLACE INTO distance_cache (origin_lat, origin_lng, dest_lat, dest_lng, distance, duration, cached_at) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [from.lat, from.lng, to.lat, to.lng, obj.distance, obj.duration],
+        `INSERT INTO distance_cache (origin_lat, origin_lng, dest_lat, dest_lng, distance, duration, provider, cached_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (origin_lat, origin_lng, dest_lat, dest_lng) DO UPDATE SET
+           distance = excluded.distance, duration = excluded.duration, provider = excluded.provider, cached_at = excluded.cached_at`,
+        [from.lat, from.lng, to.lat, to.lng, obj.distance, obj.duration, obj.provider || null],
         () => resolve()
       );
     });
@@ -1005,22 +1322,47 @@ class IntelligentRoutePlanner {
     const totalTravel = week.reduce((s, d) => s + (d.travelTime || 0), 0);
     const total = Math.round((totalWork + totalTravel) * 10) / 10;
     const overnightCount = week.filter(d => d.overnight).length;
+    const hardViolations = this.timeWindowViolations.filter(v => v.violations.some(x => x.type === 'hard')).length;
+    const decisions = this.decisions.build(week);
 
     return {
       weekStart,
+      driverId: this.driverId || 1,
+      homeBase: this.constraints.homeBase,
       days: week,
       totalHours: total,
       optimizations: [
         `${totalAppointments} Termine geplant`,
         `${overnightCount} Übernachtungen`,
-        `API-Aufrufe: ${this.apiCallsCount}`
+        `API-Aufrufe: ${this.apiCallsCount}`,
+        ...(this.budgetExhausted.routing ? ['API-Budget erschöpft: Fahrzeiten teilweise geschätzt'] : []),
+        ...(this.budgetExhausted.geocoding ? ['API-Budget erschöpft: Termine ohne Koordinaten nicht geplant'] : []),
+        ...(this.timeWindowViolations.length > 0
+          ? [`${this.timeWindowViolations.length} Zeitfenster verletzt (${hardViolations} hart durch fixe Termine)`]
+          : []),
+        ...(this.timeWindowBlocked.length > 0 ? [`${this.timeWindowBlocked.length} Termine mit harten Zeitfenstern nicht eingeplant`] : []),
+        ...(this.localSearchReport && this.localSearchReport.applied
+          ? [`Lokale Suche: ${this.localSearchReport.greedy.appointments} → ${this.localSearchReport.optimized.appointments} Termine, Fahrzeit ${this.localSearchReport.greedy.travelHours}h → ${this.localSearchReport.optimized.travelHours}h`]
+          : []),
+        ...(decisions.summary.deferred + decisions.summary.rejected > 0
+          ? [`${decisions.summary.deferred} Termine verschoben, ${decisions.summary.rejected} nicht planbar (Begründung in decisions)`]
+          : [])
       ],
+      localSearch: this.localSearchReport,
+      decisions,
+      timeWindows: {
+        violations: this.timeWindowViolations,
+        blocked: this.timeWindowBlocked
+      },
       stats: {
         totalAppointments,
+        totalWorkTime: Math.round(totalWork * 10) / 10,
         totalTravelTime: Math.round(totalTravel * 10) / 10,
         workDays: week.filter(d => d.appointments.length > 0).length,
         overnightStays: overnightCount,
-        apiCalls: this.apiCallsCount
+        apiCalls: this.apiCallsCount,
+        budgetExhausted: this.budgetExhausted.routing || this.budgetExhausted.geocoding,
+        timeWindowViolations: this.timeWindowViolations.length
       },
       generatedAt: new Date().toISOString()
     };
@@ -0,0 +1,632 @@
+// ======================================================================
+// SCHEMA-MIGRATIONEN (geordnet, werden von schema-migrations.js ausgeführt)
+// Jede Migration läuft genau einmal in einer Transaktion und wird in
+// schema_migrations vermerkt. Bestehende Migrationen nie ändern - neue
+// Spalten/Tabellen immer als neue Migration mit der nächsten Nummer.
+//
+// 1-8 übernehmen den Stand vor dem Migrations-System. Sie sind bewusst
+// idempotent (IF NOT EXISTS, addColumn), damit eine bestehende Datenbank
+// (z.B. /app/data/expertise_tours.db) ohne Datenverlust übernommen wird.
+//
+// SQL im SQLite-Dialekt; database.js übersetzt Typen/Platzhalter für
+// PostgreSQL. Was sich nicht übersetzen lässt (Trigger), prüft m.client.
+// Datenübernahmen stehen als SQL hier und nicht in Services: der Code der
+// Services folgt dem neuesten Schema, eine Migration dem Schema ihrer Version.
+// ======================================================================
+
+// Wert zum Zeitpunkt der Migration (api-budget-controller.js: DEFAULT_PROJECT)
+const DEFAULT_PROJECT = 'default';
+
+// api_usage ab Version 3 (mit project-Spalte)
+const API_USAGE_TABLE = `CREATE TABLE IF NOT EXISTS api_usage (
+    usage_date TEXT NOT NULL,
+    api_type TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    project TEXT NOT NULL DEFAULT '${DEFAULT_PROJECT}',
+    calls INTEGER DEFAULT 0,
+    units INTEGER DEFAULT 0,
+    cost_eur REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (usage_date, api_type, endpoint, project)
+)`;
+
+/**
+ * @typedef {object} MigrationContext
+ * @property {object} db - Datenbank aus database.js (innerhalb der Transaktion)
+ * @property {string} client - 'sqlite' oder 'postgres'
+ * @property {function(string, Array=): Promise<object>} run
+ * @property {function(string, Array=): Promise<object>} get
+ * @property {function(string, Array=): Promise<Array>} all
+ * @property {function(string, string, string): Promise<boolean>} addColumn - nur wenn noch nicht vorhanden
+ * @property {function(string): Promise<boolean>} hasTable
+ * @property {function(string): Promise<Array<string>>} columns - Spaltennamen, leer wenn die Tabelle fehlt
+ */
+
+module.exports = [
+    {
+        version: 1,
+        name: 'core_tables',
+        description: 'Termine, Fahrer, gespeicherte Routen, Distanz- und Geocoding-Cache',
+        async up(m) {
+            await m.run(`CREATE TABLE IF NOT EXISTS appointments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer TEXT NOT NULL,
+                address TEXT NOT NULL,
+                priority TEXT DEFAULT 'mittel',
+                status TEXT DEFAULT 'vorschlag',
+                duration INTEGER DEFAULT 3,
+                pipeline_days INTEGER DEFAULT 0,
+                notes TEXT,
+                preferred_dates TEXT DEFAULT '[]',
+                excluded_dates TEXT DEFAULT '[]',
+                time_windows TEXT DEFAULT '[]',
+                fixed_date TEXT,
+                fixed_time TEXT,
+                is_fixed INTEGER DEFAULT 0,
+                on_hold TEXT,
+                lat REAL,
+                lng REAL,
+                geocoded INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            // Harte/weiche Zeitfenster flexibler Termine (siehe time-windows.js)
+            await m.addColumn('appointments', 'time_windows', "TEXT DEFAULT '[]'");
+
+            await m.run(`CREATE TABLE IF NOT EXISTS drivers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                home_base TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            // Fahrer-Profil: geocodete Basis + individuelle Arbeitszeit-Grenzen
+            await m.addColumn('drivers', 'home_lat', 'REAL');
+            await m.addColumn('drivers', 'home_lng', 'REAL');
+            await m.addColumn('drivers', 'start_time', "TEXT DEFAULT '08:30'");
+            await m.addColumn('drivers', 'max_hours_per_day', 'REAL DEFAULT 10');
+            await m.addColumn('drivers', 'max_hours_per_week', 'REAL DEFAULT 40');
+            await m.addColumn('drivers', 'overnight_threshold_km', 'REAL DEFAULT 120');
+            await m.addColumn('drivers', 'friday_return_time', "TEXT DEFAULT '17:00'");
+            await m.addColumn('drivers', 'updated_at', 'DATETIME');
+
+            await m.run(`CREATE TABLE IF NOT EXISTS saved_routes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                week_start DATE NOT NULL,
+                driver_id INTEGER,
+                route_data TEXT NOT NULL,
+                is_active INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers (id)
+            )`);
+
+            await m.run(`CREATE TABLE IF NOT EXISTS distance_cache (
+                origin_lat REAL,
+                origin_lng REAL,
+                dest_lat REAL,
+                dest_lng REAL,
+                distance REAL,
+                duration REAL,
+                cached_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (origin_lat, origin_lng, dest_lat, dest_lng)
+            )`);
+            // Herkunft der Distanz (google/osrm/haversine), damit Provider sich nicht vermischen
+            await m.addColumn('distance_cache', 'provider', 'TEXT');
+            await m.run(`CREATE INDEX IF NOT EXISTS idx_distance_cache_coords
+                ON distance_cache(origin_lat, origin_lng, dest_lat, dest_lng)`);
+
+            // Einzige Definition des Geocoding-Caches (früher zusätzlich in geocoding-service.js)
+            await m.run(`CREATE TABLE IF NOT EXISTS geocoding_cache (
+                address TEXT PRIMARY KEY,
+                lat REAL NOT NULL,
+                lng REAL NOT NULL,
+                formatted_address TEXT,
+                accuracy TEXT,
+                method TEXT,
+                cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await m.addColumn('geocoding_cache', 'formatted_address', 'TEXT');
+            await m.addColumn('geocoding_cache', 'accuracy', 'TEXT');
+            await m.addColumn('geocoding_cache', 'method', 'TEXT');
+            await m.addColumn('geocoding_cache', 'cached_at', 'DATETIME');
+            await m.run('CREATE INDEX IF NOT EXISTS idx_geocoding_cache_address ON geocoding_cache(address)');
+        }
+    },
+    {
+        version: 2,
+        name: 'users_and_sessions',
+        description: 'Benutzer mit Rollen und Sessions pro Benutzer',
+        async up(m) {
+            await m.run(`CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'read-only',
+                display_name TEXT,
+                driver_id INTEGER,
+                is_active INTEGER DEFAULT 1,
+                last_login_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers (id)
+            )`);
+
+            // token = SHA-256 des Refresh-Tokens, user_id verweist auf users
+            await m.run(`CREATE TABLE IF NOT EXISTS user_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                user_data TEXT,
+                expires_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await m.addColumn('user_sessions', 'user_id', 'INTEGER');
+            // Sessions aus der Zeit des gemeinsamen Passworts gehören keinem Benutzer
+            await m.run('DELETE FROM user_sessions WHERE user_id IS NULL');
+        }
+    },
+    {
+        version: 3,
+        name: 'api_budget',
+        description: 'API-Verbrauch pro Tag/Projekt, Budgets und Budget-Warnungen',
+        async up(m) {
+            // api_usage aus der ersten Version (ohne project-Spalte) umbauen
+            const columns = await m.columns('api_usage');
+            if (columns.length > 0 && !columns.includes('project')) {
+                await m.run('ALTER TABLE api_usage RENAME TO api_usage_v1');
+                await m.run(API_USAGE_TABLE);
+                await m.run(
+                    `INSERT INTO api_usage (usage_date, api_type, endpoint, project, calls, units, cost_eur, updated_at)
+                     SELECT usage_date, api_type, endpoint, '${DEFAULT_PROJECT}', calls, units, cost_eur, updated_at FROM api_usage_v1`
+                );
+                await m.run('DROP TABLE api_usage_v1');
+            }
+            await m.run(API_USAGE_TABLE);
+
+            // project = '' steht für das globale Budget
+            await m.run(`CREATE TABLE IF NOT EXISTS api_budgets (
+                scope TEXT NOT NULL,
+                project TEXT NOT NULL DEFAULT '',
+                limit_eur REAL NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (scope, project)
+            )`);
+
+            // Jede Schwelle wird pro Budget(-Höhe) und Zeitraum genau einmal gemeldet
+            await m.run(`CREATE TABLE IF NOT EXISTS api_budget_alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                period TEXT NOT NULL,
+                scope TEXT NOT NULL,
+                project TEXT NOT NULL DEFAULT '',
+                threshold INTEGER NOT NULL,
+                spent_eur REAL,
+                limit_eur REAL,
+                status TEXT DEFAULT 'pending',
+                channels TEXT,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (period, scope, project, threshold, limit_eur)
+            )`);
+        }
+    },
+    {
+        version: 4,
+        name: 'calendar',
+        description: 'Abo-Tokens der Kalender-Feeds und importierte Kalender-Buchungen',
+        async up(m) {
+            await m.run(`CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_hash TEXT UNIQUE NOT NULL,
+                scope TEXT NOT NULL,
+                driver_id INTEGER,
+                week_start DATE,
+                label TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                revoked_at DATETIME,
+                FOREIGN KEY (driver_id) REFERENCES drivers (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )`);
+
+            await m.run(`CREATE TABLE IF NOT EXISTS calendar_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_key TEXT UNIQUE NOT NULL,
+                source TEXT NOT NULL,
+                appointment_id INTEGER,
+                sequence INTEGER DEFAULT 0,
+                content_hash TEXT,
+                event_date TEXT,
+                status TEXT DEFAULT 'active',
+                first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                cancelled_at DATETIME,
+                FOREIGN KEY (appointment_id) REFERENCES appointments (id)
+            )`);
+        }
+    },
+    {
+        version: 5,
+        name: 'appointment_import',
+        description: 'Import-Schlüssel für den CSV-Abgleich und gespeicherte Import-Profile',
+        async up(m) {
+            await m.addColumn('appointments', 'import_key', 'TEXT');
+            await m.addColumn('appointments', 'import_source', 'TEXT');
+            await m.addColumn('appointments', 'withdrawn_at', 'DATETIME');
+            await m.addColumn('appointments', 'lead_created_at', 'DATE');
+            await m.run('CREATE INDEX IF NOT EXISTS idx_appointments_import_key ON appointments(import_key)');
+
+            // Termine aus den alten Ersatz-Imports als CSV-Termine kennzeichnen
+            await m.run(`UPDATE appointments SET import_source = 'csv'
+                WHERE import_source IS NULL AND notes LIKE '%CSV%Import%'`);
+
+            await m.run(`CREATE TABLE IF NOT EXISTS import_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT,
+                mapping TEXT NOT NULL,
+                date_format TEXT DEFAULT 'auto',
+                on_hold_rule TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 6,
+        name: 'offline_geocoding',
+        description: 'PLZ- und Straßen-Datensätze für das Offline-Geocoding',
+        async up(m) {
+            await m.run(`CREATE TABLE IF NOT EXISTS geo_postcodes (
+                plz TEXT NOT NULL,
+                city TEXT NOT NULL,
+                city_normalized TEXT NOT NULL,
+                lat REAL NOT NULL,
+                lng REAL NOT NULL,
+                PRIMARY KEY (plz, city_normalized)
+            )`);
+            await m.run('CREATE INDEX IF NOT EXISTS idx_geo_postcodes_city ON geo_postcodes(city_normalized)');
+            await m.run(`CREATE TABLE IF NOT EXISTS geo_streets (
+                plz TEXT NOT NULL,
+                city TEXT,
+                street TEXT NOT NULL,
+                street_normalized TEXT NOT NULL,
+                lat REAL NOT NULL,
+                lng REAL NOT NULL,
+                PRIMARY KEY (plz, street_normalized)
+            )`);
+        }
+    },
+    {
+        version: 7,
+        name: 'route_versions',
+        description: 'Version, Vorgänger, Autor und Auslöser jeder gespeicherten Route',
+        async up(m) {
+            await m.addColumn('saved_routes', 'version', 'INTEGER');
+            await m.addColumn('saved_routes', 'parent_id', 'INTEGER');
+            await m.addColumn('saved_routes', 'created_by', 'INTEGER');
+            await m.addColumn('saved_routes', 'created_by_name', 'TEXT');
+            await m.addColumn('saved_routes', 'trigger_type', 'TEXT');
+            await m.addColumn('saved_routes', 'trigger_details', 'TEXT');
+            await m.run(`CREATE INDEX IF NOT EXISTS idx_saved_routes_week_driver
+                ON saved_routes (week_start, driver_id, version)`);
+
+            const backfilled = await backfillLegacyRouteVersions(m);
+            if (backfilled > 0) {
+                console.log(`🔧 ${backfilled} ältere Routen als Versionen nachgetragen`);
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'route_stops',
+        description: 'Geplante Stopps, Fahrten und Übernachtungen als Tabellen (ein aktiver Stopp pro Termin)',
+        async up(m) {
+            await m.run(`CREATE TABLE IF NOT EXISTS route_stops (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                route_id INTEGER NOT NULL,
+                appointment_id INTEGER NOT NULL,
+                week_start DATE NOT NULL,
+                driver_id INTEGER,
+                stop_date DATE,
+                day TEXT,
+                position INTEGER NOT NULL,
+                start_time TEXT,
+                end_time TEXT,
+                duration REAL,
+                is_fixed INTEGER DEFAULT 0,
+                customer TEXT,
+                address TEXT,
+                lat REAL,
+                lng REAL,
+                active INTEGER NOT NULL DEFAULT 0,
+                UNIQUE (route_id, appointment_id),
+                FOREIGN KEY (route_id) REFERENCES saved_routes (id) ON DELETE CASCADE,
+                FOREIGN KEY (appointment_id) REFERENCES appointments (id)
+            )`);
+            await m.run(`CREATE TABLE IF NOT EXISTS route_legs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                route_id INTEGER NOT NULL,
+                leg_date DATE,
+                day TEXT,
+                position INTEGER NOT NULL,
+                type TEXT,
+                from_label TEXT,
+                to_label TEXT,
+                distance_km REAL,
+                duration_hours REAL,
+                start_time TEXT,
+                end_time TEXT,
+                FOREIGN KEY (route_id) REFERENCES saved_routes (id) ON DELETE CASCADE
+            )`);
+            await m.run(`CREATE TABLE IF NOT EXISTS route_overnights (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                route_id INTEGER NOT NULL,
+                stay_date DATE NOT NULL,
+                day TEXT,
+                city TEXT,
+                hotel TEXT,
+                reason TEXT,
+                check_in TEXT,
+                lat REAL,
+                lng REAL,
+                UNIQUE (route_id, stay_date),
+                FOREIGN KEY (route_id) REFERENCES saved_routes (id) ON DELETE CASCADE
+            )`);
+
+            // Höchstens einmal in allen aktiven Routen verplant
+            await m.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_route_stops_active_appointment
+                ON route_stops (appointment_id) WHERE active = 1`);
+            await m.run('CREATE INDEX IF NOT EXISTS idx_route_stops_week ON route_stops (week_start, driver_id)');
+            await m.run('CREATE INDEX IF NOT EXISTS idx_route_legs_route ON route_legs (route_id)');
+            await m.run('CREATE INDEX IF NOT EXISTS idx_route_overnights_route ON route_overnights (route_id)');
+
+            // Jede Änderung an is_active (auch direkte UPDATEs) erreicht die Stopps;
+            // eine Aktivierung, die einen Termin doppelt verplanen würde, scheitert am Index
+            if (m.client === 'postgres') {
+                await createPostgresRouteTriggers(m);
+            } else {
+                await m.run(`CREATE TRIGGER IF NOT EXISTS trg_saved_routes_active
+                    AFTER UPDATE OF is_active ON saved_routes
+                    BEGIN
+                        UPDATE route_stops SET active = NEW.is_active WHERE route_id = NEW.id;
+                    END`);
+                // SQLite prüft Fremdschlüssel nur mit PRAGMA foreign_keys - Löschen daher per Trigger
+                await m.run(`CREATE TRIGGER IF NOT EXISTS trg_saved_routes_delete
+                    AFTER DELETE ON saved_routes
+                    BEGIN
+                        DELETE FROM route_stops WHERE route_id = OLD.id;
+                        DELETE FROM route_legs WHERE route_id = OLD.id;
+                        DELETE FROM route_overnights WHERE route_id = OLD.id;
+                    END`);
+            }
+
+            const migrated = await migrateJsonRoutesToTables(m);
+            if (migrated.routes > 0) {
+                console.log(`🔧 ${migrated.routes} Routen in Tabellen übernommen (${migrated.stops} Stopps, ${migrated.removedDuplicates} Duplikate entfernt)`);
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'fractional_durations',
+        description: 'Termindauer als Kommazahl (PostgreSQL; SQLite speichert sie bereits so)',
+        async up(m) {
+            // Aus CSV/Kalender kommen Dauern wie 2.5 - in PostgreSQL wäre INTEGER verlustbehaftet
+            if (m.client !== 'postgres') return;
+            await m.run('ALTER TABLE appointments ALTER COLUMN duration TYPE DOUBLE PRECISION');
+        }
+    }
+];
+
+// Trigger aus Migration 8 für PostgreSQL (Trigger-Funktionen statt BEGIN ... END)
+async function createPostgresRouteTriggers(m) {
+    await m.run(`CREATE OR REPLACE FUNCTION saved_routes_active_changed() RETURNS trigger AS $$
+        BEGIN
+            UPDATE route_stops SET active = NEW.is_active WHERE route_id = NEW.id;
+            RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql`);
+    await m.run('DROP TRIGGER IF EXISTS trg_saved_routes_active ON saved_routes');
+    await m.run(`CREATE TRIGGER trg_saved_routes_active
+        AFTER UPDATE OF is_active ON saved_routes
+        FOR EACH ROW EXECUTE FUNCTION saved_routes_active_changed()`);
+
+    await m.run(`CREATE OR REPLACE FUNCTION saved_routes_deleted() RETURNS trigger AS $$
+        BEGIN
+            DELETE FROM route_stops WHERE route_id = OLD.id;
+            DELETE FROM route_legs WHERE route_id = OLD.id;
+            DELETE FROM route_overnights WHERE route_id = OLD.id;
+            RETURN OLD;
+        END
+        $$ LANGUAGE plpgsql`);
+    await m.run('DROP TRIGGER IF EXISTS trg_saved_routes_delete ON saved_routes');
+    await m.run(`CREATE TRIGGER trg_saved_routes_delete
+        AFTER DELETE ON saved_routes
+        FOR EACH ROW EXECUTE FUNCTION saved_routes_deleted()`);
+}
+
+// ======================================================================
+// DATENÜBERNAHME MIGRATION 7: Routen vor der Versionierung
+// ======================================================================
+// Versionsnummer nach Reihenfolge der IDs je Woche/Fahrer, Vorgänger = vorige Zeile
+async function backfillLegacyRouteVersions(m) {
+    const rows = await m.all(`SELECT id, week_start, driver_id FROM saved_routes
+        WHERE version IS NULL ORDER BY id ASC`);
+    if (rows.length === 0) return 0;
+
+    const groupKey = (weekStart, driverId) => `${weekStart}|${driverId || 0}`;
+    const latest = new Map();
+    const known = await m.all(`SELECT week_start, driver_id, MAX(version) AS version, MAX(id) AS id
+        FROM saved_routes WHERE version IS NOT NULL GROUP BY week_start, driver_id`);
+    known.forEach(row => latest.set(groupKey(row.week_start, row.driver_id), { id: row.id, version: row.version }));
+
+    for (const row of rows) {
+        const key = groupKey(row.week_start, row.driver_id);
+        const previous = latest.get(key);
+        const version = previous ? previous.version + 1 : 1;
+        await m.run(
+            "UPDATE saved_routes SET version = ?, parent_id = ?, trigger_type = 'legacy' WHERE id = ?",
+            [version, previous ? previous.id : null, row.id]
+        );
+        latest.set(key, { id: row.id, version });
+    }
+    return rows.length;
+}
+
+// ======================================================================
+// DATENÜBERNAHME MIGRATION 8: route_data -> route_stops/legs/overnights
+// ======================================================================
+// Aktive Routen zuerst und nach Woche, damit bei Duplikaten die früheste
+// Woche den Termin behält (wie /api/admin/fix-duplicate-planning).
+async function migrateJsonRoutesToTables(m) {
+    const routes = await m.all(`SELECT id, week_start, driver_id, route_data, is_active FROM saved_routes r
+        WHERE NOT EXISTS (SELECT 1 FROM route_stops s WHERE s.route_id = r.id)
+        AND NOT EXISTS (SELECT 1 FROM route_legs l WHERE l.route_id = r.id)
+        ORDER BY is_active DESC, week_start ASC, id ASC`);
+    const result = { routes: 0, stops: 0, removedDuplicates: 0 };
+
+    for (const route of routes) {
+        let routeData;
+        try {
+            routeData = JSON.parse(route.route_data);
+        } catch (error) {
+            console.warn(`⚠️ Route ${route.id} nicht lesbar, keine Stopps übernommen: ${error.message}`);
+            continue;
+        }
+
+        let { stops, legs, overnights, duplicates } = extractRouteRows(routeData);
+        if (duplicates > 0) {
+            console.warn(`⚠️ Route ${route.id} (${route.week_start}): ${duplicates} Termine doppelt aufgeführt - nur der erste Stopp übernommen`);
+            result.removedDuplicates += duplicates;
+        }
+        if (route.is_active && stops.length > 0) {
+            // Schon in einer anderen aktiven Route verplant - auch in einer zweiten
+            // aktiven Route derselben Woche und desselben Fahrers
+            const conflicts = await m.all(
+                `SELECT appointment_id, week_start FROM route_stops
+                 WHERE active = 1 AND appointment_id IN (${stops.map(() => '?').join(', ')})`,
+                stops.map(stop => stop.appointmentId)
+            );
+            if (conflicts.length > 0) {
+                const ids = conflicts.map(conflict => conflict.appointment_id);
+                console.warn(`⚠️ Route ${route.id} (${route.week_start}): Termine ${ids.join(', ')} schon in Woche ${conflicts[0].week_start} geplant - entfernt`);
+                routeData = withoutAppointments(routeData, ids);
+                await m.run('UPDATE saved_routes SET route_data = ? WHERE id = ?', [JSON.stringify(routeData), route.id]);
+                ({ stops, legs, overnights } = extractRouteRows(routeData));
+                result.removedDuplicates += ids.length;
+            }
+        }
+
+        for (const stop of stops) {
+            await m.run(
+                `INSERT INTO route_stops
+                    (route_id, appointment_id, week_start, driver_id, stop_date, day, position, start_time, end_time,
+                     duration, is_fixed, customer, address, lat, lng, active)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    route.id, stop.appointmentId, route.week_start, route.driver_id, stop.date, stop.day, stop.position,
+                    stop.startTime, stop.endTime, stop.duration, stop.isFixed, stop.customer, stop.address, stop.lat, stop.lng,
+                    route.is_active ? 1 : 0
+                ]
+            );
+        }
+        for (const leg of legs) {
+            await m.run(
+                `INSERT INTO route_legs
+                    (route_id, leg_date, day, position, type, from_label, to_label, distance_km, duration_hours, start_time, end_time)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [route.id, leg.date, leg.day, leg.position, leg.type, leg.from, leg.to, leg.distance, leg.duration, leg.startTime, leg.endTime]
+            );
+        }
+        for (const overnight of overnights) {
+            await m.run(
+                `INSERT INTO route_overnights (route_id, stay_date, day, city, hotel, reason, check_in, lat, lng)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [route.id, overnight.date, overnight.day, overnight.city, overnight.hotel, overnight.reason, overnight.checkIn, overnight.lat, overnight.lng]
+            );
+        }
+        result.stops += stops.length;
+        result.routes++;
+    }
+    return result;
+}
+
+// route_data (Format bei Migration 8) -> Zeilen; Termine ohne ID werden nicht übernommen,
+// doppelt aufgeführte Termine nur beim ersten Vorkommen
+function extractRouteRows(routeData) {
+    const stops = [];
+    const legs = [];
+    const overnights = [];
+    const seen = new Set();
+    let duplicates = 0;
+    const valueOrNull = value => value !== undefined ? value : null;
+
+    ((routeData && routeData.days) || []).forEach(day => {
+        (day.appointments || []).forEach((apt, index) => {
+            if (apt.id === undefined || apt.id === null) return;
+            if (seen.has(apt.id)) {
+                duplicates++;
+                return;
+            }
+            seen.add(apt.id);
+            stops.push({
+                appointmentId: apt.id,
+                date: day.date || null,
+                day: day.day || null,
+                position: index,
+                startTime: apt.startTime || null,
+                endTime: apt.endTime || null,
+                duration: valueOrNull(apt.duration),
+                isFixed: apt.is_fixed ? 1 : 0,
+                customer: apt.customer || null,
+                address: apt.address || null,
+                lat: valueOrNull(apt.lat),
+                lng: valueOrNull(apt.lng)
+            });
+        });
+        (day.travelSegments || []).forEach((segment, index) => {
+            legs.push({
+                date: day.date || null,
+                day: day.day || null,
+                position: index,
+                type: segment.type || null,
+                from: segment.from || null,
+                to: segment.to || null,
+                distance: valueOrNull(segment.distance),
+                duration: valueOrNull(segment.duration),
+                startTime: segment.startTime || null,
+                endTime: segment.endTime || null
+            });
+        });
+        if (day.overnight && day.date) {
+            overnights.push({
+                date: day.date,
+                day: day.day || null,
+                city: day.overnight.city || null,
+                hotel: day.overnight.hotel || null,
+                reason: day.overnight.reason || null,
+                checkIn: day.overnight.checkIn || null,
+                lat: day.overnight.location ? day.overnight.location.lat : null,
+                lng: day.overnight.location ? day.overnight.location.lng : null
+            });
+        }
+    });
+
+    return { stops, legs, overnights, duplicates };
+}
+
+// Kopie von route_data ohne die angegebenen Termine (Arbeitszeit je Tag neu summiert)
+function withoutAppointments(routeData, appointmentIds) {
+    const removed = new Set(appointmentIds);
+    const copy = JSON.parse(JSON.stringify(routeData));
+    (copy.days || []).forEach(day => {
+        day.appointments = (day.appointments || []).filter(apt => !removed.has(apt.id));
+        day.workTime = Math.round(day.appointments.reduce((sum, apt) => sum + (apt.duration || 0), 0) * 10) / 10;
+    });
+    if (copy.stats) {
+        copy.stats.totalAppointments = (copy.days || []).reduce((sum, day) => sum + day.appointments.length, 0);
+        copy.stats.totalWorkTime = Math.round((copy.days || []).reduce((sum, day) => sum + (day.workTime || 0), 0) * 10) / 10;
+    }
+    return copy;
+}
@@ -3,14 +3,17 @@
 // Reduziert API-Calls um 95%+ durch intelligentes Caching und Clustering
 // ======================================================================
 
-const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
 const EnhancedGeocodingService = require('./geocoding-service');
+const { createRoutingProvider } = require('./routing-provider');
+const { createGeocodingProvider } = require('./geocoding-provider');
 
 class UltraOptimizedMapsService {
-    constructor(dbInstance) {
+    constructor(dbInstance, options = {}) {
         this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
-        if (!this.apiKey) {
+        this.routingProvider = options.routingProvider || createRoutingProvider();
+        this.geocodingProvider = options.geocodingProvider || createGeocodingProvider({ db: dbInstance });
+        if (!this.apiKey && this.routingProvider.name === 'google') {
             throw new Error('Google Maps API Key nicht konfiguriert');
         }
         this.db = dbInstance;
@@ -185,9 +188,10 @@ class UltraOptimizedMapsService {
     findDayAlternatives(day, appointment, dayIndex) {
         const alternatives = [];
         const availableSlots = this.findDetailedAvailableSlots(day);
+        const duration = Number(appointment.duration) > 0 ? Number(appointment.duration) : 3;
         
         for (const slot of availableSlots) {
-            if (slot.duration < 3.5) continue; // Mindestens 3.5h benötigt
+            if (slot.duration < duration + 0.5) continue; // Termindauer + 30 Min Puffer
             
             // Berechne Reiseeffizienz für diesen Slot
             const travelEfficiency = this.calculateSlotTravelEfficiency(
@@ -202,8 +206,8 @@ class UltraOptimizedMapsService {
                 date: day.date,
                 dayIndex: dayIndex,
                 startTime: slot.startTime,
-                endTime: this.addHours(slot.startTime, 3),
-                duration: 3,
+                endTime: this.addHours(slot.startTime, duration),
+                duration,
                 travelEfficiency: travelEfficiency,
                 timeSlotQuality: timeQuality,
                 totalScore: (travelEfficiency * 0.6) + (timeQuality * 0.4),
@@ -501,6 +505,9 @@ class UltraOptimizedMapsService {
     
     async batchDistanceMatrix(connections, allPoints, matrix) {
         if (connections.length === 0) return;
+
+        // Reine Schätzung: übernimmt approximateMissingDistances()
+        if (!this.routingProvider.realistic) return;
         
         const maxBatchSize = 100; // Größere Batches zur Kostensenkung
         
@@ -518,6 +525,11 @@ class UltraOptimizedMapsService {
                 await new Promise(resolve => setTimeout(resolve, 200));
                 
             } catch (error) {
+                if (error.code === 'API_BUDGET_EXHAUSTED') {
+                    // Rest übernimmt approximateMissingDistances()
+                    console.log(`💸 API-Budget erschöpft - restliche Distanzen werden geschätzt`);
+                    break;
+                }
                 console.error(`❌ Distance Matrix Batch ${i} fehlgeschlagen:`, error.message);
             }
         }
@@ -548,47 +560,24 @@ class UltraOptimizedMapsService {
 
         if (neededPairs.length === 0) return;
 
-        const originsCoords = originList.map(id => {
-            const point = pointsMap.get(id);
-            return `${point.lat},${point.lng}`;
-        }).join('|');
-
-        const destinationsCoords = destList.map(id => {
-            const point = pointsMap.get(id);
-            return `${point.lat},${point.lng}`;
-        }).join('|');
-
-        const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
-            params: {
-                origins: originsCoords,
-                destinations: destinationsCoords,
-                key: this.apiKey,
-                units: 'metric',
-                mode: 'driving',
-                avoid: 'tolls'
-            },
-            timeout: 15000
-        });
+        const originPoints = originList.map(id => pointsMap.get(id));
+        const destPoints = destList.map(id => pointsMap.get(id));
 
-        if (response.data.status === 'OK') {
-            response.data.rows.forEach((row, i) => {
-                const originId = originList[i];
-                if (!matrix[originId]) matrix[originId] = {};
+        const result = await this.routingProvider.table(originPoints, destPoints, { avoid: 'tolls' });
 
-                row.elements.forEach((element, j) => {
-                    const destId = destList[j];
+        result.forEach((row, i) => {
+            const originId = originList[i];
+            if (!matrix[originId]) matrix[originId] = {};
 
-                    if (element.status === 'OK') {
-                        const distance = element.distance.value / 1000;
-                        const duration = (element.duration.value / 3600) + 0.25;
-                        matrix[originId][destId] = { distance, duration };
-                        const origin = pointsMap.get(originId);
-                        const dest = pointsMap.get(destId);
-                        this.saveDistanceToCache(origin, dest, distance, duration);
-                    }
-                });
+            row.forEach((leg, j) => {
+                if (!leg) return;
+                const destId = destList[j];
+                const distance = leg.distance;
+                const duration = leg.duration + 0.25;
+                matrix[originId][destId] = { distance, duration };
+                this.saveDistanceToCache(originPoints[i], destPoints[j], distance, duration);
             });
-        }
+        });
     }
     
     approximateMissingDistances(allPoints, matrix) {
@@ -627,6 +616,10 @@ class UltraOptimizedMapsService {
                 await this.geocodeBatchAPI(batch, results);
                 await new Promise(resolve => setTimeout(resolve, 300));
             } catch (error) {
+                if (error.code === 'API_BUDGET_EXHAUSTED') {
+                    console.log(`💸 API-Budget erschöpft - ${needsApiCall.length - i} Adressen bleiben ohne Geocoding`);
+                    break;
+                }
                 console.error(`❌ Geocoding Batch fehlgeschlagen:`, error.message);
             }
         }
@@ -635,25 +628,16 @@ class UltraOptimizedMapsService {
     async geocodeBatchAPI(batch, results) {
         for (const item of batch) {
             try {
-                const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-                    params: {
-                        address: item.address,
-                        key: this.apiKey,
-                        region: 'de',
-                        components: 'country:DE'
-                    },
-                    timeout: 8000
-                });
-                
-                if (response.data.status === 'OK' && response.data.results.length > 0) {
-                    const location = response.data.results[0].geometry.location;
-                    
+                const location = await this.geocodingProvider.geocode(item.address);
+                this.apiUsage.geocoding++;
+
+                if (location) {
                     results[item.index] = {
                         ...item,
                         lat: location.lat,
                         lng: location.lng,
                         geocoded: true,
-                        source: 'google_api'
+                        source: location.provider
                     };
                     
                     // Cache speichern
@@ -662,11 +646,10 @@ class UltraOptimizedMapsService {
                         lat: location.lat,
                         lng: location.lng
                     });
-                    
-                    this.apiUsage.geocoding++;
                 }
             } catch (error) {
-                console.error(`❌ Geocoding fehlgeschlagen für ${item.address}`);
+                if (error.code === 'API_BUDGET_EXHAUSTED') throw error;
+                console.error(`❌ Geocoding fehlgeschlagen für ${item.address} (${this.geocodingProvider.name}): ${error.message}`);
             }
         }
     }
@@ -747,8 +730,11 @@ class UltraOptimizedMapsService {
         this.distanceCache.set(key, { distance, duration });
         if (this.db) {
             this.db.run(
-                `INSERT OR REPLACE INTO distance_cache (origin_lat, origin_lng, dest_lat, dest_lng, distance, duration, cached_at) VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
-                [origin.lat, origin.lng, dest.lat, dest.lng, distance, duration]
+                `INSERT INTO distance_cache (origin_lat, origin_lng, dest_lat, dest_lng, distance, duration, provider, cached_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT (origin_lat, origin_lng, dest_lat, dest_lng) DO UPDATE SET
+                    distance = excluded.distance, duration = excluded.duration, provider = excluded.provider, cached_at = excluded.cached_at`,
+                [origin.lat, origin.lng, dest.lat, dest.lng, distance, duration, this.routingProvider.name],
+                (err) => { if (err) console.warn('⚠️ Distanz-Cache nicht gespeichert:', err.message); }
             );
         }
     }
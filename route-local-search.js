@@ -0,0 +1,553 @@
+// ======================================================================
+// LOKALE SUCHE NACH DER GREEDY-PLANUNG
+// planDayEfficiently baut jeden Tag gierig (nächster offener Termin) und
+// revidiert nichts. Diese Phase verbessert die fertige Woche mit
+// - Einfügen:   nicht eingeplante Termine in eine Lücke schieben
+// - Relocate:   flexiblen Termin auf einen anderen Tag/an eine andere Stelle
+// - Swap:       zwei flexible Termine zwischen zwei Tagen tauschen
+// - 2-opt:      Teilstück eines Tages umdrehen
+// - Or-opt:     1-3 aufeinanderfolgende Termine innerhalb des Tages versetzen
+// Bewertet wird mit Fahrzeit-Schätzungen (bekannte Strecken aus dem Cache
+// des Planers, sonst Luftlinie wie in findSlotAround). Erst die beste Woche
+// wird mit echten Strecken neu getaktet; ist sie dann nicht besser als die
+// Greedy-Woche, bleibt die Greedy-Woche stehen.
+//
+// Regeln wie im Planer: fixe Termine bleiben an Tag und Uhrzeit, harte
+// Zeitfenster, Tageslimit inkl. Pausen, Freitag bis zur Rückkehrzeit an der
+// Basis, Übernachtung nur Mo-Do, Wochenlimit.
+// ======================================================================
+
+const DEFAULT_TIME_LIMIT_MS = 2000;
+
+const MOVE_TYPES = ['insert', 'relocate', 'swap', 'twoOpt', 'orOpt'];
+
+class RouteLocalSearch {
+    /**
+     * @param {object} planner - IntelligentRoutePlanner (Constraints, Distanzen, Zeitfenster)
+     * @param {object} [options]
+     * @param {number} [options.timeLimitMs] - Zeitbudget der Suche, 0 = aus (Default: LOCAL_SEARCH_TIME_LIMIT_MS bzw. 2000)
+     */
+    constructor(planner, options = {}) {
+        this.planner = planner;
+        const envLimit = Number(process.env.LOCAL_SEARCH_TIME_LIMIT_MS);
+
+        this.settings = {
+            timeLimitMs: options.timeLimitMs ?? (Number.isFinite(envLimit) ? envLimit : DEFAULT_TIME_LIMIT_MS),
+            unplannedPenaltyHours: 100,  // ein zusätzlicher Termin wiegt mehr als jede Fahrzeitersparnis
+            infeasiblePenaltyHours: 1000, // Greedy-Tag, der die Regeln hier nicht erfüllt (bleibt unverändert)
+            softWindowPenaltyHours: 0.5,  // weiches Zeitfenster verfehlt
+            maxSegmentLength: 3           // Or-opt
+        };
+
+        // Echte Strecken aus der Nachberechnung (null = Fahrt >9h)
+        this.realLegs = new Map();
+        this.estimatedLegs = new Map();
+    }
+
+    /**
+     * Woche (Ergebnis der Greedy-Schleife) verbessern. Ändert week in place.
+     * @param {Array<object>} week - Tage aus optimizeWeek
+     * @param {Array<object>} unplanned - flexible Termine, die nicht eingeplant wurden
+     * @returns {Promise<object>} Bericht (Greedy vs. optimiert)
+     */
+    async improve(week, unplanned = []) {
+        const startedAt = Date.now();
+        const greedyFigures = this.measureWeek(week);
+        const report = {
+            enabled: this.settings.timeLimitMs > 0,
+            timeLimitMs: this.settings.timeLimitMs,
+            applied: false,
+            stoppedBy: null,
+            iterations: 0,
+            evaluated: 0,
+            moves: Object.fromEntries(MOVE_TYPES.map(type => [type, 0])),
+            greedy: greedyFigures,
+            optimized: greedyFigures,
+            improvement: { appointments: 0, travelHours: 0, travelKm: 0, percent: 0 }
+        };
+        if (!report.enabled) return report;
+
+        const initial = this.buildPlan(week, unplanned);
+        this.initialSequences = initial.days.map(entry => this.idsOf(entry.sequence));
+        // Wochenlimit: die Greedy-Woche gilt immer als zulässig
+        this.weekLimit = Math.max(this.planner.constraints.maxWorkHoursPerWeek, this.evaluateWeek(initial).totalHours);
+        let best = { plan: initial, result: this.evaluateWeek(initial) };
+        const initialCost = best.result.cost;
+
+        const deadline = startedAt + this.settings.timeLimitMs;
+        report.stoppedBy = 'local_optimum';
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const move of this.neighbours(best.plan)) {
+                if (Date.now() > deadline) {
+                    report.stoppedBy = 'time_limit';
+                    break;
+                }
+                report.evaluated++;
+                const result = this.evaluateWeek(move.plan);
+                if (result.cost < best.result.cost - 1e-6) {
+                    best = { plan: move.plan, result };
+                    report.moves[move.type]++;
+                    report.iterations++;
+                    improved = true;
+                    break;
+                }
+            }
+            if (report.stoppedBy === 'time_limit') break;
+        }
+
+        const changed = best.result.cost < initialCost - 1e-6;
+        if (changed) {
+            // Mit echten Strecken nachrechnen und nur übernehmen, wenn es wirklich besser ist
+            const snapshot = week.map(day => this.cloneDay(day));
+            const violationsBefore = [...this.planner.timeWindowViolations];
+            const realResult = await this.materialize(week, best.plan);
+            const optimizedFigures = this.measureWeek(week);
+
+            const better = realResult &&
+                (optimizedFigures.appointments > greedyFigures.appointments ||
+                 (optimizedFigures.appointments === greedyFigures.appointments &&
+                  optimizedFigures.travelHours < greedyFigures.travelHours - 1e-6));
+
+            if (better) {
+                report.applied = true;
+                report.optimized = optimizedFigures;
+            } else {
+                snapshot.forEach((day, idx) => { week[idx] = day; });
+                this.planner.timeWindowViolations = violationsBefore;
+                report.stoppedBy = realResult ? 'no_real_improvement' : 'infeasible_with_real_distances';
+            }
+        }
+
+        report.durationMs = Date.now() - startedAt;
+        report.improvement = {
+            appointments: report.optimized.appointments - report.greedy.appointments,
+            travelHours: this.round(report.greedy.travelHours - report.optimized.travelHours),
+            travelKm: Math.round(report.greedy.travelKm - report.optimized.travelKm),
+            percent: report.greedy.travelHours > 0
+                ? this.round((report.greedy.travelHours - report.optimized.travelHours) / report.greedy.travelHours * 100)
+                : 0
+        };
+
+        console.log(`🧮 LOKALE SUCHE: ${report.evaluated} Varianten in ${report.durationMs}ms, ${report.iterations} Verbesserungen ` +
+            `(${report.applied ? 'übernommen' : 'Greedy bleibt'}; ${report.stoppedBy}) - ` +
+            `Fahrzeit ${report.greedy.travelHours}h → ${report.optimized.travelHours}h, Termine ${report.greedy.appointments} → ${report.optimized.appointments}`);
+        return report;
+    }
+
+    // ======================================================================
+    // LÖSUNG = REIHENFOLGE DER TERMINE JE TAG
+    // ======================================================================
+    buildPlan(week, unplanned) {
+        return {
+            days: week.map(day => ({
+                day,
+                frozen: !!day.isPastDay,
+                sequence: [...(day.appointments || [])]
+                    .sort((a, b) => this.planner.timeToHours(a.startTime) - this.planner.timeToHours(b.startTime))
+                    .map(block => this.stripBlock(block))
+            })),
+            unplanned: [...unplanned]
+        };
+    }
+
+    // Termin ohne die Planungsangaben des Blocks (Zeiten, Zeitfenster-Status)
+    stripBlock(block) {
+        const { startTime, endTime, timeWindowStatus, timeWindowViolations, ...apt } = block;
+        return apt;
+    }
+
+    idsOf(sequence) {
+        return sequence.map(apt => apt.id).join(',');
+    }
+
+    isFixed(apt) {
+        return (apt.is_fixed === 1 || apt.is_fixed === '1' || apt.is_fixed === true) && !!apt.fixed_date;
+    }
+
+    withDays(plan, changes, unplanned = plan.unplanned) {
+        return {
+            days: plan.days.map((entry, idx) => (idx in changes ? { ...entry, sequence: changes[idx] } : entry)),
+            unplanned
+        };
+    }
+
+    /**
+     * Alle Nachbarlösungen, lazy. Reihenfolge: erst Einfügen (mehr Termine),
+     * dann Verschieben zwischen Tagen, dann Reihenfolge innerhalb der Tage.
+     */
+    *neighbours(plan) {
+        const open = plan.days.map((entry, idx) => idx).filter(idx => !plan.days[idx].frozen);
+        const flexibleAt = idx => plan.days[idx].sequence
+            .map((apt, pos) => ({ apt, pos }))
+            .filter(({ apt }) => !this.isFixed(apt));
+
+        // Einfügen
+        for (const apt of plan.unplanned) {
+            const rest = plan.unplanned.filter(other => other !== apt);
+            for (const idx of open) {
+                if (!this.planner.isDayAllowedFor(apt, plan.days[idx].day.date)) continue;
+                const sequence = plan.days[idx].sequence;
+                for (let pos = 0; pos <= sequence.length; pos++) {
+                    yield { type: 'insert', plan: this.withDays(plan, { [idx]: this.insertAt(sequence, pos, [apt]) }, rest) };
+                }
+            }
+        }
+
+        // Relocate zwischen Tagen
+        for (const from of open) {
+            for (const { apt, pos } of flexibleAt(from)) {
+                const without = plan.days[from].sequence.filter((_, i) => i !== pos);
+                for (const to of open) {
+                    if (to === from || !this.planner.isDayAllowedFor(apt, plan.days[to].day.date)) continue;
+                    const target = plan.days[to].sequence;
+                    for (let insertPos = 0; insertPos <= target.length; insertPos++) {
+                        yield { type: 'relocate', plan: this.withDays(plan, { [from]: without, [to]: this.insertAt(target, insertPos, [apt]) }) };
+                    }
+                }
+            }
+        }
+
+        // Swap zwischen Tagen (Position wird übernommen)
+        for (const a of open) {
+            for (const b of open) {
+                if (b <= a) continue;
+                for (const x of flexibleAt(a)) {
+                    if (!this.planner.isDayAllowedFor(x.apt, plan.days[b].day.date)) continue;
+                    for (const y of flexibleAt(b)) {
+                        if (!this.planner.isDayAllowedFor(y.apt, plan.days[a].day.date)) continue;
+                        const seqA = [...plan.days[a].sequence];
+                        const seqB = [...plan.days[b].sequence];
+                        seqA[x.pos] = y.apt;
+                        seqB[y.pos] = x.apt;
+                        yield { type: 'swap', plan: this.withDays(plan, { [a]: seqA, [b]: seqB }) };
+                    }
+                }
+            }
+        }
+
+        // 2-opt innerhalb eines Tages
+        for (const idx of open) {
+            const sequence = plan.days[idx].sequence;
+            for (let i = 0; i < sequence.length - 1; i++) {
+                for (let j = i + 1; j < sequence.length; j++) {
+                    const reversed = [...sequence.slice(0, i), ...sequence.slice(i, j + 1).reverse(), ...sequence.slice(j + 1)];
+                    yield { type: 'twoOpt', plan: this.withDays(plan, { [idx]: reversed }) };
+                }
+            }
+        }
+
+        // Or-opt innerhalb eines Tages
+        for (const idx of open) {
+            const sequence = plan.days[idx].sequence;
+            for (let length = 1; length <= Math.min(this.settings.maxSegmentLength, sequence.length - 1); length++) {
+                for (let i = 0; i + length <= sequence.length; i++) {
+                    const segment = sequence.slice(i, i + length);
+                    const rest = [...sequence.slice(0, i), ...sequence.slice(i + length)];
+                    for (let pos = 0; pos <= rest.length; pos++) {
+                        if (pos === i) continue;
+                        yield { type: 'orOpt', plan: this.withDays(plan, { [idx]: this.insertAt(rest, pos, segment) }) };
+                    }
+                }
+            }
+        }
+    }
+
+    insertAt(sequence, pos, items) {
+        return [...sequence.slice(0, pos), ...items, ...sequence.slice(pos)];
+    }
+
+    // ======================================================================
+    // BEWERTUNG
+    // ======================================================================
+    evaluateWeek(plan) {
+        const c = this.planner.constraints;
+        let location = c.homeBase;
+        let cost = 0;
+        let totalHours = 0;
+        let appointments = 0;
+        const schedules = [];
+
+        // Solange nichts geändert ist, bleibt der Greedy-Tag samt seiner Übernachtung bestehen
+        let unchangedSoFar = true;
+
+        for (const [idx, entry] of plan.days.entries()) {
+            if (entry.frozen) {
+                schedules.push(null);
+                continue;
+            }
+
+            const unchanged = this.idsOf(entry.sequence) === this.initialSequences[idx];
+            unchangedSoFar = unchangedSoFar && unchanged;
+            const schedule = this.scheduleDay(entry.day, entry.sequence, location);
+            schedules.push(schedule);
+            if (!schedule.feasible) {
+                // Nur ein unveränderter Greedy-Tag darf unzulässig sein, jede Änderung muss zulässig sein
+                if (!unchanged) {
+                    return { cost: Infinity, totalHours: Infinity, appointments: 0, schedules };
+                }
+                cost += this.settings.infeasiblePenaltyHours;
+                location = this.nextStart(entry, schedule, true);
+                continue;
+            }
+
+            cost += schedule.travel + schedule.softViolations * this.settings.softWindowPenaltyHours;
+            totalHours += schedule.work + schedule.travel + schedule.breaks;
+            appointments += schedule.stops.length;
+            location = this.nextStart(entry, schedule, unchangedSoFar);
+        }
+
+        cost += plan.unplanned.length * this.settings.unplannedPenaltyHours;
+        if (this.weekLimit !== undefined && totalHours > this.weekLimit + 1e-6) {
+            cost += this.settings.infeasiblePenaltyHours;
+        }
+
+        return { cost, totalHours, appointments, schedules };
+    }
+
+    /**
+     * Tag in der gegebenen Reihenfolge takten (Regeln wie planDayEfficiently).
+     * @returns {object} feasible, stops[{apt, fixed, leg, departAt, arrival, start, end}], travel, work, breaks, ending
+     */
+    scheduleDay(day, sequence, startLocation) {
+        const p = this.planner;
+        const c = p.constraints;
+        const isFriday = day.day === 'Freitag';
+        const dayLimit = isFriday ? c.fridayReturnTime - c.workStartTime : c.maxWorkHoursPerDay;
+        const infeasible = { feasible: false };
+
+        if (sequence.length === 0) {
+            // Leerer Tag nach einer Übernachtung: Heimfahrt zählt trotzdem
+            const atHome = startLocation === c.homeBase;
+            const home = atHome ? null : this.leg(startLocation, c.homeBase);
+            return { feasible: true, stops: [], travel: home ? home.duration : 0, work: 0, breaks: 0, softViolations: 0, ending: null, overnight: null };
+        }
+
+        const stops = [];
+        let location = startLocation;
+        let time = c.workStartTime;
+        let travel = 0;
+        let work = 0;
+        let softViolations = 0;
+
+        for (const apt of sequence) {
+            const leg = this.leg(location, apt);
+            if (!leg) return infeasible;
+
+            const fixed = this.isFixed(apt);
+            const duration = p.durationOf(apt);
+            const arrival = p.roundToHalfHourUp(time + leg.duration);
+            let start;
+            if (fixed) {
+                if (apt.fixed_date !== day.date) return infeasible;
+                start = p.roundToHalfHourUp(p.timeToHours(apt.fixed_time || '08:30'));
+                if (arrival > start + 1e-6) return infeasible;
+            } else {
+                start = p.earliestWindowStart(apt, day.date, arrival);
+                if (start === null) return infeasible;
+                if (p.windowRulesFor(apt).some(rule => rule.type === 'soft') &&
+                    p.earliestWindowStart(apt, day.date, start, start + duration, true) === null) {
+                    softViolations++;
+                }
+            }
+
+            // Erster Termin: später losfahren statt vor Ort warten
+            const departAt = stops.length === 0 ? Math.max(p.roundToHalfHourUp(time), start - leg.duration) : p.roundToHalfHourUp(time);
+            stops.push({ apt, fixed, leg, departAt, arrival: departAt + leg.duration, start, end: start + duration });
+            travel += leg.duration;
+            work += duration;
+            time = start + duration;
+            location = apt;
+
+            // Tageslimit wie in planDayEfficiently: Arbeit + Fahrt + Pausen
+            if (work + travel + this.requiredBreak(work + travel) > dayLimit + 1e-6) return infeasible;
+        }
+
+        const last = stops[stops.length - 1];
+        const breaks = this.requiredBreak(work + travel);
+        const toHome = this.leg(last.apt, c.homeBase);
+        const leaveAt = p.roundToHalfHourUp(last.end);
+
+        let ending;
+        if (isFriday) {
+            if (!toHome || leaveAt + toHome.duration > c.fridayReturnTime + 1e-6) return infeasible;
+            ending = { type: 'return', leg: toHome, leaveAt, arrive: leaveAt + toHome.duration };
+        } else if (!toHome) {
+            ending = { type: 'overnight', reason: 'Heimfahrt >9h unmöglich' };
+        } else if (toHome.distance > c.overnightThresholdKm || leaveAt + toHome.duration > c.workStartTime + c.maxWorkHoursPerDay) {
+            ending = {
+                type: 'overnight',
+                reason: toHome.distance > c.overnightThresholdKm
+                    ? `${Math.round(toHome.distance)} km bis ${c.homeBase.name}`
+                    : `Rückkehr erst ${p.hoursToTime(leaveAt + toHome.duration)}`
+            };
+        } else {
+            ending = { type: 'return', leg: toHome, leaveAt, arrive: leaveAt + toHome.duration };
+        }
+
+        return {
+            feasible: true,
+            stops,
+            travel: travel + (ending.type === 'return' ? ending.leg.duration : 0),
+            work,
+            breaks,
+            softViolations,
+            ending,
+            overnight: ending.type === 'overnight' ? { location: { lat: last.apt.lat, lng: last.apt.lng } } : null
+        };
+    }
+
+    // Pausenregel aus ensureBreaks: >6h = 30 Min, >9h = 60 Min
+    requiredBreak(hours) {
+        if (hours > 9) return 1.0;
+        if (hours > 6) return 0.5;
+        return 0;
+    }
+
+    // Strecke: echte Werte (Nachberechnung/Planer-Cache), sonst Luftlinien-Schätzung
+    leg(from, to) {
+        const key = `${from.lat},${from.lng}-${to.lat},${to.lng}`;
+        if (this.realLegs.has(key)) return this.realLegs.get(key);
+        if (this.planner.distanceCache.has(key)) return this.planner.distanceCache.get(key);
+        if (this.estimatedLegs.has(key)) return this.estimatedLegs.get(key);
+
+        const p = this.planner;
+        const directKm = p.haversineDistance(from.lat, from.lng, to.lat, to.lng);
+        const hours = directKm * 1.2 / 75;
+        const duration = hours + p.calculateSimpleTravelPadding(hours);
+        const estimate = duration > p.constraints.maxSingleTravelHours ? null : { distance: directKm * 1.2, duration, estimated: true };
+        this.estimatedLegs.set(key, estimate);
+        return estimate;
+    }
+
+    // ======================================================================
+    // ÜBERNAHME: echte Strecken holen, Tage neu aufbauen
+    // ======================================================================
+    async materialize(week, plan) {
+        const p = this.planner;
+        const c = p.constraints;
+
+        // Tage bis zur ersten Änderung bleiben wie vom Greedy geplant (gleicher Start, gleiche Reihenfolge),
+        // ebenso unveränderte Greedy-Tage, die hier als unzulässig gelten
+        const firstChanged = plan.days.findIndex((entry, idx) => !entry.frozen && this.idsOf(entry.sequence) !== this.initialSequences[idx]);
+        let result = null;
+        const rebuild = (entry, idx) => !entry.frozen && firstChanged >= 0 && idx >= firstChanged &&
+            !(result && !result.schedules[idx].feasible && this.idsOf(entry.sequence) === this.initialSequences[idx]);
+
+        // Alle benötigten Strecken über den Routing-Provider (mit Cache) holen
+        let location = c.homeBase;
+        let unchangedSoFar = true;
+        for (const [idx, entry] of plan.days.entries()) {
+            if (entry.frozen) continue;
+            const unchanged = this.idsOf(entry.sequence) === this.initialSequences[idx];
+            unchangedSoFar = unchangedSoFar && unchanged;
+            let from = location;
+            for (const apt of entry.sequence) {
+                await this.fetchLeg(from, apt);
+                from = apt;
+            }
+            if (entry.sequence.length > 0) await this.fetchLeg(from, c.homeBase);
+            else if (from !== c.homeBase) await this.fetchLeg(from, c.homeBase);
+
+            // Übernachtung bestimmt den Start des Folgetags - erst mit echten Strecken bekannt
+            const schedule = this.scheduleDay(entry.day, entry.sequence, location);
+            location = this.nextStart(entry, schedule, unchangedSoFar || !schedule.feasible);
+        }
+
+        result = this.evaluateWeek(plan);
+        if (result.cost === Infinity) return null;
+
+        // Zeitfenster-Bericht für die neu aufgebauten Tage neu erstellen
+        const rebuiltDates = new Set(plan.days.filter(rebuild).map(entry => entry.day.date));
+        p.timeWindowViolations = p.timeWindowViolations.filter(v => !rebuiltDates.has(v.date));
+
+        let previousOvernight = null;
+        plan.days.forEach((entry, idx) => {
+            if (entry.frozen) return;
+            if (rebuild(entry, idx)) week[idx] = this.renderDay(entry.day, result.schedules[idx], previousOvernight);
+            previousOvernight = week[idx].overnight;
+        });
+        return result;
+    }
+
+    // Startpunkt des Folgetags: beibehaltene Greedy-Tage enden dort, wo der Greedy übernachtet hat
+    nextStart(entry, schedule, keptFromGreedy) {
+        const home = this.planner.constraints.homeBase;
+        if (keptFromGreedy) return entry.day.overnight ? entry.day.overnight.location : home;
+        return schedule.overnight ? schedule.overnight.location : home;
+    }
+
+    async fetchLeg(from, to) {
+        const key = `${from.lat},${from.lng}-${to.lat},${to.lng}`;
+        if (this.realLegs.has(key)) return;
+        this.realLegs.set(key, await this.planner.getDistance(from, to));
+    }
+
+    renderDay(source, schedule, previousOvernight) {
+        const p = this.planner;
+        const c = p.constraints;
+        const day = { ...source, appointments: [], travelSegments: [], overnight: null };
+
+        schedule.stops.forEach((stop, idx) => {
+            const fromLabel = idx === 0
+                ? (previousOvernight ? previousOvernight.city : c.homeBase.name)
+                : p.getCityName(schedule.stops[idx - 1].apt.address);
+            const type = idx === 0 ? (previousOvernight ? 'departure_from_hotel' : 'departure') : 'travel';
+            p.placeTravel(day, type, fromLabel, p.getCityName(stop.apt.address), stop.leg, stop.departAt, stop.arrival);
+
+            const block = {
+                ...stop.apt,
+                duration: stop.end - stop.start,
+                startTime: p.hoursToTime(stop.start),
+                endTime: p.hoursToTime(stop.end)
+            };
+            p.checkTimeWindows(day, block, stop.start, stop.end, stop.fixed);
+            day.appointments.push(block);
+            p.ensureBreaks(day);
+        });
+
+        const last = schedule.stops[schedule.stops.length - 1];
+        if (schedule.ending && schedule.ending.type === 'return') {
+            p.placeTravel(day, 'return', p.getCityName(last.apt.address), c.homeBase.name,
+                          schedule.ending.leg, schedule.ending.leaveAt, schedule.ending.arrive);
+        } else if (schedule.ending && schedule.ending.type === 'overnight') {
+            day.overnight = p.makeOvernight(day.appointments[day.appointments.length - 1], schedule.ending.reason);
+        }
+
+        day.workTime = p.computeWorkHours(day);
+        day.travelTime = p.computeTravelHours(day);
+        day.totalHours = day.workTime + day.travelTime;
+        return day;
+    }
+
+    // ======================================================================
+    // KENNZAHLEN
+    // ======================================================================
+    measureWeek(week) {
+        const segments = week.flatMap(day => day.travelSegments || []).filter(s => s.type !== 'break');
+        return {
+            appointments: week.reduce((sum, day) => sum + (day.appointments || []).length, 0),
+            travelHours: this.round(segments.reduce((sum, s) => sum + (s.duration || 0), 0)),
+            travelKm: Math.round(segments.reduce((sum, s) => sum + (s.distance || 0), 0)),
+            overnightStays: week.filter(day => day.overnight).length
+        };
+    }
+
+    cloneDay(day) {
+        return {
+            ...day,
+            appointments: [...(day.appointments || [])],
+            travelSegments: [...(day.travelSegments || [])],
+            overnight: day.overnight ? { ...day.overnight } : day.overnight
+        };
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+module.exports = RouteLocalSearch;
+module.exports.DEFAULT_TIME_LIMIT_MS = DEFAULT_TIME_LIMIT_MS;
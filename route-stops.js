@@ -0,0 +1,231 @@
+// ======================================================================
+// GEPLANTE STOPPS, FAHRTEN UND ÜBERNACHTUNGEN ALS TABELLEN
+// saved_routes.route_data bleibt das vollständige Dokument einer Version.
+// Wer wissen will, welcher Termin wo geplant ist, fragt route_stops:
+//   route_stops      - ein Termin pro Zeile (Tag, Uhrzeit, Reihenfolge)
+//   route_legs       - Fahrten und Pausen eines Tages (km, Stunden)
+//   route_overnights - Übernachtungen
+// active spiegelt saved_routes.is_active (per Trigger). Der Unique-Index
+// auf aktiven Stopps garantiert: ein Termin ist höchstens einmal in den
+// aktiven Routen verplant. Tabellen, Index und Trigger: Migration 8.
+// ======================================================================
+
+class RouteStopService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ======================================================================
+    // SCHREIBEN
+    // ======================================================================
+    /**
+     * Stopps, Fahrten und Übernachtungen einer gespeicherten Route anlegen.
+     * @param {object} route - { id, weekStart, driverId, isActive, routeData }
+     * @returns {Promise<number>} Anzahl Stopps
+     */
+    async writeRoute({ id, weekStart, driverId, isActive, routeData }) {
+        const { stops, legs, overnights } = this.extract(routeData);
+
+        for (const stop of stops) {
+            await this.run(
+                `INSERT INTO route_stops
+                    (route_id, appointment_id, week_start, driver_id, stop_date, day, position, start_time, end_time,
+                     duration, is_fixed, customer, address, lat, lng, active)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    id, stop.appointmentId, weekStart, driverId, stop.date, stop.day, stop.position, stop.startTime, stop.endTime,
+                    stop.duration, stop.isFixed, stop.customer, stop.address, stop.lat, stop.lng, isActive ? 1 : 0
+                ]
+            );
+        }
+        for (const leg of legs) {
+            await this.run(
+                `INSERT INTO route_legs
+                    (route_id, leg_date, day, position, type, from_label, to_label, distance_km, duration_hours, start_time, end_time)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, leg.date, leg.day, leg.position, leg.type, leg.from, leg.to, leg.distance, leg.duration, leg.startTime, leg.endTime]
+            );
+        }
+        for (const overnight of overnights) {
+            await this.run(
+                `INSERT INTO route_overnights (route_id, stay_date, day, city, hotel, reason, check_in, lat, lng)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, overnight.date, overnight.day, overnight.city, overnight.hotel, overnight.reason, overnight.checkIn, overnight.lat, overnight.lng]
+            );
+        }
+        return stops.length;
+    }
+
+    // ======================================================================
+    // ABFRAGEN
+    // ======================================================================
+    // Aktive Stopps dieser Termine in Routen anderer Wochen/Fahrer
+    async findActiveConflicts(appointmentIds, weekStart, driverId) {
+        if (appointmentIds.length === 0) return [];
+        return this.all(
+            `SELECT route_id, appointment_id, week_start, driver_id FROM route_stops
+             WHERE active = 1 AND appointment_id IN (${appointmentIds.map(() => '?').join(', ')})
+             AND NOT (week_start = ? AND ${this.db.sql.isSame('driver_id')})`,
+            [...appointmentIds, weekStart, driverId]
+        );
+    }
+
+    /**
+     * Aktuell verplante Termine (aktive Routen).
+     * @param {object} [filter] - { weekStart, driverId, excludeWeekStart, excludeDriverId, appointmentId }
+     *   excludeWeekStart allein: ganze Woche ausblenden; mit excludeDriverId nur die Route dieses Fahrers
+     */
+    async activeStops({ weekStart = null, driverId = null, excludeWeekStart = null, excludeDriverId = null, appointmentId = null } = {}) {
+        const conditions = ['active = 1'];
+        const params = [];
+        if (weekStart) {
+            conditions.push('week_start = ?');
+            params.push(weekStart);
+        }
+        if (excludeWeekStart && excludeDriverId) {
+            conditions.push(`NOT (week_start = ? AND ${this.db.sql.isSame('driver_id')})`);
+            params.push(excludeWeekStart, excludeDriverId);
+        } else if (excludeWeekStart) {
+            conditions.push('week_start != ?');
+            params.push(excludeWeekStart);
+        }
+        if (driverId) {
+            conditions.push('driver_id = ?');
+            params.push(driverId);
+        }
+        if (appointmentId) {
+            conditions.push('appointment_id = ?');
+            params.push(appointmentId);
+        }
+        return this.all(`SELECT * FROM route_stops WHERE ${conditions.join(' AND ')}
+            ORDER BY week_start ASC, stop_date ASC, position ASC`, params);
+    }
+
+    // Stopps, Fahrten und Übernachtungen einer Route
+    async routeDetails(routeId) {
+        const [stops, legs, overnights] = await Promise.all([
+            this.all('SELECT * FROM route_stops WHERE route_id = ? ORDER BY stop_date ASC, position ASC', [routeId]),
+            this.all('SELECT * FROM route_legs WHERE route_id = ? ORDER BY leg_date ASC, position ASC', [routeId]),
+            this.all('SELECT * FROM route_overnights WHERE route_id = ? ORDER BY stay_date ASC', [routeId])
+        ]);
+        const round = value => Math.round(value * 10) / 10;
+        return {
+            stops,
+            legs,
+            overnights,
+            totals: {
+                appointments: stops.length,
+                km: Math.round(legs.reduce((sum, leg) => sum + (leg.distance_km || 0), 0)),
+                travelHours: round(legs.filter(leg => leg.type !== 'break').reduce((sum, leg) => sum + (leg.duration_hours || 0), 0)),
+                workHours: round(stops.reduce((sum, stop) => sum + (stop.duration || 0), 0)),
+                overnightStays: overnights.length
+            }
+        };
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    appointmentIds(routeData) {
+        return this.extract(routeData).stops.map(stop => stop.appointmentId);
+    }
+
+    // route_data -> Zeilen; Termine ohne ID (z.B. Platzhalter) werden nicht verplant,
+    // doppelt aufgeführte Termine nur beim ersten Vorkommen
+    extract(routeData) {
+        const stops = [];
+        const legs = [];
+        const overnights = [];
+        const seen = new Set();
+
+        ((routeData && routeData.days) || []).forEach(day => {
+            (day.appointments || []).forEach((apt, index) => {
+                if (apt.id === undefined || apt.id === null || seen.has(apt.id)) return;
+                seen.add(apt.id);
+                stops.push({
+                    appointmentId: apt.id,
+                    date: day.date || null,
+                    day: day.day || null,
+                    position: index,
+                    startTime: apt.startTime || null,
+                    endTime: apt.endTime || null,
+                    duration: apt.duration !== undefined ? apt.duration : null,
+                    isFixed: apt.is_fixed ? 1 : 0,
+                    customer: apt.customer || null,
+                    address: apt.address || null,
+                    lat: apt.lat !== undefined ? apt.lat : null,
+                    lng: apt.lng !== undefined ? apt.lng : null
+                });
+            });
+            (day.travelSegments || []).forEach((segment, index) => {
+                legs.push({
+                    date: day.date || null,
+                    day: day.day || null,
+                    position: index,
+                    type: segment.type || null,
+                    from: segment.from || null,
+                    to: segment.to || null,
+                    distance: segment.distance !== undefined ? segment.distance : null,
+                    duration: segment.duration !== undefined ? segment.duration : null,
+                    startTime: segment.startTime || null,
+                    endTime: segment.endTime || null
+                });
+            });
+            if (day.overnight && day.date) {
+                overnights.push({
+                    date: day.date,
+                    day: day.day || null,
+                    city: day.overnight.city || null,
+                    hotel: day.overnight.hotel || null,
+                    reason: day.overnight.reason || null,
+                    checkIn: day.overnight.checkIn || null,
+                    lat: day.overnight.location ? day.overnight.location.lat : null,
+                    lng: day.overnight.location ? day.overnight.location.lng : null
+                });
+            }
+        });
+
+        return { stops, legs, overnights };
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+/**
+ * Kopie von route_data ohne die angegebenen Termine.
+ * Fahrten des Tages bleiben unverändert (Kilometer sind danach eine Obergrenze).
+ */
+RouteStopService.withoutAppointments = function(routeData, appointmentIds) {
+    const removed = new Set(appointmentIds);
+    const copy = JSON.parse(JSON.stringify(routeData));
+    (copy.days || []).forEach(day => {
+        day.appointments = (day.appointments || []).filter(apt => !removed.has(apt.id));
+        day.workTime = Math.round(day.appointments.reduce((sum, apt) => sum + (apt.duration || 0), 0) * 10) / 10;
+    });
+    if (copy.stats) {
+        copy.stats.totalAppointments = (copy.days || []).reduce((sum, day) => sum + day.appointments.length, 0);
+        copy.stats.totalWorkTime = Math.round((copy.days || []).reduce((sum, day) => sum + (day.workTime || 0), 0) * 10) / 10;
+    }
+    return copy;
+};
+
+module.exports = RouteStopService;
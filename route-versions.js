@@ -0,0 +1,412 @@
+// ======================================================================
+// VERSIONEN GESPEICHERTER ROUTEN (saved_routes)
+// Jede gespeicherte Route ist eine Version je Woche + Fahrer mit Vorgänger
+// (parent_id), Autor und Auslöser (optimize, recalculate, reschedule, ...).
+// Genau eine Version je Woche/Fahrer ist aktiv. diff() vergleicht zwei
+// Versionen, rollback() macht eine ältere Version wieder aktiv.
+// Jede Version schreibt ihre Stopps in route_stops (route-stops.js). Plant
+// eine neue Version einen Termin, der in einer anderen aktiven Route steht,
+// bekommt jene Route eine Folgeversion ohne diesen Termin (Auslöser "moved").
+// ======================================================================
+
+const RouteStopService = require('./route-stops');
+
+// Auslöser einer neuen Version (stabile Codes für Auswertungen)
+const TRIGGERS = {
+    optimize: 'Wochenoptimierung',
+    optimize_fleet: 'Flottenplanung',
+    optimize_all: 'Gesamtplanung',
+    optimize_efficient: 'Effizienter Planer',
+    recalculate: 'Neuberechnung',
+    reschedule: 'Neuberechnung nach Terminverschiebung',
+    moved: 'Termin in eine andere Route übernommen',
+    duplicate_cleanup: 'Doppelt geplanten Termin entfernt',
+    appointment_deleted: 'Termin gelöscht',
+    legacy: 'Vor der Versionierung gespeichert'
+};
+
+class RouteVersionService {
+    constructor(db, { stops = new RouteStopService(db) } = {}) {
+        this.db = db;
+        this.stops = stops;
+        // Speichern nacheinander, damit Versionsnummern je Woche/Fahrer eindeutig bleiben
+        this.queue = Promise.resolve();
+    }
+
+    // ======================================================================
+    // NEUE VERSION SPEICHERN
+    // ======================================================================
+    /**
+     * Route als neue, aktive Version speichern.
+     * @param {object} route - { name, weekStart, driverId, routeData }
+     * @param {object} meta - { user, trigger, triggerDetails }
+     * @returns {Promise<{ id: number, version: number, parentId: number|null }>}
+     */
+    saveVersion({ name, weekStart, driverId, routeData }, meta = {}) {
+        return this.enqueue(async () => {
+            const driver = driverId || 1;
+            // Termine, die noch in anderen aktiven Routen stehen, wandern in diese Version
+            await this.releaseConflicts(this.stops.appointmentIds(routeData), weekStart, driver, meta.user);
+            return this.insertVersion({ name, weekStart, driverId: driver, routeData }, meta);
+        });
+    }
+
+    /**
+     * Alle Routen einer Woche ersetzen (Flottenplanung), zusammen in einer Transaktion.
+     * Bisher aktive Routen von Fahrern ohne neue Route bekommen eine Folgeversion
+     * ohne Termine - so bleibt nachvollziehbar, wer sie wann aufgelöst hat.
+     * @param {string} weekStart
+     * @param {Array<object>} routes - { name, driverId, routeData }
+     * @param {object} meta - { user, trigger, triggerDetails }
+     * @returns {Promise<Array<{ driverId: number, id: number, version: number, parentId: number|null }>>}
+     */
+    replaceWeek(weekStart, routes, meta = {}) {
+        return this.enqueue(async () => {
+            const previous = await this.all('SELECT id, driver_id, route_data FROM saved_routes WHERE week_start = ? AND is_active = 1', [weekStart]);
+            // Erst die ganze Woche freigeben: Termine dürfen zwischen den Fahrern wechseln
+            await this.run('UPDATE saved_routes SET is_active = 0 WHERE week_start = ?', [weekStart]);
+
+            const saved = [];
+            for (const route of routes) {
+                const driverId = route.driverId || 1;
+                await this.releaseConflicts(this.stops.appointmentIds(route.routeData), weekStart, driverId, meta.user);
+                const version = await this.insertVersion({ name: route.name, weekStart, driverId, routeData: route.routeData }, meta);
+                saved.push({ driverId, ...version });
+            }
+
+            const replaced = new Set(saved.map(entry => entry.driverId));
+            for (const route of previous.filter(row => !replaced.has(row.driver_id))) {
+                const appointmentIds = this.stops.appointmentIds(JSON.parse(route.route_data));
+                await this.insertReducedVersion(route.id, appointmentIds, meta);
+            }
+            return saved;
+        });
+    }
+
+    /**
+     * Termine aus einer Route entfernen (als neue aktive Version dieser Woche/Fahrer).
+     * @returns {Promise<object|null>} neue Version oder null, wenn keiner der Termine enthalten war
+     */
+    removeAppointments(routeId, appointmentIds, meta = {}) {
+        return this.enqueue(() => this.insertReducedVersion(routeId, appointmentIds, meta));
+    }
+
+    /**
+     * Termin endgültig löschen, zusammen in einer Transaktion: aus den aktiven Routen nehmen
+     * (neue Version ohne ihn), Stopp-Zeilen älterer Versionen und Kalender-Verknüpfung lösen.
+     * route_data älterer Versionen bleibt unverändert.
+     * @returns {Promise<number|null>} Anzahl Routen, aus denen er entfernt wurde; null, wenn es ihn nicht gibt
+     */
+    deleteAppointment(appointmentId, meta = {}) {
+        return this.enqueue(async () => {
+            const appointment = await this.get('SELECT id FROM appointments WHERE id = ?', [appointmentId]);
+            if (!appointment) return null;
+
+            const activeStops = await this.stops.activeStops({ appointmentId });
+            for (const stop of activeStops) {
+                await this.insertReducedVersion(stop.route_id, [appointmentId], meta);
+            }
+            await this.run('DELETE FROM route_stops WHERE appointment_id = ?', [appointmentId]);
+            // Taucht das Kalender-Event wieder auf, legt der nächste Import den Termin neu an
+            await this.run('UPDATE calendar_events SET appointment_id = NULL WHERE appointment_id = ?', [appointmentId]);
+            await this.run('DELETE FROM appointments WHERE id = ?', [appointmentId]);
+            return activeStops.length;
+        });
+    }
+
+    async insertReducedVersion(routeId, appointmentIds, meta) {
+        const route = await this.get('SELECT * FROM saved_routes WHERE id = ?', [routeId]);
+        if (!route) return null;
+
+        const routeData = JSON.parse(route.route_data);
+        const contained = this.stops.appointmentIds(routeData).filter(id => appointmentIds.includes(id));
+        if (contained.length === 0) return null;
+
+        const reduced = RouteStopService.withoutAppointments(routeData, contained);
+        const count = reduced.stats ? reduced.stats.totalAppointments : this.stops.appointmentIds(reduced).length;
+        return this.insertVersion({
+            name: `${route.name.replace(/ \(\d+ Termine\)/, '')} (${count} Termine)`,
+            weekStart: route.week_start,
+            driverId: route.driver_id,
+            routeData: reduced
+        }, {
+            ...meta,
+            triggerDetails: { ...(meta.triggerDetails || {}), appointmentIds: contained, fromVersionId: route.id }
+        });
+    }
+
+    // Konflikte mit anderen aktiven Routen auflösen: dort Folgeversion ohne die Termine
+    async releaseConflicts(appointmentIds, weekStart, driverId, user) {
+        const conflicts = await this.stops.findActiveConflicts(appointmentIds, weekStart, driverId);
+        const byRoute = new Map();
+        conflicts.forEach(conflict => {
+            if (!byRoute.has(conflict.route_id)) byRoute.set(conflict.route_id, []);
+            byRoute.get(conflict.route_id).push(conflict.appointment_id);
+        });
+
+        for (const [routeId, ids] of byRoute) {
+            const reduced = await this.insertReducedVersion(routeId, ids, {
+                user,
+                trigger: 'moved',
+                triggerDetails: { movedTo: { weekStart, driverId } }
+            });
+            console.log(`🔀 Termine ${ids.join(', ')} aus Route ${routeId} übernommen (neue Version ${reduced.id})`);
+        }
+        return conflicts;
+    }
+
+    // Neue aktive Version samt Stopps schreiben (läuft innerhalb der Warteschlange)
+    async insertVersion({ name, weekStart, driverId, routeData }, { user = null, trigger = null, triggerDetails = null } = {}) {
+        // Vorgänger = die bisher aktive Version, sonst die zuletzt gespeicherte
+        const parent = await this.get(`SELECT id FROM saved_routes
+            WHERE week_start = ? AND driver_id = ?
+            ORDER BY is_active DESC, version DESC, id DESC LIMIT 1`, [weekStart, driverId]);
+        const last = await this.get(`SELECT MAX(version) AS version FROM saved_routes
+            WHERE week_start = ? AND driver_id = ?`, [weekStart, driverId]);
+        const version = (last && last.version ? last.version : 0) + 1;
+
+        await this.run('UPDATE saved_routes SET is_active = 0 WHERE week_start = ? AND driver_id = ?', [weekStart, driverId]);
+        const result = await this.run(
+            `INSERT INTO saved_routes
+                (name, week_start, driver_id, route_data, is_active, version, parent_id,
+                 created_by, created_by_name, trigger_type, trigger_details)
+             VALUES (?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?)`,
+            [
+                name, weekStart, driverId, JSON.stringify(routeData), version, parent ? parent.id : null,
+                user ? user.id : null, user ? user.username : null,
+                trigger, triggerDetails ? JSON.stringify(triggerDetails) : null
+            ]
+        );
+        await this.stops.writeRoute({ id: result.lastID, weekStart, driverId, isActive: true, routeData });
+
+        return { id: result.lastID, version, parentId: parent ? parent.id : null };
+    }
+
+    // ======================================================================
+    // ABFRAGEN
+    // ======================================================================
+    // Versionen ohne route_data (Liste), neueste zuerst
+    async listVersions({ weekStart = null, driverId = null } = {}) {
+        const conditions = [];
+        const params = [];
+        if (weekStart) {
+            conditions.push('week_start = ?');
+            params.push(weekStart);
+        }
+        if (driverId) {
+            conditions.push('driver_id = ?');
+            params.push(driverId);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await this.all(`SELECT id, name, week_start, driver_id, is_active, version, parent_id,
+                created_by, created_by_name, trigger_type, trigger_details, created_at, updated_at, route_data
+            FROM saved_routes ${where}
+            ORDER BY week_start ASC, driver_id ASC, version DESC`, params);
+
+        return rows.map(row => {
+            const { route_data: routeData, ...version } = this.formatVersion(row);
+            version.summary = this.summarize(routeData);
+            return version;
+        });
+    }
+
+    async getVersion(id) {
+        const row = await this.get('SELECT * FROM saved_routes WHERE id = ?', [id]);
+        return row ? this.formatVersion(row) : null;
+    }
+
+    // ======================================================================
+    // VERGLEICH ZWEIER VERSIONEN
+    // ======================================================================
+    /**
+     * Unterschiede von Version "from" zu Version "to".
+     * moved = gleicher Termin an anderem Tag oder zu anderer Uhrzeit.
+     * @param {object} from - Version mit route_data (älterer Stand)
+     * @param {object} to - Version mit route_data (neuerer Stand)
+     */
+    diff(from, to) {
+        const before = this.appointmentsOf(from.route_data);
+        const after = this.appointmentsOf(to.route_data);
+
+        const added = [];
+        const moved = [];
+        after.forEach((apt, id) => {
+            const previous = before.get(id);
+            if (!previous) {
+                added.push(apt);
+            } else if (previous.date !== apt.date || previous.startTime !== apt.startTime) {
+                moved.push({
+                    appointmentId: id,
+                    customer: apt.customer,
+                    from: { date: previous.date, day: previous.day, startTime: previous.startTime, endTime: previous.endTime },
+                    to: { date: apt.date, day: apt.day, startTime: apt.startTime, endTime: apt.endTime }
+                });
+            }
+        });
+        const removed = [...before.entries()].filter(([id]) => !after.has(id)).map(([, apt]) => apt);
+
+        const fromSummary = this.summarize(from.route_data);
+        const toSummary = this.summarize(to.route_data);
+        const delta = key => Math.round((toSummary[key] - fromSummary[key]) * 10) / 10;
+
+        return {
+            from: { id: from.id, version: from.version, summary: fromSummary },
+            to: { id: to.id, version: to.version, summary: toSummary },
+            added,
+            removed,
+            moved,
+            unchanged: after.size - added.length - moved.length,
+            changes: {
+                appointments: delta('appointments'),
+                km: delta('km'),
+                hours: delta('hours'),
+                travelHours: delta('travelHours'),
+                workHours: delta('workHours'),
+                overnightStays: delta('overnightStays')
+            }
+        };
+    }
+
+    // ======================================================================
+    // ROLLBACK
+    // ======================================================================
+    /**
+     * Ältere Version wieder aktiv machen (Versionen bleiben erhalten).
+     * Stehen Termine dieser Version inzwischen in einer anderen aktiven Route,
+     * wird nur mit force aus jener Route entfernt - sonst { conflicts }.
+     */
+    rollback(id, { user = null, force = false } = {}) {
+        return this.enqueue(async () => {
+            const target = await this.get('SELECT id, week_start, driver_id, route_data FROM saved_routes WHERE id = ?', [id]);
+            if (!target) return null;
+
+            const appointmentIds = this.stops.appointmentIds(JSON.parse(target.route_data));
+            const conflicts = await this.stops.findActiveConflicts(appointmentIds, target.week_start, target.driver_id);
+            if (conflicts.length > 0 && !force) {
+                return { conflicts };
+            }
+            if (conflicts.length > 0) {
+                await this.releaseConflicts(appointmentIds, target.week_start, target.driver_id, user);
+            }
+
+            const previous = await this.get(
+                'SELECT id, version FROM saved_routes WHERE week_start = ? AND driver_id = ? AND is_active = 1',
+                [target.week_start, target.driver_id]
+            );
+            await this.run('UPDATE saved_routes SET is_active = 0 WHERE week_start = ? AND driver_id = ?',
+                [target.week_start, target.driver_id]);
+            await this.run('UPDATE saved_routes SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+
+            return { version: await this.getVersion(id), previous: previous || null, conflicts };
+        });
+    }
+
+    // Schreibende Vorgänge nacheinander und jeweils in einer Transaktion:
+    // Versionsnummern bleiben eindeutig, Verschiebungen zwischen Routen atomar
+    enqueue(work) {
+        const task = this.queue.then(() => this.db.transaction(work));
+        // Ein Fehler darf nachfolgende Speicherungen nicht blockieren
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    formatVersion(row) {
+        let triggerDetails = null;
+        try {
+            triggerDetails = row.trigger_details ? JSON.parse(row.trigger_details) : null;
+        } catch (error) {
+            triggerDetails = { raw: row.trigger_details };
+        }
+        let routeData = null;
+        try {
+            routeData = JSON.parse(row.route_data);
+        } catch (error) {
+            routeData = null;
+        }
+
+        return {
+            id: row.id,
+            name: row.name,
+            week_start: row.week_start,
+            driver_id: row.driver_id,
+            is_active: row.is_active,
+            version: row.version,
+            parent_id: row.parent_id,
+            created_by: row.created_by,
+            created_by_name: row.created_by_name,
+            trigger_type: row.trigger_type,
+            trigger_label: TRIGGERS[row.trigger_type] || null,
+            trigger_details: triggerDetails,
+            created_at: row.created_at,
+            updated_at: row.updated_at,
+            route_data: routeData
+        };
+    }
+
+    // Termin-ID -> Platzierung (Tag, Uhrzeit) einer Route
+    appointmentsOf(routeData) {
+        const appointments = new Map();
+        ((routeData && routeData.days) || []).forEach(day => {
+            (day.appointments || []).forEach(apt => {
+                if (apt.id === undefined || apt.id === null) return;
+                appointments.set(apt.id, {
+                    appointmentId: apt.id,
+                    customer: apt.customer || apt.customer_company || null,
+                    date: day.date,
+                    day: day.day,
+                    startTime: apt.startTime || null,
+                    endTime: apt.endTime || null
+                });
+            });
+        });
+        return appointments;
+    }
+
+    // Kennzahlen einer Route: Termine, Kilometer, Stunden, Übernachtungen
+    summarize(routeData) {
+        const days = (routeData && routeData.days) || [];
+        const stats = (routeData && routeData.stats) || {};
+        const round = value => Math.round(value * 10) / 10;
+        const km = days.reduce((sum, day) =>
+            sum + (day.travelSegments || []).reduce((s, segment) => s + (segment.distance || 0), 0), 0);
+        const travelHours = days.reduce((sum, day) => sum + (day.travelTime || 0), 0);
+        const workHours = days.reduce((sum, day) => sum + (day.workTime || 0), 0);
+
+        return {
+            appointments: days.reduce((sum, day) => sum + (day.appointments || []).length, 0),
+            km: Math.round(km),
+            hours: round(routeData && routeData.totalHours !== undefined ? routeData.totalHours : travelHours + workHours),
+            travelHours: round(stats.totalTravelTime !== undefined ? stats.totalTravelTime : travelHours),
+            workHours: round(stats.totalWorkTime !== undefined ? stats.totalWorkTime : workHours),
+            overnightStays: days.filter(day => day.overnight).length
+        };
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+RouteVersionService.TRIGGERS = TRIGGERS;
+
+module.exports = RouteVersionService;
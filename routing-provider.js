@@ -0,0 +1,269 @@
+// ======================================================================
+// ROUTING-PROVIDER: AUSTAUSCHBARE DISTANZ-/FAHRZEIT-BERECHNUNG
+// - google:    Google Distance Matrix (kostenpflichtig, mit Verkehr)
+// - osrm:      selbst gehosteter OSRM-kompatibler Dienst (/table + /route)
+// - haversine: Luftlinie × Straßenfaktor, komplett offline
+// Auswahl per ROUTING_PROVIDER (+ OSRM_URL), siehe createRoutingProvider()
+//
+// Alle Provider liefern Distanzen in km und Fahrzeiten in Stunden OHNE
+// Puffer - den Puffer rechnen die Planer selbst drauf.
+// ======================================================================
+
+const axios = require('axios');
+
+class RoutingProvider {
+    constructor(name) {
+        this.name = name;
+        // true = echte Straßendaten, false = Schätzung
+        this.realistic = true;
+    }
+
+    /**
+     * Distanzmatrix: matrix[i][j] = { distance, duration, provider } oder null (keine Route)
+     * @param {Array<{lat:number,lng:number}>} origins
+     * @param {Array<{lat:number,lng:number}>} destinations
+     * @param {object} [options] - { traffic, avoid }
+     */
+    async table(origins, destinations, options = {}) {
+        throw new Error(`${this.name}: table() nicht implementiert`);
+    }
+
+    /** Einzelne Strecke, Default: 1×1-Matrix */
+    async route(from, to, options = {}) {
+        const matrix = await this.table([from], [to], options);
+        return matrix[0][0];
+    }
+
+    emptyMatrix(rows, cols) {
+        return Array.from({ length: rows }, () => new Array(cols).fill(null));
+    }
+}
+
+// ======================================================================
+// GOOGLE DISTANCE MATRIX
+// ======================================================================
+class GoogleRoutingProvider extends RoutingProvider {
+    constructor(options = {}) {
+        super('google');
+        this.apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+        this.url = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+        this.timeout = options.timeout || 15000;
+        // APIBudgetController - abgerechnet wird pro Matrix-Element
+        this.budget = options.budget || null;
+
+        // Google-Limits pro Request
+        this.maxOrigins = 25;
+        this.maxDestinations = 25;
+        this.maxElements = 100;
+    }
+
+    async table(origins, destinations, options = {}) {
+        if (!this.apiKey) {
+            throw new Error('Google Maps API Key nicht konfiguriert');
+        }
+
+        const matrix = this.emptyMatrix(origins.length, destinations.length);
+        const destChunk = Math.min(this.maxDestinations, destinations.length);
+        const originChunk = Math.max(1, Math.min(this.maxOrigins, Math.floor(this.maxElements / destChunk)));
+
+        for (let i = 0; i < origins.length; i += originChunk) {
+            const originBatch = origins.slice(i, i + originChunk);
+
+            for (let j = 0; j < destinations.length; j += destChunk) {
+                const destBatch = destinations.slice(j, j + destChunk);
+
+                const params = {
+                    key: this.apiKey,
+                    origins: originBatch.map(p => `${p.lat},${p.lng}`).join('|'),
+                    destinations: destBatch.map(p => `${p.lat},${p.lng}`).join('|'),
+                    units: 'metric',
+                    mode: 'driving',
+                    region: 'de'
+                };
+                if (options.traffic) {
+                    params.departure_time = 'now';
+                    params.traffic_model = 'best_guess';
+                }
+                if (options.avoid) params.avoid = options.avoid;
+
+                const request = () => axios.get(this.url, { params, timeout: options.timeout || this.timeout });
+                const response = this.budget
+                    ? await this.budget.withBudget(
+                        options.traffic ? 'distanceMatrixAdvanced' : 'distanceMatrix',
+                        originBatch.length * destBatch.length,
+                        request)
+                    : await request();
+                if (response.data.status !== 'OK') {
+                    throw new Error(`Google Distance Matrix: ${response.data.status}${response.data.error_message ? ' - ' + response.data.error_message : ''}`);
+                }
+
+                response.data.rows.forEach((row, rowIdx) => {
+                    row.elements.forEach((el, colIdx) => {
+                        if (el.status !== 'OK') return;
+                        const seconds = el.duration_in_traffic?.value || el.duration?.value || 0;
+                        matrix[i + rowIdx][j + colIdx] = {
+                            distance: (el.distance?.value || 0) / 1000,
+                            duration: seconds / 3600,
+                            provider: this.name,
+                            traffic_considered: !!el.duration_in_traffic
+                        };
+                    });
+                });
+            }
+        }
+
+        return matrix;
+    }
+}
+
+// ======================================================================
+// OSRM-KOMPATIBLER DIENST (/table/v1 + /route/v1)
+// ======================================================================
+class OsrmRoutingProvider extends RoutingProvider {
+    constructor(options = {}) {
+        super('osrm');
+        this.baseUrl = (options.baseUrl || process.env.OSRM_URL || 'http://localhost:5000').replace(/\/+$/, '');
+        this.profile = options.profile || process.env.OSRM_PROFILE || 'driving';
+        this.timeout = options.timeout || 15000;
+        // OSRM-Default max-table-size ist 100 Koordinaten pro Anfrage
+        this.maxCoordinates = options.maxCoordinates || 100;
+    }
+
+    // OSRM erwartet lng,lat
+    formatCoordinates(points) {
+        return points.map(p => `${p.lng},${p.lat}`).join(';');
+    }
+
+    async table(origins, destinations, options = {}) {
+        const matrix = this.emptyMatrix(origins.length, destinations.length);
+        const chunk = Math.max(1, Math.floor(this.maxCoordinates / 2));
+
+        for (let i = 0; i < origins.length; i += chunk) {
+            const originBatch = origins.slice(i, i + chunk);
+
+            for (let j = 0; j < destinations.length; j += chunk) {
+                const destBatch = destinations.slice(j, j + chunk);
+                const coords = this.formatCoordinates([...originBatch, ...destBatch]);
+
+                const response = await axios.get(`${this.baseUrl}/table/v1/${this.profile}/${coords}`, {
+                    params: {
+                        sources: originBatch.map((_, idx) => idx).join(';'),
+                        destinations: destBatch.map((_, idx) => originBatch.length + idx).join(';'),
+                        annotations: 'duration,distance'
+                    },
+                    timeout: options.timeout || this.timeout
+                });
+
+                if (response.data.code !== 'Ok') {
+                    throw new Error(`OSRM table: ${response.data.code}${response.data.message ? ' - ' + response.data.message : ''}`);
+                }
+
+                const { durations = [], distances = [] } = response.data;
+                originBatch.forEach((_, rowIdx) => {
+                    destBatch.forEach((__, colIdx) => {
+                        const seconds = durations[rowIdx]?.[colIdx];
+                        const meters = distances[rowIdx]?.[colIdx];
+                        if (seconds == null) return; // keine Route gefunden
+                        matrix[i + rowIdx][j + colIdx] = {
+                            distance: meters != null ? meters / 1000 : null,
+                            duration: seconds / 3600,
+                            provider: this.name
+                        };
+                    });
+                });
+            }
+        }
+
+        return matrix;
+    }
+
+    async route(from, to, options = {}) {
+        const response = await axios.get(`${this.baseUrl}/route/v1/${this.profile}/${this.formatCoordinates([from, to])}`, {
+            params: { overview: 'false', alternatives: 'false', steps: 'false' },
+            timeout: options.timeout || this.timeout
+        });
+
+        if (response.data.code !== 'Ok') {
+            if (response.data.code === 'NoRoute') return null;
+            throw new Error(`OSRM route: ${response.data.code}${response.data.message ? ' - ' + response.data.message : ''}`);
+        }
+
+        const best = response.data.routes?.[0];
+        if (!best) return null;
+
+        return {
+            distance: best.distance / 1000,
+            duration: best.duration / 3600,
+            provider: this.name
+        };
+    }
+}
+
+// ======================================================================
+// HAVERSINE-SCHÄTZUNG (OFFLINE)
+// ======================================================================
+class HaversineRoutingProvider extends RoutingProvider {
+    constructor(options = {}) {
+        super('haversine');
+        this.realistic = false;
+        this.roadFactor = options.roadFactor || 1.2;     // Straße ist ~20% länger als Luftlinie
+        this.averageSpeedKmh = options.averageSpeedKmh || 75;
+    }
+
+    async table(origins, destinations) {
+        return origins.map(from => destinations.map(to => this.estimate(from, to)));
+    }
+
+    async route(from, to) {
+        return this.estimate(from, to);
+    }
+
+    estimate(from, to) {
+        const roadKm = this.haversineDistance(from.lat, from.lng, to.lat, to.lng) * this.roadFactor;
+        return {
+            distance: roadKm,
+            duration: roadKm / this.averageSpeedKmh,
+            provider: this.name,
+            approximated: true
+        };
+    }
+
+    haversineDistance(lat1, lng1, lat2, lng2) {
+        const R = 6371;
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLng/2) * Math.sin(dLng/2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    }
+}
+
+// ======================================================================
+// FACTORY
+// ROUTING_PROVIDER=google|osrm|haversine
+// Ohne Angabe: google, wenn ein API-Key existiert, sonst haversine
+// ======================================================================
+function createRoutingProvider(options = {}) {
+    const name = (options.provider || process.env.ROUTING_PROVIDER ||
+        (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'haversine')).toLowerCase();
+
+    switch (name) {
+        case 'google':
+            return new GoogleRoutingProvider(options);
+        case 'osrm':
+            return new OsrmRoutingProvider(options);
+        case 'haversine':
+            return new HaversineRoutingProvider(options);
+        default:
+            throw new Error(`Unbekannter ROUTING_PROVIDER "${name}" (erlaubt: google, osrm, haversine)`);
+    }
+}
+
+module.exports = {
+    RoutingProvider,
+    GoogleRoutingProvider,
+    OsrmRoutingProvider,
+    HaversineRoutingProvider,
+    createRoutingProvider
+};
@@ -0,0 +1,208 @@
+// ======================================================================
+// SCHEMA-MIGRATIONEN: Stand der Datenbank (schema_migrations) und
+// Ausführung offener Migrationen aus migrations.js in fester Reihenfolge.
+// server.js migriert beim Start, bevor Services und HTTP-Server loslegen.
+//
+// CLI:
+//   node schema-migrations.js status   [--db <pfad>]  - Version + offene Migrationen
+//   node schema-migrations.js migrate  [--db <pfad>]  - offene Migrationen ausführen
+// Datenbank wie server.js (DB_CLIENT, DB_PATH bzw. DATABASE_URL); --db nur für SQLite
+// ======================================================================
+
+const MIGRATIONS = require('./migrations');
+
+class SchemaMigrator {
+    /**
+     * @param {object} db - Datenbank aus database.js
+     * @param {object} [options]
+     * @param {Array<object>} [options.migrations] - { version, name, description, up(context) }
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.migrations = [...(options.migrations || MIGRATIONS)].sort((a, b) => a.version - b.version);
+        this.validate();
+    }
+
+    // Versionen müssen eindeutig und positiv sein - sonst startet nichts
+    validate() {
+        const seen = new Set();
+        this.migrations.forEach(migration => {
+            if (!Number.isInteger(migration.version) || migration.version < 1) {
+                throw new Error(`Migration "${migration.name}" hat keine gültige Versionsnummer`);
+            }
+            if (seen.has(migration.version)) {
+                throw new Error(`Migration ${migration.version} ist doppelt vergeben`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${migration.version} (${migration.name}) hat keine up()-Funktion`);
+            }
+            seen.add(migration.version);
+        });
+    }
+
+    async ensureTable() {
+        await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            duration_ms INTEGER
+        )`);
+    }
+
+    // ======================================================================
+    // STATUS
+    // ======================================================================
+    /**
+     * Aktuelle Schema-Version, angewendete und offene Migrationen.
+     * unknown = in der Datenbank vermerkt, aber diesem Code unbekannt (DB ist neuer)
+     */
+    async status() {
+        // Nur lesen: ohne schema_migrations gilt die Datenbank als Version 0
+        const tracked = await this.db.hasTable('schema_migrations');
+        const applied = tracked
+            ? await this.all('SELECT version, name, applied_at, duration_ms FROM schema_migrations ORDER BY version')
+            : [];
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const known = new Set(this.migrations.map(migration => migration.version));
+
+        const pending = this.migrations
+            .filter(migration => !appliedVersions.has(migration.version))
+            .map(({ version, name, description }) => ({ version, name, description: description || null }));
+
+        return {
+            currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latestVersion: this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0,
+            upToDate: pending.length === 0,
+            applied,
+            pending,
+            unknown: applied.filter(row => !known.has(row.version))
+        };
+    }
+
+    // ======================================================================
+    // MIGRIEREN
+    // ======================================================================
+    /**
+     * Offene Migrationen nacheinander ausführen, jede in einer eigenen Transaktion.
+     * Schlägt eine fehl, bleibt die Datenbank auf dem Stand davor und es wird abgebrochen.
+     * @returns {Promise<{ applied: Array<object>, status: object }>}
+     */
+    async migrate() {
+        await this.ensureTable();
+        const before = await this.status();
+        if (before.unknown.length > 0) {
+            console.warn(`⚠️ Datenbank enthält Migrationen, die dieser Version unbekannt sind: ${before.unknown.map(m => m.version).join(', ')}`);
+        }
+
+        const applied = [];
+        for (const { version } of before.pending) {
+            const migration = this.migrations.find(m => m.version === version);
+            const started = Date.now();
+
+            try {
+                await this.db.transaction(async () => {
+                    await migration.up(this.context());
+                    await this.run(
+                        'INSERT INTO schema_migrations (version, name, duration_ms) VALUES (?, ?, ?)',
+                        [migration.version, migration.name, Date.now() - started]
+                    );
+                });
+            } catch (error) {
+                throw new Error(`Migration ${migration.version} (${migration.name}) fehlgeschlagen: ${error.message}`);
+            }
+
+            console.log(`🗄️ Migration ${migration.version} (${migration.name}) angewendet in ${Date.now() - started}ms`);
+            applied.push({ version: migration.version, name: migration.name });
+        }
+
+        const status = await this.status();
+        console.log(`✅ Datenbank-Schema auf Version ${status.currentVersion}${applied.length > 0 ? ` (${applied.length} Migrationen angewendet)` : ''}`);
+        return { applied, status };
+    }
+
+    // Hilfsfunktionen für migration.up()
+    context() {
+        return {
+            db: this.db,
+            client: this.db.client,
+            run: (sql, params) => this.run(sql, params),
+            get: (sql, params) => this.get(sql, params),
+            all: (sql, params) => this.all(sql, params),
+            hasTable: (table) => this.db.hasTable(table),
+            columns: (table) => this.db.columns(table),
+            addColumn: async (table, column, definition) => {
+                const columns = await this.db.columns(table);
+                if (columns.includes(column)) return false;
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                console.log(`🔧 Spalte ${table}.${column} ergänzt`);
+                return true;
+            }
+        };
+    }
+
+    // ======================================================================
+    // HILFSFUNKTIONEN
+    // ======================================================================
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+}
+
+SchemaMigrator.MIGRATIONS = MIGRATIONS;
+
+module.exports = SchemaMigrator;
+
+// ======================================================================
+// CLI
+// ======================================================================
+if (require.main === module) {
+    const { createDatabase } = require('./database');
+    const args = process.argv.slice(2);
+    const dbIndex = args.indexOf('--db');
+    const command = args.find((arg, index) => !arg.startsWith('--') && (dbIndex < 0 || index !== dbIndex + 1)) || 'status';
+    const dbPath = dbIndex >= 0 && args[dbIndex + 1] ? args[dbIndex + 1] : undefined;
+
+    if (!['status', 'migrate'].includes(command)) {
+        console.error(`Unbekannter Befehl "${command}" - erlaubt: status, migrate`);
+        process.exit(1);
+    }
+
+    const db = createDatabase(dbPath ? { client: 'sqlite', filename: dbPath } : {});
+    const migrator = new SchemaMigrator(db);
+
+    const work = db.ready.then(() => (command === 'migrate'
+        ? migrator.migrate().then(result => result.status)
+        : migrator.status()));
+
+    work.then(status => {
+        console.log(`📦 Datenbank: ${db.description}`);
+        console.log(`🗄️ Schema-Version ${status.currentVersion} von ${status.latestVersion}`);
+        status.pending.forEach(m => console.log(`   ⏳ offen: ${m.version} ${m.name} - ${m.description || ''}`));
+        status.unknown.forEach(m => console.log(`   ❓ unbekannt: ${m.version} ${m.name}`));
+        if (status.upToDate) console.log('   ✅ keine offenen Migrationen');
+        db.close();
+        // status: Exit-Code 2, wenn Migrationen offen sind (z.B. für Deploy-Checks)
+        process.exit(command === 'status' && !status.upToDate ? 2 : 0);
+    }).catch(error => {
+        console.error('❌', error.message);
+        db.close();
+        process.exit(1);
+    });
+}
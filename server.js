@@ -1,7 +1,7 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
 const Papa = require('papaparse');
 const axios = require('axios');
@@ -12,14 +12,40 @@ require('dotenv').config();
 // ======================================================================
 // Verwende die korrigierte Version des Routenplaners
 const IntelligentRoutePlanner = require('./intelligent-route-planner-fixed');
+const FleetPlanner = require('./fleet-planner');
+const HorizonPlanner = require('./horizon-planner');
+const AuthService = require('./auth-service');
+const AuthPolicy = require('./auth-policy');
+const CalendarFeedService = require('./calendar-feed');
+const CalendarImportService = require('./calendar-import');
+const AppointmentImportService = require('./appointment-import');
+const ImportProfileService = require('./import-profiles');
+const RouteVersionService = require('./route-versions');
+const RouteStopService = require('./route-stops');
+const TimeWindows = require('./time-windows');
+const AppointmentFiles = require('./appointment-files');
 const UltraOptimizedMapsService = require('./optimized-maps-service');
 const { APIBudgetController, SmartDistanceCalculator } = require('./api-budget-controller');
+const BudgetAlertNotifier = require('./budget-alerts');
+const { CostForecaster } = require('./cost-forecast');
+const { createRoutingProvider } = require('./routing-provider');
+const { createGeocodingProvider, OfflineGeocodingProvider } = require('./geocoding-provider');
+const SchemaMigrator = require('./schema-migrations');
+const { createDatabase } = require('./database');
+const DatabaseBackupService = require('./database-backup');
 
 // Soll der UltraOptimizedMapsService genutzt werden?
 const USE_OPTIMIZED_SERVICE = true;
 
-// Budget-Controller mit 5€ Tageslimit
+// Budget-Controller mit 5€ Tageslimit - alle Google-Aufrufe laufen über diesen Controller
 const apiController = new APIBudgetController(5.0);
+// Schwellwert-Alarme per Webhook/E-Mail-Hook (BUDGET_ALERT_WEBHOOK_URL, BUDGET_ALERT_EMAIL_URL)
+const budgetAlertNotifier = new BudgetAlertNotifier();
+apiController.setAlertNotifier(budgetAlertNotifier);
+
+// Routing-Provider (google | osrm | haversine) - per ROUTING_PROVIDER / OSRM_URL
+const routingProvider = createRoutingProvider({ budget: apiController });
+console.log(`🧭 Routing-Provider: ${routingProvider.name}${routingProvider.name === 'osrm' ? ` (${routingProvider.baseUrl})` : ''}`);
 
 
 // Debug: Umgebungsvariablen prüfen
@@ -96,146 +122,108 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// Geodatensätze (PLZ/Straßen) sind deutlich größer als Terminlisten
+const datasetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
+});
+
 // ======================================================================
 // DATABASE SETUP
 // ======================================================================
 
-// SQLite Database - Railway persistent storage
-const dbPath = process.env.NODE_ENV === 'production' 
-    ? '/app/data/expertise_tours.db' 
-    : './expertise_tours.db';
-
+// DB_CLIENT=sqlite (Standard, Railway persistent storage) oder postgres (DATABASE_URL)
 // Ensure data directory exists in production
-if (process.env.NODE_ENV === 'production') {
+if (process.env.NODE_ENV === 'production' && (process.env.DB_CLIENT || 'sqlite').toLowerCase() === 'sqlite') {
     const fs = require('fs');
     if (!fs.existsSync('/app/data')) {
         fs.mkdirSync('/app/data', { recursive: true });
     }
 }
 
-const db = new sqlite3.Database(dbPath, (err) => {
-    if (err) {
-        console.error('❌ Database connection failed:', err.message);
-    } else {
-        console.log('✅ Connected to SQLite database:', dbPath);
+// Erfüllt, sobald alle Schema-Migrationen angewendet sind
+let resolveSchemaReady;
+const schemaReady = new Promise(resolve => { resolveSchemaReady = resolve; });
+
+const db = createDatabase();
+db.ready
+    .then(() => {
+        console.log(`✅ Connected to database: ${db.description}`);
         initializeDatabase();
+    })
+    .catch(err => console.error('❌ Database connection failed:', err.message));
+
+const schemaMigrator = new SchemaMigrator(db);
+// Backups über die SQLite-Backup-API - PostgreSQL sichert man mit pg_dump
+const databaseBackup = db.client === 'sqlite' ? new DatabaseBackupService(db, { migrator: schemaMigrator }) : null;
+const authService = new AuthService(db);
+const calendarFeeds = new CalendarFeedService(db);
+const calendarImport = new CalendarImportService(db);
+const appointmentImport = new AppointmentImportService(db);
+const importProfiles = new ImportProfileService(db);
+const routeStops = new RouteStopService(db);
+const routeVersions = new RouteVersionService(db, { stops: routeStops });
+
+// Gemeinsamer Geocoder für alle Services (GEOCODING_PROVIDER=google|nominatim|offline)
+const geocodingProvider = createGeocodingProvider({ db, budget: apiController, schemaReady });
+// Offline-Datensatz ist immer importierbar, auch wenn gerade ein anderer Provider aktiv ist
+const offlineGeocoder = geocodingProvider instanceof OfflineGeocodingProvider
+    ? geocodingProvider
+    : new OfflineGeocodingProvider({ db, schemaReady });
+console.log(`📍 Geocoding-Provider: ${geocodingProvider.name}`);
+
+// Zeitbudget der lokalen Suche nach der Greedy-Planung (route-local-search.js):
+// optimizationTimeLimitMs im Request, sonst LOCAL_SEARCH_TIME_LIMIT_MS; 0 = aus
+const MAX_LOCAL_SEARCH_MS = 30000;
+function localSearchOptions(body = {}) {
+    if (body.optimizationTimeLimitMs === undefined) return undefined;
+    const limit = Number(body.optimizationTimeLimitMs);
+    return Number.isFinite(limit) && limit >= 0 ? { timeLimitMs: Math.min(limit, MAX_LOCAL_SEARCH_MS) } : undefined;
+}
+
+// Schema per Migrationen (migrations.js), danach Services starten.
+// Der HTTP-Server lauscht erst, wenn schemaReady erfüllt ist (siehe SERVER START).
+async function initializeDatabase() {
+    try {
+        await schemaMigrator.migrate();
+    } catch (error) {
+        console.error('❌ Datenbank-Migration fehlgeschlagen - Server wird nicht gestartet:', error.message);
+        process.exit(1);
     }
-});
+    resolveSchemaReady();
 
-// Initialize database tables and sample data
-function initializeDatabase() {
-    // Create appointments table with new fields for fixed appointments
-    db.run(`CREATE TABLE IF NOT EXISTS appointments (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        customer TEXT NOT NULL,
-        address TEXT NOT NULL,
-        priority TEXT DEFAULT 'mittel',
-        status TEXT DEFAULT 'vorschlag',
-        duration INTEGER DEFAULT 3,
-        pipeline_days INTEGER DEFAULT 0,
-        notes TEXT,
-        preferred_dates TEXT DEFAULT '[]',
-        excluded_dates TEXT DEFAULT '[]',
-        fixed_date TEXT,
-        fixed_time TEXT,
-        is_fixed INTEGER DEFAULT 0,
-        on_hold TEXT,
-        lat REAL,
-        lng REAL,
-        geocoded INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Create drivers table
-    db.run(`CREATE TABLE IF NOT EXISTS drivers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        home_base TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`, (err) => {
-        if (err) {
-            console.error('❌ Fehler beim Erstellen der drivers Tabelle:', err);
-            return;
-        }
-        console.log('✅ Drivers Tabelle erstellt/verifiziert');
-        
-        // Erst NACH Tabellenerstellung den Fahrer einfügen
-        insertDefaultDriver();
-    });
+    insertDefaultDriver();
 
-    // Create saved_routes table for persistent route storage
-    db.run(`CREATE TABLE IF NOT EXISTS saved_routes (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        week_start DATE NOT NULL,
-        driver_id INTEGER,
-        route_data TEXT NOT NULL,
-        is_active INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (driver_id) REFERENCES drivers (id)
-    )`);
-
-    // Create user_sessions table for session management
-    db.run(`CREATE TABLE IF NOT EXISTS user_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        token TEXT UNIQUE NOT NULL,
-        user_data TEXT,
-        expires_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Distance Matrix Cache - WICHTIG FÜR KOSTENERSPARNIS!
-    db.run(`CREATE TABLE IF NOT EXISTS distance_cache (
-        origin_lat REAL,
-        origin_lng REAL,
-        dest_lat REAL,
-        dest_lng REAL,
-        distance REAL,
-        duration REAL,
-        cached_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (origin_lat, origin_lng, dest_lat, dest_lng)
-    )`, (err) => {
-        if (err) {
-            console.error('❌ Distance Cache Tabelle konnte nicht erstellt werden:', err);
-        } else {
-            console.log('✅ Distance Cache Tabelle erstellt/verifiziert');
-        }
-    });
+    // Lead-Alter (pipeline_days) täglich neu berechnen
+    appointmentImport.initialize()
+        .then(() => appointmentImport.startDailyRefresh())
+        .catch(err => console.error('❌ Lead-Alter konnte nicht berechnet werden:', err));
 
-    db.run(`CREATE TABLE IF NOT EXISTS geocoding_cache (
-        address TEXT PRIMARY KEY,
-        lat REAL NOT NULL,
-        lng REAL NOT NULL,
-        formatted_address TEXT,
-        accuracy TEXT,
-        method TEXT,
-        cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`, (err) => {
-        if (err) {
-            console.error('❌ Geocoding Cache Tabelle konnte nicht erstellt werden:', err);
-        } else {
-            console.log('✅ Geocoding Cache Tabelle erstellt/verifiziert');
-        }
-    });
+    // Erster Start: Admin-Benutzer anlegen
+    authService.initialize()
+        .catch(err => console.error('❌ Benutzerverwaltung konnte nicht initialisiert werden:', err));
+
+    // API-Verbrauch (Google) pro Tag/Typ/Endpoint - Budget überlebt Neustarts
+    apiController.initialize(db)
+        .catch(err => console.error('❌ API-Budget konnte nicht aus der DB geladen werden:', err));
 
-    db.run(`CREATE INDEX IF NOT EXISTS idx_geocoding_cache_address 
-            ON geocoding_cache(address)`);
+    // Buchungen aus .ics/CalDAV (CALDAV_URL wird regelmäßig abgeglichen)
+    calendarImport.startPolling();
 
-    // Optional: Index für schnellere Suche
-    db.run(`CREATE INDEX IF NOT EXISTS idx_distance_cache_coords 
-            ON distance_cache(origin_lat, origin_lng, dest_lat, dest_lng)`);
+    // Online-Backups nach BACKUP_DIR (BACKUP_INTERVAL_HOURS, BACKUP_KEEP)
+    if (databaseBackup) {
+        databaseBackup.startSchedule()
+            .catch(err => console.error('❌ Automatische Backups konnten nicht gestartet werden:', err));
+    }
 
     // Cache-Bereinigung für alte Einträge (älter als 30 Tage)
     db.run(`DELETE FROM distance_cache 
-            WHERE cached_at < datetime('now', '-30 days')`, (err, result) => {
+            WHERE cached_at < ${db.sql.ago(30, 'days')}`, (err, result) => {
         if (!err) {
             console.log('🧹 Alte Distance Cache Einträge bereinigt');
         }
     });
 
-    // insertDefaultDriver() wird jetzt aus dem drivers table callback aufgerufen
-
     // Insert sample data if tables are empty
     db.get("SELECT COUNT(*) as count FROM appointments", (err, row) => {
         if (!err && row.count === 0) {
@@ -248,8 +236,9 @@ function initializeDatabase() {
 
 // Separate Funktion für das Einfügen des Standard-Fahrers
 function insertDefaultDriver() {
-    db.run(`INSERT OR IGNORE INTO drivers (id, name, home_base) 
-            VALUES (1, 'Testimonial-Fahrer', 'Kurt-Schumacher-Straße 34, 30159 Hannover')`, (err) => {
+    db.run(`INSERT INTO drivers (id, name, home_base) 
+            VALUES (1, 'Testimonial-Fahrer', 'Kurt-Schumacher-Straße 34, 30159 Hannover')
+            ON CONFLICT (id) DO NOTHING`, (err) => {
         if (err) {
             console.error('❌ Fehler beim Einfügen des Fahrers:', err);
         } else {
@@ -317,12 +306,10 @@ function insertSampleData() {
     ];
 
     // Insert sample appointments (Fahrer wird bereits in initializeDatabase eingefügt)
-    const stmt = db.prepare(`INSERT INTO appointments 
-        (customer, address, priority, status, duration, pipeline_days, notes, fixed_date, fixed_time, is_fixed) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
-
     sampleAppointments.forEach(apt => {
-        stmt.run([
+        db.run(`INSERT INTO appointments 
+            (customer, address, priority, status, duration, pipeline_days, notes, fixed_date, fixed_time, is_fixed) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
             apt.customer,
             apt.address,
             apt.priority,
@@ -333,44 +320,30 @@ function insertSampleData() {
             apt.fixed_date || null,
             apt.fixed_time || null,
             apt.is_fixed || 0
-        ]);
+        ], (err) => {
+            if (err) console.error('❌ Beispieltermin konnte nicht angelegt werden:', err.message);
+        });
     });
 
-    stmt.finalize();
     console.log('✅ Sample testimonial data inserted');
 }
 
 // ======================================================================
-// HILFSFUNKTIONEN FÜR SESSION MANAGEMENT
+// AUTH-POLICY (SESSION + ROLLEN)
 // ======================================================================
 
-// Helper function to generate session tokens
-function generateSessionToken() {
-    return 'railway-session-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-}
-
-// Middleware to validate session tokens
-function validateSession(req, res, next) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'No valid session token' });
+// Zentrale Auth-Policy: Rolle pro Route, Routen ohne Eintrag werden abgelehnt
+const authPolicy = new AuthPolicy(AuthPolicy.ROUTE_POLICIES, authService);
+app.use(authPolicy.middleware());
+// Fahrer ohne Fahrer-Zuordnung sehen nichts - ohne driver_id gäbe es sonst keinen Filter
+app.use(['/api/routes', '/api/calendar/feeds'], (req, res, next) => {
+    if (req.user && req.user.role === 'driver' && !req.user.driver_id) {
+        return res.status(403).json({ success: false, error: 'Benutzer ist keinem Fahrer zugeordnet' });
     }
-
-    const token = authHeader.split(' ')[1];
-    
-    db.get(
-        "SELECT * FROM user_sessions WHERE token = ? AND (expires_at IS NULL OR expires_at > datetime('now'))",
-        [token],
-        (err, session) => {
-            if (err || !session) {
-                return res.status(401).json({ error: 'Invalid or expired session' });
-            }
-            
-            req.session = session;
-            next();
-        }
-    );
-}
+    next();
+});
+// Google-Kosten dem auslösenden Endpoint zuordnen (api_usage.endpoint)
+app.use(apiController.middleware());
 
 // ======================================================================
 // API ROUTES
@@ -397,57 +370,242 @@ app.get('/api/health', (req, res) => {
             'maximum_efficiency'
         ],
         google_maps: hasApiKey ? '✅ Configured' : '⚠️ Fallback Mode',
+        routing_provider: routingProvider.name,
+        geocoding_provider: geocodingProvider.name,
         home_base: 'Kurt-Schumacher-Straße 34, 30159 Hannover',
         debug: {
             api_key_exists: hasApiKey,
-            api_key_length: apiKeyLength,
-            api_key_first_chars: process.env.GOOGLE_MAPS_API_KEY ? process.env.GOOGLE_MAPS_API_KEY.substring(0, 10) + '...' : 'none'
+            api_key_length: apiKeyLength
         }
     });
 });
 
-// Authentication with session persistence
-app.post('/api/auth/login', function(req, res) {
-    const password = req.body.password;
-    
-    if (password === 'testimonials2025') {
-        const token = generateSessionToken();
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + 7); // 7 days from now
-        
-        const userData = JSON.stringify({
-            name: 'Admin',
-            role: 'admin',
-            loginTime: new Date().toISOString()
-        });
-
-        // Save session to database
-        db.run(
-            "INSERT INTO user_sessions (token, user_data, expires_at) VALUES (?, ?, ?)",
-            [token, userData, expiresAt.toISOString()],
-            function(err) {
-                if (err) {
-                    console.error('Session save error:', err);
-                    return res.status(500).json({ error: 'Session creation failed' });
-                }
+// Authentication: Benutzername + Passwort => Access-Token (JWT) + Refresh-Token
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
 
-                res.json({
-                    token: token,
-                    user: { name: 'Admin', role: 'admin' },
-                    expiresAt: expiresAt.toISOString(),
-                    message: 'Login successful - Session wird 7 Tage gespeichert'
-                });
-            }
-        );
-    } else {
-        res.status(401).json({ error: 'Invalid password' });
+    if (!username || !password) {
+        return res.status(400).json({ error: 'username und password sind erforderlich' });
+    }
+
+    try {
+        const session = await authService.login(username, password);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        console.log(`🔑 Login: ${session.user.username} (${session.user.role})`);
+        res.json({
+            ...session,
+            message: 'Login successful'
+        });
+    } catch (error) {
+        console.error('❌ Login fehlgeschlagen:', error);
+        res.status(500).json({ error: 'Session creation failed' });
+    }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const session = await authService.refresh(req.body.refreshToken);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+        res.json(session);
+    } catch (error) {
+        console.error('❌ Token-Refresh fehlgeschlagen:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await authService.logout(req.user.sessionId);
+        res.json({ success: true, message: 'Logout successful' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user });
+});
+
+// ======================================================================
+// BENUTZERVERWALTUNG (nur Admin, über /api/admin-Guard geschützt)
+// ======================================================================
+app.get('/api/admin/users', async (req, res) => {
+    try {
+        res.json({ success: true, users: await authService.listUsers(), roles: AuthService.ROLES });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/admin/users', async (req, res) => {
+    const errors = authService.validateUserInput(req.body, { requireAll: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültige Benutzerdaten', details: errors });
+    }
+
+    try {
+        const user = await authService.createUser(req.body);
+        console.log(`👤 Benutzer angelegt: ${user.username} (${user.role})`);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ success: false, error: 'Benutzername bereits vergeben' });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/admin/users/:id', async (req, res) => {
+    const existing = await authService.getUserById(req.params.id).catch(() => null);
+    if (!existing) {
+        return res.status(404).json({ success: false, error: 'Benutzer nicht gefunden' });
+    }
+
+    const changes = { ...req.body };
+    if (changes.role === 'driver' && changes.driver_id === undefined) {
+        changes.driver_id = existing.driver_id;
+    }
+    // Gegen den Stand nach der Änderung prüfen: driver_id = null auch ohne role im Body ablehnen
+    const target = {
+        ...changes,
+        role: changes.role !== undefined ? changes.role : existing.role,
+        driver_id: changes.driver_id !== undefined ? changes.driver_id : existing.driver_id
+    };
+    const errors = authService.validateUserInput(target);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültige Benutzerdaten', details: errors });
+    }
+    // Normalisierte Werte übernehmen: is_active als 0/1, driver_id entfällt ohne Rolle driver
+    if (changes.is_active !== undefined) changes.is_active = target.is_active;
+    changes.driver_id = target.driver_id;
+
+    // Selbst-Aussperren verhindern
+    if (existing.id === req.user.id && (changes.role && changes.role !== 'admin' || changes.is_active === 0)) {
+        return res.status(409).json({ success: false, error: 'Eigene Admin-Rechte können nicht entzogen werden' });
+    }
+
+    try {
+        const user = await authService.updateUser(req.params.id, changes);
+        res.json({ success: true, user });
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ success: false, error: 'Benutzername bereits vergeben' });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Audit: welche Routen sind öffentlich, welche ohne Policy oder unerreichbar?
+app.get('/api/admin/auth-audit', (req, res) => {
+    const report = authPolicy.audit(app);
+    res.json({
+        success: true,
+        summary: {
+            total: report.total,
+            public: report.public.length,
+            withoutPolicy: report.withoutPolicy.length,
+            unreachable: report.unreachable.length,
+            unusedPolicies: report.unusedPolicies.length
+        },
+        ...report
+    });
+});
+
+app.delete('/api/admin/users/:id', async (req, res) => {
+    if (Number(req.params.id) === req.user.id) {
+        return res.status(409).json({ success: false, error: 'Eigenes Konto kann nicht gelöscht werden' });
+    }
+
+    try {
+        const deleted = await authService.deleteUser(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Benutzer nicht gefunden' });
+        }
+        res.json({ success: true, message: 'Benutzer gelöscht' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 
+// ======================================================================
+// FAHRER-VERWALTUNG (CRUD)
+// ======================================================================
+
+const DRIVER_PROFILE_FIELDS = {
+    start_time: 'time',
+    max_hours_per_day: 'number',
+    max_hours_per_week: 'number',
+    overnight_threshold_km: 'number',
+    friday_return_time: 'time'
+};
+
+// Prüft und normalisiert die Profilfelder aus dem Request-Body
+function validateDriverProfile(body, { requireAll = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (body.name !== undefined || requireAll) {
+        if (!body.name || !String(body.name).trim()) errors.push('name ist erforderlich');
+        else values.name = String(body.name).trim();
+    }
+    if (body.home_base !== undefined || requireAll) {
+        if (!body.home_base || !String(body.home_base).trim()) errors.push('home_base ist erforderlich');
+        else values.home_base = String(body.home_base).trim();
+    }
+
+    Object.entries(DRIVER_PROFILE_FIELDS).forEach(([field, type]) => {
+        if (body[field] === undefined || body[field] === null || body[field] === '') return;
+
+        if (type === 'time') {
+            const match = String(body[field]).match(/^(\d{1,2}):(\d{2})$/);
+            if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+                errors.push(`${field} muss im Format HH:MM sein`);
+            } else {
+                values[field] = `${match[1].padStart(2, '0')}:${match[2]}`;
+            }
+        } else {
+            const num = Number(body[field]);
+            if (!Number.isFinite(num) || num <= 0) errors.push(`${field} muss eine positive Zahl sein`);
+            else values[field] = num;
+        }
+    });
+
+    if (values.max_hours_per_day && values.max_hours_per_day > 24) {
+        errors.push('max_hours_per_day darf 24 nicht überschreiten');
+    }
+    if (values.max_hours_per_week && values.max_hours_per_week > 168) {
+        errors.push('max_hours_per_week darf 168 nicht überschreiten');
+    }
+
+    return { errors, values };
+}
+
+// Basis geocoden - ohne Koordinaten plant der Planer ab Default-Basis
+async function geocodeDriverHomeBase(address) {
+    try {
+        const result = await geocodingService.geocodeAddress(address);
+        return { home_lat: result.lat, home_lng: result.lng };
+    } catch (error) {
+        console.warn(`⚠️ Fahrer-Basis "${address}" konnte nicht geocodiert werden: ${error.message}`);
+        return { home_lat: null, home_lng: null };
+    }
+}
+
+function getDriverById(id) {
+    return new Promise((resolve, reject) => {
+        db.get("SELECT * FROM drivers WHERE id = ?", [id], (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
 // Get drivers
 app.get('/api/drivers', (req, res) => {
-    db.all("SELECT * FROM drivers", (err, rows) => {
+    db.all("SELECT * FROM drivers ORDER BY id", (err, rows) => {
         if (err) {
             res.status(500).json({ error: err.message });
             return;
@@ -455,12 +613,166 @@ app.get('/api/drivers', (req, res) => {
         res.json(rows);
     });
 });
+
+app.get('/api/drivers/:id', async (req, res) => {
+    try {
+        const driver = await getDriverById(req.params.id);
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Fahrer nicht gefunden' });
+        }
+        res.json(driver);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/drivers', async (req, res) => {
+    const { errors, values } = validateDriverProfile(req.body, { requireAll: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültige Fahrerdaten', details: errors });
+    }
+
+    try {
+        Object.assign(values, await geocodeDriverHomeBase(values.home_base));
+
+        const columns = Object.keys(values);
+        const driverId = await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO drivers (${columns.join(', ')}, updated_at) VALUES (${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)`,
+                columns.map(col => values[col]),
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        });
+
+        const driver = await getDriverById(driverId);
+        console.log(`👤 Fahrer angelegt: ${driver.name} (${driver.home_base})`);
+        res.status(201).json({
+            success: true,
+            driver,
+            geocoded: driver.home_lat != null,
+            message: `Fahrer ${driver.name} angelegt`
+        });
+    } catch (error) {
+        console.error('❌ Fahrer anlegen fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/drivers/:id', async (req, res) => {
+    const { errors, values } = validateDriverProfile(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültige Fahrerdaten', details: errors });
+    }
+    if (Object.keys(values).length === 0) {
+        return res.status(400).json({ success: false, error: 'Keine Änderungen übergeben' });
+    }
+
+    try {
+        const existing = await getDriverById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Fahrer nicht gefunden' });
+        }
+
+        // Neue Adresse (oder bisher nicht geocodete Basis) => neu geocoden
+        if ((values.home_base && values.home_base !== existing.home_base) || existing.home_lat == null) {
+            Object.assign(values, await geocodeDriverHomeBase(values.home_base || existing.home_base));
+        }
+
+        const columns = Object.keys(values);
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE drivers SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...columns.map(col => values[col]), req.params.id],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+
+        const driver = await getDriverById(req.params.id);
+        console.log(`👤 Fahrer aktualisiert: ${driver.name}`);
+        res.json({
+            success: true,
+            driver,
+            geocoded: driver.home_lat != null,
+            message: `Fahrer ${driver.name} aktualisiert`
+        });
+    } catch (error) {
+        console.error('❌ Fahrer aktualisieren fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/drivers/:id', async (req, res) => {
+    try {
+        const driver = await getDriverById(req.params.id);
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Fahrer nicht gefunden' });
+        }
+
+        // Alles, was noch auf den Fahrer verweist - auch ältere Routen-Versionen bleiben erhalten
+        const counts = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT 
+                    (SELECT COUNT(*) FROM drivers) as driver_count,
+                    (SELECT COUNT(*) FROM saved_routes WHERE driver_id = ? AND is_active = 1) as active_routes,
+                    (SELECT COUNT(*) FROM saved_routes WHERE driver_id = ? AND is_active = 0) as route_versions,
+                    (SELECT COUNT(*) FROM users WHERE driver_id = ?) as users,
+                    (SELECT COUNT(*) FROM calendar_feed_tokens WHERE driver_id = ? AND revoked_at IS NULL) as calendar_feeds`,
+                [req.params.id, req.params.id, req.params.id, req.params.id],
+                (err, row) => err ? reject(err) : resolve(row)
+            );
+        });
+
+        if (Number(counts.driver_count) <= 1) {
+            return res.status(409).json({ success: false, error: 'Der letzte Fahrer kann nicht gelöscht werden' });
+        }
+
+        const dependents = {
+            activeRoutes: Number(counts.active_routes),
+            routeVersions: Number(counts.route_versions),
+            users: Number(counts.users),
+            calendarFeeds: Number(counts.calendar_feeds)
+        };
+        const labels = {
+            activeRoutes: 'aktive Route(n)',
+            routeVersions: 'ältere Routen-Version(en)',
+            users: 'Benutzer',
+            calendarFeeds: 'Kalender-Feed(s)'
+        };
+        const blocking = Object.keys(dependents).filter(key => dependents[key] > 0);
+        if (blocking.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Fahrer wird noch verwendet: ${blocking.map(key => `${dependents[key]} ${labels[key]}`).join(', ')}`,
+                message: 'Routen neu planen, Benutzer einem anderen Fahrer zuordnen und Kalender-Feeds widerrufen',
+                dependents
+            });
+        }
+
+        // Widerrufene Feed-Tokens sind ohne Fahrer wertlos
+        await new Promise((resolve, reject) => {
+            db.run("DELETE FROM calendar_feed_tokens WHERE driver_id = ? AND revoked_at IS NOT NULL", [req.params.id], (err) => err ? reject(err) : resolve());
+        });
+        await new Promise((resolve, reject) => {
+            db.run("DELETE FROM drivers WHERE id = ?", [req.params.id], (err) => err ? reject(err) : resolve());
+        });
+
+        console.log(`🗑️ Fahrer gelöscht: ${driver.name}`);
+        res.json({ success: true, message: `Fahrer ${driver.name} gelöscht` });
+    } catch (error) {
+        console.error('❌ Fahrer löschen fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ======================================================================
 // MAXIMALE EFFIZIENZ ROUTENOPTIMIERUNG
 // ======================================================================
 
 // KORRIGIERTE VERSION: Route optimieren mit verbesserter Duplikatsprüfung
-app.post('/api/routes/optimize', validateSession, async (req, res) => {
+app.post('/api/routes/optimize', async (req, res) => {
     const { weekStart, driverId, autoSave = true, forceNew = false } = req.body;
 
     if (!weekStart) {
@@ -487,8 +799,8 @@ app.post('/api/routes/optimize', validateSession, async (req, res) => {
         if (!forceNew) {
             const existingRoute = await new Promise((resolve, reject) => {
                 db.get(
-                    "SELECT * FROM saved_routes WHERE week_start = ? AND is_active = 1",
-                    [weekStart],
+                    "SELECT * FROM saved_routes WHERE week_start = ? AND driver_id = ? AND is_active = 1",
+                    [weekStart, driverId || 1],
                     (err, row) => {
                         if (err) reject(err);
                         else resolve(row);
@@ -536,7 +848,8 @@ app.post('/api/routes/optimize', validateSession, async (req, res) => {
 
         const selectedAppointments = await selectMaxAppointmentsForWeek(
             allAppointments,
-            weekStart
+            weekStart,
+            driverId || 1
         );
 
         if (selectedAppointments.length === 0) {
@@ -548,20 +861,15 @@ app.post('/api/routes/optimize', validateSession, async (req, res) => {
         }
 
         const IntelligentRoutePlanner = require('./intelligent-route-planner-fixed');
-        const planner = new IntelligentRoutePlanner(db);
+        const planner = new IntelligentRoutePlanner(db, { routingProvider, geocodingProvider, localSearch: localSearchOptions(req.body) });
         const optimizedRoute = await planner.optimizeWeek(selectedAppointments, weekStart, driverId || 1);
 
         if (autoSave && optimizedRoute.stats.totalAppointments > 0) {
-            await new Promise((resolve, reject) => {
-                db.run(
-                    "UPDATE saved_routes SET is_active = 0 WHERE week_start = ?",
-                    [weekStart],
-                    (err) => err ? reject(err) : resolve()
-                );
-            });
-
             const routeName = `Woche ${weekStart}: KW ${getWeekNumber(weekStart)} (${optimizedRoute.stats.totalAppointments} Termine)`;
-            await saveRouteToDatabase(routeName, weekStart, driverId || 1, optimizedRoute);
+            await saveRouteToDatabase(routeName, weekStart, driverId || 1, optimizedRoute, {
+                user: req.user,
+                trigger: 'optimize'
+            });
             console.log(`💾 Route für ${weekStart} gespeichert`);
         }
 
@@ -593,145 +901,287 @@ app.post('/api/routes/optimize', validateSession, async (req, res) => {
 });
 
 // ======================================================================
-// NEUE FUNKTION: ALLE TERMINE ÜBER MEHRERE WOCHEN OPTIMIEREN
+// FLOTTENPLANUNG: TERMINPOOL AUF ALLE FAHRER VERTEILEN
 // ======================================================================
-app.post('/api/routes/optimize-all', validateSession, async (req, res) => {
-    const { driverId, startWeek, autoSave = true } = req.body;
+app.post('/api/routes/optimize-fleet', async (req, res) => {
+    const { weekStart, autoSave = true } = req.body;
 
-    if (!startWeek) {
-        return res.status(400).json({ error: 'startWeek is required' });
+    if (!weekStart) {
+        return res.status(400).json({ error: 'weekStart is required' });
     }
 
-    // SICHERHEITS-CHECK: Verhindere Planung in der Vergangenheit
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const startWeekDate = new Date(startWeek);
-    startWeekDate.setHours(0, 0, 0, 0);
-    
-    if (startWeekDate < today) {
-        // Berechne nächsten Montag
-        const nextMonday = new Date(today);
-        const dayOfWeek = today.getDay();
-        const daysUntilMonday = dayOfWeek === 0 ? 1 : (8 - dayOfWeek); // Sonntag: +1, sonst: 8-dayOfWeek
-        nextMonday.setDate(today.getDate() + daysUntilMonday);
-        
-        const correctedWeek = nextMonday.toISOString().split('T')[0];
-        console.log(`⚠️  Vergangenheitsplanung verhindert! Korrigiere ${startWeek} → ${correctedWeek}`);
-        
-        return res.status(400).json({ 
-            error: 'Routenplanung in der Vergangenheit nicht möglich', 
-            correctedStartWeek: correctedWeek,
-            message: `Bitte verwende ${correctedWeek} (nächster Montag) als Startdatum`
+    const weekStartDate = new Date(weekStart);
+    weekStartDate.setHours(0, 0, 0, 0);
+
+    if (weekStartDate < today) {
+        console.log(`⚠️  Vergangenheitsplanung verhindert für Woche ${weekStart}`);
+        return res.status(400).json({
+            error: 'Routenplanung in der Vergangenheit nicht möglich',
+            message: `Woche ${weekStart} liegt in der Vergangenheit`
         });
     }
 
-    console.log('🌍 GESAMT-ROUTENOPTIMIERUNG: Plane ALLE verfügbaren Termine...');
+    console.log('🚐 Flottenplanung für Woche:', weekStart);
 
     try {
         const allAppointments = await new Promise((resolve, reject) => {
-            db.all(`
-                SELECT * FROM appointments 
+            db.all(
+                `SELECT * FROM appointments 
                 WHERE (on_hold IS NULL OR on_hold = '' OR TRIM(on_hold) = '')
                 ORDER BY 
                     is_fixed DESC,
                     fixed_date ASC,
                     CASE WHEN status = 'bestätigt' THEN 0 ELSE 1 END,
                     pipeline_days DESC,
-                    priority DESC
-            `, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
+                    priority DESC`,
+                (err, rows) => err ? reject(err) : resolve(rows)
+            );
         });
 
-        if (allAppointments.length === 0) {
+        const selectedAppointments = await selectMaxAppointmentsForWeek(allAppointments, weekStart);
+
+        if (selectedAppointments.length === 0) {
             return res.json({
                 success: false,
-                message: 'Keine Termine zum Planen gefunden',
-                totalPlanned: 0,
-                weeksPlanned: 0
+                message: `Keine Termine für Woche ${weekStart} verfügbar`,
+                drivers: []
             });
         }
 
-        console.log(`📊 ${allAppointments.length} Termine insgesamt verfügbar`);
-
-        const weekResults = [];
-        let currentWeek = startWeek;
-        let remainingAppointments = [...allAppointments];
-        let totalPlanned = 0;
-        let weekCounter = 0;
-        const maxWeeks = 52;
+        const fleetPlanner = new FleetPlanner(db, geocodingService, { routingProvider, geocodingProvider });
+        const fleetResult = await fleetPlanner.planWeek(selectedAppointments, weekStart);
+
+        const savedRouteIds = [];
+        if (autoSave) {
+            // Flottenplanung ersetzt die Routen ALLER Fahrer dieser Woche - in einer Transaktion
+            // (Vorgänger der neuen Versionen bleibt die zuletzt gespeicherte je Fahrer)
+            const routes = fleetResult.drivers
+                .filter(entry => entry.route && entry.route.stats.totalAppointments > 0)
+                .map(entry => ({
+                    name: `Woche ${weekStart}: KW ${getWeekNumber(weekStart)} – ${entry.driver.name} (${entry.route.stats.totalAppointments} Termine)`,
+                    driverId: entry.driver.id,
+                    routeData: entry.route
+                }));
+            const saved = await routeVersions.replaceWeek(weekStart, routes, {
+                user: req.user,
+                trigger: 'optimize_fleet'
+            });
+            saved.forEach(entry => savedRouteIds.push({ driverId: entry.driverId, routeId: entry.id, version: entry.version }));
+            console.log(`💾 ${savedRouteIds.length} Fahrer-Routen für ${weekStart} gespeichert`);
+        }
 
-        while (remainingAppointments.length > 0 && weekCounter < maxWeeks) {
-            console.log(`\n📅 Plane Woche ${weekCounter + 1} (${currentWeek}): ${remainingAppointments.length} Termine übrig`);
+        res.json({
+            success: true,
+            weekStart,
+            drivers: fleetResult.drivers.map(entry => ({
+                driverId: entry.driver.id,
+                name: entry.driver.name,
+                homeBase: entry.driver.homeBase,
+                assigned: entry.assigned,
+                planned: entry.planned,
+                route: entry.route
+            })),
+            assignments: fleetResult.assignments,
+            unassigned: fleetResult.unassigned,
+            stats: fleetResult.stats,
+            autoSaved: savedRouteIds.length > 0,
+            savedRoutes: savedRouteIds,
+            message: `Flottenplanung: ${fleetResult.stats.planned} Termine auf ${fleetResult.stats.drivers} Fahrer verteilt`
+        });
 
-            const weekStartDate = new Date(currentWeek);
-            const weekEndDate = new Date(currentWeek);
-            weekEndDate.setDate(weekEndDate.getDate() + 4);
+    } catch (error) {
+        console.error('❌ Flottenplanung fehlgeschlagen:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Flottenplanung fehlgeschlagen',
+            details: error.message
+        });
+    }
+});
 
-            const fixedForThisWeek = remainingAppointments.filter(apt => {
-                if (!apt.is_fixed || !apt.fixed_date) return false;
-                const aptDate = new Date(apt.fixed_date);
-                return aptDate >= weekStartDate && aptDate <= weekEndDate;
-            });
+// ======================================================================
+// GESAMTPLANUNG: alle Termine über mehrere Wochen, bis alles verplant ist
+// (auch für die Kostenprognose im Trockenlauf genutzt)
+// ======================================================================
+function loadOptimizeAllAppointments() {
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT * FROM appointments 
+            WHERE (on_hold IS NULL OR on_hold = '' OR TRIM(on_hold) = '')
+            ORDER BY 
+                is_fixed DESC,
+                fixed_date ASC,
+                CASE WHEN status = 'bestätigt' THEN 0 ELSE 1 END,
+                pipeline_days DESC,
+                priority DESC
+        `, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
 
-            const flexibleAppointments = remainingAppointments.filter(apt =>
-                !apt.is_fixed && apt.status !== 'abgesagt'
-            );
+// horizon = erst Termine nach Gebiet/Fristen/Kapazität auf Wochen verteilen (horizon-planner.js),
+// weekly = bisherige Planung: jede Woche gierig mit den dringendsten Terminen füllen
+const PLANNING_STRATEGIES = ['horizon', 'weekly'];
 
-            const appointmentsForWeek = [
-                ...fixedForThisWeek,
-                ...flexibleAppointments
-            ];
+async function planAllWeeks(allAppointments, startWeek, driverId, { autoSave = true, plannerOptions = { routingProvider, geocodingProvider }, strategy = 'horizon', saveMeta = {} } = {}) {
+    if (strategy === 'horizon') {
+        const horizon = await new HorizonPlanner(db, plannerOptions).plan(allAppointments, startWeek, driverId || 1);
 
-            if (appointmentsForWeek.length === 0) {
-                console.log('⏭️ Keine Termine mehr für diese Woche, beende Planung');
-                break;
+        if (autoSave) {
+            for (const result of horizon.weekResults) {
+                const routeName = `Woche ${result.week}: KW ${getWeekNumber(result.week)} (${result.planned} Termine)`;
+                await saveRouteToDatabase(routeName, result.week, driverId || 1, result.route, { trigger: 'optimize_all', ...saveMeta });
             }
+        }
 
-            try {
-                const planner = new IntelligentRoutePlanner(db);
-                const weekRoute = await planner.optimizeWeek(appointmentsForWeek, currentWeek, driverId || 1);
+        return horizon;
+    }
 
-                const plannedCount = weekRoute.stats.totalAppointments;
+    const weekResults = [];
+    let currentWeek = startWeek;
+    let remainingAppointments = [...allAppointments];
+    let totalPlanned = 0;
+    let weekCounter = 0;
+    const maxWeeks = 52;
 
-                if (plannedCount > 0) {
-                    if (autoSave) {
-                        const routeName = `Woche ${currentWeek}: KW ${getWeekNumber(currentWeek)} (${plannedCount} Termine)`;
-                        await saveRouteToDatabase(routeName, currentWeek, driverId || 1, weekRoute);
-                    }
+    while (remainingAppointments.length > 0 && weekCounter < maxWeeks) {
+        console.log(`\n📅 Plane Woche ${weekCounter + 1} (${currentWeek}): ${remainingAppointments.length} Termine übrig`);
 
-                    const plannedIds = new Set();
-                    weekRoute.days.forEach(day => {
-                        day.appointments?.forEach(apt => {
-                            if (apt.id) plannedIds.add(apt.id);
-                        });
-                    });
+        const weekStartDate = new Date(currentWeek);
+        const weekEndDate = new Date(currentWeek);
+        weekEndDate.setDate(weekEndDate.getDate() + 4);
 
-                    remainingAppointments = remainingAppointments.filter(apt => !plannedIds.has(apt.id));
+        const fixedForThisWeek = remainingAppointments.filter(apt => {
+            if (!apt.is_fixed || !apt.fixed_date) return false;
+            const aptDate = new Date(apt.fixed_date);
+            return aptDate >= weekStartDate && aptDate <= weekEndDate;
+        });
 
-                    totalPlanned += plannedCount;
-                    weekResults.push({
-                        week: currentWeek,
-                        planned: plannedCount,
-                        route: weekRoute
-                    });
+        const flexibleAppointments = remainingAppointments.filter(apt =>
+            !apt.is_fixed && apt.status !== 'abgesagt'
+        );
 
-                    console.log(`✅ Woche ${currentWeek}: ${plannedCount} Termine geplant`);
-                } else {
-                    console.log(`⚠️ Woche ${currentWeek}: Keine Termine konnten geplant werden`);
+        const appointmentsForWeek = [
+            ...fixedForThisWeek,
+            ...flexibleAppointments
+        ];
+
+        if (appointmentsForWeek.length === 0) {
+            console.log('⏭️ Keine Termine mehr für diese Woche, beende Planung');
+            break;
+        }
+
+        try {
+            const planner = new IntelligentRoutePlanner(db, plannerOptions);
+            const weekRoute = await planner.optimizeWeek(appointmentsForWeek, currentWeek, driverId || 1);
+
+            const plannedCount = weekRoute.stats.totalAppointments;
+
+            if (plannedCount > 0) {
+                if (autoSave) {
+                    const routeName = `Woche ${currentWeek}: KW ${getWeekNumber(currentWeek)} (${plannedCount} Termine)`;
+                    await saveRouteToDatabase(routeName, currentWeek, driverId || 1, weekRoute, { trigger: 'optimize_all', ...saveMeta });
                 }
 
-            } catch (error) {
-                console.error(`❌ Fehler bei Woche ${currentWeek}:`, error.message);
+                const plannedIds = new Set();
+                weekRoute.days.forEach(day => {
+                    day.appointments?.forEach(apt => {
+                        if (apt.id) plannedIds.add(apt.id);
+                    });
+                });
+
+                remainingAppointments = remainingAppointments.filter(apt => !plannedIds.has(apt.id));
+
+                totalPlanned += plannedCount;
+                weekResults.push({
+                    week: currentWeek,
+                    planned: plannedCount,
+                    route: weekRoute
+                });
+
+                console.log(`✅ Woche ${currentWeek}: ${plannedCount} Termine geplant`);
+            } else {
+                console.log(`⚠️ Woche ${currentWeek}: Keine Termine konnten geplant werden`);
             }
 
-            weekCounter++;
-            const nextWeekDate = new Date(currentWeek);
-            nextWeekDate.setDate(nextWeekDate.getDate() + 7);
-            currentWeek = nextWeekDate.toISOString().split('T')[0];
+        } catch (error) {
+            console.error(`❌ Fehler bei Woche ${currentWeek}:`, error.message);
+        }
+
+        weekCounter++;
+        const nextWeekDate = new Date(currentWeek);
+        nextWeekDate.setDate(nextWeekDate.getDate() + 7);
+        currentWeek = nextWeekDate.toISOString().split('T')[0];
+    }
+
+    return { weekResults, remainingAppointments, totalPlanned, summary: HorizonPlanner.summarizeWeeks(weekResults) };
+}
+
+// SICHERHEITS-CHECK: Planung in der Vergangenheit => nächster Montag als Korrektur, sonst null
+function getPastStartWeekCorrection(startWeek) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const startWeekDate = new Date(startWeek);
+    startWeekDate.setHours(0, 0, 0, 0);
+
+    if (startWeekDate >= today) return null;
+
+    // Berechne nächsten Montag
+    const nextMonday = new Date(today);
+    const dayOfWeek = today.getDay();
+    const daysUntilMonday = dayOfWeek === 0 ? 1 : (8 - dayOfWeek); // Sonntag: +1, sonst: 8-dayOfWeek
+    nextMonday.setDate(today.getDate() + daysUntilMonday);
+
+    return nextMonday.toISOString().split('T')[0];
+}
+
+// ======================================================================
+// NEUE FUNKTION: ALLE TERMINE ÜBER MEHRERE WOCHEN OPTIMIEREN
+// ======================================================================
+app.post('/api/routes/optimize-all', async (req, res) => {
+    const { driverId, startWeek, autoSave = true, strategy = 'horizon' } = req.body;
+
+    if (!startWeek) {
+        return res.status(400).json({ error: 'startWeek is required' });
+    }
+    if (!PLANNING_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({ success: false, error: `strategy muss ${PLANNING_STRATEGIES.join(' oder ')} sein` });
+    }
+
+    const correctedWeek = getPastStartWeekCorrection(startWeek);
+    if (correctedWeek) {
+        console.log(`⚠️  Vergangenheitsplanung verhindert! Korrigiere ${startWeek} → ${correctedWeek}`);
+        
+        return res.status(400).json({ 
+            error: 'Routenplanung in der Vergangenheit nicht möglich', 
+            correctedStartWeek: correctedWeek,
+            message: `Bitte verwende ${correctedWeek} (nächster Montag) als Startdatum`
+        });
+    }
+
+    console.log('🌍 GESAMT-ROUTENOPTIMIERUNG: Plane ALLE verfügbaren Termine...');
+
+    try {
+        const allAppointments = await loadOptimizeAllAppointments();
+
+        if (allAppointments.length === 0) {
+            return res.json({
+                success: false,
+                message: 'Keine Termine zum Planen gefunden',
+                totalPlanned: 0,
+                weeksPlanned: 0
+            });
         }
 
+        console.log(`📊 ${allAppointments.length} Termine insgesamt verfügbar`);
+
+        const { weekResults, remainingAppointments, totalPlanned, summary, assignments, unplanned } =
+            await planAllWeeks(allAppointments, startWeek, driverId, { autoSave, strategy, saveMeta: { user: req.user, triggerDetails: { strategy } } });
+
         const unplannableAppointments = remainingAppointments.filter(apt =>
             apt.status !== 'abgesagt' && (!apt.on_hold || apt.on_hold.trim() === '')
         );
@@ -740,16 +1190,33 @@ app.post('/api/routes/optimize-all', validateSession, async (req, res) => {
         console.log(`   - ${totalPlanned} Termine geplant`);
         console.log(`   - ${weekResults.length} Wochen verwendet`);
         console.log(`   - ${unplannableAppointments.length} Termine konnten nicht geplant werden`);
+        console.log(`   - ${summary.totalKm} km, ${summary.hotelNights} Hotelnächte`);
+
+        const perWeek = new Map(summary.perWeek.map(w => [w.week, w]));
 
         res.json({
             success: true,
-            message: `Gesamtplanung erfolgreich: ${totalPlanned} Termine über ${weekResults.length} Wochen geplant`,
+            message: `Gesamtplanung erfolgreich: ${totalPlanned} Termine über ${weekResults.length} Wochen geplant (${summary.totalKm} km, ${summary.hotelNights} Hotelnächte)`,
+            strategy,
             totalPlanned: totalPlanned,
             weeksPlanned: weekResults.length,
             weekResults: weekResults.map(w => ({
                 week: w.week,
-                planned: w.planned
+                planned: w.planned,
+                region: w.region || null,
+                assigned: w.assigned,
+                carriedOver: w.carriedOver,
+                km: perWeek.get(w.week).km,
+                hotelNights: perWeek.get(w.week).hotelNights
             })),
+            horizon: {
+                totalKm: summary.totalKm,
+                hotelNights: summary.hotelNights,
+                travelHours: summary.travelHours,
+                workHours: summary.workHours,
+                assignments: assignments || null,
+                unplanned: unplanned || null
+            },
             unplannableAppointments: unplannableAppointments.length,
             stats: {
                 totalAvailable: allAppointments.length,
@@ -772,10 +1239,68 @@ app.post('/api/routes/optimize-all', validateSession, async (req, res) => {
     }
 });
 
+// ======================================================================
+// KOSTENPROGNOSE FÜR /api/routes/optimize-all (Trockenlauf, keine API-Kosten)
+// ======================================================================
+app.post('/api/routes/optimize-all/forecast', async (req, res) => {
+    const { driverId, startWeek, strategy = 'horizon' } = req.body;
+
+    if (!startWeek) {
+        return res.status(400).json({ error: 'startWeek is required' });
+    }
+    if (!PLANNING_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({ success: false, error: `strategy muss ${PLANNING_STRATEGIES.join(' oder ')} sein` });
+    }
+
+    const correctedWeek = getPastStartWeekCorrection(startWeek);
+    if (correctedWeek) {
+        return res.status(400).json({
+            error: 'Routenplanung in der Vergangenheit nicht möglich',
+            correctedStartWeek: correctedWeek
+        });
+    }
+
+    try {
+        const allAppointments = await loadOptimizeAllAppointments();
+        const forecaster = new CostForecaster(apiController, {
+            routingProvider,
+            geocodingProvider,
+            // Näherungskoordinaten für noch nicht geocodete Termine
+            geocodingEstimator: offlineGeocoder
+        });
+
+        console.log(`🔮 KOSTENPROGNOSE: Trockenlauf über ${allAppointments.length} Termine ab ${startWeek}`);
+        const { weekResults, totalPlanned, summary } = await planAllWeeks(allAppointments, startWeek, driverId, {
+            autoSave: false,
+            plannerOptions: forecaster.getPlannerOptions(),
+            strategy
+        });
+
+        const project = apiController.currentProject();
+        res.json({
+            success: true,
+            startWeek,
+            project,
+            simulation: {
+                strategy,
+                appointments: allAppointments.length,
+                planned: totalPlanned,
+                weeks: weekResults.length,
+                totalKm: summary.totalKm,
+                hotelNights: summary.hotelNights
+            },
+            forecast: forecaster.getReport(project)
+        });
+    } catch (error) {
+        console.error('❌ Kostenprognose fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ======================================================================
 // ROUTE NEU BERECHNEN (OHNE FIXE TERMINE ZU ÄNDERN)
 // ======================================================================
-app.post('/api/routes/recalculate', validateSession, async (req, res) => {
+app.post('/api/routes/recalculate', async (req, res) => {
     const { weekStart, driverId, preserveFixed = true, triggerAppointmentId } = req.body;
 
     if (!weekStart) {
@@ -804,7 +1329,7 @@ app.post('/api/routes/recalculate', validateSession, async (req, res) => {
 
         console.log(`📌 ${fixedAppointments.length} fixe Termine für diese Woche`);
 
-        const usedAppointmentIds = await getUsedAppointmentIds(weekStart);
+        const usedAppointmentIds = await getUsedAppointmentIds(weekStart, driverId || 1);
 
         const flexibleAppointments = await new Promise((resolve, reject) => {
             db.all(`
@@ -845,20 +1370,31 @@ app.post('/api/routes/recalculate', validateSession, async (req, res) => {
             });
         }
 
-        const planner = new IntelligentRoutePlanner(db);
+        const planner = new IntelligentRoutePlanner(db, { routingProvider, geocodingProvider, localSearch: localSearchOptions(req.body) });
         const optimizedRoute = await planner.optimizeWeek(allAppointmentsForWeek, weekStart, driverId || 1);
 
         const routeName = `Woche ${weekStart}: KW ${getWeekNumber(weekStart)} (${optimizedRoute.stats.totalAppointments} Termine) - Neuberechnet`;
-        await saveRouteToDatabase(routeName, weekStart, driverId || 1, optimizedRoute);
+        const saved = await saveRouteToDatabase(routeName, weekStart, driverId || 1, optimizedRoute, {
+            user: req.user,
+            trigger: triggerAppointmentId ? 'reschedule' : 'recalculate',
+            triggerDetails: triggerAppointmentId ? { appointmentId: triggerAppointmentId } : null
+        });
 
-        console.log(`✅ Route für Woche ${weekStart} neu berechnet: ${optimizedRoute.stats.totalAppointments} Termine`);
+        // Was hat sich gegenüber der vorherigen Version geändert?
+        const changes = saved.parentId
+            ? routeVersions.diff(await routeVersions.getVersion(saved.parentId), await routeVersions.getVersion(saved.id))
+            : null;
+
+        console.log(`✅ Route für Woche ${weekStart} neu berechnet: ${optimizedRoute.stats.totalAppointments} Termine (Version ${saved.version})`);
 
         res.json({
             success: true,
             route: optimizedRoute,
             message: `Route erfolgreich neu berechnet: ${optimizedRoute.stats.totalAppointments} Termine geplant`,
             preservedFixed: preserveFixed,
-            fixedCount: fixedAppointments.length
+            fixedCount: fixedAppointments.length,
+            version: { id: saved.id, version: saved.version, parentId: saved.parentId },
+            changes
         });
 
     } catch (error) {
@@ -875,7 +1411,7 @@ app.post('/api/routes/recalculate', validateSession, async (req, res) => {
 // OPTIMIERTER ROUTE PLANNER ENDPOINT
 // ======================================================================
 
-app.post('/api/routes/optimize-efficient', validateSession, async (req, res) => {
+app.post('/api/routes/optimize-efficient', async (req, res) => {
     const { weekStart, driverId, autoSave = true } = req.body;
 
     console.log('🚀 EFFIZIENTER Routenplaner mit minimalem API-Verbrauch...');
@@ -901,7 +1437,8 @@ app.post('/api/routes/optimize-efficient', validateSession, async (req, res) =>
 
         const selectedAppointments = await selectMaxAppointmentsForWeek(
             allAppointments,
-            weekStart
+            weekStart,
+            driverId || 1
         );
 
         if (selectedAppointments.length === 0) {
@@ -914,12 +1451,16 @@ app.post('/api/routes/optimize-efficient', validateSession, async (req, res) =>
         const optimizedRoute = await performMaxEfficiencyOptimization(
             selectedAppointments,
             weekStart,
-            driverId
+            driverId,
+            localSearchOptions(req.body)
         );
 
         if (autoSave && optimizedRoute.stats.totalAppointments > 0) {
             const routeName = `EFFIZIENT - Woche ${weekStart} (${optimizedRoute.stats.totalAppointments} Termine)`;
-            await saveRouteToDatabase(routeName, weekStart, driverId, optimizedRoute);
+            await saveRouteToDatabase(routeName, weekStart, driverId, optimizedRoute, {
+                user: req.user,
+                trigger: 'optimize_efficient'
+            });
         }
 
         res.json({
@@ -944,51 +1485,20 @@ app.post('/api/routes/optimize-efficient', validateSession, async (req, res) =>
 // ======================================================================
 
 // KORRIGIERTE VERSION: Verhindert doppelte Planung von Terminen
-async function getUsedAppointmentIds(excludeWeekStart) {
-    return new Promise((resolve, reject) => {
-        db.all("SELECT id, week_start, route_data FROM saved_routes WHERE is_active = 1", (err, rows) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-
-            const usedIds = new Set();
-            const usageMap = new Map();
-
-            rows.forEach(row => {
-                if (excludeWeekStart && row.week_start === excludeWeekStart) {
-                    return;
-                }
-                try {
-                    const routeData = JSON.parse(row.route_data);
-                    routeData.days?.forEach(day => {
-                        day.appointments?.forEach(apt => {
-                            if (apt.id) {
-                                usedIds.add(apt.id);
-                                if (!usageMap.has(apt.id)) usageMap.set(apt.id, []);
-                                usageMap.get(apt.id).push(row.week_start);
-                            }
-                        });
-                    });
-                } catch (e) {
-                    console.warn(`Fehler beim Parsen der Route ${row.id}:`, e);
-                }
-            });
-
-            usageMap.forEach((weeks, aptId) => {
-                if (weeks.length > 1) {
-                    console.error(`⚠️ DUPLIKAT: Termin ${aptId} ist in ${weeks.length} Wochen geplant: ${weeks.join(', ')}`);
-                }
-            });
-
-            console.log(`📊 ${usedIds.size} Termine sind bereits geplant (ohne Woche ${excludeWeekStart || 'keine'})`);
-            resolve(Array.from(usedIds));
-        });
-    });
+// Liest die aktiven Stopps (route_stops) - ein Termin ist dort höchstens einmal aktiv.
+// Mit excludeDriverId zählt nur die eigene Route dieser Woche als frei - Termine
+// anderer Fahrer derselben Woche bleiben belegt. Ohne: ganze Woche (Flottenplanung)
+async function getUsedAppointmentIds(excludeWeekStart, excludeDriverId = null) {
+    const stops = await routeStops.activeStops({ excludeWeekStart, excludeDriverId });
+    const usedIds = new Set(stops.map(stop => stop.appointment_id));
+
+    console.log(`📊 ${usedIds.size} Termine sind bereits geplant (ohne Woche ${excludeWeekStart || 'keine'}${excludeDriverId ? `, Fahrer ${excludeDriverId}` : ''})`);
+    return Array.from(usedIds);
 }
 
 // KORRIGIERTE VERSION: Wählt nur ungenutzte Termine aus
-async function selectMaxAppointmentsForWeek(allAppointments, weekStart) {
+// driverId: Planung für einen Fahrer (nur dessen Route der Woche wird ersetzt)
+async function selectMaxAppointmentsForWeek(allAppointments, weekStart, driverId = null) {
     console.log(`🎯 Optimiere Terminauswahl für Woche ${weekStart}`);
 
     const weekStartDate = new Date(weekStart);
@@ -1003,7 +1513,7 @@ async function selectMaxAppointmentsForWeek(allAppointments, weekStart) {
 
     console.log(`📌 ${fixedAppointmentsThisWeek.length} fixe Termine für Woche ${weekStart}`);
 
-    const usedAppointmentIds = await getUsedAppointmentIds(weekStart);
+    const usedAppointmentIds = await getUsedAppointmentIds(weekStart, driverId);
 
     const availableFlexibleAppointments = allAppointments.filter(apt => {
         if (apt.is_fixed) return false;
@@ -1041,24 +1551,15 @@ async function selectMaxAppointmentsForWeek(allAppointments, weekStart) {
 // REALISTISCHE ROUTENOPTIMIERUNG MIT CLUSTERING
 // ======================================================================
 
-async function performMaxEfficiencyOptimization(appointments, weekStart, driverId) {
+async function performMaxEfficiencyOptimization(appointments, weekStart, driverId, localSearch) {
     console.log('💰 KOSTEN-OPTIMIERTE Routenplanung mit Budget-Kontrolle...');
     console.log(`📊 API Budget Status:`, apiController.getStatus());
 
     try {
         // WICHTIG: Nutze den optimierten Service
-        const optimizedService = new UltraOptimizedMapsService(db);
-
-        // Override: Füge Budget-Check hinzu
-        const originalGeocode = optimizedService.geocodeWithGoogleMaps.bind(optimizedService);
-        optimizedService.geocodeWithGoogleMaps = async function(address) {
-            if (!apiController.canMakeAPICall('geocoding')) {
-                console.log('⚠️ Budget-Limit erreicht, nutze lokale Schätzung');
-                throw new Error('Budget limit reached');
-            }
-            apiController.registerAPICall('geocoding', 1);
-            return originalGeocode(address);
-        };
+        const optimizedService = new UltraOptimizedMapsService(db, { routingProvider, geocodingProvider });
+
+        // Budget-Check übernehmen die Provider selbst (apiController.withBudget)
 
         // Phase 1: Smart Geocoding
         const geocodedAppointments = await optimizedService.smartGeocodeBatch(appointments);
@@ -1068,7 +1569,7 @@ async function performMaxEfficiencyOptimization(appointments, weekStart, driverI
         const distanceMatrix = await optimizedService.calculateSmartDistanceMatrix(geocodedAppointments);
 
         // Phase 3: Route optimieren
-        const planner = new IntelligentRoutePlanner(db);
+        const planner = new IntelligentRoutePlanner(db, { routingProvider, geocodingProvider, localSearch });
 
         // Injiziere die Distanz-Daten
         planner.distanceCache = new Map();
@@ -1118,7 +1619,7 @@ async function performMaxEfficiencyOptimization(appointments, weekStart, driverI
         
         // Fallback auf rein lokale Berechnung
         console.log('🔄 Fallback auf lokale Berechnung ohne API...');
-        const planner = new IntelligentRoutePlanner(db);
+        const planner = new IntelligentRoutePlanner(db, { routingProvider, geocodingProvider });
         
         // Override getDistance für lokale Berechnung
         planner.getDistance = async function(from, to) {
@@ -1136,7 +1637,7 @@ async function performMaxEfficiencyOptimization(appointments, weekStart, driverI
 }
 
 async function findSmartAlternativeSlots(appointmentId, weekStart) {
-    const optimizedService = new UltraOptimizedMapsService(db);
+    const optimizedService = new UltraOptimizedMapsService(db, { routingProvider, geocodingProvider });
 
     const appointment = await new Promise((resolve, reject) => {
         db.get("SELECT * FROM appointments WHERE id = ?", [appointmentId],
@@ -1173,13 +1674,20 @@ async function findSmartAlternativeSlots(appointmentId, weekStart) {
 }
 
 // Stelle sicher, dass alle Termine Koordinaten haben
+// Koordinaten landen auch auf den übergebenen Objekten: Import-Zeilen haben noch
+// keine ID und werden erst danach mit lat/lng eingefügt (appointment-import.js)
 async function ensureAllAppointmentsGeocoded(appointments) {
     if (USE_OPTIMIZED_SERVICE) {
-        const optimizedService = new UltraOptimizedMapsService(db);
-        const geocoded = await optimizedService.smartGeocodeBatch(appointments);
+        const optimizedService = new UltraOptimizedMapsService(db, { routingProvider, geocodingProvider });
+        // smartGeocodeBatch liefert Kopien - sourceIndex führt zurück zum Original
+        const geocoded = await optimizedService.smartGeocodeBatch(
+            appointments.map((apt, sourceIndex) => ({ ...apt, sourceIndex }))
+        );
 
         for (const apt of geocoded) {
             if (apt.geocoded && apt.lat && apt.lng) {
+                Object.assign(appointments[apt.sourceIndex], { lat: apt.lat, lng: apt.lng, geocoded: true });
+                if (apt.id === undefined || apt.id === null) continue;
                 await new Promise((resolve, reject) => {
                     db.run(
                         "UPDATE appointments SET lat = ?, lng = ?, geocoded = 1 WHERE id = ?",
@@ -1190,7 +1698,9 @@ async function ensureAllAppointmentsGeocoded(appointments) {
             }
         }
 
-        return geocoded.filter(apt => apt.lat && apt.lng);
+        return geocoded
+            .filter(apt => apt.lat && apt.lng)
+            .map(({ sourceIndex, ...apt }) => apt);
     }
 
     const needsGeocoding = appointments.filter(apt => !apt.lat || !apt.lng);
@@ -1198,32 +1708,19 @@ async function ensureAllAppointmentsGeocoded(appointments) {
     if (needsGeocoding.length > 0) {
         console.log(`🗺️ Geocoding ${needsGeocoding.length} Termine...`);
 
-        const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-        if (!apiKey) {
-            throw new Error('Google Maps API Key nicht konfiguriert');
-        }
-
         const BATCH_SIZE = 10;
         for (let i = 0; i < needsGeocoding.length; i += BATCH_SIZE) {
             const batch = needsGeocoding.slice(i, i + BATCH_SIZE);
 
             await Promise.all(batch.map(async (apt) => {
                 try {
-                    const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-                        params: {
-                            address: apt.address,
-                            key: apiKey,
-                            region: 'de',
-                            components: 'country:DE'
-                        },
-                        timeout: 5000
-                    });
+                    const location = await geocodingProvider.geocode(apt.address);
 
-                    if (response.data.status === 'OK' && response.data.results.length > 0) {
-                        const location = response.data.results[0].geometry.location;
+                    if (location) {
                         apt.lat = location.lat;
                         apt.lng = location.lng;
                         apt.geocoded = true;
+                        if (apt.id === undefined || apt.id === null) return;
 
                         await new Promise((resolve, reject) => {
                             db.run(
@@ -1399,8 +1896,9 @@ async function planWeekWithClusters(clusters, allAppointments, weekStart) {
 
                 const availableSlots = findAvailableSlots(day);
 
+                const aptDuration = apt.duration || 3;
                 for (const slot of availableSlots) {
-                    if (slot.duration >= 4) {
+                    if (slot.duration >= aptDuration + 1) {
                         const prevApt = day.appointments[day.appointments.length - 1];
                         const fromLat = prevApt ? prevApt.lat : homeBase.lat;
                         const fromLng = prevApt ? prevApt.lng : homeBase.lng;
@@ -1412,7 +1910,7 @@ async function planWeekWithClusters(clusters, allAppointments, weekStart) {
                         );
                         startTimeHours = Math.round(startTimeHours * 2) / 2; // nur 30‑Minuten‑Schritte
 
-                        let endTimeHours = startTimeHours + 3;
+                        let endTimeHours = startTimeHours + aptDuration;
 
                         if (endTimeHours > timeToHours(slot.endTime)) continue;
 
@@ -1425,10 +1923,10 @@ async function planWeekWithClusters(clusters, allAppointments, weekStart) {
                             ...apt,
                             startTime: hoursToTime(startTimeHours),
                             endTime: hoursToTime(endTimeHours),
-                            duration: 3,
+                            duration: aptDuration,
                             isFixed: false
                         });
-                        day.workTime += 3;
+                        day.workTime += aptDuration;
                         console.log(`✅ ${apt.customer} → ${weekDays[dayIndex]} ${hoursToTime(startTimeHours)}-${hoursToTime(endTimeHours)}`);
                         scheduled = true;
                         break;
@@ -1628,64 +2126,25 @@ function estimateTravelTime(lat1, lng1, lat2, lng2) {
 }
 
 async function batchCalculateDistances(origins, destinations) {
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    const MAX_ELEMENTS = 100;
-    const MAX_ORIGINS = 25;
-    const MAX_DESTINATIONS = 25;
-
     const results = {};
 
-    for (let i = 0; i < origins.length; i += MAX_ORIGINS) {
-        const originBatch = origins.slice(i, i + MAX_ORIGINS);
-
-        for (let j = 0; j < destinations.length; j += MAX_DESTINATIONS) {
-            const destBatch = destinations.slice(j, j + MAX_DESTINATIONS);
-
-            if (originBatch.length * destBatch.length > MAX_ELEMENTS) {
-                continue;
-            }
-
-            const originsStr = originBatch.map(o => `${o.lat},${o.lng}`).join('|');
-            const destsStr = destBatch.map(d => `${d.lat},${d.lng}`).join('|');
-
-            try {
-                const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
-                    params: {
-                        origins: originsStr,
-                        destinations: destsStr,
-                        key: apiKey,
-                        units: 'metric',
-                        mode: 'driving',
-                        departure_time: 'now',
-                        traffic_model: 'best_guess'
-                    }
-                });
-
-                if (response.data.status === 'OK') {
-                    response.data.rows.forEach((row, rowIdx) => {
-                        const origin = originBatch[rowIdx];
-                        if (!results[origin.id]) results[origin.id] = {};
-
-                        row.elements.forEach((element, colIdx) => {
-                            const dest = destBatch[colIdx];
-                            if (element.status === 'OK') {
-                                results[origin.id][dest.id] = {
-                                    distance: element.distance.value / 1000,
-                                    duration: element.duration_in_traffic ?
-                                        element.duration_in_traffic.value / 3600 :
-                                        element.duration.value / 3600
-                                };
-                            }
-                        });
-                    });
-                }
-
-                await new Promise(resolve => setTimeout(resolve, 100));
-
-            } catch (error) {
-                console.error('Distance Matrix Batch Error:', error.message);
-            }
-        }
+    try {
+        const matrix = await routingProvider.table(origins, destinations, { traffic: true });
+
+        matrix.forEach((row, rowIdx) => {
+            const origin = origins[rowIdx];
+            if (!results[origin.id]) results[origin.id] = {};
+
+            row.forEach((leg, colIdx) => {
+                if (!leg) return;
+                results[origin.id][destinations[colIdx].id] = {
+                    distance: leg.distance,
+                    duration: leg.duration
+                };
+            });
+        });
+    } catch (error) {
+        console.error(`Distance Matrix Batch Error (${routingProvider.name}):`, error.message);
     }
 
     return results;
@@ -1713,6 +2172,23 @@ function hoursToTime(hours) {
     return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
 }
 
+// Termindauer in Stunden (appointments.duration): 1.5 = Interview, 10 = ganzer Produktionstag
+const DEFAULT_APPOINTMENT_DURATION = 3;
+const MIN_APPOINTMENT_DURATION = 0.5;
+const MAX_APPOINTMENT_DURATION = 12;
+
+function appointmentHours(apt) {
+    const duration = Number(apt && apt.duration);
+    return duration > 0 ? duration : DEFAULT_APPOINTMENT_DURATION;
+}
+
+// Eingabe aus der API prüfen; null = ungültig
+function parseDurationHours(value) {
+    const duration = Number(String(value).replace(',', '.'));
+    if (!Number.isFinite(duration) || duration < MIN_APPOINTMENT_DURATION || duration > MAX_APPOINTMENT_DURATION) return null;
+    return Math.round(duration * 4) / 4;
+}
+
 function addHoursToTime(timeStr, hours) {
     const totalHours = timeToHours(timeStr) + hours;
     return hoursToTime(totalHours);
@@ -1856,62 +2332,72 @@ function formatOptimizedWeek(week, weekStart) {
 // WEITERE HILFSFUNKTIONEN
 // ======================================================================
 
+// Doppelt verplante Termine laut route_stops (aktive Routen, früheste Woche zuerst).
+// Der Unique-Index auf aktiven Stopps verhindert neue Duplikate - die Prüfung
+// findet nur Altlasten, z.B. aus einer Datenbank ohne den Index.
+async function findDuplicatePlannings() {
+    const stops = await routeStops.activeStops();
+    const usage = new Map();
+    stops.forEach(stop => {
+        if (!usage.has(stop.appointment_id)) usage.set(stop.appointment_id, []);
+        usage.get(stop.appointment_id).push({
+            routeId: stop.route_id,
+            weekStart: stop.week_start,
+            driverId: stop.driver_id,
+            customer: stop.customer
+        });
+    });
+
+    const duplicates = [];
+    usage.forEach((routes, appointmentId) => {
+        if (routes.length > 1) {
+            duplicates.push({
+                appointmentId,
+                customer: routes[0].customer,
+                plannedIn: routes.map(r => r.weekStart),
+                routes
+            });
+        }
+    });
+    return duplicates;
+}
+
+// Duplikate entfernen: die früheste Woche behält den Termin, die übrigen Routen
+// bekommen eine neue Version ohne ihn
+async function removeDuplicatePlannings(duplicates, user) {
+    let removed = 0;
+    for (const dup of duplicates) {
+        for (const route of dup.routes.slice(1)) {
+            console.log(`🗑️ Entferne ${dup.customer} aus Woche ${route.weekStart}`);
+            const version = await routeVersions.removeAppointments(route.routeId, [dup.appointmentId], {
+                user,
+                trigger: 'duplicate_cleanup'
+            });
+            if (version) removed++;
+        }
+    }
+    return removed;
+}
+
 // ZUSÄTZLICH: Funktion zum Bereinigen doppelter Planungen
-app.post('/api/admin/clean-duplicate-appointments', validateSession, async (req, res) => {
+app.post('/api/admin/clean-duplicate-appointments', async (req, res) => {
     try {
         console.log('🧹 Bereinige doppelte Terminplanungen...');
-        
-        // Hole alle gespeicherten Routen
-        const allRoutes = await new Promise((resolve, reject) => {
-            db.all("SELECT id, week_start, route_data FROM saved_routes ORDER BY week_start", (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-        
-        const appointmentUsage = new Map(); // appointmentId -> [routeId, weekStart]
-        const duplicates = [];
-        
-        // Analysiere alle Routen
-        allRoutes.forEach(route => {
-            try {
-                const routeData = JSON.parse(route.route_data);
-                
-                routeData.days?.forEach(day => {
-                    day.appointments?.forEach(apt => {
-                        if (apt.id) {
-                            if (appointmentUsage.has(apt.id)) {
-                                // Duplikat gefunden
-                                const existing = appointmentUsage.get(apt.id);
-                                duplicates.push({
-                                    appointmentId: apt.id,
-                                    customer: apt.customer,
-                                    firstRoute: existing,
-                                    duplicateRoute: { routeId: route.id, weekStart: route.week_start }
-                                });
-                            } else {
-                                appointmentUsage.set(apt.id, { routeId: route.id, weekStart: route.week_start });
-                            }
-                        }
-                    });
-                });
-            } catch (e) {
-                console.error(`Fehler beim Parsen von Route ${route.id}:`, e);
-            }
-        });
-        
+
+        const duplicates = (await findDuplicatePlannings()).map(dup => ({
+            appointmentId: dup.appointmentId,
+            customer: dup.customer,
+            firstRoute: { routeId: dup.routes[0].routeId, weekStart: dup.routes[0].weekStart },
+            duplicateRoutes: dup.routes.slice(1).map(r => ({ routeId: r.routeId, weekStart: r.weekStart }))
+        }));
+
         console.log(`🔍 ${duplicates.length} doppelte Terminplanungen gefunden`);
-        
-        // Optional: Bereinigung durchführen
+
         let cleaned = 0;
-        if (req.body.performCleanup === true) {
-            for (const dup of duplicates) {
-                console.log(`🧹 Entferne Duplikat: ${dup.customer} aus Woche ${dup.duplicateRoute.weekStart}`);
-                // Hier könntest du die Duplikate aus den Routen entfernen
-                cleaned++;
-            }
+        if (req.body.performCleanup === true && duplicates.length > 0) {
+            cleaned = await removeDuplicatePlannings(await findDuplicatePlannings(), req.user);
         }
-        
+
         res.json({
             success: true,
             duplicatesFound: duplicates.length,
@@ -1931,25 +2417,10 @@ app.post('/api/admin/clean-duplicate-appointments', validateSession, async (req,
     }
 });
 
-// HELPER: Prüfe ob ein Termin bereits geplant ist
+// HELPER: Prüfe ob ein Termin bereits geplant ist (Woche der aktiven Route oder null)
 async function isAppointmentAlreadyPlanned(appointmentId, excludeWeekStart = null) {
-    return new Promise((resolve, reject) => {
-        let query = "SELECT week_start FROM saved_routes WHERE route_data LIKE ?";
-        let params = [`%"id":${appointmentId}%`];
-        
-        if (excludeWeekStart) {
-            query += " AND week_start != ?";
-            params.push(excludeWeekStart);
-        }
-        
-        db.get(query, params, (err, row) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(row ? row.week_start : null);
-            }
-        });
-    });
+    const [stop] = await routeStops.activeStops({ appointmentId, excludeWeekStart });
+    return stop ? stop.week_start : null;
 }
 
 function createEmptyWeekStructure(weekStart) {
@@ -1979,42 +2450,43 @@ function getWeekNumber(dateStr) {
     return Math.ceil((days + start.getDay() + 1) / 7);
 }
 
-async function saveRouteToDatabase(routeName, weekStart, driverId, routeData) {
-    return new Promise((resolve, reject) => {
-        // Erst alle Routen für diese Woche deaktivieren
-        db.run(
-            "UPDATE saved_routes SET is_active = 0 WHERE week_start = ?",
-            [weekStart],
-            () => {
-                // Dann neue Route speichern
-                db.run(
-                    "INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active) VALUES (?, ?, ?, ?, 1)",
-                    [routeName, weekStart, driverId || 1, JSON.stringify(routeData)],
-                    function(err) {
-                        if (err) reject(err);
-                        else resolve(this.lastID);
-                    }
-                );
-            }
-        );
-    });
+// Neue aktive Version für Woche + Fahrer; meta = { user, trigger, triggerDetails } (route-versions.js)
+async function saveRouteToDatabase(routeName, weekStart, driverId, routeData, meta = {}) {
+    return routeVersions.saveVersion({ name: routeName, weekStart, driverId: driverId || 1, routeData }, meta);
 }
 
 // ======================================================================
 // WEITERE API ROUTES
 // ======================================================================
 
+// Fahrer sehen nur ihre eigenen Routen; andere Rollen dürfen per ?driverId filtern
+function getVisibleDriverId(req) {
+    if (req.user && req.user.role === 'driver') {
+        // Fahrer ohne Zuordnung kommen hier nicht an (403, siehe Auth-Policy)
+        return req.user.driver_id;
+    }
+    return req.query.driverId || null;
+}
+
 // Get saved routes
 app.get('/api/routes/saved', (req, res) => {
     const { weekStart } = req.query;
+    const driverId = getVisibleDriverId(req);
     
-    let query = "SELECT * FROM saved_routes ORDER BY week_start ASC, created_at DESC";
-    let params = [];
+    const conditions = [];
+    const params = [];
     
     if (weekStart) {
-        query = "SELECT * FROM saved_routes WHERE week_start = ? ORDER BY created_at DESC";
-        params = [weekStart];
+        conditions.push("week_start = ?");
+        params.push(weekStart);
     }
+    if (driverId) {
+        conditions.push("driver_id = ?");
+        params.push(driverId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `SELECT * FROM saved_routes ${where} ORDER BY week_start ASC, created_at DESC`;
     
     db.all(query, params, (err, routes) => {
         if (err) {
@@ -2035,10 +2507,18 @@ app.get('/api/routes/saved', (req, res) => {
 // Load active route for a week
 app.get('/api/routes/active/:weekStart', (req, res) => {
     const weekStart = req.params.weekStart;
+    const driverId = getVisibleDriverId(req);
+
+    let query = "SELECT * FROM saved_routes WHERE week_start = ? AND is_active = 1";
+    const params = [weekStart];
+    if (driverId) {
+        query += " AND driver_id = ?";
+        params.push(driverId);
+    }
     
     db.get(
-        "SELECT * FROM saved_routes WHERE week_start = ? AND is_active = 1",
-        [weekStart],
+        query,
+        params,
         (err, route) => {
             if (err) {
                 res.status(500).json({ error: err.message });
@@ -2057,85 +2537,327 @@ app.get('/api/routes/active/:weekStart', (req, res) => {
     );
 });
 
+// Aktuell verplante Termine (route_stops der aktiven Routen)
+app.get('/api/routes/stops', async (req, res) => {
+    const { weekStart, appointmentId } = req.query;
+    const driverId = getVisibleDriverId(req);
+
+    try {
+        const stops = await routeStops.activeStops({ weekStart, driverId, appointmentId });
+        res.json({ success: true, count: stops.length, stops });
+    } catch (error) {
+        console.error('❌ Geplante Stopps konnten nicht geladen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ======================================================================
+// ROUTEN-VERSIONEN: Verlauf, Vergleich und Rollback (route-versions.js)
+// ======================================================================
+
+// Version laden - Fahrer nur ihre eigenen (sonst wie nicht vorhanden)
+async function loadVisibleVersion(req, id) {
+    const version = await routeVersions.getVersion(id);
+    const driverId = getVisibleDriverId(req);
+    if (!version || (req.user && req.user.role === 'driver' && String(version.driver_id) !== String(driverId))) {
+        return null;
+    }
+    return version;
+}
+
+// Versionen (ohne route_data) je Woche/Fahrer, neueste zuerst
+app.get('/api/routes/versions', async (req, res) => {
+    const { weekStart } = req.query;
+    const driverId = getVisibleDriverId(req);
+
+    try {
+        const versions = await routeVersions.listVersions({ weekStart, driverId });
+        res.json({ success: true, versions });
+    } catch (error) {
+        console.error('❌ Routen-Versionen konnten nicht geladen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/routes/versions/:id', async (req, res) => {
+    try {
+        const version = await loadVisibleVersion(req, req.params.id);
+        if (!version) {
+            return res.status(404).json({ success: false, error: 'Version nicht gefunden' });
+        }
+        res.json({ success: true, version });
+    } catch (error) {
+        console.error('❌ Routen-Version konnte nicht geladen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Stopps, Fahrten und Übernachtungen einer Version aus den Routen-Tabellen
+app.get('/api/routes/versions/:id/stops', async (req, res) => {
+    try {
+        const version = await loadVisibleVersion(req, req.params.id);
+        if (!version) {
+            return res.status(404).json({ success: false, error: 'Version nicht gefunden' });
+        }
+        const details = await routeStops.routeDetails(version.id);
+        res.json({ success: true, routeId: version.id, version: version.version, isActive: version.is_active, ...details });
+    } catch (error) {
+        console.error('❌ Stopps der Version konnten nicht geladen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Unterschied zu ?against=<id>, ohne Angabe zum Vorgänger
+app.get('/api/routes/versions/:id/diff', async (req, res) => {
+    try {
+        const version = await loadVisibleVersion(req, req.params.id);
+        if (!version) {
+            return res.status(404).json({ success: false, error: 'Version nicht gefunden' });
+        }
+
+        const againstId = req.query.against || version.parent_id;
+        if (!againstId) {
+            return res.status(400).json({ success: false, error: 'Version hat keinen Vorgänger - bitte against angeben' });
+        }
+        const against = await loadVisibleVersion(req, againstId);
+        if (!against) {
+            return res.status(404).json({ success: false, error: 'Vergleichsversion nicht gefunden' });
+        }
+
+        res.json({ success: true, diff: routeVersions.diff(against, version) });
+    } catch (error) {
+        console.error('❌ Routen-Vergleich fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Ältere Version wieder aktiv machen; force=true holt inzwischen anders verplante Termine zurück
+app.post('/api/routes/versions/:id/rollback', async (req, res) => {
+    try {
+        const result = await routeVersions.rollback(req.params.id, { user: req.user, force: req.body.force === true });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Version nicht gefunden' });
+        }
+        if (!result.version) {
+            return res.status(409).json({
+                success: false,
+                error: 'Termine dieser Version sind inzwischen in anderen aktiven Routen geplant - force=true übernimmt sie',
+                conflicts: result.conflicts.map(conflict => ({
+                    appointmentId: conflict.appointment_id,
+                    routeId: conflict.route_id,
+                    weekStart: conflict.week_start,
+                    driverId: conflict.driver_id
+                }))
+            });
+        }
+
+        const { version, previous } = result;
+        console.log(`⏪ Route ${version.week_start} (Fahrer ${version.driver_id}) auf Version ${version.version} zurückgesetzt`);
+
+        const previousVersion = previous && previous.id !== version.id ? await routeVersions.getVersion(previous.id) : null;
+        res.json({
+            success: true,
+            message: `Version ${version.version} ist wieder aktiv`,
+            version,
+            previousActive: previous,
+            movedAppointments: result.conflicts.map(conflict => conflict.appointment_id),
+            changes: previousVersion ? routeVersions.diff(previousVersion, version) : null
+        });
+    } catch (error) {
+        console.error('❌ Rollback fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ======================================================================
+// KALENDER-FEEDS (.ics) - Abo-URL mit Token, ohne Login abrufbar
+// ======================================================================
+
+function buildFeedUrl(req, token) {
+    const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return `${base}/api/calendar/feed/${token}.ics`;
+}
+
+// Feed anlegen: ohne weekStart = laufender Fahrer-Feed, mit weekStart = eine Woche
+app.post('/api/calendar/feeds', async (req, res) => {
+    const { weekStart = null, label = null } = req.body;
+    let driverId = req.body.driverId ? parseInt(req.body.driverId, 10) : null;
+
+    if (req.user.role === 'driver') {
+        if (!req.user.driver_id) {
+            return res.status(403).json({ success: false, error: 'Benutzer ist keinem Fahrer zugeordnet' });
+        }
+        if (driverId && driverId !== req.user.driver_id) {
+            return res.status(403).json({ success: false, error: 'Fahrer dürfen nur eigene Feeds anlegen' });
+        }
+        driverId = req.user.driver_id;
+    }
+
+    if (weekStart && !/^\d{4}-\d{2}-\d{2}$/.test(weekStart)) {
+        return res.status(400).json({ success: false, error: 'weekStart muss im Format YYYY-MM-DD sein' });
+    }
+    if (!weekStart && !driverId) {
+        return res.status(400).json({ success: false, error: 'driverId ist für einen Fahrer-Feed erforderlich' });
+    }
+
+    try {
+        if (driverId) {
+            const driver = await new Promise((resolve, reject) => {
+                db.get("SELECT id FROM drivers WHERE id = ?", [driverId], (err, row) => err ? reject(err) : resolve(row));
+            });
+            if (!driver) {
+                return res.status(404).json({ success: false, error: 'Fahrer nicht gefunden' });
+            }
+        }
+
+        const { token, feed } = await calendarFeeds.createFeed({ driverId, weekStart, label, createdBy: req.user.id });
+        console.log(`📅 Kalender-Feed ${feed.id} angelegt (${feed.scope}, Fahrer ${driverId || 'alle'}) von ${req.user.username}`);
+
+        // Der Token wird nur jetzt im Klartext ausgegeben
+        res.status(201).json({ success: true, feed, url: buildFeedUrl(req, token) });
+    } catch (error) {
+        console.error('❌ Kalender-Feed konnte nicht angelegt werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/calendar/feeds', async (req, res) => {
+    try {
+        const feeds = await calendarFeeds.listFeeds(getVisibleDriverId(req));
+        res.json({ success: true, feeds });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/calendar/feeds/:id', async (req, res) => {
+    try {
+        const feed = await calendarFeeds.getFeed(req.params.id);
+        if (!feed || feed.revoked_at) {
+            return res.status(404).json({ success: false, error: 'Feed nicht gefunden' });
+        }
+        if (req.user.role === 'driver' && feed.driver_id !== req.user.driver_id) {
+            return res.status(403).json({ success: false, error: 'Fahrer dürfen nur eigene Feeds widerrufen' });
+        }
+
+        await calendarFeeds.revokeFeed(feed.id);
+        console.log(`🗑️ Kalender-Feed ${feed.id} widerrufen von ${req.user.username}`);
+        res.json({ success: true, message: 'Feed widerrufen' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Öffentlich: der Token in der URL ist die Berechtigung
+app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+    try {
+        const feed = await calendarFeeds.resolveToken(req.params.token);
+        if (!feed) {
+            return res.status(404).json({ success: false, error: 'Feed nicht gefunden oder widerrufen' });
+        }
+
+        const ics = await calendarFeeds.buildCalendarForFeed(feed);
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="touren-${feed.scope === 'week' ? feed.week_start : `fahrer-${feed.driver_id}`}.ics"`,
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(ics);
+    } catch (error) {
+        console.error('❌ Kalender-Feed konnte nicht erstellt werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // CSV Preview with enhanced testimonial analysis
-app.post('/api/admin/preview-csv', upload.single('csvFile'), (req, res) => {
+app.post('/api/admin/preview-csv', upload.single('csvFile'), async (req, res) => {
     if (!req.file) {
-        return res.status(400).json({ error: 'Keine CSV-Datei hochgeladen' });
+        return res.status(400).json({ error: 'Keine Datei hochgeladen (CSV, XLSX oder JSON)' });
     }
 
     try {
-        const csvContent = req.file.buffer.toString('utf-8');
-        
-        const parsed = Papa.parse(csvContent, {
-            header: true,
-            skipEmptyLines: true,
-            delimiter: '',
-            encoding: 'utf-8',
-            dynamicTyping: false,
-            delimitersToGuess: [',', ';', '\t', '|']
-        });
+        const parsed = await AppointmentFiles.readImportFile(req.file, { sheet: req.body.sheet });
+        const headers = parsed.meta.fields || [];
 
         console.log('📊 CSV Preview - Parsed meta:', parsed.meta);
 
+        // Vorschlag immer mitliefern - ohne Profil-ID und ohne Calendly-Spalten wird er angewendet
+        const suggestion = importProfiles.suggestMapping(headers, parsed.data.slice(0, 20));
+        let profile;
+        if (req.body.profileId) {
+            profile = await importProfiles.getProfile(req.body.profileId);
+            if (!profile) {
+                return res.status(404).json({ success: false, error: 'Import-Profil nicht gefunden' });
+            }
+        } else if (importProfiles.matchesHeaders(ImportProfileService.DEFAULT_PROFILE, headers)) {
+            profile = ImportProfileService.DEFAULT_PROFILE;
+        } else {
+            profile = {
+                id: null,
+                name: 'Automatischer Vorschlag',
+                mapping: suggestion.mapping,
+                date_format: suggestion.date_format,
+                on_hold_rule: suggestion.on_hold_rule
+            };
+        }
+
+        const { appointments, skipped } = appointmentImport.mapRows(parsed.data, { profile });
+        const active = appointments.filter(apt => !apt.on_hold);
+
         const analysis = {
             totalRows: parsed.data.length,
-            columns: parsed.meta.fields,
-            confirmedAppointments: 0,
-            proposalAppointments: 0,
-            onHoldAppointments: 0,
-            missingInvitee: 0,
-            sampleRows: []
+            columns: headers,
+            confirmedAppointments: active.filter(apt => apt.is_fixed).length,
+            proposalAppointments: active.filter(apt => !apt.is_fixed).length,
+            onHoldAppointments: appointments.length - active.length,
+            missingInvitee: skipped.length,
+            // Startwert vorhanden, aber mit dem Datumsformat nicht lesbar
+            unparsedDates: appointments
+                .filter(apt => apt.notes.start_time && !apt.is_fixed)
+                .slice(0, 10)
+                .map(apt => ({ row: apt.row, customer: apt.customer, value: apt.notes.start_time })),
+            sampleRows: appointments.slice(0, 5).map(apt => ({
+                invitee_name: apt.customer,
+                company: apt.notes.company,
+                customer_company: apt.notes.customer_company,
+                has_appointment: !!apt.is_fixed,
+                on_hold: !!apt.on_hold,
+                address: apt.address,
+                start_date_time: apt.notes.start_time,
+                fixed_date: apt.fixed_date,
+                fixed_time: apt.fixed_time
+            }))
         };
 
-        parsed.data.forEach((row, index) => {
-            const inviteeName = row['Invitee Name'] || '';
-            const onHold = row['On Hold'] || '';
-            const startDateTime = row['Start Date & Time'] || '';
-
-            if (onHold && onHold.trim() !== '') {
-                analysis.onHoldAppointments++;
-            } else if (!inviteeName || inviteeName.trim() === '') {
-                analysis.missingInvitee++;
-            } else if (startDateTime && startDateTime.trim() !== '') {
-                analysis.confirmedAppointments++;
-            } else {
-                analysis.proposalAppointments++;
-            }
-
-            if (index < 5) {
-                analysis.sampleRows.push({
-                    invitee_name: inviteeName,
-                    company: row['Company'] || '',
-                    customer_company: row['Customer Company'] || '',
-                    has_appointment: !!(startDateTime && startDateTime.trim()),
-                    on_hold: !!(onHold && onHold.trim()),
-                    address: row['Adresse'] || `${row['Straße & Hausnr.'] || ''}, ${row['PLZ'] || ''} ${row['Ort'] || ''}`.trim(),
-                    start_date_time: startDateTime
-                });
-            }
-        });
-
         res.json({
             success: true,
             analysis: analysis,
-            message: 'CSV Vorschau erstellt - Testimonial Person-fokussierte Struktur',
+            message: profile.id === null
+                ? 'CSV Vorschau mit automatisch vorgeschlagener Spalten-Zuordnung'
+                : `CSV Vorschau mit Profil "${profile.name}"`,
+            profile: { id: profile.id, name: profile.name, builtin: !!profile.builtin, mapping: profile.mapping, date_format: profile.date_format },
+            missing_columns: importProfiles.findMissingColumns(profile, headers),
+            suggestion,
             meta: {
+                format: parsed.meta.format,
+                sheet: parsed.meta.sheet,
+                sheets: parsed.meta.sheets,
                 delimiter: parsed.meta.delimiter,
-                fields_count: parsed.meta.fields.length,
+                fields_count: headers.length,
                 truncated: parsed.meta.truncated,
                 error: parsed.errors.length > 0 ? parsed.errors[0] : null
             },
             data_structure: {
-                primary_name: 'Invitee Name (Person für Testimonial)',
-                company_info: 'Company (Firma der Person)',
-                client_info: 'Customer Company (Unser Kunde)',
+                primary_name: `${[].concat(profile.mapping.customer || []).join('/') || '-'} (Person für Testimonial)`,
+                company_info: `${profile.mapping.company || '-'} (Firma der Person)`,
+                client_info: `${profile.mapping.customer_company || '-'} (Unser Kunde)`,
                 valid_appointments: analysis.confirmedAppointments + analysis.proposalAppointments
             }
         });
 
     } catch (error) {
         console.error('❌ CSV Preview Fehler:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'CSV Analyse fehlgeschlagen',
             details: error.message
         });
@@ -2143,326 +2865,356 @@ app.post('/api/admin/preview-csv', upload.single('csvFile'), (req, res) => {
 });
 
 // ======================================================================
-// VEREINFACHTE CSV IMPORT FUNKTION - VOLLSTÄNDIGER ERSATZ
-// Ersetzt die komplexe Logik in server.js ab Zeile ~1400
+// IMPORT-PROFILE (Spalten-Zuordnung für CSV-Exporte anderer Systeme)
 // ======================================================================
 
-// CSV Import endpoint for testimonial data - SIMPLIFIED VERSION
-app.post('/api/admin/import-csv', upload.single('csvFile'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'Keine CSV-Datei hochgeladen' });
+app.get('/api/admin/import-profiles', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            profiles: await importProfiles.listProfiles(),
+            fields: ImportProfileService.MAPPING_FIELDS,
+            date_formats: ImportProfileService.DATE_FORMATS,
+            on_hold_modes: ImportProfileService.ON_HOLD_MODES
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
 
-    console.log('📁 CSV Testimonial Import gestartet - VOLLSTÄNDIGER ERSATZ...');
-
+app.get('/api/admin/import-profiles/:id', async (req, res) => {
     try {
-        const csvContent = req.file.buffer.toString('utf-8');
-        
-        const parsed = Papa.parse(csvContent, {
-            header: true,
-            skipEmptyLines: true,
-            delimiter: '',
-            encoding: 'utf-8',
-            dynamicTyping: false,
-            delimitersToGuess: [',', ';', '\t', '|']
-        });
+        const profile = await importProfiles.getProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Import-Profil nicht gefunden' });
+        }
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        console.log(`📊 ${parsed.data.length} Zeilen in CSV gefunden`);
+app.post('/api/admin/import-profiles', async (req, res) => {
+    const errors = importProfiles.validateProfile(req.body, { requireAll: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültiges Profil', details: errors });
+    }
 
-        const processedAppointments = [];
-        let skippedCount = 0;
-        let confirmedCount = 0;
-        let proposalCount = 0;
+    try {
+        const profile = await importProfiles.createProfile(req.body, req.user.id);
+        console.log(`🧩 Import-Profil "${profile.name}" angelegt von ${req.user.username}`);
+        res.status(201).json({ success: true, profile });
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ success: false, error: 'Profilname existiert bereits' });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        parsed.data.forEach((row, index) => {
-            // Skip if "On Hold" is filled
-            if (row['On Hold'] && row['On Hold'].trim() !== '') {
-                console.log(`⏭️ Zeile ${index + 1}: Übersprungen (On Hold: ${row['On Hold']})`);
-                skippedCount++;
-                return;
-            }
+app.put('/api/admin/import-profiles/:id', async (req, res) => {
+    if (req.params.id === ImportProfileService.DEFAULT_PROFILE.id) {
+        return res.status(400).json({ success: false, error: 'Das eingebaute Profil kann nicht geändert werden' });
+    }
 
-            // Skip if essential data missing
-            if (!row['Invitee Name'] || row['Invitee Name'].trim() === '') {
-                console.log(`⏭️ Zeile ${index + 1}: Übersprungen (Kein Invitee Name)`);
-                skippedCount++;
-                return;
-            }
+    const errors = importProfiles.validateProfile(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültiges Profil', details: errors });
+    }
 
-            // Build address
-            let fullAddress = row['Adresse'] || '';
-            if (!fullAddress && row['Straße & Hausnr.']) {
-                const parts = [];
-                if (row['Straße & Hausnr.']) parts.push(row['Straße & Hausnr.']);
-                if (row['PLZ'] && row['Ort']) parts.push(`${row['PLZ']} ${row['Ort']}`);
-                else if (row['Ort']) parts.push(row['Ort']);
-                if (row['Land']) parts.push(row['Land']);
-                fullAddress = parts.join(', ');
-            }
+    try {
+        const existing = await importProfiles.getProfile(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Import-Profil nicht gefunden' });
+        }
+        const profile = await importProfiles.updateProfile(existing.id, req.body);
+        res.json({ success: true, profile });
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ success: false, error: 'Profilname existiert bereits' });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-            // Parse date and time for fixed appointments
-            let isFixed = false;
-            let fixedDate = null;
-            let fixedTime = null;
+app.delete('/api/admin/import-profiles/:id', async (req, res) => {
+    if (req.params.id === ImportProfileService.DEFAULT_PROFILE.id) {
+        return res.status(400).json({ success: false, error: 'Das eingebaute Profil kann nicht gelöscht werden' });
+    }
 
-            if (row['Start Date & Time'] && row['Start Date & Time'].trim() !== '') {
-                try {
-                    const dateTimeStr = row['Start Date & Time'].trim();
-                    let dateTime;
+    try {
+        const deleted = await importProfiles.deleteProfile(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Import-Profil nicht gefunden' });
+        }
+        res.json({ success: true, message: 'Import-Profil gelöscht' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-                    console.log(`📅 Parsing date: "${dateTimeStr}"`);
+// Profil für einen Import laden und gegen die Spalten der Datei prüfen
+async function resolveImportProfile(profileId, headers) {
+    const profile = await importProfiles.getProfile(profileId);
+    if (!profile) {
+        return { status: 404, error: 'Import-Profil nicht gefunden' };
+    }
 
-                    // Format 1: DD.MM.YYYY HH:MM:SS oder DD.MM.YYYY HH:MM oder DD/MM/YYYY HH:MM:SS oder DD/MM/YYYY HH:MM
-                    if (dateTimeStr.match(/^\d{1,2}[\.\/]\d{1,2}[\.\/]\d{4}\s+\d{1,2}:\d{2}(:\d{2})?/)) {
-                        const [datePart, timePart] = dateTimeStr.split(/\s+/);
-                        const [day, month, year] = datePart.split(/[\.\/]/);
-                        
-                        // Verarbeite Zeit - mit oder ohne Sekunden
-                        let isoTimeString;
-                        if (timePart.includes(':') && timePart.split(':').length === 3) {
-                            // Format HH:MM:SS
-                            isoTimeString = timePart;
-                        } else {
-                            // Format HH:MM - füge Sekunden hinzu
-                            isoTimeString = `${timePart}:00`;
-                        }
-                        
-                        dateTime = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${isoTimeString}`);
-                        console.log(`   🔄 Deutsches Format geparst: "${datePart} ${timePart}" → "${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${isoTimeString}"`);
-                    }
-                    // Format 2: YYYY-MM-DD HH:MM:SS oder YYYY-MM-DD HH:MM
-                    else if (dateTimeStr.match(/^\d{4}-\d{1,2}-\d{1,2}\s+\d{1,2}:\d{2}(:\d{2})?/)) {
-                        dateTime = new Date(dateTimeStr);
-                        console.log(`   🔄 ISO Format geparst: "${dateTimeStr}"`);
-                    }
-                    // Fallback: Versuche native Parsing
-                    else {
-                        console.log(`   ⚠️ FALLBACK: Kein Regex-Match für "${dateTimeStr}", versuche native Parsing...`);
-                        dateTime = new Date(dateTimeStr);
-                    }
+    const missingRequired = importProfiles.findMissingColumns(profile, headers).filter(col => col.required);
+    if (missingRequired.length > 0) {
+        return {
+            status: 400,
+            error: `Pflichtspalte fehlt: ${missingRequired.map(col => `"${col.column}"`).join(', ')} - Profil wählen oder Vorschau (preview-csv) nutzen`,
+            suggestion: importProfiles.suggestMapping(headers)
+        };
+    }
+    return { profile };
+}
 
-                    // Validierung des geparsten Datums
-                    if (!isNaN(dateTime.getTime())) {
-                        const year = dateTime.getFullYear();
-                        if (year >= 2020 && year <= 2030) {
-                            isFixed = true;
-                            fixedDate = dateTime.toISOString().split('T')[0];
-                            fixedTime = `${dateTime.getHours().toString().padStart(2, '0')}:${dateTime.getMinutes().toString().padStart(2, '0')}`;
-                            console.log(`   ✅ Fixer Termin geparst: ${fixedDate} ${fixedTime}`);
-                        }
-                    }
-                } catch (e) {
-                    console.log(`❌ Date parsing error for "${row['Start Date & Time']}":`, e.message);
-                }
-            }
+/**
+ * Optionen beider Import-Endpoints (Multipart-Felder, dryRun auch als Query):
+ * - dryRun=true: nur prüfen, Bericht je Zeile, nichts speichern
+ * - acceptedRows: Zeilennummern aus dem Bericht (JSON-Array oder "1,2,5"), nur diese übernehmen
+ * - fileHash: Hash aus dem Probelauf - schützt davor, Zeilennummern auf eine andere Datei anzuwenden
+ */
+function readImportOptions(req) {
+    const flag = value => value === true || value === 'true' || value === '1';
+    const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+
+    let acceptedRows = null;
+    const raw = req.body.acceptedRows;
+    if (raw !== undefined && raw !== '') {
+        let list;
+        try {
+            list = String(raw).trim().startsWith('[') ? JSON.parse(raw) : String(raw).split(',');
+        } catch (error) {
+            return { status: 400, error: 'acceptedRows ist kein gültiges JSON-Array' };
+        }
+        acceptedRows = [].concat(list).map(value => Number(String(value).trim()));
+        if (acceptedRows.some(row => !Number.isInteger(row) || row < 1)) {
+            return { status: 400, error: 'acceptedRows darf nur Zeilennummern ab 1 enthalten' };
+        }
+    }
 
-            const status = isFixed ? 'bestätigt' : 'vorschlag';
-            
-            if (status === 'bestätigt') confirmedCount++;
-            else proposalCount++;
-
-            const inviteeName = row['Invitee Name'].trim();
-            const company = row['Company'] ? row['Company'].trim() : '';
-            const customerCompany = row['Customer Company'] ? row['Customer Company'].trim() : '';
-
-            // Priorität basierend auf Status und Kunde
-            let priority = 'mittel';
-            if (status === 'bestätigt') {
-                priority = 'hoch';
-            } else if (customerCompany.toLowerCase().includes('bmw') || 
-                      customerCompany.toLowerCase().includes('mercedes') || 
-                      customerCompany.toLowerCase().includes('audi') || 
-                      customerCompany.toLowerCase().includes('porsche') || 
-                      customerCompany.toLowerCase().includes('volkswagen')) {
-                priority = 'hoch';
-            }
+    if (req.body.fileHash && req.body.fileHash !== fileHash) {
+        return { status: 409, error: 'Datei weicht vom Probelauf ab - bitte erneut prüfen (dryRun)' };
+    }
 
-            console.log(`🔧 APPOINTMENT VERARBEITUNG: ${inviteeName}`);
-            console.log(`   📅 isFixed: ${isFixed} (${typeof isFixed})`);
-            console.log(`   📅 fixedDate: ${fixedDate}`);
-            console.log(`   📅 fixedTime: ${fixedTime}`);
-
-            const appointment = {
-                customer: inviteeName,
-                address: fullAddress || 'Adresse nicht verfügbar',
-                priority: priority,
-                status: status,
-                duration: 3,
-                pipeline_days: status === 'vorschlag' ? Math.floor(Math.random() * 30) + 1 : 7,
-                is_fixed: isFixed ? 1 : 0, // Explizit als INTEGER
-                fixed_date: fixedDate,
-                fixed_time: fixedTime,
-                on_hold: null, // Explizit auf null setzen
-                notes: JSON.stringify({
-                    invitee_name: inviteeName,
-                    company: company,
-                    customer_company: customerCompany,
-                    start_time: row['Start Date & Time'] || null,
-                    end_time: row['End Date & Time'] || null,
-                    custom_notes: row['Notiz'] || '',
-                    import_date: new Date().toISOString(),
-                    source: 'CSV Testimonial Import'
-                })
-            };
+    return { dryRun: flag(req.body.dryRun) || flag(req.query.dryRun), acceptedRows, fileHash };
+}
 
-            processedAppointments.push(appointment);
-            console.log(`✅ Verarbeitet: ${inviteeName} (${status}${isFixed ? ', FIX' : ''})`);
+// Adressen für den Probelauf einstufen: schon im Geocoding-Cache, kostenpflichtig (Google) oder kostenlos
+async function classifyImportGeocoding(addresses) {
+    const result = new Map();
+    const unique = [...new Set(addresses)];
+    const cached = new Set();
+
+    for (let i = 0; i < unique.length; i += 400) {
+        const chunk = unique.slice(i, i + 400);
+        const keys = [...chunk, ...chunk.map(address => address.toLowerCase())];
+        const rows = await new Promise((resolve, reject) => {
+            db.all(`SELECT address FROM geocoding_cache WHERE address IN (${keys.map(() => '?').join(', ')})`,
+                keys, (err, found) => err ? reject(err) : resolve(found));
         });
+        rows.forEach(row => cached.add(row.address.toLowerCase()));
+    }
 
-        console.log(`📈 Verarbeitung abgeschlossen:`);
-        console.log(`   - ${processedAppointments.length} Termine verarbeitet`);
-        console.log(`   - ${confirmedCount} bestätigte Termine (fix)`);
-        console.log(`   - ${proposalCount} Vorschlag-Termine (flexibel)`);
-        console.log(`   - ${skippedCount} übersprungen`);
+    const billable = geocodingProvider.name === 'google';
+    unique.forEach(address => {
+        if (cached.has(address.toLowerCase())) result.set(address, 'cache');
+        else result.set(address, billable ? 'paid' : 'free');
+    });
+    return result;
+}
 
-        if (processedAppointments.length === 0) {
+// Antwort des Probelaufs: Bericht je Zeile + was ein echter Import ändern würde
+async function buildDryRunResponse(parsed, mapped, diff, profile, fileHash) {
+    const geocodeRows = new Set((diff.rows || []).filter(entry => entry.needs_geocoding).map(entry => entry.row));
+    const geocoding = await classifyImportGeocoding(
+        mapped.appointments.filter(apt => geocodeRows.has(apt.row)).map(apt => apt.address)
+    );
+    const report = appointmentImport.buildRowReport(parsed.data.length, mapped, diff, geocoding);
+
+    return {
+        success: true,
+        dryRun: true,
+        message: `Probelauf: ${report.totals.ok} Zeilen ok, ${report.totals.warnings} mit Hinweisen, ` +
+            `${report.totals.errors} fehlerhaft - nichts gespeichert`,
+        file_hash: fileHash,
+        stats: {
+            totalRows: parsed.data.length,
+            ...appointmentImport.summarize(diff)
+        },
+        totals: {
+            ...report.totals,
+            geocoding_provider: geocodingProvider.name,
+            estimated_geocoding_cost: Math.round(report.totals.geocoding_paid * apiController.costs.geocoding * 1000) / 1000
+        },
+        rows: report.rows,
+        withdrawn: report.withdrawn,
+        import_info: {
+            format: parsed.meta.format,
+            sheet: parsed.meta.sheet,
+            delimiter: parsed.meta.delimiter,
+            columns: parsed.meta.fields,
+            profile: profile ? { id: profile.id, name: profile.name } : null
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// ======================================================================
+// CSV IMPORT - ABGLEICH MIT DEM BESTAND (siehe appointment-import.js)
+// Neue Zeilen einfügen, geänderte aktualisieren, fehlende zurückziehen
+// ======================================================================
+
+// CSV Import endpoint for testimonial data
+app.post('/api/admin/import-csv', upload.single('csvFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Keine Datei hochgeladen (CSV, XLSX oder JSON)' });
+    }
+
+    console.log('📁 CSV Testimonial Import gestartet - ABGLEICH mit Bestand...');
+
+    try {
+        const parsed = await AppointmentFiles.readImportFile(req.file, { sheet: req.body.sheet });
+        console.log(`📊 ${parsed.data.length} Zeilen in CSV gefunden`);
+
+        const { profile, status, ...profileError } = await resolveImportProfile(req.body.profileId, parsed.meta.fields);
+        if (!profile) {
+            return res.status(status).json({ success: false, ...profileError });
+        }
+
+        const options = readImportOptions(req);
+        if (options.error) {
+            return res.status(options.status).json({ success: false, error: options.error });
+        }
+
+        const mapped = appointmentImport.mapRows(parsed.data, { source: 'CSV Testimonial Import', profile });
+        const { appointments, skipped } = mapped;
+        skipped.forEach(entry => console.log(`⏭️ Zeile ${entry.row}: Übersprungen (${entry.reason})`));
+
+        if (appointments.length === 0 && !options.dryRun) {
             return res.json({
                 success: false,
                 message: 'Keine gültigen Termine in der CSV gefunden',
                 stats: {
                     totalRows: parsed.data.length,
                     processed: 0,
-                    skipped: skippedCount
+                    skipped: skipped.length
                 }
             });
         }
 
-        // ======================================================================
-        // VEREINFACHTE ERSETZUNG: LÖSCHE ALLE, FÜGE NEUE EIN
-        // ======================================================================
-        
-        db.serialize(() => {
-            console.log('🗃️ Starte Datenbank-Transaction...');
-            db.run("BEGIN TRANSACTION");
-
-            // 1. ALLE bestehenden Termine löschen
-            db.run("DELETE FROM appointments", function(deleteErr) {
-                if (deleteErr) {
-                    console.error('❌ Fehler beim Löschen bestehender Termine:', deleteErr);
-                    db.run("ROLLBACK");
-                    return res.status(500).json({ 
-                        success: false,
-                        error: 'Fehler beim Löschen bestehender Termine',
-                        details: deleteErr.message
-                    });
-                }
+        const diff = await appointmentImport.mergeAppointments(appointments, {
+            importSource: appointmentImport.sourceForProfile(profile),
+            dryRun: options.dryRun,
+            acceptedRows: options.acceptedRows
+        });
+        if (options.dryRun) {
+            return res.json(await buildDryRunResponse(parsed, mapped, diff, profile, options.fileHash));
+        }
+        res.json(buildMergeImportResponse(parsed, appointments, skipped, diff, {}, profile));
+    } catch (error) {
+        console.error('❌ CSV Import Fehler:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'CSV Import fehlgeschlagen',
+            details: error.message
+        });
+    }
+});
 
-                console.log(`🧹 ${this.changes} bestehende Termine gelöscht`);
+// Gemeinsame Antwort beider CSV-Importe: Statistik + Diff gegen den Bestand
+function buildMergeImportResponse(parsed, appointments, skipped, diff, extraStats = {}, profile = null) {
+    const fixedCount = appointments.filter(apt => apt.is_fixed).length;
 
-                // 2. Neue Termine einfügen
-                const stmt = db.prepare(`
-                    INSERT INTO appointments 
-                    (customer, address, priority, status, duration, pipeline_days, notes, 
-                     preferred_dates, excluded_dates, is_fixed, fixed_date, fixed_time, on_hold,
-                     lat, lng, geocoded) 
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL, 0)
-                `);
+    return {
+        success: diff.errors.length === 0,
+        message: diff.errors.length === 0
+            ? '✅ CSV Import erfolgreich - Termine abgeglichen'
+            : 'Import teilweise fehlgeschlagen',
+        action: 'ABGLEICH',
+        stats: {
+            totalRows: parsed.data.length,
+            processed: appointments.length,
+            confirmed: fixedCount,
+            proposals: appointments.length - fixedCount,
+            skipped: skipped.length + diff.skipped.length,
+            ...appointmentImport.summarize(diff),
+            ...extraStats
+        },
+        diff: {
+            ...diff,
+            skipped: [...skipped, ...diff.skipped]
+        },
+        import_info: {
+            format: parsed.meta.format,
+            sheet: parsed.meta.sheet,
+            delimiter: parsed.meta.delimiter,
+            columns: parsed.meta.fields,
+            profile: profile ? { id: profile.id, name: profile.name } : null
+        },
+        timestamp: new Date().toISOString()
+    };
+}
 
-                let insertedCount = 0;
-                let insertErrors = [];
+// ======================================================================
+// OPTIMIERTER CSV IMPORT (zusätzliche Variante)
+// ======================================================================
 
-                processedAppointments.forEach((apt, idx) => {
-                    console.log(`💾 DB INSERT: ${apt.customer} - is_fixed: ${apt.is_fixed} (${typeof apt.is_fixed}), fixed_date: ${apt.fixed_date}, fixed_time: ${apt.fixed_time}`);
-                    
-                    stmt.run([
-                        apt.customer, 
-                        apt.address, 
-                        apt.priority, 
-                        apt.status, 
-                        apt.duration, 
-                        apt.pipeline_days, 
-                        apt.notes,
-                        JSON.stringify([]), // preferred_dates
-                        JSON.stringify([]), // excluded_dates
-                        apt.is_fixed,
-                        apt.fixed_date,
-                        apt.fixed_time,
-                        apt.on_hold
-                    ], function(err) {
-                        if (err) {
-                            console.error(`❌ Insert-Fehler für ${apt.customer}:`, err.message);
-                            insertErrors.push(`${apt.customer}: ${err.message}`);
-                        } else {
-                            insertedCount++;
-                            console.log(`✅ Eingefügt: ${apt.customer} (ID: ${this.lastID}) - is_fixed wurde als ${apt.is_fixed} gespeichert`);
-                        }
-                        
-                        // Wenn alle Termine verarbeitet wurden
-                        if (insertedCount + insertErrors.length === processedAppointments.length) {
-                            stmt.finalize();
-                            
-                            if (insertErrors.length > 0) {
-                                console.error(`❌ ${insertErrors.length} Insert-Fehler aufgetreten`);
-                                db.run("ROLLBACK");
-                                res.status(500).json({
-                                    success: false,
-                                    message: 'Import teilweise fehlgeschlagen',
-                                    inserted: insertedCount,
-                                    errors: insertErrors.slice(0, 10)
-                                });
-                            } else {
-                                console.log('💾 Alle Termine erfolgreich eingefügt, committe Transaction...');
-                                db.run("COMMIT", (commitErr) => {
-                                    if (commitErr) {
-                                        console.error('❌ Commit-Fehler:', commitErr);
-                                        res.status(500).json({
-                                            success: false,
-                                            error: 'Commit fehlgeschlagen',
-                                            details: commitErr.message
-                                        });
-                                    } else {
-                                        console.log('✅ CSV Import erfolgreich abgeschlossen!');
-                                        
-                                        // VERIFIKATION: Prüfe tatsächlich gespeicherte fixe Termine
-                                        db.get("SELECT COUNT(*) as fixed_count FROM appointments WHERE is_fixed = 1", (verifyErr, verifyRow) => {
-                                            const actualFixedCount = verifyRow ? verifyRow.fixed_count : 0;
-                                            console.log(`🔍 VERIFIKATION: ${actualFixedCount} fixe Termine tatsächlich in DB gespeichert (erwartet: ${confirmedCount})`);
-                                            
-                                            if (actualFixedCount !== confirmedCount) {
-                                                console.warn(`⚠️ WARNUNG: Diskrepanz bei fixen Terminen! Erwartet: ${confirmedCount}, Gefunden: ${actualFixedCount}`);
-                                            }
-                                        });
-                                        
-                                        res.json({
-                                            success: true,
-                                            message: '✅ CSV Import erfolgreich - Alle Termine ersetzt',
-                                            action: 'VOLLSTÄNDIGER ERSATZ',
-                                            stats: {
-                                                totalRows: parsed.data.length,
-                                                processed: processedAppointments.length,
-                                                inserted: insertedCount,
-                                                confirmed: confirmedCount,
-                                                proposals: proposalCount,
-                                                skipped: skippedCount,
-                                                deleted: this.changes, // Anzahl gelöschter Termine
-                                                errors: insertErrors.length
-                                            },
-                                            import_info: {
-                                                fixed_appointments: confirmedCount,
-                                                flexible_appointments: proposalCount,
-                                                delimiter: parsed.meta.delimiter,
-                                                columns: parsed.meta.fields
-                                            },
-                                            sample_data: processedAppointments.slice(0, 3).map(apt => ({
-                                                name: apt.customer,
-                                                is_fixed: apt.is_fixed,
-                                                fixed_date: apt.fixed_date,
-                                                fixed_time: apt.fixed_time,
-                                                status: apt.status
-                                            })),
-                                            timestamp: new Date().toISOString()
-                                        });
-                                    }
-                                });
-                            }
-                        }
-                    });
-                });
+app.post('/api/admin/import-csv-optimized', upload.single('csvFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Keine Datei hochgeladen (CSV, XLSX oder JSON)' });
+    }
+
+    console.log('📁 OPTIMIERTER CSV Import gestartet...');
+
+    try {
+        const parsed = await AppointmentFiles.readImportFile(req.file, { sheet: req.body.sheet });
+
+        const { profile, status, ...profileError } = await resolveImportProfile(req.body.profileId, parsed.meta.fields);
+        if (!profile) {
+            return res.status(status).json({ success: false, ...profileError });
+        }
+
+        const options = readImportOptions(req);
+        if (options.error) {
+            return res.status(options.status).json({ success: false, error: options.error });
+        }
+
+        const mapped = appointmentImport.mapRows(parsed.data, { source: 'Optimized CSV Import', profile });
+        const { appointments, skipped } = mapped;
+
+        if (appointments.length === 0 && !options.dryRun) {
+            return res.json({
+                success: false,
+                message: 'Keine gültigen Termine in der CSV gefunden'
             });
+        }
+
+        console.log(`📊 ${appointments.length} Termine verarbeitet`);
+
+        // Nur neue Termine und geänderte Adressen geocoden - der Rest behält seine Koordinaten
+        let geocodedCount = 0;
+        const diff = await appointmentImport.mergeAppointments(appointments, {
+            importSource: appointmentImport.sourceForProfile(profile),
+            dryRun: options.dryRun,
+            acceptedRows: options.acceptedRows,
+            geocode: async (toGeocode) => {
+                await ensureAllAppointmentsGeocoded(toGeocode);
+                geocodedCount = toGeocode.filter(apt => apt.lat && apt.lng).length;
+                console.log(`✅ ${geocodedCount}/${toGeocode.length} neue/geänderte Termine geocoded`);
+            }
         });
+        if (options.dryRun) {
+            return res.json(await buildDryRunResponse(parsed, mapped, diff, profile, options.fileHash));
+        }
+
+        res.json(buildMergeImportResponse(parsed, appointments, skipped, diff, { geocoded: geocodedCount }, profile));
     } catch (error) {
-        console.error('❌ CSV Import Fehler:', error);
-        res.status(500).json({
+        console.error('❌ Optimierter CSV Import Fehler:', error);
+        res.status(error.status || 500).json({
             success: false,
             error: 'CSV Import fehlgeschlagen',
             details: error.message
@@ -2470,216 +3222,160 @@ app.post('/api/admin/import-csv', upload.single('csvFile'), (req, res) => {
     }
 });
 
-console.log('📝 CSV Import Funktion vereinfacht - VOLLSTÄNDIGER ERSATZ aktiv');
-
 // ======================================================================
-// OPTIMIERTER CSV IMPORT (zusätzliche Variante)
+// KALENDER-IMPORT (.ics-Datei + CalDAV) - fixe Termine aus Buchungen
+// ======================================================================
+
+app.post('/api/admin/import-ics', upload.single('icsFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Keine ICS-Datei hochgeladen' });
+    }
+
+    const content = req.file.buffer.toString('utf-8');
+    if (!content.includes('BEGIN:VCALENDAR')) {
+        return res.status(400).json({ success: false, error: 'Datei ist kein iCalendar (BEGIN:VCALENDAR fehlt)' });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    console.log(`📁 ICS Import gestartet: ${req.file.originalname}${dryRun ? ' (Testlauf)' : ''}`);
+
+    try {
+        const report = await calendarImport.importCalendars(content, { source: 'ics-upload', dryRun });
+        res.json({
+            success: true,
+            message: dryRun ? 'Testlauf - nichts gespeichert' : '✅ ICS Import abgeschlossen',
+            stats: calendarImport.summarize(report),
+            report
+        });
+    } catch (error) {
+        console.error('❌ ICS Import Fehler:', error);
+        res.status(500).json({ success: false, error: 'ICS Import fehlgeschlagen', details: error.message });
+    }
+});
+
+app.post('/api/admin/caldav/sync', async (req, res) => {
+    if (!calendarImport.isCalDAVConfigured()) {
+        return res.status(400).json({ success: false, error: 'CALDAV_URL nicht konfiguriert' });
+    }
+
+    try {
+        const report = await calendarImport.syncCalDAV({ dryRun: req.body.dryRun === true });
+        res.json({ success: true, stats: calendarImport.summarize(report), report });
+    } catch (error) {
+        console.error('❌ CalDAV-Synchronisation fehlgeschlagen:', error.message);
+        const status = error.message.includes('läuft bereits') ? 409 : 502;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/admin/caldav/status', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await calendarImport.getStatus()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Schema-Version und offene Migrationen (CLI: node schema-migrations.js status)
+app.get('/api/admin/schema', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await schemaMigrator.status()) });
+    } catch (error) {
+        console.error('❌ Schema-Status konnte nicht ermittelt werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ======================================================================
+// BACKUPS (database-backup.js)
 // ======================================================================
+app.use('/api/admin/backups', (req, res, next) => {
+    if (databaseBackup) return next();
+    res.status(501).json({ success: false, error: `Backups gibt es nur für SQLite - ${db.description} bitte mit pg_dump sichern` });
+});
 
-app.post('/api/admin/import-csv-optimized', upload.single('csvFile'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'Keine CSV-Datei hochgeladen' });
-    }
-
-    console.log('📁 OPTIMIERTER CSV Import gestartet...');
-
+app.get('/api/admin/backups', async (req, res) => {
     try {
-        const csvContent = req.file.buffer.toString('utf-8');
-        const parsed = Papa.parse(csvContent, {
-            header: true,
-            skipEmptyLines: true,
-            delimiter: '',
-            encoding: 'utf-8',
-            dynamicTyping: false,
-            delimitersToGuess: [',', ';', '\t', '|']
+        res.json({
+            success: true,
+            directory: databaseBackup.directory,
+            intervalHours: databaseBackup.intervalHours,
+            keep: databaseBackup.keep,
+            backups: await databaseBackup.listBackups()
         });
+    } catch (error) {
+        console.error('❌ Backups konnten nicht gelesen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const processedAppointments = [];
-        let skippedCount = 0;
-
-        // Parse CSV wie bisher
-        parsed.data.forEach((row, index) => {
-            if (row['On Hold'] && row['On Hold'].trim() !== '') {
-                skippedCount++;
-                return;
-            }
-
-            if (!row['Invitee Name'] || row['Invitee Name'].trim() === '') {
-                skippedCount++;
-                return;
-            }
-
-            // Baue Adresse
-            let fullAddress = row['Adresse'] || '';
-            if (!fullAddress && row['Straße & Hausnr.']) {
-                const parts = [];
-                if (row['Straße & Hausnr.']) parts.push(row['Straße & Hausnr.']);
-                if (row['PLZ'] && row['Ort']) parts.push(`${row['PLZ']} ${row['Ort']}`);
-                else if (row['Ort']) parts.push(row['Ort']);
-                if (row['Land']) parts.push(row['Land']);
-                fullAddress = parts.join(', ');
-            }
-
-            // Parse Datum/Zeit für fixe Termine
-            let isFixed = false;
-            let fixedDate = null;
-            let fixedTime = null;
-
-            if (row['Start Date & Time'] && row['Start Date & Time'].trim() !== '') {
-                try {
-                    const dateTimeStr = row['Start Date & Time'].trim();
-                    let dateTime;
-
-                    if (dateTimeStr.match(/^\d{1,2}[\.\/]\d{1,2}[\.\/]\d{4}\s+\d{1,2}:\d{2}/)) {
-                        const [datePart, timePart] = dateTimeStr.split(/\s+/);
-                        const [day, month, year] = datePart.split(/[\.\/]/);
-                        dateTime = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${timePart}:00`);
-                    } else if (dateTimeStr.match(/^\d{4}-\d{1,2}-\d{1,2}\s+\d{1,2}:\d{2}/)) {
-                        dateTime = new Date(dateTimeStr);
-                    } else {
-                        dateTime = new Date(dateTimeStr);
-                    }
+app.post('/api/admin/backups', async (req, res) => {
+    try {
+        const backup = await databaseBackup.createBackup({ reason: 'manual' });
+        res.json({ success: true, backup });
+    } catch (error) {
+        console.error('❌ Backup fehlgeschlagen:', error.message);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-                    if (!isNaN(dateTime.getTime())) {
-                        const year = dateTime.getFullYear();
-                        if (year >= 2020 && year <= 2030) {
-                            isFixed = true;
-                            fixedDate = dateTime.toISOString().split('T')[0];
-                            fixedTime = `${dateTime.getHours().toString().padStart(2, '0')}:${dateTime.getMinutes().toString().padStart(2, '0')}`;
-                        }
-                    }
-                } catch (e) {
-                    console.log(`❌ Datum-Parsing Fehler: "${row['Start Date & Time']}"`);
-                }
-            }
+// Datenbank ohne Kundendaten zum lokalen Nachstellen von Planungsfehlern
+app.get('/api/admin/backups/anonymized', async (req, res) => {
+    try {
+        const snapshot = await databaseBackup.createAnonymizedSnapshot();
+        res.setHeader('Content-Type', 'application/vnd.sqlite3');
+        res.setHeader('Content-Disposition', `attachment; filename="${snapshot.filename}"`);
+        res.send(snapshot.body);
+    } catch (error) {
+        console.error('❌ Anonymisierter Snapshot fehlgeschlagen:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-            processedAppointments.push({
-                customer: row['Invitee Name'].trim(),
-                address: fullAddress || 'Adresse nicht verfügbar',
-                priority: isFixed ? 'hoch' : 'mittel',
-                status: isFixed ? 'bestätigt' : 'vorschlag',
-                duration: 3,
-                pipeline_days: isFixed ? 7 : Math.floor(Math.random() * 30) + 1,
-                is_fixed: isFixed ? 1 : 0,
-                fixed_date: fixedDate,
-                fixed_time: fixedTime,
-                on_hold: null,
-                notes: JSON.stringify({
-                    invitee_name: row['Invitee Name'].trim(),
-                    company: row['Company'] ? row['Company'].trim() : '',
-                    customer_company: row['Customer Company'] ? row['Customer Company'].trim() : '',
-                    start_time: row['Start Date & Time'] || null,
-                    import_date: new Date().toISOString(),
-                    source: 'Optimized CSV Import'
-                })
-            });
-        });
+// Backup herunterladen (z.B. für eine Kopie außerhalb des Volumes)
+app.get('/api/admin/backups/:name', (req, res) => {
+    let file;
+    try {
+        file = databaseBackup.resolve(req.params.name);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+    res.download(file, req.params.name);
+});
 
-        if (processedAppointments.length === 0) {
+// Ohne confirm=true nur prüfen (Integrität, Schema-Stand, Anzahl Termine/Routen)
+app.post('/api/admin/backups/:name/restore', async (req, res) => {
+    try {
+        if (req.body.confirm !== true) {
+            const check = await databaseBackup.inspect(databaseBackup.resolve(req.params.name));
             return res.json({
-                success: false,
-                message: 'Keine gültigen Termine in der CSV gefunden'
+                success: true,
+                restored: false,
+                check,
+                message: check.ok
+                    ? 'Backup ist lesbar - confirm=true stellt es wieder her (aktueller Stand wird vorher gesichert)'
+                    : 'Backup ist beschädigt und kann nicht wiederhergestellt werden'
             });
         }
 
-        console.log(`📊 ${processedAppointments.length} Termine verarbeitet`);
-
-        // Standard Geocoding ohne Optimized Service
-        await ensureAllAppointmentsGeocoded(processedAppointments);
-
-        const geocodedCount = processedAppointments.filter(apt => apt.geocoded).length;
-        console.log(`✅ ${geocodedCount}/${processedAppointments.length} Termine geocoded`);
-
-        db.serialize(() => {
-            console.log('🗃️ Starte Datenbank-Transaction...');
-            db.run("BEGIN TRANSACTION");
+        const result = await databaseBackup.restore(req.params.name);
 
-            db.run("DELETE FROM appointments", function(deleteErr) {
-                if (deleteErr) {
-                    console.error('❌ Fehler beim Löschen:', deleteErr);
-                    db.run("ROLLBACK");
-                    return res.status(500).json({ error: 'Löschfehler' });
-                }
-
-                console.log(`🧹 ${this.changes} bestehende Termine gelöscht`);
-
-                const stmt = db.prepare(`
-                    INSERT INTO appointments
-                    (customer, address, priority, status, duration, pipeline_days, notes,
-                     preferred_dates, excluded_dates, is_fixed, fixed_date, fixed_time, on_hold,
-                     lat, lng, geocoded)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `);
-
-                let insertedCount = 0;
-                let insertErrors = [];
-
-                processedAppointments.forEach((apt, idx) => {
-                    stmt.run([
-                        apt.customer, apt.address, apt.priority, apt.status,
-                        apt.duration, apt.pipeline_days, apt.notes,
-                        JSON.stringify([]), JSON.stringify([]),
-                        apt.is_fixed, apt.fixed_date, apt.fixed_time, apt.on_hold,
-                        apt.lat, apt.lng, apt.geocoded
-                    ], function(err) {
-                        if (err) {
-                            insertErrors.push(`${apt.customer}: ${err.message}`);
-                        } else {
-                            insertedCount++;
-                        }
+        // Zwischengespeicherte Stände aus der wiederhergestellten Datenbank neu laden
+        await apiController.initialize(db);
+        await authService.initialize();
 
-                        if (insertedCount + insertErrors.length === processedAppointments.length) {
-                            stmt.finalize();
-
-                            if (insertErrors.length > 0) {
-                                db.run("ROLLBACK");
-                                res.status(500).json({
-                                    success: false,
-                                    message: 'Import teilweise fehlgeschlagen',
-                                    errors: insertErrors.slice(0, 10)
-                                });
-                            } else {
-                                db.run("COMMIT", (commitErr) => {
-                                    if (commitErr) {
-                                        res.status(500).json({
-                                            success: false,
-                                            error: 'Commit fehlgeschlagen'
-                                        });
-                                    } else {
-                                        console.log('✅ CSV Import erfolgreich!');
-
-                                        res.json({
-                                            success: true,
-                                            message: '✅ CSV Import erfolgreich',
-                                            stats: {
-                                                totalRows: parsed.data.length,
-                                                processed: processedAppointments.length,
-                                                inserted: insertedCount,
-                                                geocoded: geocodedCount,
-                                                skipped: skippedCount
-                                            },
-                                            timestamp: new Date().toISOString()
-                                        });
-                                    }
-                                });
-                            }
-                        }
-                    });
-                });
-            });
+        res.json({
+            success: true,
+            restored: true,
+            ...result,
+            message: `Backup ${result.restored} wiederhergestellt - Sessions stammen aus dem Backup, ggf. neu anmelden`
         });
-
     } catch (error) {
-        console.error('❌ Optimierter CSV Import Fehler:', error);
-        res.status(500).json({
-            success: false,
-            error: 'CSV Import fehlgeschlagen',
-            details: error.message
-        });
+        console.error('❌ Wiederherstellung fehlgeschlagen:', error.message);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-
 // Admin endpoint to check database
 app.get('/api/admin/status', (req, res) => {
     db.get("SELECT COUNT(*) as count FROM appointments WHERE (on_hold IS NULL OR on_hold = '' OR TRIM(on_hold) = '')", (err, row) => {
@@ -2712,7 +3408,7 @@ app.get('/api/admin/status', (req, res) => {
                         on_hold_count: row2.on_hold_count,
                         fixed_appointments_count: row3.fixed_count,
                         drivers_count: row4.driver_count,
-                        database_path: dbPath,
+                        database_path: db.description,
                         type: 'max_efficiency_testimonial_planner',
                         features: ['fixed_appointments', 'on_hold_filter', 'max_appointments_per_week'],
                         google_maps_api: process.env.GOOGLE_MAPS_API_KEY ? 'configured' : 'fallback'
@@ -2725,8 +3421,9 @@ app.get('/api/admin/status', (req, res) => {
 
 // Admin endpoint to ensure driver exists
 app.post('/api/admin/ensure-driver', (req, res) => {
-    db.run(`INSERT OR IGNORE INTO drivers (id, name, home_base)
-            VALUES (1, 'Testimonial-Fahrer', 'Kurt-Schumacher-Straße 34, 30159 Hannover')`, function(err) {
+    db.run(`INSERT INTO drivers (id, name, home_base)
+            VALUES (1, 'Testimonial-Fahrer', 'Kurt-Schumacher-Straße 34, 30159 Hannover')
+            ON CONFLICT (id) DO NOTHING`, function(err) {
         if (err) {
             res.status(500).json({ error: err.message });
             return;
@@ -2749,16 +3446,33 @@ app.post('/api/admin/ensure-driver', (req, res) => {
     });
 });
 
-// Admin endpoint to show API usage statistics
-app.get('/api/admin/api-usage', validateSession, (req, res) => {
-    // Zeigt API-Nutzungsstatistiken
+// Admin endpoint to show API usage statistics (pro Tag, Typ und Endpoint aus api_usage)
+app.get('/api/admin/api-usage', async (req, res) => {
+    const { from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.status(400).json({ success: false, error: 'from/to im Format YYYY-MM-DD angeben' });
+    }
+
+    try {
+        const report = await apiController.getUsageReport({ from, to });
+        res.json({
+            success: true,
+            status: apiController.getStatus(),
+            ...report
+        });
+    } catch (error) {
+        console.error('❌ API-Nutzung konnte nicht geladen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 // ======================================================================
 // DEBUG ENDPOINTS FÜR GOOGLE MAPS API TESTS
 // ======================================================================
 
 // Debug: Test Google Maps API Zugang
-app.post('/api/debug/test-google-maps', validateSession, async (req, res) => {
+app.post('/api/debug/test-google-maps', async (req, res) => {
     const { test_type = 'api_access', test_address = 'Hannover, Deutschland' } = req.body;
     
     try {
@@ -2772,14 +3486,15 @@ app.post('/api/debug/test-google-maps', validateSession, async (req, res) => {
         // Test 1: Geocoding API
         let geocodingTest = 'failed';
         try {
-            const geocodeResponse = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-                params: {
-                    address: test_address,
-                    key: apiKey,
-                    region: 'de'
-                },
-                timeout: 5000
-            });
+            const geocodeResponse = await apiController.withBudget('geocoding', 1, () =>
+                axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+                    params: {
+                        address: test_address,
+                        key: apiKey,
+                        region: 'de'
+                    },
+                    timeout: 5000
+                }));
             
             if (geocodeResponse.data.status === 'OK') {
                 geocodingTest = 'success';
@@ -2793,15 +3508,16 @@ app.post('/api/debug/test-google-maps', validateSession, async (req, res) => {
         // Test 2: Distance Matrix API
         let distanceTest = 'failed';
         try {
-            const distanceResponse = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
-                params: {
-                    origins: 'Hannover, Deutschland',
-                    destinations: 'München, Deutschland',
-                    key: apiKey,
-                    units: 'metric'
-                },
-                timeout: 5000
-            });
+            const distanceResponse = await apiController.withBudget('distanceMatrix', 1, () =>
+                axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
+                    params: {
+                        origins: 'Hannover, Deutschland',
+                        destinations: 'München, Deutschland',
+                        key: apiKey,
+                        units: 'metric'
+                    },
+                    timeout: 5000
+                }));
             
             if (distanceResponse.data.status === 'OK') {
                 distanceTest = 'success';
@@ -2832,7 +3548,7 @@ app.post('/api/debug/test-google-maps', validateSession, async (req, res) => {
 });
 
 // Debug: Geocode eine Adresse
-app.post('/api/debug/geocode', validateSession, async (req, res) => {
+app.post('/api/debug/geocode', async (req, res) => {
     const { address } = req.body;
     
     if (!address) {
@@ -2843,15 +3559,16 @@ app.post('/api/debug/geocode', validateSession, async (req, res) => {
         const startTime = Date.now();
         const apiKey = process.env.GOOGLE_MAPS_API_KEY;
         
-        const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-            params: {
-                address: address,
-                key: apiKey,
-                region: 'de',
-                components: 'country:DE'
-            },
-            timeout: 8000
-        });
+        const response = await apiController.withBudget('geocoding', 1, () =>
+            axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+                params: {
+                    address: address,
+                    key: apiKey,
+                    region: 'de',
+                    components: 'country:DE'
+                },
+                timeout: 8000
+            }));
         
         const responseTime = Date.now() - startTime;
         
@@ -2884,7 +3601,7 @@ app.post('/api/debug/geocode', validateSession, async (req, res) => {
 });
 
 // Debug: Distance Matrix Test
-app.post('/api/debug/distance-matrix', validateSession, async (req, res) => {
+app.post('/api/debug/distance-matrix', async (req, res) => {
     const { origins, destinations } = req.body;
     
     if (!origins || !destinations) {
@@ -2895,18 +3612,20 @@ app.post('/api/debug/distance-matrix', validateSession, async (req, res) => {
         const apiKey = process.env.GOOGLE_MAPS_API_KEY;
         const originsStr = Array.isArray(origins) ? origins.join('|') : origins;
         const destinationsStr = Array.isArray(destinations) ? destinations.join('|') : destinations;
+        const elements = originsStr.split('|').length * destinationsStr.split('|').length;
         
-        const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
-            params: {
-                origins: originsStr,
-                destinations: destinationsStr,
-                key: apiKey,
-                units: 'metric',
-                mode: 'driving',
-                language: 'de'
-            },
-            timeout: 10000
-        });
+        const response = await apiController.withBudget('distanceMatrix', elements, () =>
+            axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
+                params: {
+                    origins: originsStr,
+                    destinations: destinationsStr,
+                    key: apiKey,
+                    units: 'metric',
+                    mode: 'driving',
+                    language: 'de'
+                },
+                timeout: 10000
+            }));
         
         if (response.data.status === 'OK') {
             const results = [];
@@ -2949,7 +3668,7 @@ app.post('/api/debug/distance-matrix', validateSession, async (req, res) => {
 });
 
 // Admin: Fix Geocoding für alle Termine
-app.post('/api/admin/fix-geocoding', validateSession, async (req, res) => {
+app.post('/api/admin/fix-geocoding', async (req, res) => {
     try {
         console.log('🔧 Starte Geocoding-Reparatur für alle Termine...');
         
@@ -2971,27 +3690,14 @@ app.post('/api/admin/fix-geocoding', validateSession, async (req, res) => {
         let processed = 0;
         let successful = 0;
         let failed = 0;
-        
-        const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-        if (!apiKey) {
-            throw new Error('Google Maps API Key nicht konfiguriert');
-        }
+        let budgetExhausted = false;
         
         // Geocode jeden Termin
         for (const apt of appointments) {
             try {
-                const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-                    params: {
-                        address: apt.address,
-                        key: apiKey,
-                        region: 'de',
-                        components: 'country:DE'
-                    },
-                    timeout: 5000
-                });
+                const location = await geocodingProvider.geocode(apt.address);
                 
-                if (response.data.status === 'OK' && response.data.results.length > 0) {
-                    const location = response.data.results[0].geometry.location;
+                if (location) {
                     
                     await new Promise((resolve, reject) => {
                         db.run(
@@ -3008,7 +3714,7 @@ app.post('/api/admin/fix-geocoding', validateSession, async (req, res) => {
                     console.log(`✅ Geocoded: ${apt.customer} → ${location.lat}, ${location.lng}`);
                 } else {
                     failed++;
-                    console.log(`❌ Geocoding fehlgeschlagen für ${apt.customer}: ${response.data.status}`);
+                    console.log(`❌ Geocoding fehlgeschlagen für ${apt.customer}: keine Treffer (${geocodingProvider.name})`);
                 }
                 
                 processed++;
@@ -3017,6 +3723,11 @@ app.post('/api/admin/fix-geocoding', validateSession, async (req, res) => {
                 await new Promise(resolve => setTimeout(resolve, 200));
                 
             } catch (error) {
+                if (error.code === 'API_BUDGET_EXHAUSTED') {
+                    budgetExhausted = true;
+                    console.log(`💸 API-Budget erschöpft - Geocoding-Reparatur nach ${processed} Terminen abgebrochen`);
+                    break;
+                }
                 failed++;
                 console.error(`❌ Fehler bei ${apt.customer}:`, error.message);
             }
@@ -3024,10 +3735,14 @@ app.post('/api/admin/fix-geocoding', validateSession, async (req, res) => {
         
         res.json({
             success: true,
-            message: 'Geocoding-Reparatur abgeschlossen',
+            message: budgetExhausted
+                ? 'Geocoding-Reparatur wegen erschöpftem API-Budget abgebrochen'
+                : 'Geocoding-Reparatur abgeschlossen',
             processed: processed,
             successful: successful,
-            failed: failed
+            failed: failed,
+            remaining: appointments.length - successful - failed,
+            budget_exhausted: budgetExhausted
         });
         
     } catch (error) {
@@ -3043,7 +3758,7 @@ app.post('/api/admin/fix-geocoding', validateSession, async (req, res) => {
 // ADMIN: Überlappende fixe Termine finden und bereinigen
 // ======================================================================
 
-app.get('/api/admin/check-overlapping-appointments', validateSession, async (req, res) => {
+app.get('/api/admin/check-overlapping-appointments', async (req, res) => {
     try {
         console.log('🔍 Prüfe auf überlappende fixe Termine...');
 
@@ -3127,7 +3842,7 @@ app.get('/api/admin/check-overlapping-appointments', validateSession, async (req
     }
 });
 
-app.post('/api/admin/fix-overlapping-appointments', validateSession, async (req, res) => {
+app.post('/api/admin/fix-overlapping-appointments', async (req, res) => {
     const { strategy = 'shift_later' } = req.body;
     try {
         console.log(`🔧 Bereinige Überlappungen mit Strategie: ${strategy}`);
@@ -3232,7 +3947,7 @@ app.post('/api/admin/fix-overlapping-appointments', validateSession, async (req,
     }
 });
 
-app.put('/api/admin/reschedule-fixed-appointment/:id', validateSession, async (req, res) => {
+app.put('/api/admin/reschedule-fixed-appointment/:id', async (req, res) => {
     const { id } = req.params;
     const { fixed_date, fixed_time } = req.body;
 
@@ -3241,6 +3956,15 @@ app.put('/api/admin/reschedule-fixed-appointment/:id', validateSession, async (r
     }
 
     try {
+        const appointment = await new Promise((resolve, reject) => {
+            db.get("SELECT id, duration FROM appointments WHERE id = ?", [id], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+        if (!appointment) {
+            return res.status(404).json({ error: 'Termin nicht gefunden' });
+        }
+
         const conflicts = await new Promise((resolve, reject) => {
             db.all(`
                 SELECT id, customer, fixed_time, duration
@@ -3254,11 +3978,11 @@ app.put('/api/admin/reschedule-fixed-appointment/:id', validateSession, async (r
         });
 
         const newStart = timeToHours(fixed_time);
-        const newEnd = newStart + 3;
+        const newEnd = newStart + appointmentHours(appointment);
 
         for (const apt of conflicts) {
             const aptStart = timeToHours(apt.fixed_time);
-            const aptEnd = aptStart + (apt.duration || 3);
+            const aptEnd = aptStart + appointmentHours(apt);
 
             if (newStart < aptEnd && aptStart < newEnd) {
                 return res.status(400).json({
@@ -3299,6 +4023,33 @@ app.put('/api/admin/reschedule-fixed-appointment/:id', validateSession, async (r
 // NEUE BACKEND ROUTES FÜR TERMINE UND ANALYSEN
 // ======================================================================
 
+// Export aller Termine inkl. Geocoding- und Planungsstatus (?format=csv|xlsx|json)
+app.get('/api/appointments/export', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!AppointmentFiles.EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unbekanntes Export-Format: ${format} (erlaubt: ${AppointmentFiles.EXPORT_FORMATS.join(', ')})`
+        });
+    }
+
+    try {
+        const appointments = await AppointmentFiles.collectExportAppointments(db, {
+            includeWithdrawn: req.query.includeWithdrawn !== 'false'
+        });
+        const file = await AppointmentFiles.writeExport(appointments, format);
+        const filename = `termine-${new Date().toISOString().split('T')[0]}.${file.extension}`;
+
+        console.log(`📤 Termin-Export: ${appointments.length} Termine als ${format.toUpperCase()}`);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(file.body);
+    } catch (error) {
+        console.error('❌ Termin-Export fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Get ALL appointments including fixed ones (for calendar display)
 app.get('/api/appointments/all', async (req, res) => {
     try {
@@ -3424,7 +4175,7 @@ app.get('/api/appointments', async (req, res) => {
 });
 
 // Analyze appointments by type and status
-app.get('/api/admin/analyze-appointments', validateSession, async (req, res) => {
+app.get('/api/admin/analyze-appointments', async (req, res) => {
     try {
         console.log('🔍 Analysiere alle Termine nach Typ...');
 
@@ -3514,10 +4265,10 @@ app.get('/api/admin/analyze-appointments', validateSession, async (req, res) =>
 });
 
 // Create a new fixed appointment
-app.post('/api/appointments/fixed', validateSession, async (req, res) => {
+app.post('/api/appointments/fixed', async (req, res) => {
     const { 
         customer, address, fixed_date, fixed_time, 
-        duration = 3, company = '', customer_company = '',
+        duration: durationInput = DEFAULT_APPOINTMENT_DURATION, company = '', customer_company = '',
         priority = 'hoch', status = 'bestätigt' 
     } = req.body;
 
@@ -3527,6 +4278,13 @@ app.post('/api/appointments/fixed', validateSession, async (req, res) => {
         });
     }
 
+    const duration = parseDurationHours(durationInput);
+    if (duration === null) {
+        return res.status(400).json({
+            error: `duration muss zwischen ${MIN_APPOINTMENT_DURATION} und ${MAX_APPOINTMENT_DURATION} Stunden liegen`
+        });
+    }
+
     try {
         const conflicts = await new Promise((resolve, reject) => {
             db.all(`
@@ -3544,7 +4302,7 @@ app.post('/api/appointments/fixed', validateSession, async (req, res) => {
 
         for (const apt of conflicts) {
             const aptStart = timeToHours(apt.fixed_time);
-            const aptEnd = aptStart + (apt.duration || 3);
+            const aptEnd = aptStart + appointmentHours(apt);
 
             if (newStart < aptEnd && aptStart < newEnd) {
                 return res.status(400).json({
@@ -3568,11 +4326,11 @@ app.post('/api/appointments/fixed', validateSession, async (req, res) => {
         const result = await new Promise((resolve, reject) => {
             db.run(`
                 INSERT INTO appointments 
-                (customer, address, priority, status, duration, pipeline_days, notes, 
+                (customer, address, priority, status, duration, pipeline_days, lead_created_at, notes, 
                  is_fixed, fixed_date, fixed_time, lat, lng, geocoded)
-                VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, NULL, NULL, 0)
+                VALUES (?, ?, ?, ?, ?, ?, ${db.sql.today()}, ?, 1, ?, ?, NULL, NULL, 0)
             `, [
-                customer, address, priority, status, duration, 7, notes,
+                customer, address, priority, status, duration, 0, notes,
                 fixed_date, fixed_time
             ], function(err) {
                 if (err) reject(err);
@@ -3604,7 +4362,7 @@ app.post('/api/appointments/fixed', validateSession, async (req, res) => {
 });
 
 // Update a fixed appointment
-app.put('/api/appointments/fixed/:id', validateSession, async (req, res) => {
+app.put('/api/appointments/fixed/:id', async (req, res) => {
     const { id } = req.params;
     const { fixed_date, fixed_time, duration, customer, address } = req.body;
 
@@ -3621,7 +4379,17 @@ app.put('/api/appointments/fixed/:id', validateSession, async (req, res) => {
             return res.status(404).json({ error: 'Fixer Termin nicht gefunden' });
         }
 
-        if (fixed_date && fixed_time) {
+        const newDuration = duration !== undefined ? parseDurationHours(duration) : appointmentHours(appointment);
+        if (newDuration === null) {
+            return res.status(400).json({
+                error: `duration muss zwischen ${MIN_APPOINTMENT_DURATION} und ${MAX_APPOINTMENT_DURATION} Stunden liegen`
+            });
+        }
+
+        // Auch eine längere Dauer allein kann mit dem Folgetermin kollidieren
+        if ((fixed_date && fixed_time) || duration !== undefined) {
+            const checkDate = fixed_date || appointment.fixed_date;
+            const checkTime = fixed_time || appointment.fixed_time;
             const conflicts = await new Promise((resolve, reject) => {
                 db.all(`
                     SELECT id, customer, fixed_time, duration
@@ -3629,17 +4397,17 @@ app.put('/api/appointments/fixed/:id', validateSession, async (req, res) => {
                     WHERE is_fixed = 1 
                     AND fixed_date = ? 
                     AND id != ?
-                `, [fixed_date, id], (err, rows) => {
+                `, [checkDate, id], (err, rows) => {
                     if (err) reject(err); else resolve(rows);
                 });
             });
 
-            const newStart = timeToHours(fixed_time);
-            const newEnd = newStart + (duration || appointment.duration);
+            const newStart = timeToHours(checkTime);
+            const newEnd = newStart + newDuration;
 
             for (const apt of conflicts) {
                 const aptStart = timeToHours(apt.fixed_time);
-                const aptEnd = aptStart + (apt.duration || 3);
+                const aptEnd = aptStart + appointmentHours(apt);
 
                 if (newStart < aptEnd && aptStart < newEnd) {
                     return res.status(400).json({
@@ -3662,9 +4430,9 @@ app.put('/api/appointments/fixed/:id', validateSession, async (req, res) => {
             updates.push('fixed_time = ?');
             values.push(fixed_time);
         }
-        if (duration) {
+        if (duration !== undefined) {
             updates.push('duration = ?');
-            values.push(duration);
+            values.push(newDuration);
         }
         if (customer) {
             updates.push('customer = ?');
@@ -3702,30 +4470,34 @@ app.put('/api/appointments/fixed/:id', validateSession, async (req, res) => {
 });
 
 // Delete a fixed appointment
-app.delete('/api/appointments/fixed/:id', validateSession, async (req, res) => {
+app.delete('/api/appointments/fixed/:id', async (req, res) => {
     const { id } = req.params;
 
     try {
-        const result = await new Promise((resolve, reject) => {
-            db.run(
-                "DELETE FROM appointments WHERE id = ? AND is_fixed = 1",
+        const appointment = await new Promise((resolve, reject) => {
+            db.get(
+                "SELECT id FROM appointments WHERE id = ? AND is_fixed = 1",
                 [id],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ changes: this.changes });
-                }
+                (err, row) => (err ? reject(err) : resolve(row))
             );
         });
 
-        if (result.changes === 0) {
+        if (!appointment) {
             return res.status(404).json({ error: 'Fixer Termin nicht gefunden' });
         }
 
-        console.log(`🗑️ Fixer Termin ${id} gelöscht`);
+        // Aus aktiven Routen entfernen, dann Stopps und Kalender-Verknüpfung lösen (FKs auf appointments)
+        const removedFromRoutes = await routeVersions.deleteAppointment(appointment.id, {
+            user: req.user,
+            trigger: 'appointment_deleted'
+        });
+
+        console.log(`🗑️ Fixer Termin ${id} gelöscht (aus ${removedFromRoutes} aktiven Routen entfernt)`);
 
         res.json({
             success: true,
-            message: 'Fixer Termin erfolgreich gelöscht'
+            message: 'Fixer Termin erfolgreich gelöscht',
+            removedFromRoutes
         });
 
     } catch (error) {
@@ -3737,21 +4509,101 @@ app.delete('/api/appointments/fixed/:id', validateSession, async (req, res) => {
     }
 });
 
+// ======================================================================
+// ZEITFENSTER FLEXIBLER TERMINE
+// Body: { time_windows: [...Regeln], preferred_dates?: [...], excluded_dates?: [...] }
+// Regel-Format siehe time-windows.js
+// ======================================================================
+app.get('/api/appointments/:id/time-windows', async (req, res) => {
+    try {
+        const appointment = await new Promise((resolve, reject) => {
+            db.get("SELECT id, customer, time_windows, preferred_dates, excluded_dates FROM appointments WHERE id = ?",
+                [req.params.id], (err, row) => err ? reject(err) : resolve(row));
+        });
+        if (!appointment) {
+            return res.status(404).json({ success: false, error: 'Termin nicht gefunden' });
+        }
+
+        res.json({
+            success: true,
+            id: appointment.id,
+            customer: appointment.customer,
+            time_windows: JSON.parse(appointment.time_windows || '[]'),
+            preferred_dates: JSON.parse(appointment.preferred_dates || '[]'),
+            excluded_dates: JSON.parse(appointment.excluded_dates || '[]'),
+            summary: TimeWindows.parseTimeWindows(appointment).map(rule => ({
+                type: rule.type,
+                exclude: rule.exclude,
+                text: TimeWindows.describeRule(rule)
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Zeitfenster konnten nicht geladen werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/appointments/:id/time-windows', async (req, res) => {
+    const { time_windows: input = [], preferred_dates, excluded_dates } = req.body;
+
+    const { windows, errors } = TimeWindows.validateTimeWindows(input);
+    const isDateList = list => Array.isArray(list) && list.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (preferred_dates !== undefined && !isDateList(preferred_dates)) errors.push('preferred_dates: Liste von Daten (YYYY-MM-DD)');
+    if (excluded_dates !== undefined && !isDateList(excluded_dates)) errors.push('excluded_dates: Liste von Daten (YYYY-MM-DD)');
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Ungültige Zeitfenster', details: errors });
+    }
+
+    try {
+        const updates = ['time_windows = ?'];
+        const values = [JSON.stringify(windows)];
+        if (preferred_dates !== undefined) {
+            updates.push('preferred_dates = ?');
+            values.push(JSON.stringify(preferred_dates));
+        }
+        if (excluded_dates !== undefined) {
+            updates.push('excluded_dates = ?');
+            values.push(JSON.stringify(excluded_dates));
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            db.run(`UPDATE appointments SET ${updates.join(', ')} WHERE id = ?`, [...values, req.params.id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Termin nicht gefunden' });
+        }
+
+        console.log(`🕒 Zeitfenster für Termin ${req.params.id} gespeichert (${windows.length} Regeln)`);
+        res.json({ success: true, id: Number(req.params.id), time_windows: windows });
+    } catch (error) {
+        console.error('❌ Zeitfenster konnten nicht gespeichert werden:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Alternative Terminvorschläge für abgelehnte Termine
-app.post('/api/appointments/suggest-alternatives', validateSession, async (req, res) => {
+app.post('/api/appointments/suggest-alternatives', async (req, res) => {
     const { 
         appointmentId, 
         weekStart, 
         reason = 'customer_rejected',
         customer,
         address,
-        duration = 3,
+        duration,
         nextWeeks = 2
     } = req.body;
 
     if (!appointmentId) {
         return res.status(400).json({ error: 'appointmentId is required' });
     }
+    if (duration !== undefined && parseDurationHours(duration) === null) {
+        return res.status(400).json({
+            error: `duration muss zwischen ${MIN_APPOINTMENT_DURATION} und ${MAX_APPOINTMENT_DURATION} Stunden liegen`
+        });
+    }
 
     try {
         console.log(`🔍 Suche Terminvorschläge für Termin ${appointmentId} über ${nextWeeks} Wochen`);
@@ -3761,7 +4613,7 @@ app.post('/api/appointments/suggest-alternatives', validateSession, async (req,
             appointmentId,
             startWeek: weekStart || new Date().toISOString().split('T')[0],
             weeksAhead: nextWeeks,
-            duration,
+            duration: duration !== undefined ? parseDurationHours(duration) : undefined,
             customer,
             address
         });
@@ -3772,7 +4624,7 @@ app.post('/api/appointments/suggest-alternatives', validateSession, async (req,
                 db.run(
                     `UPDATE appointments 
                      SET status = 'umzuplanen',
-                         notes = json_set(COALESCE(notes, '{}'), '$.rejection_info', json(?))
+                         notes = ${db.sql.jsonSet('notes', 'rejection_info')}
                      WHERE id = ?`,
                     [JSON.stringify({
                         reason: reason,
@@ -3816,7 +4668,7 @@ console.log('  POST /api/appointments/suggest-alternatives - Alternative Terminv
 // ======================================================================
 
 // Hauptfunktion: Finde alternative Slots für abgelehnte Termine
-app.post('/api/appointments/find-alternatives', validateSession, async (req, res) => {
+app.post('/api/appointments/find-alternatives', async (req, res) => {
     const { appointmentId, currentWeek, nextWeeks = 2, reason = 'customer_rejected' } = req.body;
 
     if (!appointmentId) {
@@ -3838,7 +4690,6 @@ app.post('/api/appointments/find-alternatives', validateSession, async (req, res
         }
 
         if (!appointment.lat || !appointment.lng) {
-            const geocodingService = new EnhancedGeocodingService(db);
             try {
                 const coords = await geocodingService.geocodeAddress(appointment.address);
                 appointment.lat = coords.lat;
@@ -3859,7 +4710,7 @@ app.post('/api/appointments/find-alternatives', validateSession, async (req, res
                 db.run(
                     `UPDATE appointments 
                      SET status = 'umzuplanen',
-                         notes = json_set(COALESCE(notes, '{}'), '$.rejection_info', json(?))
+                         notes = ${db.sql.jsonSet('notes', 'rejection_info')}
                      WHERE id = ?`,
                     [JSON.stringify({
                         reason: reason,
@@ -3903,7 +4754,7 @@ app.post('/api/appointments/find-alternatives', validateSession, async (req, res
 });
 
 // API Endpoint: Termin verschieben
-app.post('/api/appointments/reschedule', validateSession, async (req, res) => {
+app.post('/api/appointments/reschedule', async (req, res) => {
     const { appointmentId, newWeek, newDay, newTime } = req.body;
 
     if (!appointmentId || !newWeek || !newDay || !newTime) {
@@ -3917,7 +4768,7 @@ app.post('/api/appointments/reschedule', validateSession, async (req, res) => {
             db.run(
                 `UPDATE appointments 
                  SET status = 'bestätigt',
-                     notes = json_set(COALESCE(notes, '{}'), '$.rescheduled', json(?))
+                     notes = ${db.sql.jsonSet('notes', 'rescheduled')}
                  WHERE id = ?`,
                 [JSON.stringify({
                     to_week: newWeek,
@@ -3953,7 +4804,9 @@ app.post('/api/appointments/reschedule', validateSession, async (req, res) => {
                     time: newTime
                 }
             },
-            routeRecalculated: recalcResult.success
+            routeRecalculated: recalcResult.success,
+            routeVersion: recalcResult.version || null,
+            routeChanges: recalcResult.changes || null
         });
 
     } catch (error) {
@@ -3968,6 +4821,7 @@ app.post('/api/appointments/reschedule', validateSession, async (req, res) => {
 // Intelligente Suche nach alternativen Slots
 async function findAlternativeSlotsIntelligent(appointment, startWeek, weeksToCheck = 2) {
     const alternatives = [];
+    const duration = appointmentHours(appointment);
     const weekStart = new Date(startWeek);
     for (let w = 0; w < weeksToCheck; w++) {
         const checkWeek = new Date(weekStart);
@@ -3994,7 +4848,7 @@ async function findAlternativeSlotsIntelligent(appointment, startWeek, weeksToCh
                     week: weekStr,
                     day: ['Montag','Dienstag','Mittwoch','Donnerstag','Freitag'][d],
                     date: dayDate.toISOString().split('T')[0],
-                    slot: { startTime: '09:00', endTime: '12:00', duration: 3 },
+                    slot: { startTime: '09:00', endTime: addHoursToTime('09:00', duration), duration },
                     travelEfficiency: 0.5,
                     reason: 'Kompletter Tag verfügbar',
                     quality: 0.7,
@@ -4020,11 +4874,12 @@ async function findAlternativeSlotsIntelligent(appointment, startWeek, weeksToCh
 
 async function analyzeDayForAlternatives(day, appointment, dayIndex, weekStr) {
     const alternatives = [];
+    const duration = appointmentHours(appointment);
     const constraints = {
         workStartTime: 9,
         workEndTime: 18,
-        appointmentDuration: 3,
-        minSlotDuration: 3.5,
+        appointmentDuration: duration,
+        minSlotDuration: duration + 0.5,
         travelPadding: 0.25
     };
     const freeSlots = findFreeSlotsInDay(day, constraints);
@@ -4038,9 +4893,9 @@ async function analyzeDayForAlternatives(day, appointment, dayIndex, weekStr) {
             date: day.date,
             slot: {
                 startTime: slot.startTime,
-                endTime: addHoursToTime(slot.startTime, 3),
-                duration: 3,
-                availableBuffer: slot.duration - 3
+                endTime: addHoursToTime(slot.startTime, duration),
+                duration,
+                availableBuffer: slot.duration - duration
             },
             travelEfficiency: efficiency.score,
             travelDetails: efficiency.details,
@@ -4120,7 +4975,8 @@ async function calculateSlotEfficiency(day, slot, appointment, constraints) {
         score -= 0.2;
         details.push('Isoliert von anderen Terminen');
     }
-    const dayUtilization = (day.appointments.length * 3 + 3) / 9;
+    const bookedHours = (day.appointments || []).reduce((sum, apt) => sum + appointmentHours(apt), 0);
+    const dayUtilization = (bookedHours + constraints.appointmentDuration) / 9;
     if (dayUtilization > 0.6 && dayUtilization < 0.9) {
         score += 0.1;
         details.push('Gute Tagesauslastung');
@@ -4184,14 +5040,14 @@ console.log('  POST /api/appointments/reschedule - Verschiebe Termin');
 const EnhancedGeocodingService = require('./geocoding-service');
 
 // Service-Instanz erstellen
-const geocodingService = new EnhancedGeocodingService(db);
+const geocodingService = new EnhancedGeocodingService(db, { provider: geocodingProvider });
 
 // ======================================================================
 // NEUE API ROUTES FÜR GEOCODING
 // ======================================================================
 
 // Einzelne Adresse geocoden - Test Endpoint
-app.post('/api/geocoding/single', validateSession, async (req, res) => {
+app.post('/api/geocoding/single', async (req, res) => {
     const { address } = req.body;
     
     if (!address) {
@@ -4217,7 +5073,7 @@ app.post('/api/geocoding/single', validateSession, async (req, res) => {
 });
 
 // Alle Termine geocoden - Hauptfunktion
-app.post('/api/geocoding/appointments', validateSession, async (req, res) => {
+app.post('/api/geocoding/appointments', async (req, res) => {
     try {
         console.log('🗺️ Starte Geocoding aller Termine...');
         
@@ -4272,7 +5128,7 @@ app.post('/api/geocoding/appointments', validateSession, async (req, res) => {
                     db.run(`
                         UPDATE appointments 
                         SET lat = ?, lng = ?, geocoded = 1,
-                            notes = json_set(COALESCE(notes, '{}'), '$.geocoding_info', json(?))
+                            notes = ${db.sql.jsonSet('notes', 'geocoding_info')}
                         WHERE id = ?
                     `, [
                         coords.lat,
@@ -4338,7 +5194,7 @@ app.post('/api/geocoding/appointments', validateSession, async (req, res) => {
 });
 
 // Geocoding Status und Statistiken
-app.get('/api/geocoding/status', validateSession, async (req, res) => {
+app.get('/api/geocoding/status', async (req, res) => {
     try {
         const stats = await new Promise((resolve, reject) => {
             db.all(`
@@ -4357,11 +5213,11 @@ app.get('/api/geocoding/status', validateSession, async (req, res) => {
         const geocodingMethods = await new Promise((resolve, reject) => {
             db.all(`
                 SELECT 
-                    json_extract(notes, '$.geocoding_info.method') as method,
+                    ${db.sql.jsonGet('notes', 'geocoding_info.method')} as method,
                     COUNT(*) as count
                 FROM appointments 
-                WHERE json_extract(notes, '$.geocoding_info.method') IS NOT NULL
-                GROUP BY json_extract(notes, '$.geocoding_info.method')
+                WHERE ${db.sql.jsonGet('notes', 'geocoding_info.method')} IS NOT NULL
+                GROUP BY ${db.sql.jsonGet('notes', 'geocoding_info.method')}
             `, (err, rows) => {
                 if (err) reject(err);
                 else resolve(rows);
@@ -4369,9 +5225,12 @@ app.get('/api/geocoding/status', validateSession, async (req, res) => {
         });
 
         const cacheStats = geocodingService.getCacheStats();
+        const offlineDataset = await offlineGeocoder.getStats();
 
         res.json({
             success: true,
+            provider: geocodingProvider.name,
+            offline_dataset: offlineDataset,
             database_stats: stats,
             geocoding_methods: geocodingMethods.reduce((acc, row) => {
                 acc[row.method] = row.count;
@@ -4401,7 +5260,7 @@ app.get('/api/geocoding/status', validateSession, async (req, res) => {
 });
 
 // Geocoding Cache verwalten
-app.post('/api/geocoding/clear-cache', validateSession, (req, res) => {
+app.post('/api/geocoding/clear-cache', (req, res) => {
     try {
         geocodingService.clearCache();
         res.json({
@@ -4417,7 +5276,7 @@ app.post('/api/geocoding/clear-cache', validateSession, (req, res) => {
 });
 
 // Debug: Teste Google Maps API direkt
-app.post('/api/geocoding/test-google', validateSession, async (req, res) => {
+app.post('/api/geocoding/test-google', async (req, res) => {
     const { address = 'Petuelring 130, 80809 München' } = req.body;
     
     try {
@@ -4452,7 +5311,73 @@ app.post('/api/geocoding/test-google', validateSession, async (req, res) => {
     }
 });
 
-app.post('/api/admin/warm-cache', validateSession, async (req, res) => {
+// ======================================================================
+// OFFLINE-GEOCODING: PLZ-/STRASSEN-DATENSATZ IMPORTIEREN
+// CSV mit Spalten plz, ort, lat, lng (+ optional strasse), z.B. aus OpenGeoDB/OSM
+// ======================================================================
+const GEO_DATASET_COLUMNS = {
+    plz: ['plz', 'postcode', 'postal_code', 'zip', 'zipcode'],
+    city: ['ort', 'city', 'stadt', 'place', 'name'],
+    lat: ['lat', 'latitude', 'breite'],
+    lng: ['lng', 'lon', 'long', 'longitude', 'laenge', 'länge'],
+    street: ['strasse', 'straße', 'street']
+};
+
+app.post('/api/admin/geocoding/import-dataset', datasetUpload.single('datasetFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Keine Datensatz-Datei hochgeladen' });
+    }
+
+    try {
+        const parsed = Papa.parse(req.file.buffer.toString('utf-8'), {
+            header: true,
+            skipEmptyLines: true,
+            delimiter: '',
+            dynamicTyping: false,
+            delimitersToGuess: [',', ';', '\t', '|']
+        });
+
+        const fields = parsed.meta.fields || [];
+        const mapping = {};
+        Object.entries(GEO_DATASET_COLUMNS).forEach(([target, aliases]) => {
+            mapping[target] = fields.find(f => aliases.includes(f.trim().toLowerCase())) || null;
+        });
+
+        const missing = ['plz', 'lat', 'lng'].filter(target => !mapping[target]);
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Pflichtspalten fehlen: ${missing.join(', ')}`,
+                columns: fields
+            });
+        }
+
+        const rows = parsed.data.map(row => ({
+            plz: row[mapping.plz],
+            city: mapping.city ? row[mapping.city] : null,
+            lat: row[mapping.lat],
+            lng: row[mapping.lng],
+            street: mapping.street ? row[mapping.street] : null
+        }));
+
+        const replace = req.body.replace === 'true' || req.body.replace === true;
+        const result = await offlineGeocoder.importRows(rows, { replace });
+
+        res.json({
+            success: true,
+            mapping,
+            replaced: replace,
+            imported: result,
+            dataset: await offlineGeocoder.getStats(),
+            active_provider: geocodingProvider.name
+        });
+    } catch (error) {
+        console.error('❌ Datensatz-Import Fehler:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/admin/warm-cache', async (req, res) => {
     try {
         console.log('🔥 Wärme Distance Cache auf...');
 
@@ -4500,15 +5425,15 @@ app.post('/api/admin/warm-cache', validateSession, async (req, res) => {
     }
 });
 
-app.get('/api/admin/cache-stats', validateSession, async (req, res) => {
+app.get('/api/admin/cache-stats', async (req, res) => {
     try {
         const stats = await Promise.all([
             new Promise((resolve, reject) => {
                 db.all(`
                     SELECT 
                         COUNT(*) as total_entries,
-                        COUNT(CASE WHEN cached_at > datetime('now', '-7 days') THEN 1 END) as recent_entries,
-                        COUNT(CASE WHEN cached_at > datetime('now', '-1 day') THEN 1 END) as today_entries,
+                        COUNT(CASE WHEN cached_at > ${db.sql.ago(7, 'days')} THEN 1 END) as recent_entries,
+                        COUNT(CASE WHEN cached_at > ${db.sql.ago(1, 'day')} THEN 1 END) as today_entries,
                         MIN(cached_at) as oldest_entry,
                         MAX(cached_at) as newest_entry
                     FROM distance_cache
@@ -4582,16 +5507,19 @@ app.get('/api/admin/cache-stats', validateSession, async (req, res) => {
     }
 });
 
-app.post('/api/admin/cleanup-cache', validateSession, async (req, res) => {
+app.post('/api/admin/cleanup-cache', async (req, res) => {
     const { olderThanDays = 30 } = req.body;
+    const days = Number(olderThanDays);
+    if (!Number.isInteger(days) || days < 0) {
+        return res.status(400).json({ success: false, error: 'olderThanDays muss eine ganze Zahl ab 0 sein' });
+    }
 
     try {
         const results = await Promise.all([
             new Promise((resolve, reject) => {
                 db.run(
                     `DELETE FROM distance_cache 
-                     WHERE cached_at < datetime('now', '-' || ? || ' days')`,
-                    [olderThanDays],
+                     WHERE cached_at < ${db.sql.ago(days, 'days')}`,
                     function(err) {
                         if (err) reject(err);
                         else resolve({ distance_cache_deleted: this.changes });
@@ -4601,8 +5529,7 @@ app.post('/api/admin/cleanup-cache', validateSession, async (req, res) => {
             new Promise((resolve, reject) => {
                 db.run(
                     `DELETE FROM geocoding_cache 
-                     WHERE cached_at < datetime('now', '-' || ? || ' days')`,
-                    [olderThanDays],
+                     WHERE cached_at < ${db.sql.ago(days, 'days')}`,
                     function(err) {
                         if (err) reject(err);
                         else resolve({ geocoding_cache_deleted: this.changes });
@@ -4644,146 +5571,180 @@ console.log('  POST /api/debug/distance-matrix - Entfernungen berechnen');
 console.log('  POST /api/admin/fix-geocoding - Alle Termine geocoden');
 
 // Budget Status anzeigen
-app.get('/api/admin/budget-status', validateSession, (req, res) => {
+app.get('/api/admin/budget-status', (req, res) => {
     const status = apiController.getStatus();
+    const budgets = apiController.listBudgets();
 
-    // Berechne geschätzte Monatskosten
-    const dailyAverage = parseFloat(status.budget.spent);
-    const monthlyEstimate = dailyAverage * 30;
+    // Monatskosten: echter Monatsverbrauch, linear aufs Monatsende hochgerechnet
+    const monthlyEstimate = status.monthly.projected;
 
     res.json({
         success: true,
         current: status,
+        budgets,
         estimates: {
-            daily: dailyAverage.toFixed(2),
+            daily: parseFloat(status.budget.spent).toFixed(2),
             monthly: monthlyEstimate.toFixed(2),
             yearly: (monthlyEstimate * 12).toFixed(2)
         },
+        alerts: {
+            thresholds: apiController.alertThresholds,
+            channels: budgetAlertNotifier.getChannels()
+        },
         recommendations: [
             status.budget.percentage > 80 ?
                 '⚠️ Tagesbudget fast aufgebraucht! Weitere Optimierungen werden lokale Berechnungen nutzen.' :
                 '✅ Budget unter Kontrolle',
-            monthlyEstimate > 100 ?
-                '💡 Tipp: Reduzieren Sie das Tagesbudget für niedrigere Monatskosten' :
-                '✅ Monatskosten im akzeptablen Bereich'
+            status.monthly.limit !== null && monthlyEstimate > status.monthly.limit ?
+                `⚠️ Hochrechnung (${monthlyEstimate.toFixed(2)}€) liegt über dem Monatsbudget von ${status.monthly.limit}€` :
+                monthlyEstimate > 100 ?
+                    '💡 Tipp: Reduzieren Sie das Tagesbudget für niedrigere Monatskosten' :
+                    '✅ Monatskosten im akzeptablen Bereich'
         ]
     });
 });
 
-// Budget anpassen
-app.post('/api/admin/set-budget', validateSession, (req, res) => {
-    const { dailyBudgetEUR } = req.body;
+// Budget anpassen: Tag/Monat global oder pro Projekt (null entfernt ein Budget)
+app.post('/api/admin/set-budget', async (req, res) => {
+    const { dailyBudgetEUR, monthlyBudgetEUR, project } = req.body;
+
+    if (dailyBudgetEUR === undefined && monthlyBudgetEUR === undefined) {
+        return res.status(400).json({ error: 'dailyBudgetEUR und/oder monthlyBudgetEUR angeben' });
+    }
+    if (project !== undefined && project !== null &&
+        (typeof project !== 'string' || apiController.normalizeProject(project) !== project.trim())) {
+        return res.status(400).json({ error: 'project: 1-64 Zeichen (Buchstaben, Ziffern, . _ -)' });
+    }
+
+    // Globales Tagesbudget wie bisher 1-50€, alles andere nur > 0 (oder null zum Entfernen)
+    if (dailyBudgetEUR !== undefined && !project &&
+        (typeof dailyBudgetEUR !== 'number' || dailyBudgetEUR < 1 || dailyBudgetEUR > 50)) {
+        return res.status(400).json({
+            error: 'Ungültiges Budget. Empfohlen: 1-10€ pro Tag'
+        });
+    }
+    const invalid = [
+        project ? ['dailyBudgetEUR', dailyBudgetEUR] : null,
+        ['monthlyBudgetEUR', monthlyBudgetEUR]
+    ].filter(entry => entry && entry[1] !== undefined && entry[1] !== null &&
+        (typeof entry[1] !== 'number' || !(entry[1] > 0) || entry[1] > 10000));
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `Ungültiger Wert für ${invalid.map(e => e[0]).join(', ')} (0-10000€ oder null)` });
+    }
+
+    try {
+        // Update Budget
+        if (dailyBudgetEUR !== undefined) await apiController.setBudget('daily', dailyBudgetEUR, project || null);
+        if (monthlyBudgetEUR !== undefined) await apiController.setBudget('monthly', monthlyBudgetEUR, project || null);
+
+        res.json({
+            success: true,
+            message: project
+                ? `Budget für Projekt "${project}" aktualisiert`
+                : `Budget aktualisiert (Tag: ${apiController.dailyBudgetEUR}€, Monat: ${apiController.monthlyBudgetEUR ?? '-'}€)`,
+            newLimits: {
+                geocoding: `${apiController.dailyLimits.geocoding} Anfragen`,
+                distanceMatrix: `${apiController.dailyLimits.distanceMatrix} Anfragen`,
+                estimatedOptimizations: Math.floor(apiController.dailyLimits.distanceMatrix / 100)
+            },
+            budgets: apiController.listBudgets()
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Ausgaben als Zeitreihe (z.B. für Diagramme)
+app.get('/api/admin/budget/spend-series', async (req, res) => {
+    const { interval = 'day', groupBy } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    const to = req.query.to || new Date().toISOString().split('T')[0];
+    const fromDefault = new Date(`${to}T00:00:00Z`);
+    fromDefault.setUTCDate(fromDefault.getUTCDate() - 29);
+    const from = req.query.from || fromDefault.toISOString().split('T')[0];
+
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+        return res.status(400).json({ success: false, error: 'from/to im Format YYYY-MM-DD angeben (from <= to)' });
+    }
+    if (!['day', 'month'].includes(interval)) {
+        return res.status(400).json({ success: false, error: 'interval: day oder month' });
+    }
+    if (groupBy && !['type', 'project', 'endpoint'].includes(groupBy)) {
+        return res.status(400).json({ success: false, error: 'groupBy: type, project oder endpoint' });
+    }
+
+    try {
+        const series = await apiController.getSpendSeries({ from, to, interval, groupBy });
+        res.json({ success: true, ...series });
+    } catch (error) {
+        console.error('❌ Ausgaben-Zeitreihe fehlgeschlagen:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Bisher ausgelöste Budget-Alarme inkl. Zustellstatus
+app.get('/api/admin/budget/alerts', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({
+            success: true,
+            thresholds: apiController.alertThresholds,
+            channels: budgetAlertNotifier.getChannels(),
+            alerts: await apiController.getAlerts(limit)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-    if (!dailyBudgetEUR || dailyBudgetEUR < 1 || dailyBudgetEUR > 50) {
+// Test-Alarm an die konfigurierten Kanäle (wird nicht in api_budget_alerts gespeichert)
+app.post('/api/admin/budget/alerts/test', async (req, res) => {
+    if (!budgetAlertNotifier.isConfigured()) {
         return res.status(400).json({
-            error: 'Ungültiges Budget. Empfohlen: 1-10€ pro Tag'
+            success: false,
+            error: 'Kein Alarm-Kanal konfiguriert (BUDGET_ALERT_WEBHOOK_URL oder BUDGET_ALERT_EMAIL_URL + BUDGET_ALERT_EMAIL_TO)'
         });
     }
 
-    // Update Budget
-    apiController.dailyBudgetEUR = dailyBudgetEUR;
-    apiController.dailyLimits = {
-        geocoding: Math.floor(dailyBudgetEUR / 0.005 * 0.2), // 20% für Geocoding
-        distanceMatrix: Math.floor(dailyBudgetEUR / 0.01 * 0.8) // 80% für Distance Matrix
-    };
+    const status = apiController.getStatus();
+    const delivery = await budgetAlertNotifier.send({
+        scope: 'daily',
+        project: null,
+        period: status.date,
+        threshold: 0,
+        percentage: status.budget.percentage,
+        spent: parseFloat(status.budget.spent),
+        limit: status.budget.daily,
+        label: 'Tagesbudget (Test)',
+        test: true
+    });
 
-    res.json({
-        success: true,
-        message: `Tagesbudget auf ${dailyBudgetEUR}€ gesetzt`,
-        newLimits: {
-            geocoding: `${apiController.dailyLimits.geocoding} Anfragen`,
-            distanceMatrix: `${apiController.dailyLimits.distanceMatrix} Anfragen`,
-            estimatedOptimizations: Math.floor(apiController.dailyLimits.distanceMatrix / 100)
-        }
+    res.status(delivery.failed.length > 0 && delivery.delivered.length === 0 ? 502 : 200).json({
+        success: delivery.failed.length === 0,
+        ...delivery
     });
 });
 
-// API Usage Reset (für Tests)
-app.post('/api/admin/reset-usage', validateSession, (req, res) => {
-    apiController.todayUsage = {
-        geocoding: 0,
-        distanceMatrix: 0,
-        totalCostEUR: 0,
-        date: new Date().toISOString().split('T')[0]
-    };
+// API Usage Reset: nur die Tageszähler, der gebuchte Verbrauch in api_usage bleibt
+app.post('/api/admin/reset-usage', (req, res) => {
+    apiController.resetTodayCounters();
 
     res.json({
         success: true,
-        message: 'API Usage zurückgesetzt',
+        message: 'API Usage zurückgesetzt (Tageszähler, gebuchter Verbrauch bleibt erhalten)',
         status: apiController.getStatus()
     });
 });
 
 // ZUSÄTZLICH: Bereinige doppelte Planungen (Admin-Funktion)
-app.post('/api/admin/fix-duplicate-planning', validateSession, async (req, res) => {
+app.post('/api/admin/fix-duplicate-planning', async (req, res) => {
     try {
         console.log('🧹 Bereinige doppelte Terminplanungen...');
-        const allRoutes = await new Promise((resolve, reject) => {
-            db.all("SELECT id, week_start, route_data FROM saved_routes WHERE is_active = 1",
-                (err, rows) => err ? reject(err) : resolve(rows)
-            );
-        });
-        const appointmentUsage = new Map();
-        const duplicates = [];
-        allRoutes.forEach(route => {
-            try {
-                const routeData = JSON.parse(route.route_data);
-                routeData.days?.forEach(day => {
-                    day.appointments?.forEach(apt => {
-                        if (apt.id) {
-                            if (!appointmentUsage.has(apt.id)) {
-                                appointmentUsage.set(apt.id, []);
-                            }
-                            appointmentUsage.get(apt.id).push({
-                                routeId: route.id,
-                                weekStart: route.week_start,
-                                customer: apt.customer
-                            });
-                        }
-                    });
-                });
-            } catch (e) {
-                console.error(`Fehler beim Parsen von Route ${route.id}:`, e);
-            }
-        });
-        appointmentUsage.forEach((usage, aptId) => {
-            if (usage.length > 1) {
-                duplicates.push({
-                    appointmentId: aptId,
-                    customer: usage[0].customer,
-                    plannedIn: usage.map(u => u.weekStart),
-                    routes: usage
-                });
-            }
-        });
+        const duplicates = await findDuplicatePlannings();
         console.log(`🔍 ${duplicates.length} doppelt geplante Termine gefunden`);
         if (req.body.fix === true && duplicates.length > 0) {
-            for (const dup of duplicates) {
-                const keepWeek = dup.routes[0].weekStart;
-                for (let i = 1; i < dup.routes.length; i++) {
-                    const removeFrom = dup.routes[i];
-                    console.log(`🗑️ Entferne ${dup.customer} aus Woche ${removeFrom.weekStart}`);
-                    const routeData = await new Promise((resolve, reject) => {
-                        db.get("SELECT route_data FROM saved_routes WHERE id = ?",
-                            [removeFrom.routeId],
-                            (err, row) => err ? reject(err) : resolve(JSON.parse(row.route_data))
-                        );
-                    });
-                    routeData.days.forEach(day => {
-                        day.appointments = day.appointments.filter(apt => apt.id !== dup.appointmentId);
-                    });
-                    routeData.stats.totalAppointments = routeData.days.reduce(
-                        (sum, day) => sum + day.appointments.length, 0
-                    );
-                    await new Promise((resolve, reject) => {
-                        db.run(
-                            "UPDATE saved_routes SET route_data = ? WHERE id = ?",
-                            [JSON.stringify(routeData), removeFrom.routeId],
-                            err => err ? reject(err) : resolve()
-                        );
-                    });
-                }
-            }
+            await removeDuplicatePlannings(duplicates, req.user);
             res.json({
                 success: true,
                 message: `${duplicates.length} Duplikate bereinigt`,
@@ -4811,36 +5772,132 @@ app.post('/api/admin/fix-duplicate-planning', validateSession, async (req, res)
 
 // HELPER: Lade alle Termine einer Woche (für Alternative Slots)
 async function getWeekAppointments(weekStart) {
-    return new Promise((resolve, reject) => {
-        db.get(
-            "SELECT route_data FROM saved_routes WHERE week_start = ? AND is_active = 1",
+    return new Promise((resolve) => {
+        db.all(
+            `SELECT a.*, s.start_time, s.end_time, s.day, s.stop_date, s.duration AS planned_duration
+             FROM route_stops s JOIN appointments a ON a.id = s.appointment_id
+             WHERE s.week_start = ? AND s.active = 1
+             ORDER BY s.stop_date ASC, s.position ASC`,
             [weekStart],
-            (err, row) => {
-                if (err || !row) {
+            (err, rows) => {
+                if (err || !rows) {
                     resolve([]);
-                } else {
-                    try {
-                        const routeData = JSON.parse(row.route_data);
-                        const allAppointments = [];
-                        routeData.days.forEach(day => {
-                            day.appointments.forEach(apt => {
-                                allAppointments.push({
-                                    ...apt,
-                                    day: day.day,
-                                    date: day.date
-                                });
-                            });
-                        });
-                        resolve(allAppointments);
-                    } catch (e) {
-                        resolve([]);
-                    }
+                    return;
                 }
+                resolve(rows.map(({ start_time, end_time, stop_date, planned_duration, ...apt }) => ({
+                    ...apt,
+                    duration: planned_duration !== null ? planned_duration : apt.duration,
+                    startTime: start_time,
+                    endTime: end_time,
+                    date: stop_date
+                })));
             }
         );
     });
 }
 
+// ======================================================================
+// TERMIN BESTÄTIGEN - KONVERTIERT GEPLANTEN TERMIN ZU FESTEM TERMIN
+// ======================================================================
+app.patch('/api/appointments/:id/confirm', async (req, res) => {
+    const { id } = req.params;
+    const { fixed_date, fixed_time } = req.body;
+
+    if (!fixed_date || !fixed_time) {
+        return res.status(400).json({ error: 'fixed_date und fixed_time sind erforderlich' });
+    }
+
+    try {
+        console.log(`📌 Bestätige Termin ${id} für ${fixed_date} ${fixed_time}`);
+
+        // Prüfe ob Termin existiert
+        const appointment = await new Promise((resolve, reject) => {
+            db.get("SELECT * FROM appointments WHERE id = ?", [id], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Termin nicht gefunden' });
+        }
+
+        // Prüfe auf Konflikte mit anderen festen Terminen
+        const conflicts = await new Promise((resolve, reject) => {
+            db.all(`
+                SELECT id, customer, fixed_time, duration
+                FROM appointments 
+                WHERE is_fixed = 1 
+                AND fixed_date = ? 
+                AND id != ?
+            `, [fixed_date, id], (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+
+        const newStart = timeToHours(fixed_time);
+        const newEnd = newStart + appointmentHours(appointment);
+
+        for (const conflict of conflicts) {
+            const conflictStart = timeToHours(conflict.fixed_time);
+            const conflictEnd = conflictStart + appointmentHours(conflict);
+
+            if ((newStart >= conflictStart && newStart < conflictEnd) ||
+                (newEnd > conflictStart && newEnd <= conflictEnd) ||
+                (newStart <= conflictStart && newEnd >= conflictEnd)) {
+                return res.status(409).json({
+                    error: 'Zeitkonflikt mit bestehendem Termin',
+                    conflict: {
+                        customer: conflict.customer,
+                        time: conflict.fixed_time
+                    }
+                });
+            }
+        }
+
+        // Aktualisiere Termin zu festem Termin
+        await new Promise((resolve, reject) => {
+            db.run(`
+                UPDATE appointments 
+                SET is_fixed = 1, 
+                    fixed_date = ?, 
+                    fixed_time = ?, 
+                    status = 'bestätigt',
+                    duration = COALESCE(duration, 3)
+                WHERE id = ?
+            `, [fixed_date, fixed_time, id], (err) => {
+                if (err) reject(err); else resolve();
+            });
+        });
+
+        console.log(`✅ Termin ${id} erfolgreich bestätigt für ${fixed_date} ${fixed_time}`);
+
+        res.json({
+            success: true,
+            message: 'Termin erfolgreich bestätigt',
+            appointment: {
+                id: id,
+                fixed_date: fixed_date,
+                fixed_time: fixed_time,
+                is_fixed: 1,
+                status: 'bestätigt'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Fehler beim Bestätigen des Termins:', error);
+        res.status(500).json({
+            error: 'Fehler beim Bestätigen des Termins',
+            details: error.message
+        });
+    }
+});
+
+// Helper function to convert time string to hours
+function timeToHours(timeString) {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return hours + (minutes || 0) / 60;
+}
+
 // ======================================================================
 // ERROR HANDLING & 404
 // ======================================================================
@@ -4859,10 +5916,18 @@ app.use('*', (req, res) => {
 // ======================================================================
 // ERWEITERTE TERMINVORSCHLAG-FUNKTION (ÜBER MEHRERE WOCHEN)
 // ======================================================================
-async function findExtendedAlternativeSlots({ appointmentId, startWeek, weeksAhead, duration = 3, customer, address }) {
+async function findExtendedAlternativeSlots({ appointmentId, startWeek, weeksAhead, duration, customer, address }) {
     const suggestions = [];
     
     try {
+        // Ohne explizite Angabe gilt die Dauer des Termins selbst
+        if (duration === undefined) {
+            const appointment = await new Promise((resolve, reject) => {
+                db.get("SELECT duration FROM appointments WHERE id = ?", [appointmentId],
+                    (err, row) => err ? reject(err) : resolve(row));
+            });
+            duration = appointmentHours(appointment);
+        }
         console.log(`🗓️ Suche in ${weeksAhead} Wochen ab ${startWeek}`);
         
         for (let weekOffset = 0; weekOffset < weeksAhead; weekOffset++) {
@@ -4973,7 +6038,7 @@ function findAvailableTimeSlots(dayAppointments, duration, currentDate) {
     const sortedAppointments = dayAppointments
         .map(apt => ({
             start: timeToHours(apt.fixed_time),
-            end: timeToHours(apt.fixed_time) + (apt.duration || 3),
+            end: timeToHours(apt.fixed_time) + appointmentHours(apt),
             customer: apt.customer
         }))
         .sort((a, b) => a.start - b.start);
@@ -5032,114 +6097,12 @@ function hoursToTimeString(hours) {
     return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
 }
 
-// ======================================================================
-// TERMIN BESTÄTIGEN - KONVERTIERT GEPLANTEN TERMIN ZU FESTEM TERMIN
-// ======================================================================
-app.patch('/api/appointments/:id/confirm', validateSession, async (req, res) => {
-    const { id } = req.params;
-    const { fixed_date, fixed_time } = req.body;
-
-    if (!fixed_date || !fixed_time) {
-        return res.status(400).json({ error: 'fixed_date und fixed_time sind erforderlich' });
-    }
-
-    try {
-        console.log(`📌 Bestätige Termin ${id} für ${fixed_date} ${fixed_time}`);
-
-        // Prüfe ob Termin existiert
-        const appointment = await new Promise((resolve, reject) => {
-            db.get("SELECT * FROM appointments WHERE id = ?", [id], (err, row) => {
-                if (err) reject(err); else resolve(row);
-            });
-        });
-
-        if (!appointment) {
-            return res.status(404).json({ error: 'Termin nicht gefunden' });
-        }
-
-        // Prüfe auf Konflikte mit anderen festen Terminen
-        const conflicts = await new Promise((resolve, reject) => {
-            db.all(`
-                SELECT id, customer, fixed_time, duration
-                FROM appointments 
-                WHERE is_fixed = 1 
-                AND fixed_date = ? 
-                AND id != ?
-            `, [fixed_date, id], (err, rows) => {
-                if (err) reject(err); else resolve(rows);
-            });
-        });
-
-        const newStart = timeToHours(fixed_time);
-        const newEnd = newStart + 3; // Standard-Dauer 3 Stunden
-
-        for (const conflict of conflicts) {
-            const conflictStart = timeToHours(conflict.fixed_time);
-            const conflictEnd = conflictStart + (conflict.duration || 3);
-
-            if ((newStart >= conflictStart && newStart < conflictEnd) ||
-                (newEnd > conflictStart && newEnd <= conflictEnd) ||
-                (newStart <= conflictStart && newEnd >= conflictEnd)) {
-                return res.status(409).json({
-                    error: 'Zeitkonflikt mit bestehendem Termin',
-                    conflict: {
-                        customer: conflict.customer,
-                        time: conflict.fixed_time
-                    }
-                });
-            }
-        }
-
-        // Aktualisiere Termin zu festem Termin
-        await new Promise((resolve, reject) => {
-            db.run(`
-                UPDATE appointments 
-                SET is_fixed = 1, 
-                    fixed_date = ?, 
-                    fixed_time = ?, 
-                    status = 'bestätigt',
-                    duration = COALESCE(duration, 3)
-                WHERE id = ?
-            `, [fixed_date, fixed_time, id], (err) => {
-                if (err) reject(err); else resolve();
-            });
-        });
-
-        console.log(`✅ Termin ${id} erfolgreich bestätigt für ${fixed_date} ${fixed_time}`);
-
-        res.json({
-            success: true,
-            message: 'Termin erfolgreich bestätigt',
-            appointment: {
-                id: id,
-                fixed_date: fixed_date,
-                fixed_time: fixed_time,
-                is_fixed: 1,
-                status: 'bestätigt'
-            }
-        });
-
-    } catch (error) {
-        console.error('❌ Fehler beim Bestätigen des Termins:', error);
-        res.status(500).json({
-            error: 'Fehler beim Bestätigen des Termins',
-            details: error.message
-        });
-    }
-});
-
-// Helper function to convert time string to hours
-function timeToHours(timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    return hours + (minutes || 0) / 60;
-}
-
 // ======================================================================
 // SERVER START
 // ======================================================================
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
+// Start server - erst nach den Schema-Migrationen, damit keine Anfrage ein halbes Schema sieht
+schemaReady.then(() => app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Testimonial Tourenplaner Server running on port ${PORT}`);
     console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -5148,11 +6111,12 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚫 On Hold Filter: ACTIVE`);
     console.log(`🗺️ Google Maps API: ${process.env.GOOGLE_MAPS_API_KEY ? '✅ Configured' : '⚠️ Fallback Mode'}`);
     console.log(`✨ Features: Max Efficiency, Fixed Appointments, On Hold Filter, Google Maps`);
+    authPolicy.logAudit(app);
     console.log('⚡ OPTIMIERTE API-Endpoints aktiviert:');
     console.log('  POST /api/admin/import-csv-optimized - Effizienter CSV Import');
     console.log('  POST /api/routes/optimize-efficient - Minimaler API-Verbrauch');
     console.log('  💰 Erwartete Kosteneinsparung: 95-98%');
-});
+}));
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
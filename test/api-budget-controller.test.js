@@ -0,0 +1,144 @@
+// API-Budget (user-007): Verbrauch in api_usage, Durchsetzung vor jedem Google-Aufruf, Fallback im Planer
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const { APIBudgetController, BudgetExceededError } = require('../api-budget-controller');
+const { GoogleGeocodingProvider } = require('../geocoding-provider');
+const { GoogleRoutingProvider } = require('../routing-provider');
+const IntelligentRoutePlanner = require('../intelligent-route-planner-fixed');
+const { BACKENDS, quietly } = require('./helpers/database');
+
+const HANNOVER = { lat: 52.3759, lng: 9.7320 };
+const GOETTINGEN = { lat: 51.5413, lng: 9.9158 };
+
+// persistUsage schreibt im Hintergrund - warten, bis die Zeilen da sind
+async function waitForUsage(db, units) {
+    for (let i = 0; i < 50; i++) {
+        const row = await db.get('SELECT COALESCE(SUM(units), 0) AS units FROM api_usage');
+        if (Number(row.units) >= units) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('api_usage wurde nicht geschrieben');
+}
+
+for (const backend of BACKENDS) {
+    describe(`APIBudgetController (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await quietly(() => new SchemaMigrator(db).migrate());
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        it('speichert den Verbrauch pro Tag, Typ und Endpoint und lädt ihn nach einem Neustart', async () => {
+            const budget = await quietly(async () => {
+                const controller = new APIBudgetController(5);
+                await controller.initialize(db);
+                controller.context.run({ endpoint: 'POST /api/routes/optimize', project: 'default' }, () => {
+                    controller.registerAPICall('geocoding', 1);
+                    controller.registerAPICall('geocoding', 1);
+                    controller.registerAPICall('distanceMatrix', 10);
+                });
+                return controller;
+            });
+            await waitForUsage(db, 12);
+
+            const rows = await db.all('SELECT api_type, endpoint, calls, units FROM api_usage ORDER BY api_type');
+            assert.deepEqual(rows.map(row => [row.api_type, row.endpoint, Number(row.calls), Number(row.units)]), [
+                ['distanceMatrix', 'POST /api/routes/optimize', 1, 10],
+                ['geocoding', 'POST /api/routes/optimize', 2, 2]
+            ]);
+
+            const restarted = await quietly(async () => {
+                const controller = new APIBudgetController(5);
+                await controller.initialize(db);
+                return controller;
+            });
+            assert.equal(restarted.todayUsage.geocoding, 2);
+            assert.equal(restarted.todayUsage.distanceMatrix, 10);
+            assert.ok(Math.abs(restarted.todayUsage.totalCostEUR - budget.todayUsage.totalCostEUR) < 1e-9);
+        });
+
+        it('setzt nur die Tageszähler zurück, der gebuchte Verbrauch bleibt', async () => {
+            const controller = await quietly(async () => {
+                const budget = new APIBudgetController(5);
+                await budget.initialize(db);
+                budget.registerAPICall('geocoding', 4);
+                return budget;
+            });
+            await waitForUsage(db, 4);
+            const monthCost = controller.monthUsage.totalCostEUR;
+
+            controller.resetTodayCounters();
+            assert.equal(controller.todayUsage.geocoding, 0);
+            assert.equal(controller.todayUsage.totalCostEUR, 0);
+            assert.equal(controller.monthUsage.totalCostEUR, monthCost);
+            const row = await db.get('SELECT SUM(units) AS units FROM api_usage');
+            assert.equal(Number(row.units), 4);
+        });
+    });
+}
+
+describe('Budget-Durchsetzung', () => {
+    let budget;
+
+    beforeEach(async () => {
+        budget = await quietly(async () => new APIBudgetController(0.004));
+    });
+
+    it('führt den Aufruf bei erschöpftem Budget nicht aus', async () => {
+        let called = false;
+        const error = await quietly(() => budget.withBudget('geocoding', 1, async () => { called = true; })).catch(err => err);
+        assert.ok(error instanceof BudgetExceededError);
+        assert.equal(error.code, 'API_BUDGET_EXHAUSTED');
+        assert.equal(called, false);
+        assert.equal(budget.getStatus().exhausted.geocoding, true);
+    });
+
+    it('bucht erfolgreiche Aufrufe und sperrt ab dem Monatsbudget', async () => {
+        await quietly(async () => {
+            budget.setDailyBudget(5);
+            await budget.setBudget('monthly', 0.012);
+        });
+        const results = [];
+        for (let i = 0; i < 3; i++) {
+            results.push(await quietly(() => budget.withBudget('geocoding', 1, async () => i)).catch(err => err.code));
+        }
+        assert.deepEqual(results, [0, 1, 'API_BUDGET_EXHAUSTED']);
+        assert.equal(budget.todayUsage.geocoding, 2);
+    });
+
+    it('lässt die Google-Provider vor dem HTTP-Aufruf scheitern', async () => {
+        const geocoder = new GoogleGeocodingProvider({ apiKey: 'test', budget });
+        await assert.rejects(quietly(() => geocoder.geocode('Königsstraße 1, 34117 Kassel')), { code: 'API_BUDGET_EXHAUSTED' });
+
+        const routing = new GoogleRoutingProvider({ apiKey: 'test', budget });
+        await assert.rejects(quietly(() => routing.table([HANNOVER], [GOETTINGEN])), { code: 'API_BUDGET_EXHAUSTED' });
+    });
+
+    it('schaltet den Planer bei erschöpftem Budget auf Schätzungen um', async () => {
+        const db = await BACKENDS[0].open();
+        try {
+            await quietly(() => new SchemaMigrator(db).migrate());
+            const routingProvider = new GoogleRoutingProvider({ apiKey: 'test', budget });
+            let calls = 0;
+            const table = routingProvider.table.bind(routingProvider);
+            routingProvider.table = (...args) => { calls++; return table(...args); };
+
+            const planner = new IntelligentRoutePlanner(db, { routingProvider, geocodingProvider: { name: 'test' } });
+            const first = await quietly(() => planner.getDistance(HANNOVER, GOETTINGEN));
+            assert.equal(first.fallback, true);
+            assert.equal(first.provider, 'haversine');
+            assert.equal(planner.budgetExhausted.routing, true);
+
+            await quietly(() => planner.getDistance(GOETTINGEN, HANNOVER));
+            assert.equal(calls, 1);
+        } finally {
+            await db.cleanup();
+        }
+    });
+});
@@ -0,0 +1,173 @@
+// XLSX-/JSON-Import und Termin-Export (user-013)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const AppointmentFiles = require('../appointment-files');
+const { BACKENDS } = require('./helpers/database');
+const { startServer, insertAppointment } = require('./helpers/server');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+async function buildWorkbook() {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Info').addRow(['Nur ein Hinweisblatt']);
+    const sheet = workbook.addWorksheet('Termine');
+    sheet.addRow(['Invitee Name', 'Adresse', 'Start Date & Time', 'Customer Company']);
+    // Datumszelle: ExcelJS speichert die Ortszeit als UTC-Zeitpunkt
+    sheet.addRow(['Anna Becker', 'Königsstraße 1, 34117 Kassel', new Date(Date.UTC(2030, 6, 15, 10, 30)), { richText: [{ text: 'BMW ' }, { text: 'AG' }] }]);
+    sheet.addRow([]);
+    sheet.addRow(['Bernd Kurz', 'Georgstraße 5, 30159 Hannover', '', '']);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe('AppointmentFiles.readImportFile', () => {
+    it('liest XLSX-Blätter inkl. Datums- und Rich-Text-Zellen', async () => {
+        const buffer = await buildWorkbook();
+        const parsed = await AppointmentFiles.readImportFile({ originalname: 'leads.xlsx', buffer }, { sheet: 'Termine' });
+        assert.deepEqual(parsed.meta.sheets, ['Info', 'Termine']);
+        assert.deepEqual(parsed.meta.fields, ['Invitee Name', 'Adresse', 'Start Date & Time', 'Customer Company']);
+        assert.equal(parsed.data.length, 2);
+        assert.equal(parsed.data[0]['Start Date & Time'], '2030-07-15 10:30');
+        assert.equal(parsed.data[0]['Customer Company'], 'BMW AG');
+
+        const first = await AppointmentFiles.readImportFile({ originalname: 'leads.xlsx', buffer });
+        assert.equal(first.meta.sheet, 'Info');
+        await assert.rejects(AppointmentFiles.readImportFile({ originalname: 'leads.xlsx', buffer }, { sheet: 'Fehlt' }), { status: 400 });
+    });
+
+    it('liest JSON als Liste oder { appointments: [...] }', async () => {
+        const read = value => AppointmentFiles.readImportFile({ originalname: 'x.json', buffer: Buffer.from(JSON.stringify(value)) });
+        const parsed = await read({ appointments: [{ 'Invitee Name': 'Anna', Dauer: 2, Extra: { a: 1 } }, 'kaputt'] });
+        assert.deepEqual(parsed.data, [{ 'Invitee Name': 'Anna', Dauer: '2', Extra: '{"a":1}' }]);
+        assert.deepEqual(parsed.errors, [{ row: 2, message: 'Eintrag ist kein Objekt' }]);
+        await assert.rejects(read({ foo: 1 }), { status: 400 });
+    });
+
+    it('lehnt unbekannte Formate ab', async () => {
+        await assert.rejects(AppointmentFiles.readImportFile({ originalname: 'x.pdf', mimetype: 'application/pdf', buffer: Buffer.from('') }),
+            { status: 400, message: /nicht unterstützt/ });
+    });
+});
+
+describe('AppointmentFiles.writeExport', () => {
+    const hostile = {
+        id: 1, customer: '=HYPERLINK("http://example.invalid","Klick")', address: '+cmd|calc', status: 'vorschlag', priority: 'mittel',
+        duration: 2, lat: 52.1, lng: -9.1, notes: { custom_notes: '@SUM(A1)', company: '-Rabatt' }, planning: { status: 'offen' }
+    };
+
+    it('schreibt Formel-Anfänge in CSV und XLSX nur als Text', async () => {
+        const csv = await AppointmentFiles.writeExport([hostile], 'csv');
+        assert.ok(csv.body.includes(`"'=HYPERLINK(""http://example.invalid"",""Klick"")"`));
+        assert.ok(csv.body.includes("'+cmd|calc"));
+        assert.ok(csv.body.includes("'@SUM(A1)"));
+
+        const xlsx = await AppointmentFiles.writeExport([hostile], 'xlsx');
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(xlsx.body);
+        const header = workbook.worksheets[0].getRow(1).values;
+        const row = workbook.worksheets[0].getRow(2).values;
+        const cell = name => row[header.indexOf(name)];
+        assert.equal(cell('Invitee Name'), `'${hostile.customer}`);
+        assert.equal(cell('Company'), "'-Rabatt");
+        // Zahlen bleiben Zahlen
+        assert.equal(cell('Lng'), -9.1);
+    });
+
+    it('liest eigene Exporte ohne das vorangestellte Hochkomma wieder ein', async () => {
+        for (const format of ['csv', 'xlsx']) {
+            const { body } = await AppointmentFiles.writeExport([hostile], format);
+            const parsed = await AppointmentFiles.readImportFile({ originalname: `export.${format}`, buffer: Buffer.from(body) });
+            assert.deepEqual([parsed.data[0]['Invitee Name'], parsed.data[0].Adresse, parsed.data[0].Notiz], [hostile.customer, hostile.address, '@SUM(A1)'], format);
+        }
+        const plain = await AppointmentFiles.readImportFile({ originalname: 'x.csv', buffer: Buffer.from("Invitee Name;Adresse\n'Anna;Markt 1\n") });
+        assert.equal(plain.data[0]['Invitee Name'], "'Anna");
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Import und Export über die API (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const exportAs = async format => {
+            const response = await fetch(`${server.baseUrl}/api/appointments/export?format=${format}`, {
+                headers: { Authorization: `Bearer ${server.adminToken}` }
+            });
+            return { status: response.status, headers: response.headers, buffer: Buffer.from(await response.arrayBuffer()) };
+        };
+
+        it('importiert XLSX mit derselben Vorschau und Validierung wie CSV', async () => {
+            const content = await buildWorkbook();
+            const preview = await server.upload('/api/admin/preview-csv', {
+                token: server.adminToken, filename: 'leads.xlsx', type: XLSX_TYPE, content, fields: { sheet: 'Termine' }
+            });
+            assert.equal(preview.status, 200, preview.text);
+            assert.equal(preview.body.meta.format, 'xlsx');
+            assert.equal(preview.body.analysis.confirmedAppointments, 1);
+
+            const imported = await server.upload('/api/admin/import-csv', {
+                token: server.adminToken, filename: 'leads.xlsx', type: XLSX_TYPE, content, fields: { sheet: 'Termine' }
+            });
+            assert.equal(imported.status, 200, imported.text);
+            assert.equal(imported.body.stats.inserted, 2);
+            const anna = await server.db.get("SELECT fixed_date, fixed_time, priority FROM appointments WHERE customer = 'Anna Becker'");
+            assert.deepEqual({ ...anna }, { fixed_date: '2030-07-15', fixed_time: '10:30', priority: 'hoch' });
+        });
+
+        it('importiert JSON', async () => {
+            const content = JSON.stringify([{ 'Invitee Name': 'Clara Dorn', Adresse: 'Marktplatz 2, 37073 Göttingen', 'Start Date & Time': '' }]);
+            const imported = await server.upload('/api/admin/import-csv', {
+                token: server.adminToken, filename: 'leads.json', type: 'application/json', content
+            });
+            assert.equal(imported.status, 200, imported.text);
+            assert.equal(imported.body.import_info.format, 'json');
+        });
+
+        it('exportiert Termine mit Geocoding- und Planungsstatus', async () => {
+            const id = await insertAppointment(server.db, { customer: 'Dora Geplant', lat: 52.38, lng: 9.74 });
+            const route = await server.db.run(`INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version)
+                VALUES ('R', '2030-07-15', 1, '{"days":[]}', 1, 1)`);
+            await server.db.run(`INSERT INTO route_stops (route_id, appointment_id, week_start, driver_id, position, active, stop_date, start_time)
+                VALUES (?, ?, '2030-07-15', 1, 0, 1, '2030-07-16', '09:00')`, [route.lastID, id]);
+
+            const json = await exportAs('json');
+            assert.equal(json.status, 200);
+            assert.match(json.headers.get('content-disposition'), /termine-\d{4}-\d{2}-\d{2}\.json/);
+            const rows = JSON.parse(json.buffer.toString()).appointments;
+            const dora = rows.find(row => row['Invitee Name'] === 'Dora Geplant');
+            assert.deepEqual([dora.Planungsstatus, dora['Geplanter Tag'], dora['Geplante Zeit'], dora.Geocoding], ['geplant', '2030-07-16', '09:00', 'ok']);
+            const anna = rows.find(row => row['Invitee Name'] === 'Anna Becker');
+            assert.equal(anna['Start Date & Time'], '15.07.2030 10:30');
+
+            const csv = await exportAs('csv');
+            const text = csv.buffer.toString('utf-8');
+            assert.ok(text.startsWith('﻿Termin-ID;Invitee Name;Adresse'));
+            assert.equal(text.trim().split('\n').length, rows.length + 1);
+
+            const xlsx = await exportAs('xlsx');
+            assert.equal(xlsx.headers.get('content-type'), XLSX_TYPE);
+            const parsed = await AppointmentFiles.readImportFile({ originalname: 'export.xlsx', buffer: xlsx.buffer });
+            assert.equal(parsed.data.length, rows.length);
+
+            assert.equal((await exportAs('pdf')).status, 400);
+        });
+
+        it('lässt einen Export ohne Änderungen wieder importieren', async () => {
+            const csv = await exportAs('csv');
+            const before = (await server.db.get('SELECT COUNT(*) AS count FROM appointments')).count;
+            const reimport = await server.upload('/api/admin/import-csv', {
+                token: server.adminToken, filename: 'export.csv', content: csv.buffer.toString('utf-8')
+            });
+            assert.equal(reimport.status, 200, reimport.text);
+            assert.equal(reimport.body.stats.inserted, 0);
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM appointments')).count, before);
+        });
+    });
+}
@@ -0,0 +1,100 @@
+// Zentrale Auth-Policy: fail closed, Rollen je Route, Audit (user-004)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AuthPolicy = require('../auth-policy');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+// Minimaler Express-Ersatz für die Middleware
+function invoke(policy, { method = 'GET', path, token }) {
+    return new Promise(resolve => {
+        const req = { method, path, headers: token ? { authorization: `Bearer ${token}` } : {} };
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                resolve({ status: this.statusCode, body, req });
+            }
+        };
+        policy.middleware()(req, res, () => resolve({ status: 'next', req }));
+    });
+}
+
+describe('AuthPolicy', () => {
+    const users = { admin: { id: 1, role: 'admin' }, leser: { id: 2, role: 'read-only' } };
+    const policy = new AuthPolicy([
+        { method: 'GET', path: '/api/health', roles: AuthPolicy.PUBLIC },
+        { method: 'GET', path: '/api/items/:id', roles: ['admin', 'read-only'] },
+        { method: 'POST', path: '/api/items', roles: ['admin'] },
+        { method: '*', path: '/api/admin/*', roles: ['admin'] }
+    ], { authenticate: async token => users[token] || null });
+
+    it('lehnt Routen ohne Eintrag ab', async () => {
+        const result = await invoke(policy, { path: '/api/unbekannt', token: 'admin' });
+        assert.equal(result.status, 403);
+    });
+
+    it('lässt öffentliche Routen ohne Token durch', async () => {
+        assert.equal((await invoke(policy, { path: '/api/health' })).status, 'next');
+    });
+
+    it('verlangt eine gültige Session', async () => {
+        assert.equal((await invoke(policy, { path: '/api/items/1' })).status, 401);
+        assert.equal((await invoke(policy, { path: '/api/items/1', token: 'falsch' })).status, 401);
+    });
+
+    it('prüft die Rolle und setzt req.user', async () => {
+        const allowed = await invoke(policy, { path: '/api/items/7', token: 'leser' });
+        assert.equal(allowed.status, 'next');
+        assert.equal(allowed.req.user.role, 'read-only');
+
+        assert.equal((await invoke(policy, { method: 'POST', path: '/api/items', token: 'leser' })).status, 403);
+        assert.equal((await invoke(policy, { method: 'DELETE', path: '/api/admin/x/y', token: 'leser' })).status, 403);
+        assert.equal((await invoke(policy, { method: 'DELETE', path: '/api/admin/x/y', token: 'admin' })).status, 'next');
+    });
+
+    it('passt :param auf genau ein Segment und behandelt HEAD wie GET', () => {
+        assert.ok(policy.findPolicy('HEAD', '/api/items/3'));
+        assert.equal(policy.findPolicy('GET', '/api/items/3/mehr'), null);
+        assert.equal(policy.findPolicy('GET', '/api/items'), null);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Auth-Policy im Server (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('hat für jede Route eine Policy und keine Route hinter dem 404-Handler', async () => {
+            const response = await server.request('GET', '/api/admin/auth-audit', { token: server.adminToken });
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.withoutPolicy.map(route => `${route.method} ${route.path}`), []);
+            assert.deepEqual(response.body.unreachable.map(route => `${route.method} ${route.path}`), []);
+        });
+
+        it('schützt Daten- und Import-Endpunkte', async () => {
+            const { token: reader } = await server.createUser({ username: 'leser', role: 'read-only' });
+            const { token: driver } = await server.createUser({ username: 'fahrer', role: 'driver', driver_id: 1 });
+
+            assert.equal((await server.request('GET', '/api/appointments')).status, 401);
+            assert.equal((await server.request('GET', '/api/appointments', { token: reader })).status, 200);
+            assert.equal((await server.request('GET', '/api/appointments', { token: driver })).status, 403);
+            assert.equal((await server.request('POST', '/api/routes/optimize', { token: reader, body: {} })).status, 403);
+
+            const upload = await server.upload('/api/admin/import-csv', { token: reader, filename: 'x.csv', content: 'a,b' });
+            assert.equal(upload.status, 403);
+            const anonymous = await server.upload('/api/admin/import-csv', { filename: 'x.csv', content: 'a,b' });
+            assert.equal(anonymous.status, 401);
+        });
+    });
+}
@@ -0,0 +1,105 @@
+// Benutzer, Rollen und Sichtbarkeit der Routen (user-003)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+for (const backend of BACKENDS) {
+    describe(`Auth und Fahrer-Sichtbarkeit (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('lehnt Requests ohne Token ab', async () => {
+            const response = await server.request('GET', '/api/routes/saved');
+            assert.equal(response.status, 401);
+        });
+
+        it('verlangt driver_id für Fahrer beim Anlegen', async () => {
+            const response = await server.request('POST', '/api/admin/users', {
+                token: server.adminToken,
+                body: { username: 'ohne.fahrer', password: 'password123', role: 'driver' }
+            });
+            assert.equal(response.status, 400);
+        });
+
+        it('meldet doppelte Benutzernamen mit 409', async () => {
+            await server.createUser({ username: 'planer1', role: 'planner' });
+            const response = await server.request('POST', '/api/admin/users', {
+                token: server.adminToken,
+                body: { username: 'planer1', password: 'password123', role: 'planner' }
+            });
+            assert.equal(response.status, 409);
+        });
+
+        it('lehnt driver_id = null für bestehende Fahrer ab, auch ohne role im Body', async () => {
+            const { user } = await server.createUser({ username: 'fahrer.put', role: 'driver', driver_id: 1 });
+            const response = await server.request('PUT', `/api/admin/users/${user.id}`, {
+                token: server.adminToken,
+                body: { driver_id: null }
+            });
+            assert.equal(response.status, 400);
+            const row = await server.db.get('SELECT driver_id FROM users WHERE id = ?', [user.id]);
+            assert.equal(row.driver_id, 1);
+        });
+
+        it('behandelt is_active: false wie 0 - kein Selbst-Aussperren, Sessions beendet', async () => {
+            const me = await server.request('GET', '/api/auth/me', { token: server.adminToken });
+            const self = await server.request('PUT', `/api/admin/users/${me.body.user.id}`, {
+                token: server.adminToken,
+                body: { is_active: false }
+            });
+            assert.equal(self.status, 409);
+
+            const { user, token } = await server.createUser({ username: 'planer.aus', role: 'planner' });
+            const invalid = await server.request('PUT', `/api/admin/users/${user.id}`, { token: server.adminToken, body: { is_active: 'vielleicht' } });
+            assert.equal(invalid.status, 400);
+
+            const response = await server.request('PUT', `/api/admin/users/${user.id}`, { token: server.adminToken, body: { is_active: false } });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.user.is_active, 0);
+            assert.equal((await server.request('GET', '/api/auth/me', { token })).status, 401);
+        });
+
+        it('entfernt driver_id, wenn ein Fahrer eine andere Rolle bekommt', async () => {
+            const { user } = await server.createUser({ username: 'fahrer.wird.planer', role: 'driver', driver_id: 1 });
+            const response = await server.request('PUT', `/api/admin/users/${user.id}`, { token: server.adminToken, body: { role: 'planner' } });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.user.driver_id, null);
+
+            const ignored = await server.request('PUT', `/api/admin/users/${user.id}`, { token: server.adminToken, body: { driver_id: 2 } });
+            assert.equal(ignored.body.user.driver_id, null);
+        });
+
+        it('zeigt Fahrern nur die eigenen Routen', async () => {
+            const { token } = await server.createUser({ username: 'fahrer.eins', role: 'driver', driver_id: 1 });
+            await server.db.run(`INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version)
+                VALUES ('Fremd', '2030-01-07', 2, '{"days":[]}', 1, 1)`);
+            await server.db.run(`INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version)
+                VALUES ('Eigen', '2030-01-07', 1, '{"days":[]}', 1, 1)`);
+
+            const response = await server.request('GET', '/api/routes/saved', { token });
+            assert.equal(response.status, 200);
+            const names = response.body.map(route => route.name);
+            assert.ok(names.includes('Eigen'));
+            assert.ok(!names.includes('Fremd'));
+        });
+
+        it('sperrt Fahrer ohne Fahrer-Zuordnung aus (403 statt aller Routen)', async () => {
+            const { user, token } = await server.createUser({ username: 'fahrer.los', role: 'driver', driver_id: 1 });
+            // Altbestand vor der Validierung: Fahrer-Konto ohne driver_id
+            await server.db.run('UPDATE users SET driver_id = NULL WHERE id = ?', [user.id]);
+
+            for (const path of ['/api/routes/saved', '/api/routes/versions', '/api/routes/stops', '/api/routes/active/2030-01-07']) {
+                const response = await server.request('GET', path, { token });
+                assert.equal(response.status, 403, path);
+            }
+        });
+    });
+}
@@ -0,0 +1,251 @@
+// Monats-/Projektbudgets, Alarme, Ausgaben-Zeitreihe und Kostenprognose (user-008)
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const SchemaMigrator = require('../schema-migrations');
+const { APIBudgetController } = require('../api-budget-controller');
+const BudgetAlertNotifier = require('../budget-alerts');
+const { CostForecaster } = require('../cost-forecast');
+const { HaversineRoutingProvider } = require('../routing-provider');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer, insertAppointment, waitFor, futureMonday } = require('./helpers/server');
+
+// Lokaler Empfänger für Webhook und E-Mail-Hook
+async function startReceiver() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, body: JSON.parse(body) });
+            res.statusCode = req.url === '/kaputt' ? 500 : 200;
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        received,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe('BudgetAlertNotifier', () => {
+    let receiver;
+
+    before(async () => {
+        receiver = await startReceiver();
+    });
+
+    after(() => receiver.close());
+
+    it('stellt per Webhook und E-Mail-Hook zu und meldet Fehler pro Kanal', async () => {
+        receiver.received.length = 0;
+        const notifier = new BudgetAlertNotifier({
+            webhookUrl: `${receiver.url}/hook`,
+            emailUrl: `${receiver.url}/kaputt`,
+            emailTo: 'planung@example.org'
+        });
+        assert.deepEqual(notifier.getChannels(), ['webhook', 'email']);
+
+        const delivery = await quietly(() => notifier.send({ scope: 'monthly', period: '2030-01', threshold: 80, percentage: 82, spent: 41, limit: 50 }));
+        assert.deepEqual(delivery.delivered, ['webhook']);
+        assert.equal(delivery.failed[0].channel, 'email');
+
+        const hook = receiver.received.find(entry => entry.path === '/hook').body;
+        assert.equal(hook.event, 'api_budget_alert');
+        assert.match(hook.text, /Monatsbudget \(2030-01\): 41\.00€ von 50€/);
+        const mail = receiver.received.find(entry => entry.path === '/kaputt').body;
+        assert.equal(mail.to, 'planung@example.org');
+        assert.match(mail.subject, /80% verbraucht/);
+    });
+
+    it('braucht für den E-Mail-Hook auch einen Empfänger', () => {
+        assert.deepEqual(new BudgetAlertNotifier({ emailUrl: 'http://localhost/mail' }).getChannels(), []);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Budgets und Alarme (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+        let receiver;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await quietly(() => new SchemaMigrator(db).migrate());
+            receiver = await startReceiver();
+        });
+
+        afterEach(async () => {
+            await receiver.close();
+            await db.cleanup();
+        });
+
+        const createController = () => quietly(async () => {
+            const controller = new APIBudgetController(5, {
+                alertThresholds: '50,100',
+                alertNotifier: new BudgetAlertNotifier({ webhookUrl: `${receiver.url}/hook` })
+            });
+            await controller.initialize(db);
+            return controller;
+        });
+
+        it('meldet jede Schwelle einmal, auch über Neustarts hinweg', async () => {
+            const controller = await createController();
+            await controller.setBudget('monthly', 0.1);
+            await quietly(async () => {
+                for (let i = 0; i < 22; i++) controller.registerAPICall('geocoding', 1);
+            });
+
+            const alerts = await waitFor(async () => {
+                const rows = await controller.getAlerts();
+                return rows.length === 2 && rows.every(row => row.status === 'sent') && rows;
+            }, { what: 'Budget-Alarme' });
+            assert.deepEqual(alerts.map(row => [row.scope, Number(row.threshold)]).sort(), [['monthly', 100], ['monthly', 50]]);
+            assert.equal(receiver.received.length, 2);
+
+            const restarted = await createController();
+            assert.equal(restarted.monthlyBudgetEUR, 0.1);
+            assert.equal(restarted.canMakeAPICall('geocoding', 1), false);
+            await quietly(async () => restarted.checkAlerts('default'));
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal((await restarted.getAlerts()).length, 2);
+            assert.equal(receiver.received.length, 2);
+        });
+
+        it('begrenzt Projekte getrennt vom globalen Budget', async () => {
+            const controller = await createController();
+            await controller.setBudget('daily', 0.01, 'messe');
+            await quietly(async () => {
+                controller.registerAPICall('geocoding', 2, { project: 'messe' });
+            });
+
+            assert.equal(await quietly(async () => controller.canMakeAPICall('geocoding', 1, 'messe')), false);
+            assert.equal(controller.canMakeAPICall('geocoding', 1, 'default'), true);
+            const budgets = controller.listBudgets();
+            assert.deepEqual(budgets.projects.map(p => [p.project, p.daily.limit, p.daily.percentage]), [['messe', 0.01, 100]]);
+
+            await controller.setBudget('daily', null, 'messe');
+            assert.equal(controller.canMakeAPICall('geocoding', 1, 'messe'), true);
+            await assert.rejects(controller.setBudget('daily', null), /nicht entfernt/);
+            await assert.rejects(controller.setBudget('weekly', 1), /Unbekannter Budget-Zeitraum/);
+        });
+
+        it('liefert die Ausgaben als lückenlose Zeitreihe', async () => {
+            const controller = await createController();
+            const insert = (date, type, project, cost) => db.run(
+                `INSERT INTO api_usage (usage_date, api_type, endpoint, project, calls, units, cost_eur)
+                 VALUES (?, ?, 'POST /api/routes/optimize', ?, 1, 1, ?)`, [date, type, project, cost]);
+            await insert('2030-01-30', 'geocoding', 'default', 0.5);
+            await insert('2030-02-01', 'geocoding', 'default', 0.25);
+            await insert('2030-02-01', 'distanceMatrix', 'messe', 1);
+
+            const daily = await controller.getSpendSeries({ from: '2030-01-30', to: '2030-02-01', groupBy: 'project' });
+            assert.deepEqual(daily.series.map(point => [point.period, point.costEUR]), [
+                ['2030-01-30', 0.5], ['2030-01-31', 0], ['2030-02-01', 1.25]
+            ]);
+            assert.deepEqual(daily.series[2].breakdown, { default: 0.25, messe: 1 });
+            assert.equal(daily.totalCostEUR, 1.75);
+
+            const monthly = await controller.getSpendSeries({ from: '2030-01-01', to: '2030-03-31', interval: 'month' });
+            assert.deepEqual(monthly.series.map(point => [point.period, point.costEUR]), [
+                ['2030-01', 0.5], ['2030-02', 1.25], ['2030-03', 0]
+            ]);
+        });
+    });
+}
+
+describe('CostForecaster', () => {
+    const google = { name: 'google', realistic: true };
+    const points = [{ lat: 52.37, lng: 9.73 }, { lat: 51.31, lng: 9.48 }, { lat: 51.54, lng: 9.91 }];
+
+    it('zählt jede Strecke und Adresse nur einmal und rechnet Google-Preise', async () => {
+        const budget = await quietly(async () => new APIBudgetController(5));
+        const forecaster = new CostForecaster(budget, { routingProvider: google, geocodingProvider: google });
+        const { routingProvider, geocodingProvider, dryRun } = forecaster.getPlannerOptions();
+        assert.equal(dryRun, true);
+
+        await routingProvider.table(points, points);
+        await routingProvider.route(points[0], points[1]);
+        await routingProvider.route(points[0], points[2], { traffic: true });
+        await geocodingProvider.geocode('Königsstraße 1, 34117 Kassel');
+        await geocodingProvider.geocode('  königsstraße 1, 34117 kassel ');
+
+        const report = forecaster.getReport('default');
+        assert.deepEqual(report.units, { geocoding: 1, distanceMatrix: 9, distanceMatrixAdvanced: 0 });
+        assert.equal(report.estimatedCostEUR, 0.095);
+        assert.equal(report.fitsBudget, true);
+    });
+
+    it('meldet, wenn die Prognose ein Budget sprengt, und rechnet freie Provider mit 0€', async () => {
+        const budget = await quietly(async () => new APIBudgetController(5, { monthlyBudgetEUR: 0.05 }));
+        const forecaster = new CostForecaster(budget, { routingProvider: google, geocodingProvider: google });
+        await forecaster.routing.table(points, points);
+        const report = forecaster.getReport('default');
+        assert.equal(report.fitsBudget, false);
+        assert.deepEqual(report.budgets.map(b => [b.scope, b.fits]), [['daily', true], ['monthly', false]]);
+
+        const free = new CostForecaster(budget, { routingProvider: new HaversineRoutingProvider(), geocodingProvider: { name: 'offline' } });
+        await free.routing.table(points, points);
+        assert.equal(free.getReport('default').estimatedCostEUR, 0);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Budget-Endpunkte (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+        let receiver;
+
+        before(async () => {
+            receiver = await startReceiver();
+            server = await startServer({ backend, env: { BUDGET_ALERT_WEBHOOK_URL: `${receiver.url}/hook` } });
+            await insertAppointment(server.db, { customer: 'Kunde Kassel', lat: 51.31, lng: 9.48, duration: 2 });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+            await receiver.close();
+        });
+
+        it('setzt Monats- und Projektbudgets und prüft die Werte', async () => {
+            const invalid = await server.request('POST', '/api/admin/set-budget', { token: server.adminToken, body: { monthlyBudgetEUR: -1 } });
+            assert.equal(invalid.status, 400);
+
+            const response = await server.request('POST', '/api/admin/set-budget', {
+                token: server.adminToken,
+                body: { monthlyBudgetEUR: 80, dailyBudgetEUR: 2, project: 'messe' }
+            });
+            assert.equal(response.status, 200, response.text);
+            assert.deepEqual(response.body.budgets.projects.map(p => [p.project, p.daily.limit, p.monthly.limit]), [['messe', 2, 80]]);
+
+            const status = await server.request('GET', '/api/admin/budget-status', { token: server.adminToken });
+            assert.deepEqual(status.body.alerts.channels, ['webhook']);
+        });
+
+        it('liefert die Zeitreihe und verschickt Test-Alarme', async () => {
+            const series = await server.request('GET', '/api/admin/budget/spend-series?from=2030-01-01&to=2030-01-03', { token: server.adminToken });
+            assert.equal(series.status, 200);
+            assert.equal(series.body.series.length, 3);
+            const bad = await server.request('GET', '/api/admin/budget/spend-series?interval=week', { token: server.adminToken });
+            assert.equal(bad.status, 400);
+
+            receiver.received.length = 0;
+            const test = await server.request('POST', '/api/admin/budget/alerts/test', { token: server.adminToken });
+            assert.equal(test.status, 200);
+            assert.deepEqual(test.body.delivered, ['webhook']);
+            assert.equal(receiver.received[0].body.alert.test, true);
+        });
+
+        it('prognostiziert die Kosten eines optimize-all-Laufs ohne zu speichern', async () => {
+            const response = await server.request('POST', '/api/routes/optimize-all/forecast', {
+                token: server.adminToken,
+                body: { startWeek: futureMonday() }
+            });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.simulation.appointments, 1);
+            assert.equal(response.body.forecast.estimatedCostEUR, 0);
+            assert.equal(response.body.forecast.fitsBudget, true);
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM saved_routes')).count, 0);
+        });
+    });
+}
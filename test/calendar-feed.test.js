@@ -0,0 +1,147 @@
+// iCalendar-Feeds aus gespeicherten Routen (user-009)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarFeedService = require('../calendar-feed');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+const ROUTE_DATA = {
+    days: [
+        {
+            date: '2030-03-25',
+            appointments: [{
+                id: 17,
+                customer: 'Müller, Schmidt & Co',
+                address: 'Königsstraße 1, 34117 Kassel',
+                status: 'bestätigt',
+                duration: 2,
+                startTime: '10:00',
+                endTime: '12:00',
+                lat: 51.3155,
+                lng: 9.4931,
+                notes: JSON.stringify({ customer_company: 'Müller GmbH', custom_notes: 'Drohne mitnehmen; Parkplatz im Hof' })
+            }],
+            travelSegments: [{ type: 'departure', from: 'Hannover', to: 'Kassel', distance: 166.4, duration: 1.75, startTime: '08:15', endTime: '10:00' }],
+            overnight: { city: 'Kassel', hotel: 'Hotel am Park', location: { lat: 51.31, lng: 9.48 } }
+        },
+        {
+            date: '2030-03-26',
+            appointments: [],
+            travelSegments: [{ type: 'return', from: 'Kassel', to: 'Hannover', startTime: '07:30', endTime: '09:15' }]
+        }
+    ]
+};
+
+// Gefaltete Zeilen wieder zusammensetzen
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+describe('CalendarFeedService.buildCalendar', () => {
+    const service = new CalendarFeedService(null);
+    const ics = service.buildCalendar(
+        [{ id: 4, driver_id: 1, route_data: JSON.stringify(ROUTE_DATA), updated_at: '2030-03-01 09:00:00' }],
+        { name: 'Touren Woche', drivers: { 1: 'Team Nord' } }
+    );
+    const lines = unfold(ics).split('\r\n');
+
+    it('erzeugt einen Termin pro Dreh, Fahrt und Hotelnacht', () => {
+        assert.equal(lines[0], 'BEGIN:VCALENDAR');
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.deepEqual(lines.filter(line => line.startsWith('UID:')), [
+            'UID:apt-17@tourenplaner',
+            'UID:travel-1-2030-03-25-0@tourenplaner',
+            'UID:hotel-1-2030-03-25@tourenplaner',
+            'UID:travel-1-2030-03-26-0@tourenplaner'
+        ]);
+        assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20300325T100000'));
+        assert.ok(lines.includes('DTSTAMP:20300301T090000Z'));
+        // Hotel bis zur ersten Abfahrt am Folgetag
+        assert.ok(lines.includes('DTEND;TZID=Europe/Berlin:20300326T073000'));
+    });
+
+    it('maskiert Sonderzeichen und übernimmt Adresse, Kunde und Notizen', () => {
+        assert.ok(lines.includes('SUMMARY:🎬 Dreh: Müller\\, Schmidt & Co (Müller GmbH)'));
+        assert.ok(lines.includes('LOCATION:Königsstraße 1\\, 34117 Kassel'));
+        assert.ok(lines.includes('GEO:51.3155;9.4931'));
+        const description = lines.find(line => line.startsWith('DESCRIPTION:Kunde'));
+        assert.match(description, /\\nNotiz: Drohne mitnehmen\\; Parkplatz im Hof\\n/);
+        assert.match(description, /Team: Team Nord$/);
+    });
+
+    it('faltet lange Zeilen nach 75 Oktetten', () => {
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+        }
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Kalender-Feed-Endpunkte (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+            await server.db.run(`INSERT INTO drivers (id, name, home_base, home_lat, home_lng)
+                VALUES (2, 'Team Süd', 'Hannover', 52.3759, 9.7320)`);
+            for (const driverId of [1, 2]) {
+                await server.db.run(`INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version)
+                    VALUES (?, '2030-03-25', ?, ?, 1, 1)`, [`Fahrer ${driverId}`, driverId, JSON.stringify(ROUTE_DATA)]);
+            }
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const createFeed = (token, body) => server.request('POST', '/api/calendar/feeds', { token, body });
+
+        it('liefert den Wochen-Feed über die Token-URL ohne Login', async () => {
+            const created = await createFeed(server.adminToken, { weekStart: '2030-03-25', driverId: 2 });
+            assert.equal(created.status, 201, created.text);
+            const url = new URL(created.body.url);
+            assert.match(url.pathname, /^\/api\/calendar\/feed\/[\w-]+\.ics$/);
+
+            const feed = await server.request('GET', url.pathname);
+            assert.equal(feed.status, 200);
+            assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+            assert.match(unfold(feed.text), /X-WR-CALNAME:Touren Woche 2030-03-25 - Team Süd/);
+            assert.equal(unfold(feed.text).match(/BEGIN:VEVENT/g).length, 4);
+
+            const row = await server.db.get('SELECT token_hash, last_used_at FROM calendar_feed_tokens WHERE id = ?', [created.body.feed.id]);
+            assert.ok(!row.token_hash.includes(url.pathname.split('/').pop().replace('.ics', '')));
+            assert.ok(row.last_used_at);
+        });
+
+        it('lässt Fahrer nur eigene Feeds anlegen und widerrufen', async () => {
+            const { token } = await server.createUser({ username: 'fahrer.kalender', role: 'driver', driver_id: 1 });
+            assert.equal((await createFeed(token, { driverId: 2 })).status, 403);
+
+            const own = await createFeed(token, {});
+            assert.equal(own.status, 201, own.text);
+            assert.equal(own.body.feed.scope, 'driver');
+            assert.equal(own.body.feed.driver_id, 1);
+
+            const list = await server.request('GET', '/api/calendar/feeds', { token });
+            assert.ok(list.body.feeds.every(feed => feed.driver_id === 1));
+
+            const foreign = await createFeed(server.adminToken, { driverId: 2 });
+            assert.equal((await server.request('DELETE', `/api/calendar/feeds/${foreign.body.feed.id}`, { token })).status, 403);
+        });
+
+        it('liefert widerrufene oder unbekannte Feeds nicht mehr aus', async () => {
+            const created = await createFeed(server.adminToken, { driverId: 1 });
+            const path = new URL(created.body.url).pathname;
+            assert.equal((await server.request('GET', path)).status, 200);
+
+            const revoke = await server.request('DELETE', `/api/calendar/feeds/${created.body.feed.id}`, { token: server.adminToken });
+            assert.equal(revoke.status, 200);
+            assert.equal((await server.request('GET', path)).status, 404);
+            assert.equal((await server.request('GET', '/api/calendar/feed/unbekannt.ics')).status, 404);
+        });
+
+        it('prüft weekStart und driverId', async () => {
+            assert.equal((await createFeed(server.adminToken, { weekStart: '25.03.2030' })).status, 400);
+            assert.equal((await createFeed(server.adminToken, {})).status, 400);
+            assert.equal((await createFeed(server.adminToken, { driverId: 99 })).status, 404);
+        });
+    });
+}
@@ -0,0 +1,227 @@
+// Fixe Termine aus .ics-Dateien und CalDAV (user-010)
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const SchemaMigrator = require('../schema-migrations');
+const CalendarImportService = require('../calendar-import');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+function calendar(events, method = 'PUBLISH') {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', `METHOD:${method}`, ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent({ uid, start, end, sequence = 0, status, customer = 'Anna Becker', location = 'Königsstraße 1, 34117 Kassel', extra = [] }) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTART;TZID=Europe/Berlin:${start}`,
+        `DTEND;TZID=Europe/Berlin:${end}`,
+        'SUMMARY:Videodreh',
+        'ORGANIZER:mailto:team@example.org',
+        `ATTENDEE;CN="${customer}":mailto:kunde@example.org`,
+        `LOCATION:${location.replace(/,/g, '\\,')}`,
+        ...(status ? [`STATUS:${status}`] : []),
+        ...extra,
+        'BEGIN:VALARM',
+        'TRIGGER:-PT30M',
+        'DESCRIPTION:Erinnerung',
+        'END:VALARM',
+        'END:VEVENT'
+    ];
+}
+
+describe('CalendarImportService.parseCalendar', () => {
+    const service = new CalendarImportService(null);
+
+    it('rechnet UTC und Zeitzonen in Ortszeit um und liest Teilnehmer, Ort und Dauer', () => {
+        const [event] = service.parseCalendar(calendar([[
+            'BEGIN:VEVENT',
+            'UID:utc-1',
+            'DTSTART:20300715T080000Z',
+            'DURATION:PT2H30M',
+            'SUMMARY:Dreh',
+            'ATTENDEE;CN="Müller\\, Hans":mailto:hans@example.org',
+            'LOCATION:Marktplatz 1\\, 30159',
+            '  Hannover',
+            'GEO:52.37;9.73',
+            'END:VEVENT'
+        ]]));
+        assert.equal(event.date, '2030-07-15');
+        assert.equal(event.time, '10:00');
+        assert.equal(event.duration, 2.5);
+        assert.equal(event.email, 'hans@example.org');
+        assert.equal(event.address, 'Marktplatz 1, 30159 Hannover');
+        assert.deepEqual(event.geo, { lat: 52.37, lng: 9.73 });
+    });
+
+    it('erkennt Absagen und überspringt ganztägige Events beim Zeitpunkt', () => {
+        const events = service.parseCalendar(calendar([
+            vevent({ uid: 'a', start: '20300110T100000', end: '20300110T120000' }),
+            ['BEGIN:VEVENT', 'UID:b', 'DTSTART;VALUE=DATE:20300111', 'END:VEVENT']
+        ], 'CANCEL'));
+        assert.equal(events[0].cancelled, true);
+        assert.equal(events[1].allDay, true);
+        assert.equal(events[1].time, null);
+    });
+
+    it('übersetzt Windows-Zeitzonen', () => {
+        const [event] = service.parseCalendar(calendar([[
+            'BEGIN:VEVENT', 'UID:w', 'DTSTART;TZID=W. Europe Standard Time:20300110T100000', 'END:VEVENT'
+        ]]));
+        assert.equal(event.time, '10:00');
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`CalendarImportService (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+        let service;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await quietly(() => new SchemaMigrator(db).migrate());
+            service = new CalendarImportService(db);
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        const importIcs = (text, options) => quietly(() => service.importCalendars(text, options));
+        const appointment = id => db.get('SELECT * FROM appointments WHERE id = ?', [id]);
+
+        it('legt fixe Termine an und aktualisiert sie bei neuer SEQUENCE', async () => {
+            const first = await importIcs(calendar([vevent({ uid: 'dreh-1', start: '20300110T100000', end: '20300110T123000' })]));
+            assert.equal(first.created.length, 1);
+            const id = first.created[0].appointment_id;
+            const created = await appointment(id);
+            assert.deepEqual([created.is_fixed, created.fixed_date, created.fixed_time, created.duration, created.customer],
+                [1, '2030-01-10', '10:00', 2.5, 'Anna Becker']);
+
+            const same = await importIcs(calendar([vevent({ uid: 'dreh-1', start: '20300110T100000', end: '20300110T123000' })]));
+            assert.equal(same.unchanged, 1);
+
+            const moved = await importIcs(calendar([vevent({ uid: 'dreh-1', sequence: 1, start: '20300111T140000', end: '20300111T160000' })]));
+            assert.equal(moved.updated.length, 1);
+            assert.match(moved.updated[0].changes.join(), /Zeit: 2030-01-10 10:00 → 2030-01-11 14:00/);
+            assert.equal((await appointment(id)).fixed_time, '14:00');
+
+            const stale = await importIcs(calendar([vevent({ uid: 'dreh-1', sequence: 0, start: '20300110T100000', end: '20300110T123000' })]));
+            assert.match(stale.skipped[0].reason, /Veraltete Version/);
+        });
+
+        it('sagt Termine bei STATUS:CANCELLED ab', async () => {
+            const first = await importIcs(calendar([vevent({ uid: 'dreh-2', start: '20300110T100000', end: '20300110T120000' })]));
+            const cancelled = await importIcs(calendar([vevent({ uid: 'dreh-2', sequence: 1, status: 'CANCELLED', start: '20300110T100000', end: '20300110T120000' })]));
+            assert.equal(cancelled.cancelled.length, 1);
+            const row = await appointment(first.created[0].appointment_id);
+            assert.equal(row.status, 'abgesagt');
+            assert.equal((await db.get("SELECT status FROM calendar_events WHERE event_key = 'dreh-2'")).status, 'cancelled');
+        });
+
+        it('ordnet Events bestehenden Terminen zu statt doppelt anzulegen', async () => {
+            const existing = await db.run(`INSERT INTO appointments (customer, address, status, duration, is_fixed, lat, lng, geocoded)
+                VALUES ('anna becker', 'Königsstraße 1, 34117 Kassel', 'vorschlag', 3, 0, 51.31, 9.49, 1)`);
+            const report = await importIcs(calendar([
+                vevent({ uid: 'dreh-3', start: '20300110T100000', end: '20300110T120000' }),
+                // Gleicher Kunde zur gleichen Zeit unter anderer UID
+                vevent({ uid: 'dreh-3-kopie', start: '20300110T100000', end: '20300110T120000' })
+            ]));
+            assert.deepEqual(report.linked.map(entry => [entry.appointment_id, entry.matched_by]), [[existing.lastID, 'kunde+adresse']]);
+            assert.equal(report.skipped.length, 1);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM appointments')).count, 1);
+            const row = await appointment(existing.lastID);
+            assert.deepEqual([row.is_fixed, row.fixed_date, row.lat], [1, '2030-01-10', 51.31]);
+        });
+
+        it('meldet Überschneidungen und speichert im Testlauf nichts', async () => {
+            await importIcs(calendar([vevent({ uid: 'dreh-4', start: '20300110T100000', end: '20300110T130000' })]));
+            const report = await importIcs(calendar([vevent({ uid: 'dreh-5', customer: 'Bernd Kurz', location: 'Am Markt 2, 30159 Hannover', start: '20300110T120000', end: '20300110T140000' })]), { dryRun: true });
+            assert.equal(report.created.length, 1);
+            assert.equal(report.created[0].appointment_id, null);
+            assert.equal(report.conflicts[0].conflictsWith.customer, 'Anna Becker');
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM appointments')).count, 1);
+        });
+    });
+}
+
+describe('CalDAV-Abgleich', () => {
+    let db;
+    let caldav;
+    let events;
+
+    before(async () => {
+        db = await BACKENDS[0].open();
+        await quietly(() => new SchemaMigrator(db).migrate());
+        // Antwortet auf REPORT mit einer multistatus-Antwort (calendar-data XML-maskiert)
+        caldav = http.createServer((req, res) => {
+            assert.equal(req.method, 'REPORT');
+            assert.equal(req.headers.authorization, `Basic ${Buffer.from('planer:geheim').toString('base64')}`);
+            const items = events.map(event => `<d:response><d:propstat><d:prop><c:calendar-data>${
+                calendar([event]).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            }</c:calendar-data></d:prop></d:propstat></d:response>`);
+            res.statusCode = 207;
+            res.end(`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">${items.join('')}</d:multistatus>`);
+        });
+        await new Promise(resolve => caldav.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(async () => {
+        await new Promise(resolve => caldav.close(resolve));
+        await db.cleanup();
+    });
+
+    it('importiert per REPORT und sagt aus dem Kalender entfernte Events ab', async () => {
+        const service = new CalendarImportService(db, {
+            caldavUrl: `http://127.0.0.1:${caldav.address().port}/cal/`,
+            caldavUsername: 'planer',
+            caldavPassword: 'geheim'
+        });
+        events = [
+            vevent({ uid: 'cal-1', start: '20300110T100000', end: '20300110T120000' }),
+            vevent({ uid: 'cal-2', customer: 'Bernd Kurz', location: 'Am Markt 2, 30159 Hannover', start: '20300111T100000', end: '20300111T120000' })
+        ];
+        const first = await quietly(() => service.syncCalDAV());
+        assert.equal(first.created.length, 2);
+
+        events = [events[0]];
+        const second = await quietly(() => service.syncCalDAV());
+        assert.equal(second.unchanged, 1);
+        assert.deepEqual(second.cancelled.map(entry => [entry.uid, entry.reason]), [['cal-2', 'Event nicht mehr im Kalender']]);
+
+        const status = await service.getStatus();
+        assert.equal(status.caldav.last_sync.success, true);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`ICS-Upload-Endpunkt (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('importiert hochgeladene .ics-Dateien und lehnt anderes ab', async () => {
+            const upload = content => server.upload('/api/admin/import-ics', {
+                token: server.adminToken, field: 'icsFile', filename: 'buchung.ics', type: 'text/calendar', content
+            });
+
+            assert.equal((await upload('kein kalender')).status, 400);
+            const response = await upload(calendar([vevent({ uid: 'upload-1', start: '20300110T100000', end: '20300110T120000' })]));
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.stats.created, 1);
+            const row = await server.db.get("SELECT is_fixed, fixed_date, import_source FROM appointments WHERE customer = 'Anna Becker'");
+            assert.deepEqual({ ...row }, { is_fixed: 1, fixed_date: '2030-01-10', import_source: 'calendar' });
+
+            const caldav = await server.request('POST', '/api/admin/caldav/sync', { token: server.adminToken, body: {} });
+            assert.equal(caldav.status, 400);
+        });
+    });
+}
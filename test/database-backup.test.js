@@ -0,0 +1,103 @@
+// Backups, Wiederherstellung und anonymisierter Snapshot (user-024, nur SQLite)
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DatabaseBackupService = require('../database-backup');
+const SchemaMigrator = require('../schema-migrations');
+const RouteVersionService = require('../route-versions');
+const { SqliteDatabase } = require('../database');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { tempDir, insertAppointment } = require('./helpers/server');
+
+const sqlite = BACKENDS.find(backend => backend.client === 'sqlite');
+
+describe('DatabaseBackupService', () => {
+    let db;
+    let dir;
+    let backups;
+
+    beforeEach(async () => {
+        db = await sqlite.open();
+        dir = tempDir();
+        await quietly(() => new SchemaMigrator(db).migrate());
+        backups = new DatabaseBackupService(db, { directory: dir, intervalHours: 0, keep: 2 });
+    });
+
+    afterEach(async () => {
+        await db.cleanup();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stellt ein Backup wieder her und sichert den Stand davor', async () => {
+        await insertAppointment(db, { customer: 'Vorher' });
+        const backup = await quietly(() => backups.createBackup());
+        await db.run("UPDATE appointments SET customer = 'Nachher'");
+
+        const result = await quietly(() => backups.restore(backup.name));
+        assert.equal(result.restored, backup.name);
+        assert.equal(result.safetyBackup.reason, 'pre-restore');
+        assert.equal((await db.get('SELECT customer FROM appointments')).customer, 'Vorher');
+    });
+
+    it('behält je Anlass nur die neuesten Backups', async () => {
+        for (let i = 0; i < 3; i++) {
+            await quietly(() => backups.createBackup());
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        assert.equal((await backups.listBackups()).length, 2);
+    });
+
+    it('anonymisiert Namen, Adressen und rundet Koordinaten', async () => {
+        const id = await insertAppointment(db, {
+            customer: 'Erika Mustermann', address: 'Geheimweg 7, 30159 Hannover', lat: 52.376543, lng: 9.732198
+        });
+        await db.run(`INSERT INTO drivers (id, name, home_base, home_lat, home_lng)
+            VALUES (1, 'Max Fahrer', 'Privatstraße 3, 30161 Hannover', 52.391234, 9.745678)`);
+        await db.run('INSERT INTO distance_cache (origin_lat, origin_lng, dest_lat, dest_lng, distance, duration) VALUES (52.376543, 9.732198, 52.391234, 9.745678, 2, 0.1)');
+        await new RouteVersionService(db).saveVersion({
+            name: 'Woche',
+            weekStart: '2030-01-07',
+            driverId: 1,
+            routeData: {
+                days: [{
+                    date: '2030-01-07',
+                    day: 'Montag',
+                    appointments: [{ id, customer: 'Erika Mustermann', address: 'Geheimweg 7, 30159 Hannover', lat: 52.376543, lng: 9.732198 }],
+                    travelSegments: [{ type: 'departure', from: 'Privatstraße 3, 30161 Hannover', to: 'Erika Mustermann' }],
+                    overnight: { city: 'Hannover', location: { lat: 52.376543, lng: 9.732198 } }
+                }]
+            }
+        });
+
+        const snapshot = await quietly(() => backups.createAnonymizedSnapshot());
+        const file = path.join(dir, snapshot.filename);
+        fs.writeFileSync(file, snapshot.body);
+        const copy = await new SqliteDatabase({ filename: file }).ready;
+        try {
+            const apt = await copy.get('SELECT customer, address, lat, lng FROM appointments');
+            assert.deepEqual({ ...apt }, { customer: `Testkunde ${id}`, address: apt.address, lat: 52.38, lng: 9.73 });
+            assert.match(apt.address, /30159 Hannover$/);
+            assert.doesNotMatch(apt.address, /Geheimweg/);
+
+            const driver = await copy.get('SELECT name, home_lat, home_lng FROM drivers');
+            assert.deepEqual({ ...driver }, { name: 'Fahrer 1', home_lat: 52.39, home_lng: 9.75 });
+
+            const stop = await copy.get('SELECT customer, lat, lng FROM route_stops');
+            assert.deepEqual({ ...stop }, { customer: `Testkunde ${id}`, lat: 52.38, lng: 9.73 });
+            const overnight = await copy.get('SELECT lat, lng FROM route_overnights');
+            assert.deepEqual({ ...overnight }, { lat: 52.38, lng: 9.73 });
+
+            const routeData = (await copy.get('SELECT route_data FROM saved_routes')).route_data;
+            assert.doesNotMatch(routeData, /Mustermann|Geheimweg|Privatstraße|52\.3765|9\.7321/);
+            const day = JSON.parse(routeData).days[0];
+            assert.deepEqual([day.appointments[0].lat, day.appointments[0].lng], [52.38, 9.73]);
+            assert.deepEqual(day.overnight.location, { lat: 52.38, lng: 9.73 });
+
+            assert.equal((await copy.get('SELECT COUNT(*) AS count FROM distance_cache')).count, 0);
+            assert.equal((await copy.get('SELECT COUNT(*) AS count FROM users')).count, 0);
+        } finally {
+            await copy.close();
+        }
+    });
+});
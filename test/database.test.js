@@ -0,0 +1,210 @@
+// Datenzugriff (database.js) gegen SQLite und - mit TEST_DATABASE_URL - PostgreSQL
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { toPostgres, createDatabase, isUniqueViolation } = require('../database');
+const { BACKENDS } = require('./helpers/database');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const backend of BACKENDS) {
+    describe(`database.js (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await db.run(`CREATE TABLE items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                owner_id INTEGER,
+                meta TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        it('liefert lastID/changes per Promise und per Callback', async () => {
+            const first = await db.run('INSERT INTO items (name) VALUES (?)', ['a']);
+            assert.equal(first.lastID, 1);
+            assert.equal(first.changes, 1);
+
+            const second = await new Promise((resolve, reject) => {
+                db.run('INSERT INTO items (name) VALUES (?)', ['b'], function(err) {
+                    if (err) reject(err);
+                    else resolve({ lastID: this.lastID, changes: this.changes });
+                });
+            });
+            assert.equal(second.lastID, 2);
+
+            const rows = await new Promise((resolve, reject) => {
+                db.all('SELECT name FROM items ORDER BY id', (err, result) => err ? reject(err) : resolve(result));
+            });
+            assert.deepEqual(rows.map(row => row.name), ['a', 'b']);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM items')).count, 2);
+        });
+
+        it('setzt die Sequenz nach expliziten IDs fort', async () => {
+            await db.run("INSERT INTO items (id, name) VALUES (5, 'fest')");
+            const next = await db.run("INSERT INTO items (name) VALUES ('auto')");
+            assert.equal(next.lastID, 6);
+        });
+
+        it('erkennt doppelte Schlüssel als UNIQUE-Verletzung', async () => {
+            await db.run("INSERT INTO items (name) VALUES ('x')");
+            const error = await db.run("INSERT INTO items (name) VALUES ('x')").catch(err => err);
+            assert.ok(db.isUniqueViolation(error));
+            assert.ok(isUniqueViolation(error));
+
+            const notNull = await db.run('INSERT INTO items (name) VALUES (NULL)').catch(err => err);
+            assert.ok(notNull instanceof Error);
+            assert.equal(db.isUniqueViolation(notNull), false);
+        });
+
+        it('rollt eine fehlgeschlagene Transaktion vollständig zurück', async () => {
+            await assert.rejects(db.transaction(async () => {
+                await db.run("INSERT INTO items (name) VALUES ('weg')");
+                throw new Error('abbrechen');
+            }), /abbrechen/);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM items')).count, 0);
+        });
+
+        it('verwirft bei verschachtelten Transaktionen nur den Savepoint', async () => {
+            await db.transaction(async () => {
+                await db.run("INSERT INTO items (name) VALUES ('eins')");
+                const error = await db.transaction(() => db.run("INSERT INTO items (name) VALUES ('eins')")).catch(err => err);
+                assert.ok(db.isUniqueViolation(error));
+                await db.run("INSERT INTO items (name) VALUES ('zwei')");
+            });
+            const rows = await db.all('SELECT name FROM items ORDER BY id');
+            assert.deepEqual(rows.map(row => row.name), ['eins', 'zwei']);
+        });
+
+        it('nimmt Anweisungen von außerhalb nicht in eine laufende Transaktion auf', async () => {
+            let release;
+            const gate = new Promise(resolve => { release = resolve; });
+
+            const transaction = db.transaction(async () => {
+                await db.run("INSERT INTO items (name) VALUES ('in-tx')");
+                await gate;
+                throw new Error('rollback');
+            }).catch(error => error);
+
+            await delay(20);
+            // Zweiter "Request" während die Transaktion offen ist
+            const outside = db.run("INSERT INTO items (name) VALUES ('draußen')");
+            await delay(20);
+            release();
+
+            assert.match((await transaction).message, /rollback/);
+            await outside;
+            const rows = await db.all('SELECT name FROM items ORDER BY id');
+            assert.deepEqual(rows.map(row => row.name), ['draußen']);
+        });
+
+        it('führt Transaktionen nacheinander aus', async () => {
+            const order = [];
+            await Promise.all([1, 2, 3].map(n => db.transaction(async () => {
+                order.push(`start ${n}`);
+                await db.run('INSERT INTO items (name) VALUES (?)', [`t${n}`]);
+                await delay(5);
+                order.push(`ende ${n}`);
+            })));
+            if (db.client === 'sqlite') {
+                assert.deepEqual(order, ['start 1', 'ende 1', 'start 2', 'ende 2', 'start 3', 'ende 3']);
+            }
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM items')).count, 3);
+        });
+
+        it('kennt Tabellen und Spalten', async () => {
+            assert.equal(await db.hasTable('items'), true);
+            assert.equal(await db.hasTable('gibt_es_nicht'), false);
+            assert.deepEqual(await db.columns('items'), ['id', 'name', 'owner_id', 'meta', 'created_at']);
+            assert.deepEqual(await db.columns('gibt_es_nicht'), []);
+        });
+
+        it('liefert Datum und Zeit als Text wie SQLite', async () => {
+            await db.run("INSERT INTO items (name) VALUES ('zeit')");
+            const row = await db.get('SELECT created_at FROM items');
+            assert.match(row.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+            assert.equal(typeof (await db.get('SELECT COUNT(*) AS count FROM items')).count, 'number');
+        });
+
+        it('übersetzt die Dialekt-Bausteine in db.sql', async () => {
+            await db.run("INSERT INTO items (name, owner_id, meta) VALUES ('json', NULL, '{\"a\":{\"b\":\"c\"}}')");
+
+            const recent = await db.get(`SELECT COUNT(*) AS count FROM items WHERE created_at > ${db.sql.ago(1, 'day')}`);
+            assert.equal(recent.count, 1);
+            const old = await db.get(`SELECT COUNT(*) AS count FROM items WHERE created_at < ${db.sql.ago(1, 'day')}`);
+            assert.equal(old.count, 0);
+
+            const dates = await db.get(`SELECT ${db.sql.today()} AS today, ${db.sql.localDate(null, '2')} AS before,
+                ${db.sql.daysSince("'2000-01-01'")} AS days, ${db.sql.greatest('0', '-3')} AS zero`);
+            const today = new Date();
+            const local = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+            assert.equal(dates.today, local);
+            assert.match(dates.before, /^\d{4}-\d{2}-\d{2}$/);
+            assert.ok(dates.days > 9000);
+            assert.equal(dates.zero, 0);
+
+            assert.equal((await db.get(`SELECT ${db.sql.jsonGet('meta', 'a.b')} AS value FROM items`)).value, 'c');
+            await db.run(`UPDATE items SET meta = ${db.sql.jsonSet('meta', 'x')}`, [JSON.stringify({ y: 1 })]);
+            assert.deepEqual(JSON.parse((await db.get('SELECT meta FROM items')).meta), { a: { b: 'c' }, x: { y: 1 } });
+
+            const same = await db.get(`SELECT COUNT(*) AS count FROM items WHERE ${db.sql.isSame('owner_id')}`, [null]);
+            assert.equal(same.count, 1);
+        });
+
+        it('ruft den Callback von close() auf', async () => {
+            const extra = await backend.open();
+            await new Promise((resolve, reject) => extra.close(err => err ? reject(err) : resolve()));
+            extra.close = async () => {};
+            await extra.cleanup();
+        });
+    });
+}
+
+describe('toPostgres', () => {
+    it('ersetzt Platzhalter, aber nicht in Zeichenketten', () => {
+        const { text, values } = toPostgres("SELECT * FROM t WHERE a = ? AND b = '?' AND c = ?", [1, true]);
+        assert.equal(text, "SELECT * FROM t WHERE a = $1 AND b = '?' AND c = $2");
+        assert.deepEqual(values, [1, 1]);
+    });
+
+    it('übersetzt SQLite-DDL', () => {
+        const { text } = toPostgres(`CREATE TABLE x (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            at DATETIME,
+            value REAL,
+            parent_id INTEGER,
+            FOREIGN KEY (parent_id) REFERENCES x (id) ON DELETE CASCADE
+        )`);
+        assert.match(text, /id SERIAL PRIMARY KEY/);
+        assert.match(text, /at TIMESTAMP/);
+        assert.match(text, /value DOUBLE PRECISION/);
+        assert.doesNotMatch(text, /FOREIGN KEY/);
+    });
+
+    it('ergänzt RETURNING und erkennt explizite IDs', () => {
+        assert.match(toPostgres('INSERT INTO a (name) VALUES (?)', ['x']).text, /RETURNING \*$/);
+        assert.equal(toPostgres('INSERT INTO drivers (id, name) VALUES (1, ?)', ['x']).explicitIdTable, 'drivers');
+        assert.equal(toPostgres('INSERT INTO a (name) VALUES (?) RETURNING id', ['x']).text.match(/RETURNING/g).length, 1);
+    });
+});
+
+describe('createDatabase', () => {
+    it('lehnt unbekannte Backends ab', () => {
+        assert.throws(() => createDatabase({ client: 'mysql' }), /Unbekannter DB_CLIENT/);
+    });
+
+    it('verlangt DATABASE_URL für PostgreSQL', () => {
+        const saved = process.env.DATABASE_URL;
+        delete process.env.DATABASE_URL;
+        try {
+            assert.throws(() => createDatabase({ client: 'postgres' }), /DATABASE_URL/);
+        } finally {
+            if (saved !== undefined) process.env.DATABASE_URL = saved;
+        }
+    });
+});
@@ -0,0 +1,155 @@
+// Entscheidungsprotokoll je Termin: eingeplant, verschoben, abgelehnt (user-020)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const DecisionLog = require('../decision-log');
+const IntelligentRoutePlanner = require('../intelligent-route-planner-fixed');
+const { createRoutingProvider } = require('../routing-provider');
+const { createGeocodingProvider } = require('../geocoding-provider');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+const weekStart = futureMonday();
+const MONDAY = { date: '2030-01-07', day: 'Montag' };
+const TUESDAY = { date: '2030-01-08', day: 'Dienstag' };
+
+describe('DecisionLog', () => {
+    const block = (id, startTime = '09:00') => ({ id, startTime, endTime: '11:00' });
+
+    it('leitet Ergebnis und entscheidende Regel aus dem fertigen Plan ab', () => {
+        const log = new DecisionLog();
+        const placed = { id: 1, customer: 'Eingeplant', address: 'A' };
+        const moved = { id: 2, customer: 'Verlegt', address: 'B' };
+        const deferred = { id: 3, customer_company: 'Verschoben GmbH', address: 'C' };
+        const rejected = { id: 4, customer: 'Abgelehnt', address: 'D' };
+        const unseen = { id: 5, customer: 'Nie geprüft', address: 'E' };
+        [placed, moved, deferred, rejected, unseen].forEach(apt => log.track(apt));
+
+        log.reject(placed, MONDAY, 'daily_hours', 'Montag voll');
+        log.reject(placed, MONDAY, 'daily_hours', 'doppelt geprüft');
+        log.place(placed, TUESDAY, 'sequence', 'Nächster Termin');
+        log.place(moved, MONDAY, 'sequence', 'Nächster Termin');
+        log.reject(deferred, MONDAY, 'max_single_travel', 'zu weit ab Hannover');
+        log.place(deferred, TUESDAY, 'sequence', 'Nächster Termin');
+        log.unplace(deferred, TUESDAY, 'friday_return', 'Rückkehr bis 17:00 nicht möglich');
+        log.reject(rejected, null, 'missing_geocode', 'Adresse nicht gefunden');
+
+        const { entries, summary } = log.build([
+            { ...MONDAY, appointments: [] },
+            { ...TUESDAY, appointments: [block(1), block(2, '13:00')] }
+        ]);
+
+        assert.deepEqual(entries.map(entry => [entry.appointmentId, entry.outcome, entry.constraint]), [
+            [1, 'placed', 'sequence'],
+            [2, 'placed', 'local_search'],
+            [3, 'deferred', 'friday_return'],
+            [4, 'rejected', 'missing_geocode'],
+            [5, 'deferred', 'region_not_visited']
+        ]);
+        assert.deepEqual(entries[0].alternatives.map(a => a.reason), ['Montag voll']);
+        assert.equal(entries[1].reason, 'Von Montag auf Dienstag verlegt');
+        assert.deepEqual([entries[1].date, entries[1].startTime], [TUESDAY.date, '13:00']);
+        assert.equal(entries[2].customer, 'Verschoben GmbH');
+        assert.equal(entries[3].constraintLabel, DecisionLog.CONSTRAINTS.missing_geocode);
+        assert.deepEqual(summary, {
+            placed: 2, deferred: 2, rejected: 1,
+            byConstraint: { friday_return: 1, missing_geocode: 1, region_not_visited: 1 }
+        });
+    });
+});
+
+describe('Entscheidungsprotokoll der Wochenplanung', () => {
+    const sqlite = BACKENDS.find(backend => backend.client === 'sqlite');
+    let db;
+    let decisions;
+
+    before(async () => {
+        db = await sqlite.open();
+        await quietly(() => new SchemaMigrator(db).migrate());
+
+        const base = { duration: 2, status: 'vorschlag', priority: 'mittel', pipeline_days: 0, is_fixed: 0, geocoded: 1 };
+        const appointments = [
+            { ...base, id: 1, customer: 'Nah', address: 'Georgstraße 5, 30159 Hannover', lat: 52.38, lng: 9.74 },
+            { ...base, id: 2, customer: 'Fix', address: 'Markt 1, 30159 Hannover', lat: 52.37, lng: 9.73,
+                is_fixed: 1, fixed_date: weekStart, fixed_time: '10:00', status: 'bestätigt' },
+            { ...base, id: 3, customer: 'Fix später', address: 'Markt 2, 30159 Hannover', lat: 52.37, lng: 9.73,
+                is_fixed: 1, fixed_date: '2099-01-05', fixed_time: '10:00' },
+            { ...base, id: 4, customer: 'Unbekannt', address: 'Nirgendweg 1, 99999 Nirgendwo', lat: null, lng: null, geocoded: 0 },
+            { ...base, id: 5, customer: 'Lissabon', address: 'Rua Augusta 1, Lisboa', lat: 38.71, lng: -9.14 },
+            { ...base, id: 6, customer: 'Im Urlaub', address: 'Markt 3, 30159 Hannover', lat: 52.36, lng: 9.72,
+                excluded_dates: JSON.stringify([0, 1, 2, 3, 4].map(offset => {
+                    const date = new Date(`${weekStart}T12:00:00Z`);
+                    date.setUTCDate(date.getUTCDate() + offset);
+                    return date.toISOString().split('T')[0];
+                })) }
+        ];
+
+        const planner = new IntelligentRoutePlanner(db, {
+            routingProvider: createRoutingProvider({ provider: 'haversine' }),
+            geocodingProvider: createGeocodingProvider({ provider: 'offline', db }),
+            localSearch: { timeLimitMs: 0 }
+        });
+        const result = await quietly(() => planner.optimizeWeek(appointments, weekStart, 1));
+        decisions = result.decisions;
+    });
+
+    after(async () => {
+        if (db) await db.cleanup();
+    });
+
+    const entry = id => decisions.entries.find(e => e.appointmentId === id);
+
+    it('führt jeden Termin der Eingabe genau einmal', () => {
+        assert.deepEqual(decisions.entries.map(e => e.appointmentId), [1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(decisions.summary, {
+            placed: 2, deferred: 1, rejected: 3,
+            byConstraint: { outside_week: 1, missing_geocode: 1, max_single_travel: 1, time_window: 1 }
+        });
+    });
+
+    it('nennt für eingeplante Termine Tag, Uhrzeit und Regel', () => {
+        assert.deepEqual([entry(2).outcome, entry(2).constraint, entry(2).startTime], ['placed', 'fixed', '10:00']);
+        assert.equal(entry(1).outcome, 'placed');
+        assert.equal(entry(1).date, weekStart);
+        assert.equal(entry(1).constraint, 'gap_fill');
+    });
+
+    it('begründet abgelehnte und verschobene Termine mit der entscheidenden Regel', () => {
+        assert.deepEqual([entry(3).outcome, entry(3).constraint], ['rejected', 'outside_week']);
+        assert.deepEqual([entry(4).outcome, entry(4).constraint], ['rejected', 'missing_geocode']);
+        assert.match(entry(4).reason, /nicht gefunden \(offline\)/);
+        assert.deepEqual([entry(5).outcome, entry(5).constraint], ['rejected', 'max_single_travel']);
+        assert.ok(entry(5).alternatives.every(a => a.date !== null));
+
+        // Sperrtage gelten nur für diese Woche - der Termin wird verschoben, nicht verworfen
+        assert.deepEqual([entry(6).outcome, entry(6).constraint], ['deferred', 'time_window']);
+        assert.ok(entry(6).alternatives.length >= 1);
+        assert.match(entry(6).reason, /Sperrtag/);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Entscheidungsprotokoll über die API (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('liefert das Protokoll mit der geplanten Route', async () => {
+            const id = await insertAppointment(server.db, { customer: 'Kunde API', duration: 2 });
+            const response = await server.request('POST', '/api/routes/optimize', {
+                token: server.adminToken,
+                body: { weekStart, driverId: 1, forceNew: true }
+            });
+            assert.equal(response.status, 200, response.text);
+            const { decisions } = response.body.route;
+            assert.deepEqual(decisions.entries.map(e => [e.appointmentId, e.outcome]), [[id, 'placed']]);
+            assert.equal(decisions.summary.placed, 1);
+        });
+    });
+}
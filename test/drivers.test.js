@@ -0,0 +1,103 @@
+// Fahrer-Verwaltung mit Basis und Arbeitszeit-Profil (user-002)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+for (const backend of BACKENDS) {
+    describe(`Fahrer-API (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+        let driverId;
+
+        before(async () => {
+            server = await startServer({ backend });
+            // Offline-Geocoding kennt nur, was in geo_postcodes steht
+            await server.db.run(`INSERT INTO geo_postcodes (plz, city, city_normalized, lat, lng)
+                VALUES ('34117', 'Kassel', 'kassel', 51.3155, 9.4924)`);
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const request = (method, path, body) => server.request(method, path, { token: server.adminToken, body });
+
+        it('legt einen Fahrer mit geocodierter Basis und Profil an', async () => {
+            const response = await request('POST', '/api/drivers', {
+                name: 'Kassel-Team',
+                home_base: 'Königsplatz 1, 34117 Kassel',
+                start_time: '7:30',
+                max_hours_per_day: 9
+            });
+            assert.equal(response.status, 201, response.text);
+            assert.equal(response.body.geocoded, true);
+            driverId = response.body.driver.id;
+            assert.equal(response.body.driver.start_time, '07:30');
+            assert.equal(response.body.driver.max_hours_per_day, 9);
+            assert.ok(Math.abs(response.body.driver.home_lat - 51.3155) < 0.01);
+        });
+
+        it('prüft Pflichtfelder und Wertebereiche', async () => {
+            const missing = await request('POST', '/api/drivers', { name: 'Ohne Basis' });
+            assert.equal(missing.status, 400);
+
+            const invalid = await request('PUT', `/api/drivers/${driverId}`, { start_time: '25:00', max_hours_per_day: 30 });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.details.length, 2);
+
+            const empty = await request('PUT', `/api/drivers/${driverId}`, {});
+            assert.equal(empty.status, 400);
+        });
+
+        it('ändert das Profil und liefert 404 für unbekannte Fahrer', async () => {
+            const response = await request('PUT', `/api/drivers/${driverId}`, { max_hours_per_week: 32 });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.driver.max_hours_per_week, 32);
+            assert.equal(response.body.driver.name, 'Kassel-Team');
+
+            assert.equal((await request('GET', '/api/drivers/99999')).status, 404);
+            assert.equal((await request('PUT', '/api/drivers/99999', { name: 'x' })).status, 404);
+        });
+
+        it('löscht keinen Fahrer mit Routen, auch nicht mit älteren Versionen', async () => {
+            await server.db.run(`INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version)
+                VALUES ('Aktiv', '2030-01-07', ?, '{"days":[]}', 1, 1)`, [driverId]);
+            const blocked = await request('DELETE', `/api/drivers/${driverId}`);
+            assert.equal(blocked.status, 409);
+            assert.deepEqual(blocked.body.dependents, { activeRoutes: 1, routeVersions: 0, users: 0, calendarFeeds: 0 });
+
+            await server.db.run('UPDATE saved_routes SET is_active = 0 WHERE driver_id = ?', [driverId]);
+            const versions = await request('DELETE', `/api/drivers/${driverId}`);
+            assert.equal(versions.status, 409);
+            assert.match(versions.body.error, /1 ältere Routen-Version/);
+
+            await server.db.run('DELETE FROM saved_routes WHERE driver_id = ?', [driverId]);
+            assert.equal((await request('DELETE', `/api/drivers/${driverId}`)).status, 200);
+        });
+
+        it('löscht keinen Fahrer mit Benutzern oder Kalender-Feeds', async () => {
+            const created = await request('POST', '/api/drivers', { name: 'Ersatz', home_base: 'Königsplatz 1, 34117 Kassel' });
+            const spareId = created.body.driver.id;
+            const { user } = await server.createUser({ username: 'fahrer.ersatz', role: 'driver', driver_id: spareId });
+            const feed = await request('POST', '/api/calendar/feeds', { driverId: spareId });
+            assert.equal(feed.status, 201, feed.text);
+
+            const blocked = await request('DELETE', `/api/drivers/${spareId}`);
+            assert.equal(blocked.status, 409);
+            assert.deepEqual(blocked.body.dependents, { activeRoutes: 0, routeVersions: 0, users: 1, calendarFeeds: 1 });
+
+            // Benutzer umhängen, Feed widerrufen - dann geht es
+            assert.equal((await request('PUT', `/api/admin/users/${user.id}`, { driver_id: 1 })).status, 200);
+            assert.equal((await request('DELETE', `/api/calendar/feeds/${feed.body.feed.id}`)).status, 200);
+            assert.equal((await request('DELETE', `/api/drivers/${spareId}`)).status, 200);
+            const tokens = await server.db.get('SELECT COUNT(*) AS count FROM calendar_feed_tokens WHERE driver_id = ?', [spareId]);
+            assert.equal(Number(tokens.count), 0);
+        });
+
+        it('behält den letzten Fahrer', async () => {
+            const drivers = (await request('GET', '/api/drivers')).body;
+            assert.equal(drivers.length, 1);
+            assert.equal((await request('DELETE', `/api/drivers/${drivers[0].id}`)).status, 409);
+        });
+    });
+}
@@ -0,0 +1,64 @@
+// Termindauer je Termin statt fester 3 Stunden (user-017)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('./helpers/database');
+const { startServer, insertAppointment } = require('./helpers/server');
+
+for (const backend of BACKENDS) {
+    describe(`Termin bestätigen mit individueller Dauer (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+            // Ganztägige Produktion 09:00-17:00
+            await insertAppointment(server.db, {
+                customer: 'Produktion', duration: 8, is_fixed: 1, fixed_date: '2030-03-04', fixed_time: '09:00'
+            });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const confirm = (id, fixed_time) => server.request('PATCH', `/api/appointments/${id}/confirm`, {
+            token: server.adminToken,
+            body: { fixed_date: '2030-03-04', fixed_time }
+        });
+
+        it('ist erreichbar (vor dem 404-Handler registriert)', async () => {
+            const response = await confirm(999999, '10:00');
+            assert.equal(response.status, 404);
+            assert.equal(response.body.error, 'Termin nicht gefunden');
+        });
+
+        it('meldet einen Konflikt innerhalb eines langen Termins', async () => {
+            const interview = await insertAppointment(server.db, { customer: 'Interview', duration: 1.5, status: 'vorschlag' });
+            // Mit pauschal 3 Stunden wäre die Produktion um 12:00 vorbei
+            const response = await confirm(interview, '14:00');
+            assert.equal(response.status, 409);
+            assert.equal(response.body.conflict.customer, 'Produktion');
+
+            const row = await server.db.get('SELECT is_fixed FROM appointments WHERE id = ?', [interview]);
+            assert.equal(row.is_fixed, 0);
+        });
+
+        it('bestätigt einen kurzen Termin direkt vor und nach dem langen', async () => {
+            const early = await insertAppointment(server.db, { customer: 'Früh', duration: 1.5, status: 'vorschlag' });
+            // 07:30 + 1,5 h endet genau um 09:00
+            assert.equal((await confirm(early, '07:30')).status, 200);
+
+            const late = await insertAppointment(server.db, { customer: 'Spät', duration: 1.5, status: 'vorschlag' });
+            const response = await confirm(late, '17:00');
+            assert.equal(response.status, 200);
+            const row = await server.db.get('SELECT is_fixed, fixed_time, status FROM appointments WHERE id = ?', [late]);
+            assert.deepEqual({ ...row }, { is_fixed: 1, fixed_time: '17:00', status: 'bestätigt' });
+        });
+
+        it('prüft die eigene Dauer des langen Termins gegen bestehende', async () => {
+            const second = await insertAppointment(server.db, { customer: 'Zweite Produktion', duration: 8, status: 'vorschlag' });
+            // 06:00 + 8 h reicht in die Produktion ab 09:00 hinein
+            const response = await confirm(second, '06:00');
+            assert.equal(response.status, 409);
+        });
+    });
+}
@@ -0,0 +1,143 @@
+// Austauschbare Geocoding-Provider (user-006) - Offline-Datensatz und Nominatim gegen einen lokalen Fake-Dienst
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const SchemaMigrator = require('../schema-migrations');
+const {
+    createGeocodingProvider,
+    OfflineGeocodingProvider,
+    NominatimGeocodingProvider,
+    GoogleGeocodingProvider
+} = require('../geocoding-provider');
+const { BACKENDS, quietly } = require('./helpers/database');
+
+for (const backend of BACKENDS) {
+    describe(`OfflineGeocodingProvider (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+        let provider;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            provider = new OfflineGeocodingProvider({ db, schemaReady: quietly(() => new SchemaMigrator(db).migrate()) });
+            await quietly(() => provider.importRows([
+                { plz: '30159', city: 'Hannover', lat: '52,3759', lng: '9,7320' },
+                { plz: '34117', city: 'Kassel', lat: 51.3127, lng: 9.4797 },
+                { plz: '34117', city: 'Kassel', street: 'Königsstraße', lat: 51.3155, lng: 9.4931 },
+                // Nur Straßen: der PLZ-Schwerpunkt wird daraus abgeleitet
+                { plz: '37073', city: 'Göttingen', street: 'Weender Straße', lat: 51.5350, lng: 9.9350 },
+                { plz: '37073', city: 'Göttingen', street: 'Goetheallee', lat: 51.5330, lng: 9.9290 },
+                { plz: '30A59', city: 'Kaputt', lat: 52, lng: 9 },
+                { plz: '10115', city: 'Paris', lat: 48.85, lng: 2.35 }
+            ]));
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        it('importiert PLZ und Straßen, überspringt ungültige Zeilen', async () => {
+            const stats = await provider.getStats();
+            assert.equal(Number(stats.postcodes), 3);
+            assert.equal(Number(stats.streets), 3);
+
+            const again = await quietly(() => provider.importRows([{ plz: '10115', city: 'Berlin', lat: 52.53, lng: 13.38 }], { replace: true }));
+            assert.deepEqual([again.postcodes, again.streets, again.skipped], [1, 0, 0]);
+            assert.equal(Number((await provider.getStats()).streets), 0);
+        });
+
+        it('findet Straßen innerhalb der PLZ, auch mit Schreibvarianten', async () => {
+            const result = await provider.geocode('Koenigsstr. 12, 34117 Kassel');
+            assert.equal(result.accuracy, 'street');
+            assert.equal(result.lat, 51.3155);
+            assert.equal(result.provider, 'offline');
+        });
+
+        it('fällt auf den PLZ-Schwerpunkt und den Ortsnamen zurück', async () => {
+            const byPlz = await provider.geocode('Unbekannte Straße 1, 30159 Hannover');
+            assert.equal(byPlz.accuracy, 'postal_code');
+            assert.equal(byPlz.lat, 52.3759);
+
+            const derived = await provider.geocode('37073 Göttingen');
+            assert.equal(derived.accuracy, 'postal_code');
+            assert.ok(Math.abs(derived.lat - 51.534) < 0.001);
+
+            const byCity = await provider.geocode('Kassel');
+            assert.equal(byCity.accuracy, 'city');
+            assert.equal(byCity.components.postal_code, '34117');
+        });
+
+        it('liefert null für unbekannte Adressen', async () => {
+            assert.equal(await provider.geocode('Musterweg 1, 99999 Nirgendwo'), null);
+        });
+    });
+}
+
+describe('NominatimGeocodingProvider', () => {
+    let fake;
+    let baseUrl;
+    const requests = [];
+
+    before(async () => {
+        fake = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push({ url, headers: req.headers });
+            res.setHeader('Content-Type', 'application/json');
+            const q = url.searchParams.get('q');
+            if (q.includes('Paris')) {
+                return res.end(JSON.stringify([{ lat: '48.8566', lon: '2.3522', display_name: 'Paris' }]));
+            }
+            if (q.includes('Nirgendwo')) return res.end('[]');
+            res.end(JSON.stringify([{
+                lat: '51.3155',
+                lon: '9.4931',
+                display_name: 'Königsstraße 12, 34117 Kassel, Deutschland',
+                address: { road: 'Königsstraße', house_number: '12', postcode: '34117', city: 'Kassel', country: 'Deutschland' }
+            }]));
+        });
+        await new Promise(resolve => fake.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${fake.address().port}/`;
+    });
+
+    after(() => new Promise(resolve => fake.close(resolve)));
+
+    it('fragt /search mit Länderfilter und User-Agent ab', async () => {
+        requests.length = 0;
+        const provider = new NominatimGeocodingProvider({ baseUrl, email: 'team@example.org' });
+        const result = await provider.geocode('Königsstraße 12, 34117 Kassel');
+
+        assert.equal(result.accuracy, 'rooftop');
+        assert.equal(result.components.postal_code, '34117');
+        assert.equal(result.components.city, 'Kassel');
+        assert.equal(result.provider, 'nominatim');
+
+        const [{ url, headers }] = requests;
+        assert.equal(url.pathname, '/search');
+        assert.equal(url.searchParams.get('countrycodes'), 'de');
+        assert.equal(url.searchParams.get('email'), 'team@example.org');
+        assert.match(headers['user-agent'], /tourenplaner/);
+        assert.equal(provider.minIntervalMs, 0);
+    });
+
+    it('verwirft leere Antworten und Treffer außerhalb Deutschlands', async () => {
+        const provider = new NominatimGeocodingProvider({ baseUrl });
+        assert.equal(await provider.geocode('Nirgendwo'), null);
+        assert.equal(await provider.geocode('Paris'), null);
+    });
+
+    it('drosselt den öffentlichen OSM-Server auf eine Anfrage pro Sekunde', () => {
+        assert.equal(new NominatimGeocodingProvider().minIntervalMs, 1000);
+    });
+});
+
+describe('createGeocodingProvider', () => {
+    it('wählt den Provider per Option', () => {
+        assert.ok(createGeocodingProvider({ provider: 'nominatim' }) instanceof NominatimGeocodingProvider);
+        assert.ok(createGeocodingProvider({ provider: 'Offline', db: {} }) instanceof OfflineGeocodingProvider);
+        assert.ok(createGeocodingProvider({ provider: 'google', apiKey: 'x' }) instanceof GoogleGeocodingProvider);
+    });
+
+    it('lehnt unbekannte Provider und Offline ohne Datenbank ab', () => {
+        assert.throws(() => createGeocodingProvider({ provider: 'bing' }), /Unbekannter GEOCODING_PROVIDER/);
+        assert.throws(() => createGeocodingProvider({ provider: 'offline' }), /Datenbank/);
+    });
+});
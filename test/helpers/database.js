@@ -0,0 +1,79 @@
+// ======================================================================
+// TEST-HILFEN: frische Datenbank je Test für beide Backends
+// - sqlite:   temporäre Datei
+// - postgres: eigenes Schema in TEST_DATABASE_URL (ohne die Variable
+//             werden die PostgreSQL-Tests übersprungen)
+// ======================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteDatabase, PostgresDatabase } = require('../../database');
+
+const POSTGRES_URL = process.env.TEST_DATABASE_URL || '';
+let schemaCounter = 0;
+
+function tempDir(prefix = 'tourenplaner-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+async function openSqlite() {
+    const dir = tempDir();
+    const db = await new SqliteDatabase({ filename: path.join(dir, 'test.db') }).ready;
+    db.cleanup = async () => {
+        await db.close().catch(() => {});
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return db;
+}
+
+async function openPostgres() {
+    const schema = `test_${process.pid}_${++schemaCounter}_${Date.now()}`;
+    const admin = await new PostgresDatabase({ connectionString: POSTGRES_URL, max: 1 }).ready;
+    await admin.run(`CREATE SCHEMA ${schema}`);
+
+    const url = new URL(POSTGRES_URL);
+    url.searchParams.set('options', `-c search_path=${schema}`);
+    const db = await new PostgresDatabase({ connectionString: url.toString(), max: 4 }).ready;
+    db.cleanup = async () => {
+        await db.close().catch(() => {});
+        await admin.run(`DROP SCHEMA IF EXISTS ${schema} CASCADE`).catch(() => {});
+        await admin.close().catch(() => {});
+    };
+    return db;
+}
+
+/**
+ * Beide Backends für describe()-Schleifen.
+ * skip: Grund zum Überspringen oder false
+ * serverEnv: Umgebung, mit der server.js dieselbe Datenbank öffnet (siehe helpers/server.js)
+ */
+const BACKENDS = [
+    {
+        client: 'sqlite',
+        open: openSqlite,
+        skip: false,
+        serverEnv: db => ({ DB_CLIENT: 'sqlite', DB_PATH: db.filename })
+    },
+    {
+        client: 'postgres',
+        open: openPostgres,
+        skip: POSTGRES_URL ? false : 'TEST_DATABASE_URL nicht gesetzt',
+        serverEnv: db => ({ DB_CLIENT: 'postgres', DATABASE_URL: db.connectionString, DB_POOL_SIZE: '4' })
+    }
+];
+
+// Migrationen ohne Konsolen-Ausgabe
+async function quietly(work) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await work();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+module.exports = { BACKENDS, quietly, tempDir };
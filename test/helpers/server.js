@@ -0,0 +1,204 @@
+// ======================================================================
+// TEST-HILFEN: server.js als Kindprozess mit eigener Datenbank
+// Jede Testdatei startet ihren eigenen Server (freier Port, frische DB des
+// gewählten Backends, haversine-Routing, Offline-Geocoding - kein Netz nötig).
+// ======================================================================
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { BACKENDS, tempDir } = require('./database');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ADMIN_PASSWORD = 'adminpass123';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(check, { timeoutMs = 15000, intervalMs = 100, what = 'Bedingung' } = {}) {
+    const started = Date.now();
+    let lastError = null;
+    while (Date.now() - started < timeoutMs) {
+        try {
+            const result = await check();
+            if (result) return result;
+        } catch (error) {
+            lastError = error;
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    throw new Error(`${what} nicht erreicht${lastError ? `: ${lastError.message}` : ''}`);
+}
+
+/**
+ * Server starten und warten, bis Schema, Admin und Beispieldaten stehen.
+ * @param {object} [options]
+ * @param {object} [options.backend] - Eintrag aus BACKENDS (Standard: SQLite)
+ * @param {object} [options.env] - zusätzliche Umgebungsvariablen
+ * @param {boolean} [options.keepSampleData] - Beispieltermine behalten (Standard: löschen)
+ */
+async function startServer(options = {}) {
+    const backend = options.backend || BACKENDS[0];
+    const dir = tempDir();
+    const port = await freePort();
+    const logs = [];
+
+    // Leere Datenbank vorab anlegen; der Server migriert sie beim Start.
+    // Über diese zweite Verbindung schreiben und prüfen die Tests.
+    const db = await backend.open();
+
+    const env = {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        PORT: String(port),
+        ...backend.serverEnv(db),
+        ADMIN_PASSWORD,
+        JWT_SECRET: 'test-secret',
+        BACKUP_DIR: path.join(dir, 'backups'),
+        BACKUP_INTERVAL_HOURS: '0',
+        ROUTING_PROVIDER: 'haversine',
+        GEOCODING_PROVIDER: 'offline',
+        ...options.env
+    };
+
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], { cwd: dir, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    child.stdout.on('data', chunk => logs.push(chunk.toString()));
+    child.stderr.on('data', chunk => logs.push(chunk.toString()));
+    const exited = new Promise(resolve => child.on('exit', resolve));
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const server = {
+        baseUrl,
+        dir,
+        client: backend.client,
+        db,
+        adminToken: null,
+        logs: () => logs.join(''),
+
+        async request(method, urlPath, { token, body, headers = {} } = {}) {
+            const init = { method, headers: { ...headers } };
+            if (token) init.headers.Authorization = `Bearer ${token}`;
+            if (body !== undefined) {
+                init.headers['Content-Type'] = 'application/json';
+                init.body = JSON.stringify(body);
+            }
+            const response = await fetch(baseUrl + urlPath, init);
+            const text = await response.text();
+            let json = null;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                // kein JSON (z.B. iCalendar, CSV)
+            }
+            return { status: response.status, headers: response.headers, body: json, text };
+        },
+
+        // Datei-Upload (multipart) wie aus dem Frontend
+        async upload(urlPath, { token, field = 'csvFile', filename, content, type = 'text/csv', fields = {} }) {
+            const form = new FormData();
+            form.append(field, new Blob([content], { type }), filename);
+            Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+            const response = await fetch(baseUrl + urlPath, {
+                method: 'POST',
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+                body: form
+            });
+            const text = await response.text();
+            let json = null;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                // kein JSON
+            }
+            return { status: response.status, headers: response.headers, body: json, text };
+        },
+
+        async login(username, password) {
+            const response = await server.request('POST', '/api/auth/login', { body: { username, password } });
+            if (response.status !== 200) throw new Error(`Login ${username} fehlgeschlagen: ${response.status}`);
+            return response.body.token;
+        },
+
+        // Benutzer anlegen und einloggen
+        async createUser({ username, password = 'password123', role, driver_id }) {
+            const response = await server.request('POST', '/api/admin/users', {
+                token: server.adminToken,
+                body: { username, password, role, driver_id }
+            });
+            if (response.status !== 201) throw new Error(`Benutzer ${username}: ${response.status} ${response.text}`);
+            return { user: response.body.user, token: await server.login(username, password) };
+        },
+
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill('SIGTERM');
+                await Promise.race([exited, new Promise(resolve => setTimeout(resolve, 5000))]);
+                if (child.exitCode === null) child.kill('SIGKILL');
+            }
+            await db.cleanup();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+
+    try {
+        server.adminToken = await waitFor(async () => {
+            if (child.exitCode !== null) throw new Error(`Server beendet (Code ${child.exitCode})`);
+            return server.login('admin', ADMIN_PASSWORD);
+        }, { what: 'Server-Start' });
+
+        await waitFor(async () => (await server.db.get('SELECT COUNT(*) AS count FROM appointments')).count >= 3,
+            { what: 'Beispieldaten' });
+        if (!options.keepSampleData) await server.db.run('DELETE FROM appointments');
+    } catch (error) {
+        await server.stop();
+        error.message += `\n--- Server-Log ---\n${logs.join('').slice(-4000)}`;
+        throw error;
+    }
+
+    return server;
+}
+
+// Montag in drei Wochen (Planung in der Vergangenheit wird abgelehnt)
+function futureMonday() {
+    const date = new Date();
+    date.setDate(date.getDate() + 21 - ((date.getDay() + 6) % 7));
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Termin direkt in die Datenbank schreiben (geocodiert, ohne Umweg über die API).
+ * @returns {Promise<number>} id
+ */
+async function insertAppointment(db, appointment) {
+    const row = {
+        customer: 'Testkunde',
+        address: 'Teststraße 1, 30159 Hannover',
+        priority: 'mittel',
+        status: 'bestätigt',
+        duration: 3,
+        pipeline_days: 0,
+        lat: 52.3759,
+        lng: 9.7320,
+        geocoded: 1,
+        is_fixed: 0,
+        ...appointment
+    };
+    const columns = Object.keys(row);
+    const result = await db.run(
+        `INSERT INTO appointments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+    );
+    return result.lastID;
+}
+
+module.exports = { startServer, insertAppointment, futureMonday, tempDir, waitFor, ADMIN_PASSWORD, ROOT };
@@ -0,0 +1,160 @@
+// Horizont-Planung: erst Wochen nach Gebiet, Fristen und Kapazität zuteilen (user-019)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const HorizonPlanner = require('../horizon-planner');
+const { createRoutingProvider } = require('../routing-provider');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+const startWeek = futureMonday();
+
+function addDays(date, days) {
+    const result = new Date(`${date}T12:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
+
+// Je sechs Termine à 4 Stunden um Kassel und um Oldenburg - zusammen mehr als eine Woche
+function clusters() {
+    const appointments = [];
+    const add = (city, plz, lat, lng, extra = {}) => appointments.push({
+        id: appointments.length + 1,
+        customer: `${city} ${appointments.length + 1}`,
+        address: `Hauptstraße ${appointments.length + 1}, ${plz} ${city}`,
+        lat, lng, geocoded: 1, duration: 4, status: 'vorschlag', priority: 'mittel', pipeline_days: 10, is_fixed: 0,
+        ...extra
+    });
+    for (let i = 0; i < 6; i++) add('Kassel', '34117', 51.31 + i * 0.02, 9.49 + i * 0.02, { pipeline_days: i % 2 ? 30 : 5 });
+    for (let i = 0; i < 6; i++) add('Oldenburg', '26122', 53.14 + i * 0.02, 8.21 + i * 0.02, { pipeline_days: i % 2 ? 25 : 8 });
+    return appointments;
+}
+
+describe('HorizonPlanner', () => {
+    const sqlite = BACKENDS.find(backend => backend.client === 'sqlite');
+    let db;
+    let result;
+    let byId;
+
+    before(async () => {
+        db = await sqlite.open();
+        await quietly(() => new SchemaMigrator(db).migrate());
+
+        const appointments = clusters();
+        // Frist: nur bis Freitag der zweiten Woche möglich
+        appointments.push({ ...appointments[0], id: 13, customer: 'Göttingen Frist', address: 'Markt 1, 37073 Göttingen',
+            lat: 51.53, lng: 9.93, pipeline_days: 0,
+            time_windows: JSON.stringify([{ type: 'hard', date_to: addDays(startWeek, 11) }]) });
+        // Kein erlaubter Tag im Horizont
+        appointments.push({ ...appointments[0], id: 14, customer: 'Vergangen', address: 'Markt 2, 30159 Hannover',
+            lat: 52.37, lng: 9.73, time_windows: JSON.stringify([{ type: 'hard', dates: ['2020-01-06'] }]) });
+        byId = new Map(appointments.map(apt => [apt.id, apt]));
+
+        const planner = new HorizonPlanner(db, {
+            routingProvider: createRoutingProvider({ provider: 'haversine' }),
+            localSearch: { timeLimitMs: 0 }
+        }, { maxWeeks: 6 });
+        result = await quietly(() => planner.plan(appointments, startWeek, 1));
+    });
+
+    after(async () => {
+        if (db) await db.cleanup();
+    });
+
+    const cityOf = id => byId.get(id).address.split(' ').pop();
+
+    it('plant jeden möglichen Termin genau einmal', () => {
+        const planned = result.weekResults.flatMap(week =>
+            week.route.days.flatMap(day => day.appointments.map(apt => apt.id)));
+        assert.equal(new Set(planned).size, planned.length);
+        assert.equal(result.totalPlanned, 13);
+        assert.deepEqual(result.remainingAppointments.map(apt => apt.id), [14]);
+        assert.deepEqual(result.unplanned.map(entry => [entry.appointmentId, entry.reasonCode]), [[14, 'no_allowed_week']]);
+    });
+
+    it('teilt einer Woche nur ein Gebiet zu', () => {
+        result.weekResults.forEach(week => {
+            const cities = new Set(result.assignments
+                .filter(entry => entry.week === week.week && entry.appointmentId <= 12)
+                .map(entry => cityOf(entry.appointmentId)));
+            assert.ok(cities.size <= 1, `${week.week}: ${[...cities].join(', ')}`);
+        });
+        const oldenburgWeeks = new Set(result.assignments.filter(entry => cityOf(entry.appointmentId) === 'Oldenburg').map(entry => entry.week));
+        assert.equal(oldenburgWeeks.size, 1);
+    });
+
+    it('plant Termine mit Frist rechtzeitig und gibt Übriggebliebene mit Begründung zurück', () => {
+        const deadline = result.assignments.find(entry => entry.appointmentId === 13);
+        assert.equal(deadline.planned, true);
+        assert.ok(deadline.week <= addDays(startWeek, 7));
+
+        result.assignments.filter(entry => !entry.planned).forEach(entry => {
+            assert.ok(entry.plannerConstraint, `Termin ${entry.appointmentId}`);
+            assert.ok(result.assignments.some(later => later.appointmentId === entry.appointmentId && later.week > entry.week));
+        });
+        result.weekResults.forEach(week => {
+            assert.equal(week.carriedOver, result.assignments.filter(entry => entry.week === week.week && !entry.planned).length);
+        });
+    });
+
+    it('summiert Kilometer und Hotelnächte über den ganzen Horizont', () => {
+        const { summary } = result;
+        assert.equal(summary.weeks, result.weekResults.length);
+        assert.equal(summary.appointments, 13);
+        assert.equal(summary.totalKm, summary.perWeek.reduce((sum, week) => sum + week.km, 0));
+        assert.ok(summary.totalKm > 0);
+
+        const overnights = result.weekResults.reduce((sum, week) => sum + week.route.days.filter(day => day.overnight).length, 0);
+        assert.equal(summary.hotelNights, overnights);
+        assert.deepEqual(summary.perWeek.map(week => week.region), result.weekResults.map(week => week.region));
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Gesamtplanung über die API (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+            for (const apt of clusters()) {
+                const { id, ...fields } = apt;
+                await insertAppointment(server.db, fields);
+            }
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const optimizeAll = body => server.request('POST', '/api/routes/optimize-all', {
+            token: server.adminToken,
+            body: { startWeek, driverId: 1, autoSave: false, ...body }
+        });
+
+        it('lehnt unbekannte Strategien ab', async () => {
+            const response = await optimizeAll({ strategy: 'zufall' });
+            assert.equal(response.status, 400);
+        });
+
+        it('meldet Kilometer, Hotelnächte und Zuteilungen je Woche', async () => {
+            const response = await optimizeAll({});
+            assert.equal(response.status, 200, response.text);
+            const body = response.body;
+            assert.equal(body.strategy, 'horizon');
+            assert.equal(body.totalPlanned, 12);
+            assert.equal(body.horizon.totalKm, body.weekResults.reduce((sum, week) => sum + week.km, 0));
+            assert.equal(body.horizon.hotelNights, body.weekResults.reduce((sum, week) => sum + week.hotelNights, 0));
+            assert.equal(body.horizon.assignments.length, body.weekResults.reduce((sum, week) => sum + week.assigned, 0));
+            assert.match(body.message, / km, \d+ Hotelnächte\)$/);
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM saved_routes')).count, 0);
+        });
+
+        it('berichtet auch bei wochenweiser Planung die Gesamtstrecke', async () => {
+            const response = await optimizeAll({ strategy: 'weekly' });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.strategy, 'weekly');
+            assert.ok(response.body.horizon.totalKm > 0);
+            assert.equal(response.body.horizon.assignments, null);
+        });
+    });
+}
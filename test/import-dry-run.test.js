@@ -0,0 +1,85 @@
+// Probelauf mit Bericht je Zeile und Übernahme ausgewählter Zeilen (user-014)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+const CSV = [
+    'Invitee Name,Adresse,Start Date & Time',
+    'Anna Becker,"Königsstraße 1, 34117 Kassel",15.07.2030 10:00',
+    ',"Georgstraße 5, 30159 Hannover",',
+    'Bernd Kurz,"Georgstraße 5, 30159 Hannover",15.07.2035 10:00',
+    'Anna Becker,"Königsstraße 1, 34117 Kassel",16.07.2030 10:00',
+    'Clara Dorn,"Marktplatz 2, Göttingen",31.02.2030 09:00'
+].join('\n');
+
+for (const backend of BACKENDS) {
+    describe(`Probelauf und Übernahme beim CSV-Import (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+        let dryRun;
+
+        before(async () => {
+            server = await startServer({ backend });
+            await server.db.run(`INSERT INTO geocoding_cache (address, lat, lng) VALUES ('georgstraße 5, 30159 hannover', 52.37, 9.73)`);
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const upload = fields => server.upload('/api/admin/import-csv', { token: server.adminToken, filename: 'termine.csv', content: CSV, fields });
+
+        it('liefert einen Bericht je Zeile und speichert nichts', async () => {
+            const response = await upload({ dryRun: 'true' });
+            assert.equal(response.status, 200, response.text);
+            dryRun = response.body;
+            assert.equal(dryRun.dryRun, true);
+            assert.match(dryRun.file_hash, /^[0-9a-f]{64}$/);
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM appointments')).count, 0);
+
+            const [anna, noName, bernd, annaAgain, clara] = dryRun.rows;
+            assert.deepEqual([anna.status, anna.action, anna.geocoding], ['ok', 'insert', 'free']);
+            assert.equal(anna.normalized.fixed_date, '2030-07-15');
+            assert.equal(anna.normalized.import_key, 'na:anna becker|koenigsstr 1 34117 kassel');
+
+            assert.deepEqual([noName.status, noName.action], ['error', 'skip']);
+            assert.match(noName.errors[0], /Kein Name/);
+
+            assert.equal(bernd.status, 'warning');
+            assert.match(bernd.warnings[0], /Jahr 2035 außerhalb 2020-2030/);
+            assert.equal(bernd.normalized.is_fixed, false);
+            assert.equal(bernd.geocoding, 'cache');
+
+            assert.deepEqual([annaAgain.action, annaAgain.duplicate_of], ['duplicate', 1]);
+            assert.ok(clara.warnings.some(warning => /Ungültiges Datum/.test(warning)));
+            assert.ok(clara.warnings.some(warning => /ohne Postleitzahl/.test(warning)));
+
+            assert.deepEqual(
+                [dryRun.totals.ok, dryRun.totals.warnings, dryRun.totals.errors, dryRun.totals.geocoding_free, dryRun.totals.geocoding_cached],
+                [1, 3, 1, 2, 1]
+            );
+            assert.equal(dryRun.totals.estimated_geocoding_cost, 0);
+        });
+
+        it('prüft acceptedRows und den Datei-Hash', async () => {
+            assert.equal((await upload({ acceptedRows: '1,x' })).status, 400);
+            assert.equal((await upload({ acceptedRows: '[1', fileHash: dryRun.file_hash })).status, 400);
+            const changed = await upload({ acceptedRows: '1', fileHash: '0'.repeat(64) });
+            assert.equal(changed.status, 409);
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM appointments')).count, 0);
+        });
+
+        it('übernimmt nur die akzeptierten Zeilen', async () => {
+            const response = await upload({ acceptedRows: JSON.stringify([1, 5]), fileHash: dryRun.file_hash });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.stats.inserted, 2);
+            assert.deepEqual(response.body.diff.rejected.map(entry => entry.row), [3]);
+
+            const rows = await server.db.all('SELECT customer, fixed_date, is_fixed FROM appointments ORDER BY customer');
+            assert.deepEqual(rows.map(row => [row.customer, row.fixed_date, row.is_fixed]), [
+                ['Anna Becker', '2030-07-15', 1],
+                ['Clara Dorn', null, 0]
+            ]);
+        });
+    });
+}
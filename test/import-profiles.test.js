@@ -0,0 +1,160 @@
+// Spalten-Zuordnung per Import-Profil (user-012)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ImportProfileService = require('../import-profiles');
+const AppointmentImportService = require('../appointment-import');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+const CRM_HEADERS = ['Kontakt', 'Firma', 'Straße', 'Postleitzahl', 'Stadt', 'Termin Datum', 'Uhrzeit', 'Pausiert', 'CRM ID'];
+const CRM_CSV = [
+    CRM_HEADERS.join(';'),
+    'Anna Becker;Becker AG;Königsstraße 1;34117;Kassel;07/15/2030;10:30;nein;crm-1',
+    'Bernd Kurz;Kurz KG;Georgstraße 5;30159;Hannover;;;ja;crm-2',
+    'Clara Dorn;;Marktplatz 2;37073;Göttingen;07/16/2030;09:00;nein;crm-3'
+].join('\n');
+const CRM_PROFILE = {
+    name: 'CRM-Export',
+    mapping: {
+        customer: 'Kontakt',
+        company: 'Firma',
+        street: 'Straße',
+        postal_code: 'Postleitzahl',
+        city: 'Stadt',
+        start_date: 'Termin Datum',
+        start_time: 'Uhrzeit',
+        on_hold: 'Pausiert',
+        external_id: 'CRM ID'
+    },
+    date_format: 'MM/DD/YYYY HH:mm',
+    on_hold_rule: { mode: 'values', values: ['ja'] }
+};
+
+describe('ImportProfileService', () => {
+    const service = new ImportProfileService(null);
+
+    it('schlägt eine Zuordnung für unbekannte Spaltennamen vor', () => {
+        const rows = [
+            { 'Termin Datum': '07/15/2030', Uhrzeit: '10:30', Pausiert: 'nein' },
+            { 'Termin Datum': '07/16/2030', Uhrzeit: '09:00', Pausiert: 'ja' }
+        ];
+        const suggestion = service.suggestMapping(CRM_HEADERS, rows);
+        assert.deepEqual(suggestion.mapping, {
+            customer: 'Kontakt',
+            company: 'Firma',
+            street: 'Straße',
+            postal_code: 'Postleitzahl',
+            city: 'Stadt',
+            start_date: 'Termin Datum',
+            start_time: 'Uhrzeit',
+            on_hold: 'Pausiert',
+            external_id: 'CRM ID'
+        });
+        assert.equal(suggestion.date_format, 'MM/DD/YYYY HH:mm');
+        assert.deepEqual(suggestion.on_hold_rule, { mode: 'values', values: ['ja'] });
+        assert.deepEqual(suggestion.missing_required, []);
+    });
+
+    it('bevorzugt eine kombinierte Start-Spalte und erkennt das Calendly-Profil', () => {
+        const headers = ['Invitee Name', 'Adresse', 'Start Date & Time', 'Datum'];
+        const suggestion = service.suggestMapping(headers, [{ 'Start Date & Time': '15.07.2030 10:00' }]);
+        assert.equal(suggestion.mapping.start, 'Start Date & Time');
+        assert.equal(suggestion.mapping.start_date, undefined);
+        assert.equal(suggestion.date_format, 'DD.MM.YYYY HH:mm');
+        assert.ok(service.matchesHeaders(ImportProfileService.DEFAULT_PROFILE, headers));
+        assert.equal(service.matchesHeaders(ImportProfileService.DEFAULT_PROFILE, CRM_HEADERS), false);
+    });
+
+    it('prüft Profile', () => {
+        assert.deepEqual(service.validateProfile(CRM_PROFILE, { requireAll: true }), []);
+        const errors = service.validateProfile({
+            name: ' ',
+            mapping: { gibtsnicht: 'X', start_time: 'Zeit' },
+            date_format: 'YYYY',
+            on_hold_rule: { mode: 'values', values: [] }
+        }, { requireAll: true });
+        assert.equal(errors.length, 7, errors.join('\n'));
+    });
+
+    it('wendet Profil, Datumsformat und On-Hold-Regel beim Einlesen an', () => {
+        const importer = new AppointmentImportService(null);
+        const rows = CRM_CSV.split('\n').slice(1).map(line => Object.fromEntries(line.split(';').map((value, i) => [CRM_HEADERS[i], value])));
+        const { appointments, skipped } = importer.mapRows(rows, { profile: { id: 1, ...CRM_PROFILE } });
+
+        assert.equal(skipped.length, 0);
+        assert.deepEqual(appointments.map(apt => [apt.customer, apt.address, apt.fixed_date, apt.fixed_time, apt.on_hold]), [
+            ['Anna Becker', 'Königsstraße 1, 34117 Kassel', '2030-07-15', '10:30', null],
+            ['Bernd Kurz', 'Georgstraße 5, 30159 Hannover', null, null, 'ja'],
+            ['Clara Dorn', 'Marktplatz 2, 37073 Göttingen', '2030-07-16', '09:00', null]
+        ]);
+        assert.equal(appointments[0].import_key, 'id:crm-1');
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Import-Profil-Endpunkte (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+        let profileId;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const upload = (path, fields = {}) => server.upload(path, { token: server.adminToken, filename: 'crm.csv', content: CRM_CSV, fields });
+
+        it('legt Profile an, meldet doppelte Namen und schützt das eingebaute Profil', async () => {
+            const created = await server.request('POST', '/api/admin/import-profiles', { token: server.adminToken, body: CRM_PROFILE });
+            assert.equal(created.status, 201, created.text);
+            profileId = created.body.profile.id;
+
+            const duplicate = await server.request('POST', '/api/admin/import-profiles', { token: server.adminToken, body: CRM_PROFILE });
+            assert.equal(duplicate.status, 409);
+            const invalid = await server.request('POST', '/api/admin/import-profiles', { token: server.adminToken, body: { name: 'Leer' } });
+            assert.equal(invalid.status, 400);
+
+            const list = await server.request('GET', '/api/admin/import-profiles', { token: server.adminToken });
+            assert.deepEqual(list.body.profiles.map(profile => profile.id), ['calendly-de', profileId]);
+            assert.equal((await server.request('DELETE', '/api/admin/import-profiles/calendly-de', { token: server.adminToken })).status, 400);
+
+            const renamed = await server.request('PUT', `/api/admin/import-profiles/${profileId}`, { token: server.adminToken, body: { description: 'Export aus dem CRM' } });
+            assert.equal(renamed.body.profile.description, 'Export aus dem CRM');
+            assert.equal(renamed.body.profile.mapping.customer, 'Kontakt');
+        });
+
+        it('schlägt in der Vorschau ohne Profil eine Zuordnung vor', async () => {
+            const preview = await upload('/api/admin/preview-csv');
+            assert.equal(preview.status, 200, preview.text);
+            assert.equal(preview.body.profile.id, null);
+            assert.equal(preview.body.suggestion.mapping.customer, 'Kontakt');
+            assert.equal(preview.body.analysis.onHoldAppointments, 1);
+
+            const withProfile = await upload('/api/admin/preview-csv', { profileId });
+            assert.equal(withProfile.body.profile.id, profileId);
+            assert.equal(withProfile.body.analysis.confirmedAppointments, 2);
+            assert.equal((await upload('/api/admin/preview-csv', { profileId: 999 })).status, 404);
+        });
+
+        it('importiert nur mit passendem Profil', async () => {
+            const withoutProfile = await upload('/api/admin/import-csv');
+            assert.equal(withoutProfile.status, 400);
+            assert.match(withoutProfile.body.error, /Pflichtspalte fehlt: "Invitee Name"/);
+            assert.equal(withoutProfile.body.suggestion.mapping.customer, 'Kontakt');
+
+            const imported = await upload('/api/admin/import-csv', { profileId });
+            assert.equal(imported.status, 200, imported.text);
+                    assert.equal(imported.body.stats.inserted, 2);
+            assert.deepEqual(imported.body.diff.skipped.map(entry => [entry.customer, entry.reason]), [['Bernd Kurz', 'On Hold: ja']]);
+            assert.equal(imported.body.import_info.profile.id, profileId);
+
+            const rows = await server.db.all('SELECT customer, fixed_date, fixed_time, import_key FROM appointments ORDER BY customer');
+            assert.deepEqual(rows.map(row => [row.customer, row.fixed_date, row.fixed_time, row.import_key]), [
+                ['Anna Becker', '2030-07-15', '10:30', 'id:crm-1'],
+                ['Clara Dorn', '2030-07-16', '09:00', 'id:crm-3']
+            ]);
+        });
+    });
+}
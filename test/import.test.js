@@ -0,0 +1,61 @@
+// CSV-Import mit Abgleich und Geocoding (user-011)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+const CSV = [
+    'Invitee Name,Adresse,Start Date & Time,End Date & Time',
+    'Anna Alt,"Georgstraße 1, 30159 Hannover",,',
+    'Bernd Bauer,"Marktplatz 2, 34117 Kassel",,'
+].join('\n');
+
+for (const backend of BACKENDS) {
+    describe(`CSV-Import (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('speichert neue Zeilen aus dem optimierten Import mit Koordinaten', async () => {
+            const response = await server.upload('/api/admin/import-csv-optimized', {
+                token: server.adminToken,
+                filename: 'termine.csv',
+                content: CSV
+            });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.stats.inserted, 2);
+            assert.equal(response.body.stats.geocoded, 2);
+
+            const rows = await server.db.all('SELECT customer, lat, lng, geocoded FROM appointments ORDER BY customer');
+            assert.deepEqual(rows.map(row => row.customer), ['Anna Alt', 'Bernd Bauer']);
+            rows.forEach(row => {
+                assert.equal(typeof row.lat, 'number', row.customer);
+                assert.equal(typeof row.lng, 'number', row.customer);
+                assert.equal(row.geocoded, 1, row.customer);
+            });
+        });
+
+        it('gleicht einen zweiten Import ab statt doppelt einzufügen', async () => {
+            const response = await server.upload('/api/admin/import-csv-optimized', {
+                token: server.adminToken,
+                filename: 'termine.csv',
+                content: CSV.replace('Marktplatz 2, 34117 Kassel', 'Königsplatz 5, 34117 Kassel')
+            });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.stats.inserted, 0);
+            assert.equal(response.body.stats.updated, 1);
+
+            const moved = await server.db.get("SELECT address, lat, geocoded FROM appointments WHERE customer = 'Bernd Bauer'");
+            assert.match(moved.address, /Königsplatz/);
+            assert.equal(moved.geocoded, 1);
+            assert.equal(typeof moved.lat, 'number');
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM appointments')).count, 2);
+        });
+    });
+}
@@ -0,0 +1,142 @@
+// Lead-Alter aus Datei oder erstem Import statt Zufallswert (user-015)
+const { describe, it, beforeEach, afterEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const AppointmentImportService = require('../appointment-import');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+// Datum vor n Tagen in Ortszeit als YYYY-MM-DD
+function daysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+describe('Lead-Datum und Lead-Alter', () => {
+    const service = new AppointmentImportService(null);
+
+    it('liest nur den Datumsteil des Lead-Datums', () => {
+        assert.equal(service.parseLeadDate('2024-03-05T23:30:00Z'), '2024-03-05');
+        assert.equal(service.parseLeadDate('05.03.2024 10:15'), '2024-03-05');
+        assert.equal(service.parseLeadDate('03/05/2024', 'MM/DD/YYYY HH:mm'), '2024-03-05');
+        assert.equal(service.parseLeadDate('irgendwann'), null);
+    });
+
+    it('zählt ganze Tage bis heute und nie negativ', () => {
+        assert.equal(service.leadAgeDays(daysAgo(10)), 10);
+        assert.equal(service.leadAgeDays(service.today()), 0);
+        assert.equal(service.leadAgeDays(daysAgo(-3)), 0);
+        assert.equal(service.leadAgeDays(null), 0);
+    });
+
+    it('nimmt das Lead-Datum aus der Zeile, unlesbare und künftige Daten nicht', () => {
+        const row = lead => ({ 'Invitee Name': 'Anna Becker', Adresse: 'Königsstraße 1, 34117 Kassel', 'Lead erstellt am': lead });
+
+        const known = service.mapRow(row(daysAgo(12)), 2, 'CSV Import').appointment;
+        assert.equal(known.lead_created_at, daysAgo(12));
+        assert.equal(known.pipeline_days, 12);
+
+        for (const lead of ['kaputt', daysAgo(-5)]) {
+            const { appointment } = service.mapRow(row(lead), 2, 'CSV Import');
+            assert.equal(appointment.lead_created_at, null, lead);
+            assert.equal(appointment.pipeline_days, 0);
+            assert.ok(appointment.warnings.some(warning => warning.includes('Tag des ersten Imports')), lead);
+        }
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Lead-Alter in der Datenbank (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+        let service;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await quietly(() => new SchemaMigrator(db).migrate());
+            service = new AppointmentImportService(db);
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        const incoming = (leadCreatedAt = null) => ({
+            ...service.mapRow({ 'Invitee Name': 'Anna Becker', Adresse: 'Königsstraße 1, 34117 Kassel' }, 2, 'CSV Import').appointment,
+            lead_created_at: leadCreatedAt
+        });
+        // PostgreSQL liefert DATE-Spalten je nach Typ-Parser nicht als Text - nur den Tag vergleichen
+        const stored = async () => {
+            const row = await db.get("SELECT lead_created_at, pipeline_days FROM appointments WHERE customer = 'Anna Becker'");
+            return { lead_created_at: String(row.lead_created_at).slice(0, 10), pipeline_days: Number(row.pipeline_days) };
+        };
+
+        it('ergänzt fehlende Lead-Daten und berechnet pipeline_days daraus neu', async () => {
+            await db.run(`INSERT INTO appointments (customer, address, priority, status, duration, pipeline_days, lead_created_at)
+                VALUES ('Mit Datum', 'A', 'mittel', 'vorschlag', 3, 0, ?)`, [daysAgo(9)]);
+            await db.run(`INSERT INTO appointments (customer, address, priority, status, duration, pipeline_days, import_source)
+                VALUES ('Importiert', 'B', 'mittel', 'vorschlag', 3, 17, 'csv')`);
+            await db.run(`INSERT INTO appointments (customer, address, priority, status, duration, pipeline_days)
+                VALUES ('Altbestand', 'C', 'mittel', 'vorschlag', 3, 7)`);
+
+            assert.equal(await service.refreshPipelineDays(), 3);
+            const rows = await db.all('SELECT customer, lead_created_at, pipeline_days FROM appointments ORDER BY id');
+            assert.deepEqual(rows.map(row => [row.customer, String(row.lead_created_at).slice(0, 10), Number(row.pipeline_days)]), [
+                ['Mit Datum', daysAgo(9), 9],
+                // importierte Termine zählen ab dem ersten Import, der Zufallswert verschwindet
+                ['Importiert', daysAgo(0), 0],
+                // Altbestand behält sein bisheriges Alter
+                ['Altbestand', daysAgo(7), 7]
+            ]);
+        });
+
+        it('behält beim erneuten Import das Datum des ersten Imports', async () => {
+            await service.mergeAppointments([incoming()]);
+            assert.deepEqual(await stored(), { lead_created_at: daysAgo(0), pipeline_days: 0 });
+
+            // Termin ist inzwischen 4 Tage alt - ein Import ohne Lead-Datum ändert daran nichts
+            await db.run("UPDATE appointments SET lead_created_at = ?, pipeline_days = 4 WHERE customer = 'Anna Becker'", [daysAgo(4)]);
+            const report = await service.mergeAppointments([incoming()]);
+            assert.equal(report.updated.length, 0);
+            assert.deepEqual(await stored(), { lead_created_at: daysAgo(4), pipeline_days: 4 });
+
+            // Liefert die Datei ein Lead-Datum, gilt es
+            const withLead = await service.mergeAppointments([incoming(daysAgo(20))]);
+            assert.deepEqual(withLead.updated[0].changes.map(change => change.field), ['lead_created_at']);
+            assert.deepEqual(await stored(), { lead_created_at: daysAgo(20), pipeline_days: 20 });
+        });
+    });
+}
+
+for (const backend of BACKENDS) {
+    describe(`Lead-Alter beim CSV-Import über die API (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('speichert das echte Alter statt eines Zufallswerts', async () => {
+            const csv = [
+                'Invitee Name,Adresse,Lead erstellt am',
+                `Anna Becker,"Königsstraße 1, 34117 Kassel",${daysAgo(30)}`,
+                'Bernd Kurz,"Georgstraße 5, 30159 Hannover",',
+                `Clara Dorn,"Marktplatz 2, 37073 Göttingen",${daysAgo(3)}`
+            ].join('\n');
+            const response = await server.upload('/api/admin/import-csv', { token: server.adminToken, filename: 'leads.csv', content: csv });
+            assert.equal(response.status, 200, response.text);
+
+            const rows = await server.db.all('SELECT customer, lead_created_at, pipeline_days FROM appointments ORDER BY pipeline_days DESC, customer');
+            assert.deepEqual(rows.map(row => [row.customer, row.lead_created_at, row.pipeline_days]), [
+                ['Anna Becker', daysAgo(30), 30],
+                ['Clara Dorn', daysAgo(3), 3],
+                ['Bernd Kurz', daysAgo(0), 0]
+            ]);
+        });
+    });
+}
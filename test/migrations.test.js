@@ -0,0 +1,147 @@
+// Schema-Migrationen (schema-migrations.js, migrations.js) gegen SQLite und PostgreSQL
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const { BACKENDS, quietly } = require('./helpers/database');
+
+for (const backend of BACKENDS) {
+    describe(`Migrationen (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+
+        beforeEach(async () => {
+            db = await backend.open();
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        it('legt eine leere Datenbank bis zur neuesten Version an', async () => {
+            const migrator = new SchemaMigrator(db);
+            const { applied, status } = await quietly(() => migrator.migrate());
+
+            assert.equal(applied.length, SchemaMigrator.MIGRATIONS.length);
+            assert.equal(status.upToDate, true);
+            assert.equal(status.currentVersion, status.latestVersion);
+            for (const table of ['appointments', 'drivers', 'saved_routes', 'users', 'route_stops', 'route_legs', 'route_overnights']) {
+                assert.equal(await db.hasTable(table), true, table);
+            }
+            assert.ok((await db.columns('saved_routes')).includes('trigger_type'));
+        });
+
+        it('wendet beim zweiten Lauf nichts mehr an', async () => {
+            await quietly(() => new SchemaMigrator(db).migrate());
+            const { applied, status } = await quietly(() => new SchemaMigrator(db).migrate());
+            assert.equal(applied.length, 0);
+            assert.equal(status.applied.length, SchemaMigrator.MIGRATIONS.length);
+        });
+
+        it('bricht eine fehlgeschlagene Migration vollständig ab', async () => {
+            const migrations = [
+                { version: 1, name: 'ok', up: m => m.run('CREATE TABLE eins (id INTEGER PRIMARY KEY AUTOINCREMENT)') },
+                {
+                    version: 2,
+                    name: 'kaputt',
+                    async up(m) {
+                        await m.run('CREATE TABLE zwei (id INTEGER PRIMARY KEY AUTOINCREMENT)');
+                        await m.run('SELECT * FROM gibt_es_nicht');
+                    }
+                }
+            ];
+            await assert.rejects(quietly(() => new SchemaMigrator(db, { migrations }).migrate()), /Migration 2 \(kaputt\) fehlgeschlagen/);
+            assert.equal(await db.hasTable('eins'), true);
+            assert.equal(await db.hasTable('zwei'), false);
+            const status = await new SchemaMigrator(db, { migrations }).status();
+            assert.equal(status.currentVersion, 1);
+            assert.deepEqual(status.pending.map(m => m.version), [2]);
+        });
+
+        it('hält route_stops.active per Trigger synchron mit saved_routes.is_active', async () => {
+            await quietly(() => new SchemaMigrator(db).migrate());
+            const route = await db.run(`INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active)
+                VALUES ('R', '2030-01-07', 1, '{}', 1)`);
+            await db.run(`INSERT INTO route_stops (route_id, appointment_id, week_start, driver_id, position, active)
+                VALUES (?, 7, '2030-01-07', 1, 0, 1)`, [route.lastID]);
+
+            await db.run('UPDATE saved_routes SET is_active = 0 WHERE id = ?', [route.lastID]);
+            assert.equal((await db.get('SELECT active FROM route_stops WHERE route_id = ?', [route.lastID])).active, 0);
+
+            await db.run('DELETE FROM saved_routes WHERE id = ?', [route.lastID]);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM route_stops')).count, 0);
+        });
+
+        it('übernimmt Routen aus der Zeit vor Version 7 als Versionen und Stopps', async () => {
+            const upToSix = SchemaMigrator.MIGRATIONS.filter(migration => migration.version <= 6);
+            await quietly(() => new SchemaMigrator(db, { migrations: upToSix }).migrate());
+
+            const day = (date, ids) => ({
+                date,
+                day: 'Montag',
+                appointments: ids.map(id => ({ id, customer: `Kunde ${id}`, duration: 2, startTime: '09:00', endTime: '11:00', lat: 52.1, lng: 9.7 })),
+                travelSegments: [{ type: 'departure', from: 'Hannover', to: `Kunde ${ids[0]}`, distance: 12.5, duration: 0.3 }],
+                overnight: { city: 'Kassel', hotel: 'Hotel', location: { lat: 51.3, lng: 9.5 } }
+            });
+            const insert = (weekStart, driverId, routeData, isActive) => db.run(
+                'INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active) VALUES (?, ?, ?, ?, ?)',
+                ['Alt', weekStart, driverId, JSON.stringify(routeData), isActive]
+            );
+            const old = await insert('2030-01-07', 1, { days: [day('2030-01-07', [1, 2])] }, 0);
+            const first = await insert('2030-01-07', 1, { days: [day('2030-01-07', [1, 2])], stats: { totalAppointments: 2 } }, 1);
+            // Termin 2 ist auch in der aktiven Route einer späteren Woche - die frühere Woche behält ihn
+            const later = await insert('2030-01-14', 2, { days: [day('2030-01-14', [2, 3])], stats: { totalAppointments: 2 } }, 1);
+            // Nicht lesbares route_data wird übersprungen, die Migration läuft weiter
+            await db.run("INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active) VALUES ('Kaputt', '2030-01-21', 1, '{kaputt', 0)");
+
+            await quietly(() => new SchemaMigrator(db).migrate());
+
+            const versions = await db.all('SELECT id, version, parent_id, trigger_type FROM saved_routes ORDER BY id');
+            assert.deepEqual(versions.slice(0, 3).map(row => [row.version, row.parent_id, row.trigger_type]), [
+                [1, null, 'legacy'],
+                [2, old.lastID, 'legacy'],
+                [1, null, 'legacy']
+            ]);
+
+            const stops = await db.all('SELECT route_id, appointment_id, active, position, duration FROM route_stops ORDER BY route_id, position');
+            assert.deepEqual(stops.filter(stop => stop.route_id === first.lastID).map(stop => [stop.appointment_id, stop.active]), [[1, 1], [2, 1]]);
+            assert.deepEqual(stops.filter(stop => stop.route_id === later.lastID).map(stop => stop.appointment_id), [3]);
+            assert.deepEqual(stops.filter(stop => stop.route_id === old.lastID).map(stop => stop.active), [0, 0]);
+
+            const reduced = JSON.parse((await db.get('SELECT route_data FROM saved_routes WHERE id = ?', [later.lastID])).route_data);
+            assert.deepEqual(reduced.days[0].appointments.map(apt => apt.id), [3]);
+            assert.equal(reduced.stats.totalAppointments, 1);
+
+            const legs = await db.get('SELECT COUNT(*) AS count FROM route_legs WHERE route_id = ?', [first.lastID]);
+            assert.equal(legs.count, 1);
+            const overnight = await db.get('SELECT city, lat FROM route_overnights WHERE route_id = ?', [first.lastID]);
+            assert.deepEqual({ ...overnight }, { city: 'Kassel', lat: 51.3 });
+        });
+
+        it('übernimmt doppelt aufgeführte Termine nur einmal', async () => {
+            const upToSeven = SchemaMigrator.MIGRATIONS.filter(migration => migration.version <= 7);
+            await quietly(() => new SchemaMigrator(db, { migrations: upToSeven }).migrate());
+
+            const routeData = (date, ids) => ({
+                days: [{ date, day: 'Montag', appointments: ids.map(id => ({ id, customer: `Kunde ${id}`, duration: 2 })), travelSegments: [] }],
+                stats: { totalAppointments: ids.length }
+            });
+            const insert = (driverId, ids) => db.run(
+                'INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version) VALUES (?, ?, ?, ?, 1, 1)',
+                ['Alt', '2030-01-07', driverId, JSON.stringify(routeData('2030-01-07', ids))]
+            );
+            // Termin 1 zweimal in derselben Route, Termin 2 zusätzlich in einer zweiten aktiven Route derselben Woche und desselben Fahrers
+            const first = await insert(1, [1, 2, 1]);
+            const second = await insert(1, [2, 3]);
+
+            await quietly(() => new SchemaMigrator(db).migrate());
+
+            const stops = await db.all('SELECT route_id, appointment_id, position FROM route_stops WHERE active = 1 ORDER BY route_id, position');
+            assert.deepEqual(stops.map(stop => [stop.route_id, stop.appointment_id, stop.position]), [
+                [first.lastID, 1, 0],
+                [first.lastID, 2, 1],
+                [second.lastID, 3, 0]
+            ]);
+            const reduced = JSON.parse((await db.get('SELECT route_data FROM saved_routes WHERE id = ?', [second.lastID])).route_data);
+            assert.deepEqual(reduced.days[0].appointments.map(apt => apt.id), [3]);
+        });
+    });
+}
@@ -0,0 +1,130 @@
+// Lokale Suche nach der Greedy-Planung (user-018)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const IntelligentRoutePlanner = require('../intelligent-route-planner-fixed');
+const { createRoutingProvider } = require('../routing-provider');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+const weekStart = futureMonday();
+const tuesday = (() => {
+    const date = new Date(`${weekStart}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().split('T')[0];
+})();
+
+// Über Niedersachsen verstreut - die Greedy-Woche fährt hier im Zickzack
+const POINTS = [
+    [52.52, 10.0], [52.1, 9.3], [52.6, 9.5], [52.2, 10.2], [52.4, 9.1], [52.0, 9.8],
+    [52.7, 10.1], [52.3, 10.4], [51.9, 9.4], [52.55, 9.2], [52.15, 9.95], [52.45, 10.3]
+];
+const FIXED_ID = 13;
+
+function appointments() {
+    const flexible = POINTS.map(([lat, lng], idx) => ({
+        id: idx + 1, customer: `Kunde ${idx + 1}`, address: `Adresse ${idx + 1}`, lat, lng, geocoded: 1,
+        duration: 2, status: 'vorschlag', priority: 'mittel', pipeline_days: 0, is_fixed: 0
+    }));
+    return [...flexible, {
+        id: FIXED_ID, customer: 'Fixkunde', address: 'Adresse fix', lat: 52.37, lng: 9.73, geocoded: 1,
+        duration: 2, status: 'bestätigt', priority: 'hoch', pipeline_days: 0, is_fixed: 1, fixed_date: tuesday, fixed_time: '13:00'
+    }];
+}
+
+describe('Lokale Suche im Planer', () => {
+    const sqlite = BACKENDS.find(backend => backend.client === 'sqlite');
+    let db;
+
+    before(async () => {
+        db = await sqlite.open();
+        await quietly(() => new SchemaMigrator(db).migrate());
+    });
+
+    after(async () => {
+        if (db) await db.cleanup();
+    });
+
+    const plan = timeLimitMs => {
+        const planner = new IntelligentRoutePlanner(db, {
+            routingProvider: createRoutingProvider({ provider: 'haversine' }),
+            localSearch: { timeLimitMs }
+        });
+        return quietly(() => planner.optimizeWeek(appointments(), weekStart, 1));
+    };
+
+    it('bleibt bei Zeitlimit 0 bei der Greedy-Woche', async () => {
+        const result = await plan(0);
+        assert.equal(result.localSearch.enabled, false);
+        assert.equal(result.localSearch.applied, false);
+        assert.deepEqual(result.localSearch.optimized, result.localSearch.greedy);
+    });
+
+    it('verkürzt die Fahrzeit und hält dabei die Regeln ein', async () => {
+        const result = await plan(5000);
+        const report = result.localSearch;
+        assert.equal(report.applied, true);
+        assert.equal(report.stoppedBy, 'local_optimum');
+        assert.ok(report.iterations > 0);
+        assert.ok(report.optimized.travelHours < report.greedy.travelHours, `${report.greedy.travelHours}h → ${report.optimized.travelHours}h`);
+        assert.ok(report.improvement.percent > 0);
+        assert.equal(report.optimized.appointments, report.greedy.appointments + report.improvement.appointments);
+        assert.ok(result.optimizations.some(line => line.startsWith('Lokale Suche:')));
+
+        const placed = result.days.flatMap(day => day.appointments.map(apt => ({ ...apt, date: day.date })));
+        assert.equal(new Set(placed.map(apt => apt.id)).size, placed.length);
+        assert.equal(placed.length, report.optimized.appointments);
+
+        // Fixer Termin bleibt an Tag und Uhrzeit
+        const fixed = placed.find(apt => apt.id === FIXED_ID);
+        assert.deepEqual([fixed.date, fixed.startTime], [tuesday, '13:00']);
+
+        result.days.forEach(day => {
+            assert.ok((day.totalHours || 0) <= 10 + 1e-6, `${day.day}: ${day.totalHours}h`);
+            day.appointments.forEach(apt => assert.match(apt.startTime, /:(00|30)$/));
+        });
+        assert.equal(result.days[4].overnight || null, null);
+    });
+
+    it('bricht beim Zeitlimit ab und behält die Greedy-Woche', async () => {
+        const result = await plan(1);
+        assert.equal(result.localSearch.stoppedBy, 'time_limit');
+        assert.equal(result.localSearch.applied, false);
+        assert.equal(result.localSearch.timeLimitMs, 1);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Zeitlimit der lokalen Suche über die API (${backend.client})`, { skip: backend.skip }, () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ backend, env: { LOCAL_SEARCH_TIME_LIMIT_MS: '0' } });
+            for (const [lat, lng] of POINTS.slice(0, 4)) {
+                await insertAppointment(server.db, { customer: `Kunde ${lat}`, duration: 2, lat, lng });
+            }
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const optimize = body => server.request('POST', '/api/routes/optimize', {
+            token: server.adminToken,
+            body: { weekStart, driverId: 1, forceNew: true, ...body }
+        });
+
+        it('nimmt LOCAL_SEARCH_TIME_LIMIT_MS als Vorgabe', async () => {
+            const response = await optimize({});
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.route.localSearch.enabled, false);
+        });
+
+        it('übernimmt optimizationTimeLimitMs aus dem Request, höchstens 30 Sekunden', async () => {
+            const response = await optimize({ optimizationTimeLimitMs: 600000 });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.route.localSearch.enabled, true);
+            assert.equal(response.body.route.localSearch.timeLimitMs, 30000);
+        });
+    });
+}
@@ -0,0 +1,79 @@
+// Planung je Fahrer und Flottenplanung gegen bestehende Routen (user-001)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+for (const backend of BACKENDS) {
+    describe(`Routenplanung mit mehreren Fahrern (${backend.client})`, { skip: backend.skip }, () => {
+        const weekStart = futureMonday();
+        let server;
+        let appointmentIds;
+
+        before(async () => {
+            server = await startServer({ backend });
+            await server.db.run(`INSERT INTO drivers (id, name, home_base, home_lat, home_lng)
+                VALUES (2, 'Zweiter Fahrer', 'Hannover', 52.3759, 9.7320)`);
+            appointmentIds = [
+                await insertAppointment(server.db, { customer: 'Kunde A', lat: 52.38, lng: 9.74, duration: 2 }),
+                await insertAppointment(server.db, { customer: 'Kunde B', lat: 52.36, lng: 9.70, duration: 2 })
+            ];
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const optimize = driverId => server.request('POST', '/api/routes/optimize', {
+            token: server.adminToken,
+            body: { weekStart, driverId, forceNew: true }
+        });
+        const activeStops = () => server.db.all(
+            'SELECT appointment_id, driver_id FROM route_stops WHERE active = 1 AND week_start = ? ORDER BY appointment_id', [weekStart]);
+
+        it('nimmt einem anderen Fahrer derselben Woche keine Termine weg', async () => {
+            const first = await optimize(1);
+            assert.equal(first.status, 200, first.text);
+            assert.deepEqual((await activeStops()).map(stop => [stop.appointment_id, stop.driver_id]),
+                appointmentIds.map(id => [id, 1]));
+
+            const second = await optimize(2);
+            assert.equal(second.status, 200, second.text);
+            assert.equal(second.body.success, false);
+            assert.deepEqual((await activeStops()).map(stop => stop.driver_id), [1, 1]);
+            const moved = await server.db.get("SELECT COUNT(*) AS count FROM saved_routes WHERE trigger_type = 'moved'");
+            assert.equal(moved.count, 0);
+        });
+
+        it('gibt bei erneuter Planung die eigene Route der Woche frei', async () => {
+            const again = await optimize(1);
+            assert.equal(again.status, 200, again.text);
+            assert.equal(again.body.route.stats.totalAppointments, 2);
+            const versions = await server.db.all('SELECT version, is_active FROM saved_routes WHERE week_start = ? AND driver_id = 1 ORDER BY version', [weekStart]);
+            assert.deepEqual(versions.map(row => [row.version, row.is_active]), [[1, 0], [2, 1]]);
+        });
+
+        it('ersetzt bei der Flottenplanung alle Routen der Woche mit Versions-Eintrag', async () => {
+            const response = await server.request('POST', '/api/routes/optimize-fleet', {
+                token: server.adminToken,
+                body: { weekStart }
+            });
+            assert.equal(response.status, 200, response.text);
+
+            const active = await server.db.all(`SELECT driver_id, version, parent_id, trigger_type, created_by_name
+                FROM saved_routes WHERE week_start = ? AND is_active = 1 ORDER BY driver_id`, [weekStart]);
+            assert.ok(active.length >= 1);
+            active.forEach(route => {
+                assert.equal(route.trigger_type, 'optimize_fleet');
+                assert.equal(route.created_by_name, 'admin');
+            });
+            // Die bisherige Route von Fahrer 1 ist Vorgänger seiner neuen Version
+            const driverOne = active.find(route => route.driver_id === 1);
+            assert.equal(driverOne.version, 3);
+            assert.ok(driverOne.parent_id);
+
+            const planned = (await activeStops()).map(stop => stop.appointment_id);
+            assert.deepEqual(planned, appointmentIds);
+        });
+    });
+}
@@ -0,0 +1,181 @@
+// Geplante Stopps, Fahrten und Übernachtungen als Tabellen (user-022)
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const RouteStopService = require('../route-stops');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+const WEEK = '2030-01-07';
+const routeData = ids => ({
+    days: [
+        {
+            date: WEEK,
+            day: 'Montag',
+            appointments: ids.map((id, idx) => ({
+                id, customer: `Kunde ${id}`, address: `Straße ${id}`, duration: 2, is_fixed: idx === 0 ? 1 : 0,
+                startTime: `${String(9 + idx * 3).padStart(2, '0')}:00`, endTime: `${String(11 + idx * 3).padStart(2, '0')}:00`, lat: 52.1, lng: 9.7
+            })),
+            travelSegments: [
+                { type: 'departure', from: 'Hannover', to: `Kunde ${ids[0]}`, distance: 40.4, duration: 0.5, startTime: '08:30', endTime: '09:00' },
+                { type: 'break', from: '', to: '', distance: 0, duration: 0.5 },
+                { type: 'return', from: `Kunde ${ids[ids.length - 1]}`, to: 'Hotel', distance: 20.2, duration: 0.3 }
+            ],
+            overnight: { city: 'Kassel', hotel: 'Hotel am Markt', reason: 'Weite Strecke', checkIn: '18:00', location: { lat: 51.3, lng: 9.5 } }
+        },
+        { date: '2030-01-08', day: 'Dienstag', appointments: [{ customer: 'Platzhalter ohne ID' }], travelSegments: [] }
+    ]
+});
+
+for (const backend of BACKENDS) {
+    describe(`RouteStopService (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+        let stops;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await quietly(() => new SchemaMigrator(db).migrate());
+            stops = new RouteStopService(db);
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        const saveRoute = async ({ weekStart = WEEK, driverId = 1, isActive = true, ids }) => {
+            const result = await db.run('INSERT INTO saved_routes (name, week_start, driver_id, route_data, is_active, version) VALUES (?, ?, ?, ?, ?, 1)',
+                ['R', weekStart, driverId, JSON.stringify(routeData(ids)), isActive ? 1 : 0]);
+            await stops.writeRoute({ id: result.lastID, weekStart, driverId, isActive, routeData: routeData(ids) });
+            return result.lastID;
+        };
+
+        it('schreibt Stopps, Fahrten und Übernachtungen und summiert sie', async () => {
+            const routeId = await saveRoute({ ids: [1, 2] });
+            const details = await stops.routeDetails(routeId);
+
+            assert.deepEqual(details.stops.map(stop => [stop.appointment_id, stop.position, stop.start_time, stop.is_fixed]),
+                [[1, 0, '09:00', 1], [2, 1, '12:00', 0]]);
+            assert.deepEqual(details.legs.map(leg => leg.type), ['departure', 'break', 'return']);
+            assert.deepEqual(details.overnights.map(o => [o.city, o.hotel, o.lat]), [['Kassel', 'Hotel am Markt', 51.3]]);
+            // Pausen zählen nicht als Fahrzeit, Termine ohne ID werden nicht verplant
+            assert.deepEqual(details.totals, { appointments: 2, km: 61, travelHours: 0.8, workHours: 4, overnightStays: 1 });
+        });
+
+        it('erlaubt einen Termin nur einmal in den aktiven Routen', async () => {
+            await saveRoute({ ids: [1] });
+            await assert.rejects(saveRoute({ weekStart: '2030-01-14', ids: [1] }), error => db.isUniqueViolation(error));
+
+            // In inaktiven Versionen darf er beliebig oft vorkommen
+            await saveRoute({ weekStart: '2030-01-14', ids: [1], isActive: false });
+            await saveRoute({ ids: [1], isActive: false });
+            const count = await db.get('SELECT COUNT(*) AS count FROM route_stops WHERE appointment_id = 1');
+            assert.equal(count.count, 3);
+        });
+
+        it('übernimmt einen doppelt geplanten Termin nur beim ersten Vorkommen', async () => {
+            const routeId = await saveRoute({ ids: [1, 2, 1] });
+            const details = await stops.routeDetails(routeId);
+            assert.deepEqual(details.stops.map(stop => [stop.appointment_id, stop.position]), [[1, 0], [2, 1]]);
+        });
+
+        it('findet aktive Stopps und Konflikte mit anderen Wochen und Fahrern', async () => {
+            await saveRoute({ ids: [1, 2] });
+            await saveRoute({ driverId: 2, ids: [3] });
+            await saveRoute({ weekStart: '2030-01-14', ids: [4] });
+            await saveRoute({ weekStart: '2030-01-21', ids: [5], isActive: false });
+
+            const ids = async filter => (await stops.activeStops(filter)).map(stop => stop.appointment_id).sort((a, b) => a - b);
+            assert.deepEqual(await ids(), [1, 2, 3, 4]);
+            assert.deepEqual(await ids({ weekStart: WEEK, driverId: 2 }), [3]);
+            assert.deepEqual(await ids({ excludeWeekStart: WEEK }), [4]);
+            assert.deepEqual(await ids({ excludeWeekStart: WEEK, excludeDriverId: 1 }), [3, 4]);
+            assert.deepEqual(await ids({ appointmentId: 4 }), [4]);
+
+            const conflicts = await stops.findActiveConflicts([1, 3, 4, 5], WEEK, 1);
+            assert.deepEqual(conflicts.map(c => [c.appointment_id, c.week_start, c.driver_id]).sort(), [[3, WEEK, 2], [4, '2030-01-14', 1]]);
+            assert.deepEqual(await stops.findActiveConflicts([], WEEK, 1), []);
+        });
+    });
+}
+
+describe('RouteStopService.withoutAppointments', () => {
+    it('entfernt Termine aus einer Kopie und rechnet Arbeitszeit und Anzahl neu', () => {
+        const original = { days: routeData([1, 2, 3]).days.slice(0, 1), stats: { totalAppointments: 3, totalWorkTime: 6 } };
+        const reduced = RouteStopService.withoutAppointments(original, [2]);
+        assert.deepEqual(reduced.days[0].appointments.map(apt => apt.id), [1, 3]);
+        assert.equal(reduced.days[0].workTime, 4);
+        assert.deepEqual(reduced.stats, { totalAppointments: 2, totalWorkTime: 4 });
+        assert.equal(original.days[0].appointments.length, 3);
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Geplante Stopps über die API (${backend.client})`, { skip: backend.skip }, () => {
+        const weekStart = futureMonday();
+        let server;
+        let appointmentId;
+
+        before(async () => {
+            server = await startServer({ backend });
+            appointmentId = await insertAppointment(server.db, { customer: 'Kunde Stopps', duration: 2, lat: 52.45, lng: 9.9 });
+            const response = await server.request('POST', '/api/routes/optimize', {
+                token: server.adminToken,
+                body: { weekStart, driverId: 1, forceNew: true }
+            });
+            assert.equal(response.status, 200, response.text);
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('liest verplante Termine aus route_stops', async () => {
+            const response = await server.request('GET', `/api/routes/stops?weekStart=${weekStart}`, { token: server.adminToken });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.count, 1);
+            assert.deepEqual([response.body.stops[0].appointment_id, response.body.stops[0].driver_id], [appointmentId, 1]);
+
+            const other = await server.request('GET', `/api/routes/stops?appointmentId=${appointmentId + 1}`, { token: server.adminToken });
+            assert.equal(other.body.count, 0);
+        });
+
+        it('liefert Stopps, Fahrten und Summen einer Version', async () => {
+            const route = await server.db.get('SELECT id FROM saved_routes WHERE week_start = ? AND is_active = 1', [weekStart]);
+            const response = await server.request('GET', `/api/routes/versions/${route.id}/stops`, { token: server.adminToken });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.isActive, 1);
+            assert.equal(response.body.totals.appointments, 1);
+            assert.ok(response.body.legs.length >= 1);
+            assert.ok(response.body.totals.km > 0);
+        });
+
+        it('nimmt einen gelöschten fixen Termin aus der aktiven Route', async () => {
+            const fixedId = await insertAppointment(server.db, {
+                customer: 'Fix zum Löschen', duration: 2, is_fixed: 1, fixed_date: weekStart, fixed_time: '14:00', lat: 52.4, lng: 9.8
+            });
+            const optimized = await server.request('POST', '/api/routes/optimize', {
+                token: server.adminToken,
+                body: { weekStart, driverId: 1, forceNew: true }
+            });
+            assert.equal(optimized.status, 200, optimized.text);
+            assert.equal((await server.request('GET', `/api/routes/stops?appointmentId=${fixedId}`, { token: server.adminToken })).body.count, 1);
+
+            const response = await server.request('DELETE', `/api/appointments/fixed/${fixedId}`, { token: server.adminToken });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.removedFromRoutes, 1);
+
+            const stops = await server.request('GET', `/api/routes/stops?weekStart=${weekStart}`, { token: server.adminToken });
+            assert.deepEqual(stops.body.stops.map(stop => stop.appointment_id), [appointmentId]);
+            assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM route_stops WHERE appointment_id = ?', [fixedId])).count, 0);
+            assert.equal((await server.request('DELETE', `/api/appointments/fixed/${fixedId}`, { token: server.adminToken })).status, 404);
+        });
+
+        it('meldet keine Doppelplanungen, solange der Index greift', async () => {
+            for (const path of ['/api/admin/fix-duplicate-planning', '/api/admin/clean-duplicate-appointments']) {
+                const response = await server.request('POST', path, { token: server.adminToken, body: {} });
+                assert.equal(response.status, 200, path);
+                assert.equal(response.body.duplicatesFound, 0, path);
+            }
+        });
+    });
+}
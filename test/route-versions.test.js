@@ -0,0 +1,230 @@
+// Versionen gespeicherter Routen (route-versions.js) gegen SQLite und PostgreSQL, Vergleich und Rollback (user-021)
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaMigrator = require('../schema-migrations');
+const RouteVersionService = require('../route-versions');
+const { BACKENDS, quietly } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+const WEEK = '2030-01-07';
+const routeData = ids => ({
+    days: [{ date: WEEK, day: 'Montag', appointments: ids.map(id => ({ id, customer: `Kunde ${id}`, duration: 2 })), travelSegments: [] }],
+    stats: { totalAppointments: ids.length }
+});
+// Geplante Route mit Tag/Uhrzeit je Termin: { id: ['2030-01-07', '09:00'] }
+const plannedRoute = (placements, km) => {
+    const dates = [...new Set(Object.values(placements).map(([date]) => date))].sort();
+    return {
+        days: dates.map((date, idx) => ({
+            date,
+            day: ['Montag', 'Dienstag', 'Mittwoch'][idx],
+            appointments: Object.entries(placements).filter(([, [d]]) => d === date)
+                .map(([id, [, startTime]]) => ({ id: Number(id), customer: `Kunde ${id}`, startTime })),
+            travelSegments: idx === 0 ? [{ type: 'departure', distance: km, duration: km / 80 }] : [],
+            travelTime: idx === 0 ? km / 80 : 0,
+            workTime: Object.values(placements).filter(([d]) => d === date).length * 2
+        }))
+    };
+};
+
+for (const backend of BACKENDS) {
+    describe(`RouteVersionService (${backend.client})`, { skip: backend.skip }, () => {
+        let db;
+        let versions;
+
+        beforeEach(async () => {
+            db = await backend.open();
+            await quietly(() => new SchemaMigrator(db).migrate());
+            versions = new RouteVersionService(db);
+        });
+
+        afterEach(async () => {
+            await db.cleanup();
+        });
+
+        const active = () => db.all(`SELECT driver_id, version, parent_id, trigger_type FROM saved_routes
+            WHERE week_start = ? AND is_active = 1 ORDER BY driver_id`, [WEEK]);
+
+        it('zählt Versionen je Woche und Fahrer hoch', async () => {
+            const first = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([1]) }, { trigger: 'optimize' });
+            const second = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([1, 2]) }, { trigger: 'recalculate' });
+            assert.equal(first.version, 1);
+            assert.equal(second.version, 2);
+            assert.equal(second.parentId, first.id);
+            assert.deepEqual((await active()).map(row => row.trigger_type), ['recalculate']);
+        });
+
+        it('verschiebt einen Termin aus einer anderen aktiven Route als Folgeversion', async () => {
+            await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([1, 2]) }, {});
+            await versions.saveVersion({ name: 'R', weekStart: '2030-01-14', driverId: 1, routeData: routeData([2]) }, {});
+
+            const stops = await db.all('SELECT appointment_id, week_start FROM route_stops WHERE active = 1 ORDER BY appointment_id');
+            assert.deepEqual(stops.map(stop => [stop.appointment_id, stop.week_start]), [[1, WEEK], [2, '2030-01-14']]);
+            assert.deepEqual((await active()).map(row => [row.version, row.trigger_type]), [[2, 'moved']]);
+        });
+
+        it('ersetzt alle Routen einer Woche und versioniert aufgelöste Routen', async () => {
+            await versions.saveVersion({ name: 'R1', weekStart: WEEK, driverId: 1, routeData: routeData([1]) }, {});
+            await versions.saveVersion({ name: 'R2', weekStart: WEEK, driverId: 2, routeData: routeData([2]) }, {});
+
+            // Beide Termine gehen an Fahrer 1 - ohne Umweg über "moved"-Versionen
+            const saved = await versions.replaceWeek(WEEK, [{ name: 'Flotte', driverId: 1, routeData: routeData([1, 2]) }], { trigger: 'optimize_fleet' });
+            assert.deepEqual(saved.map(entry => [entry.driverId, entry.version]), [[1, 2]]);
+
+            const rows = await active();
+            assert.deepEqual(rows.map(row => [row.driver_id, row.version, row.trigger_type]), [[1, 2, 'optimize_fleet'], [2, 2, 'optimize_fleet']]);
+            const cleared = await db.get('SELECT route_data FROM saved_routes WHERE driver_id = 2 AND is_active = 1');
+            assert.equal(JSON.parse(cleared.route_data).stats.totalAppointments, 0);
+            const stops = await db.all('SELECT appointment_id, driver_id FROM route_stops WHERE active = 1 ORDER BY appointment_id');
+            assert.deepEqual(stops.map(stop => [stop.appointment_id, stop.driver_id]), [[1, 1], [2, 1]]);
+        });
+
+        it('lässt die Woche unverändert, wenn eine Route der Flottenplanung scheitert', async () => {
+            await versions.saveVersion({ name: 'R1', weekStart: WEEK, driverId: 1, routeData: routeData([1]) }, {});
+            const broken = routeData([3]);
+            broken.self = broken; // nicht als JSON speicherbar
+
+            await assert.rejects(versions.replaceWeek(WEEK, [
+                { name: 'Flotte 1', driverId: 1, routeData: routeData([1, 2]) },
+                { name: 'Flotte 2', driverId: 2, routeData: broken }
+            ], { trigger: 'optimize_fleet' }));
+
+            assert.deepEqual((await active()).map(row => [row.driver_id, row.version]), [[1, 1]]);
+            const count = await db.get('SELECT COUNT(*) AS count FROM saved_routes');
+            assert.equal(count.count, 1);
+        });
+
+        it('vergleicht zwei Versionen: neu, entfernt, verschoben und Kennzahlen', async () => {
+            const first = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1,
+                routeData: plannedRoute({ 1: [WEEK, '09:00'], 2: [WEEK, '13:00'], 3: ['2030-01-08', '09:00'] }, 100) }, {});
+            const second = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1,
+                routeData: plannedRoute({ 1: [WEEK, '09:00'], 2: ['2030-01-08', '13:00'], 4: ['2030-01-08', '09:00'] }, 80) }, { trigger: 'reschedule' });
+
+            const diff = versions.diff(await versions.getVersion(first.id), await versions.getVersion(second.id));
+            assert.deepEqual(diff.added.map(apt => apt.appointmentId), [4]);
+            assert.deepEqual(diff.removed.map(apt => apt.appointmentId), [3]);
+            assert.deepEqual(diff.moved.map(move => [move.appointmentId, move.from.date, move.to.date, move.to.startTime]),
+                [[2, WEEK, '2030-01-08', '13:00']]);
+            assert.equal(diff.unchanged, 1);
+            assert.deepEqual([diff.from.version, diff.to.version], [1, 2]);
+            assert.deepEqual(diff.changes, { appointments: 0, km: -20, hours: -0.3, travelHours: -0.3, workHours: 0, overnightStays: 0 });
+        });
+
+        it('macht eine ältere Version wieder aktiv und behält alle Versionen', async () => {
+            const first = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([1, 2]) }, {});
+            const second = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([3]) }, {});
+
+            const result = await versions.rollback(first.id);
+            assert.equal(result.version.id, first.id);
+            assert.equal(result.version.is_active, 1);
+            assert.equal(result.previous.id, second.id);
+            assert.deepEqual(result.conflicts, []);
+
+            const stops = await db.all('SELECT appointment_id FROM route_stops WHERE active = 1 ORDER BY appointment_id');
+            assert.deepEqual(stops.map(stop => stop.appointment_id), [1, 2]);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM saved_routes')).count, 2);
+            assert.equal(await versions.rollback(999999), null);
+        });
+
+        it('holt anderswo verplante Termine beim Rollback nur mit force zurück', async () => {
+            const first = await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([1, 2]) }, {});
+            await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([1]) }, {});
+            await versions.saveVersion({ name: 'Später', weekStart: '2030-01-14', driverId: 1, routeData: routeData([2]) }, {});
+
+            const refused = await versions.rollback(first.id);
+            assert.equal(refused.version, undefined);
+            assert.deepEqual(refused.conflicts.map(conflict => [conflict.appointment_id, conflict.week_start]), [[2, '2030-01-14']]);
+            assert.deepEqual((await active()).map(row => row.version), [2]);
+
+            const forced = await versions.rollback(first.id, { force: true });
+            assert.equal(forced.version.id, first.id);
+            const later = await db.get("SELECT version, trigger_type, route_data FROM saved_routes WHERE week_start = '2030-01-14' AND is_active = 1");
+            assert.deepEqual([later.version, later.trigger_type], [2, 'moved']);
+            assert.equal(JSON.parse(later.route_data).days[0].appointments.length, 0);
+            const stops = await db.all('SELECT appointment_id, week_start FROM route_stops WHERE active = 1 ORDER BY appointment_id');
+            assert.deepEqual(stops.map(stop => [stop.appointment_id, stop.week_start]), [[1, WEEK], [2, WEEK]]);
+        });
+
+        it('löscht einen Termin samt Stopps und löst die Kalender-Verknüpfung', async () => {
+            const appointment = await db.run("INSERT INTO appointments (customer, address, is_fixed) VALUES ('Fix', 'Markt 1', 1)");
+            const id = appointment.lastID;
+            await db.run("INSERT INTO calendar_events (event_key, source, appointment_id) VALUES ('uid-1', 'ics', ?)", [id]);
+            await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([id, 99]) }, {});
+            await versions.saveVersion({ name: 'R', weekStart: WEEK, driverId: 1, routeData: routeData([99, id]) }, {});
+
+            assert.equal(await versions.deleteAppointment(id, { trigger: 'appointment_deleted' }), 1);
+            assert.equal(await versions.deleteAppointment(id), null);
+
+            assert.deepEqual((await active()).map(row => [row.version, row.trigger_type]), [[3, 'appointment_deleted']]);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM route_stops WHERE appointment_id = ?', [id])).count, 0);
+            assert.deepEqual((await db.all('SELECT appointment_id FROM route_stops WHERE active = 1')).map(stop => stop.appointment_id), [99]);
+            assert.equal((await db.get("SELECT appointment_id FROM calendar_events WHERE event_key = 'uid-1'")).appointment_id, null);
+            assert.equal(await db.get('SELECT id FROM appointments WHERE id = ?', [id]), undefined);
+            // Ältere Versionen behalten den Termin im Dokument
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM saved_routes')).count, 3);
+        });
+    });
+}
+
+for (const backend of BACKENDS) {
+    describe(`Routen-Versionen über die API (${backend.client})`, { skip: backend.skip }, () => {
+        const weekStart = futureMonday();
+        let server;
+        let first;
+        let second;
+        let added;
+
+        before(async () => {
+            server = await startServer({ backend });
+            await insertAppointment(server.db, { customer: 'Kunde A', duration: 2, lat: 52.38, lng: 9.74 });
+            const optimize = () => server.request('POST', '/api/routes/optimize', {
+                token: server.adminToken,
+                body: { weekStart, driverId: 1, forceNew: true }
+            });
+            assert.equal((await optimize()).status, 200);
+            added = await insertAppointment(server.db, { customer: 'Kunde B', duration: 2, lat: 52.36, lng: 9.70 });
+            assert.equal((await optimize()).status, 200);
+
+            const list = await server.request('GET', `/api/routes/versions?weekStart=${weekStart}`, { token: server.adminToken });
+            [second, first] = list.body.versions;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it('listet Versionen mit Vorgänger, Autor und Auslöser', () => {
+            assert.deepEqual([second.version, second.parent_id, second.is_active], [2, first.id, 1]);
+            assert.deepEqual([second.created_by_name, second.trigger_type, second.trigger_label], ['admin', 'optimize', 'Wochenoptimierung']);
+            assert.deepEqual([first.summary.appointments, second.summary.appointments], [1, 2]);
+        });
+
+        it('vergleicht eine Version mit ihrem Vorgänger', async () => {
+            const response = await server.request('GET', `/api/routes/versions/${second.id}/diff`, { token: server.adminToken });
+            assert.equal(response.status, 200, response.text);
+            assert.deepEqual(response.body.diff.added.map(apt => apt.appointmentId), [added]);
+            assert.equal(response.body.diff.changes.appointments, 1);
+
+            const noParent = await server.request('GET', `/api/routes/versions/${first.id}/diff`, { token: server.adminToken });
+            assert.equal(noParent.status, 400);
+        });
+
+        it('setzt per Rollback zurück, nur für Planer', async () => {
+            const { token: driverToken } = await server.createUser({ username: 'fahrer.zwei', role: 'driver', driver_id: 2 });
+            assert.equal((await server.request('POST', `/api/routes/versions/${first.id}/rollback`, { token: driverToken, body: {} })).status, 403);
+            // Fremde Versionen sehen Fahrer nicht
+            assert.equal((await server.request('GET', `/api/routes/versions/${first.id}`, { token: driverToken })).status, 404);
+
+            const { token } = await server.createUser({ username: 'planer.rollback', role: 'planner' });
+            const response = await server.request('POST', `/api/routes/versions/${first.id}/rollback`, { token, body: {} });
+            assert.equal(response.status, 200, response.text);
+            assert.equal(response.body.version.id, first.id);
+            assert.equal(response.body.previousActive.id, second.id);
+            assert.deepEqual(response.body.changes.removed.map(apt => apt.appointmentId), [added]);
+
+            const active = await server.db.all('SELECT id FROM saved_routes WHERE week_start = ? AND is_active = 1', [weekStart]);
+            assert.deepEqual(active.map(row => row.id), [first.id]);
+            assert.equal((await server.request('POST', '/api/routes/versions/999999/rollback', { token, body: {} })).status, 404);
+        });
+    });
+}
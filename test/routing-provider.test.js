@@ -0,0 +1,88 @@
+// Austauschbare Routing-Provider (user-005) - OSRM gegen einen lokalen Fake-Dienst
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createRoutingProvider, OsrmRoutingProvider, HaversineRoutingProvider } = require('../routing-provider');
+
+const HANNOVER = { lat: 52.3759, lng: 9.7320 };
+const KASSEL = { lat: 51.3127, lng: 9.4797 };
+const GOETTINGEN = { lat: 51.5413, lng: 9.9158 };
+
+describe('HaversineRoutingProvider', () => {
+    it('schätzt Luftlinie × Straßenfaktor ohne Netz', async () => {
+        const provider = new HaversineRoutingProvider();
+        const leg = await provider.route(HANNOVER, KASSEL);
+        assert.ok(leg.distance > 130 && leg.distance < 150, String(leg.distance));
+        assert.equal(leg.duration, leg.distance / 75);
+        assert.equal(leg.approximated, true);
+
+        const matrix = await provider.table([HANNOVER, KASSEL], [GOETTINGEN]);
+        assert.equal(matrix.length, 2);
+        assert.equal(matrix[0].length, 1);
+        assert.equal(provider.realistic, false);
+    });
+});
+
+describe('OsrmRoutingProvider', () => {
+    let fake;
+    let baseUrl;
+    const requests = [];
+
+    before(async () => {
+        // Antwortet wie OSRM: Distanz = 1000 m je Index-Abstand, keine Route zu Index 0 -> 2
+        fake = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push(url);
+            const [, service, , , coords] = url.pathname.split('/');
+            const points = coords.split(';').map(pair => pair.split(',').map(Number));
+            res.setHeader('Content-Type', 'application/json');
+
+            if (service === 'route') {
+                if (points[0][1] === points[1][1]) return res.end(JSON.stringify({ code: 'NoRoute' }));
+                return res.end(JSON.stringify({ code: 'Ok', routes: [{ distance: 12500, duration: 900 }] }));
+            }
+            const sources = url.searchParams.get('sources').split(';').map(Number);
+            const destinations = url.searchParams.get('destinations').split(';').map(Number);
+            const lat = index => points[index][1];
+            res.end(JSON.stringify({
+                code: 'Ok',
+                durations: sources.map(s => destinations.map(d => (lat(s) === lat(d) ? null : 3600))),
+                distances: sources.map(s => destinations.map(d => Math.round(Math.abs(lat(s) - lat(d)) * 100000)))
+            }));
+        });
+        await new Promise(resolve => fake.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${fake.address().port}/`;
+    });
+
+    after(() => new Promise(resolve => fake.close(resolve)));
+
+    it('liest die Matrix in Stücken und meldet fehlende Routen als null', async () => {
+        requests.length = 0;
+        const provider = new OsrmRoutingProvider({ baseUrl, maxCoordinates: 4 });
+        const origins = [HANNOVER, KASSEL, GOETTINGEN];
+        const matrix = await provider.table(origins, origins);
+
+        // 2 Punkte je Seite und Anfrage => 2 × 2 Anfragen
+        assert.equal(requests.length, 4);
+        assert.ok(requests.every(url => url.pathname.startsWith('/table/v1/driving/')));
+        assert.equal(matrix[0][0], null);
+        assert.equal(matrix[0][1].duration, 1);
+        assert.equal(matrix[0][1].provider, 'osrm');
+        assert.ok(Math.abs(matrix[0][1].distance - (HANNOVER.lat - KASSEL.lat) * 100) < 0.01);
+        assert.equal(matrix[2][1].duration, 1);
+    });
+
+    it('liefert Einzelstrecken in km/h und null ohne Route', async () => {
+        const provider = new OsrmRoutingProvider({ baseUrl });
+        assert.deepEqual(await provider.route(HANNOVER, KASSEL), { distance: 12.5, duration: 0.25, provider: 'osrm' });
+        assert.equal(await provider.route(HANNOVER, HANNOVER), null);
+    });
+});
+
+describe('createRoutingProvider', () => {
+    it('wählt den Provider per Option und lehnt Unbekanntes ab', () => {
+        assert.equal(createRoutingProvider({ provider: 'haversine' }).name, 'haversine');
+        assert.equal(createRoutingProvider({ provider: 'OSRM', baseUrl: 'http://osrm:5000/' }).baseUrl, 'http://osrm:5000');
+        assert.throws(() => createRoutingProvider({ provider: 'here' }), /Unbekannter ROUTING_PROVIDER/);
+    });
+});
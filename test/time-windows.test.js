@@ -0,0 +1,155 @@
+// Harte und weiche Zeitfenster für flexible Termine (user-016)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const TimeWindows = require('../time-windows');
+const { BACKENDS } = require('./helpers/database');
+const { startServer, insertAppointment, futureMonday } = require('./helpers/server');
+
+// Tag der Woche ab Montag (0) als YYYY-MM-DD
+function weekDay(weekStart, offset) {
+    const date = new Date(`${weekStart}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offset);
+    return date.toISOString().split('T')[0];
+}
+
+describe('Zeitfenster-Regeln', () => {
+    // 2030-01-07 ist ein Montag
+    const tuesdayOrThursdayMornings = TimeWindows.parseTimeWindows({
+        time_windows: JSON.stringify([{ type: 'hard', weekdays: [2, 4], from: '08:00', to: '12:00' }])
+    });
+
+    it('prüft Eingaben und speichert normalisiert', () => {
+        const { windows, errors } = TimeWindows.validateTimeWindows([
+            { type: 'soft', weekdays: [4, 2, 2], from: '08:00', to: '12:00', label: 'vormittags' },
+            { exclude: true, date_from: '2030-01-14', date_to: '2030-01-18' }
+        ]);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(windows, [
+            { type: 'soft', exclude: false, weekdays: [2, 4], from: '08:00', to: '12:00', label: 'vormittags' },
+            { type: 'hard', exclude: true, date_from: '2030-01-14', date_to: '2030-01-18' }
+        ]);
+
+        const invalid = TimeWindows.validateTimeWindows([
+            { type: 'manchmal', weekdays: [0] },
+            { from: '12:00', to: '08:00' },
+            { dates: ['14.01.2030'] },
+            {}
+        ]);
+        assert.equal(invalid.windows.length, 0);
+        assert.equal(invalid.errors.length, 5);
+        assert.ok(invalid.errors.some(error => error.startsWith('Regel 4: mindestens')));
+        assert.deepEqual(TimeWindows.validateTimeWindows('dienstags').errors, ['time_windows muss eine Liste von Regeln sein']);
+    });
+
+    it('verlangt, dass der ganze Termin im Verfügbarkeitsfenster liegt', () => {
+        assert.equal(TimeWindows.evaluateTimeWindows(tuesdayOrThursdayMornings, '2030-01-08', 9, 11).ok, true);
+        // Dienstag, aber bis 13:00
+        const tooLate = TimeWindows.evaluateTimeWindows(tuesdayOrThursdayMornings, '2030-01-08', 10, 13);
+        assert.equal(tooLate.ok, false);
+        assert.equal(tooLate.hard[0].reason, 'außerhalb der Verfügbarkeit');
+        // Mittwoch
+        assert.equal(TimeWindows.evaluateTimeWindows(tuesdayOrThursdayMornings, '2030-01-09', 9, 11).ok, false);
+    });
+
+    it('liest die alten Spalten als weiche Wunsch- und harte Sperrtage', () => {
+        const rules = TimeWindows.parseTimeWindows({
+            preferred_dates: '["2030-01-08"]',
+            excluded_dates: '["2030-01-09", "kein Datum"]'
+        });
+        assert.deepEqual(rules.map(rule => [rule.type, rule.exclude, rule.dates]), [
+            ['soft', false, ['2030-01-08']],
+            ['hard', true, ['2030-01-09']]
+        ]);
+
+        const blocked = TimeWindows.evaluateTimeWindows(rules, '2030-01-09', 9, 11);
+        assert.deepEqual(blocked.hard.map(v => [v.rule, v.reason]), [['Sperrtag', 'in einer Sperrzeit']]);
+        assert.deepEqual(blocked.soft.map(v => v.rule), ['Wunschtermin']);
+        assert.equal(TimeWindows.evaluateTimeWindows(rules, '2030-01-08', 9, 11).soft.length, 0);
+    });
+
+    it('liefert die freien Bereiche eines Tages nach Sperrzeiten', () => {
+        const rules = TimeWindows.parseTimeWindows({
+            time_windows: [{ type: 'hard', exclude: true, weekdays: [1], from: '11:00', to: '13:00' }]
+        });
+        assert.deepEqual(TimeWindows.allowedRanges(rules, '2030-01-07', 8, 18), [{ from: 8, to: 11 }, { from: 13, to: 18 }]);
+        assert.equal(TimeWindows.isDateAllowed(rules, '2030-01-07', 8, 18, 5), true);
+        assert.equal(TimeWindows.isDateAllowed(rules, '2030-01-07', 8, 16, 4), false);
+        assert.deepEqual(TimeWindows.allowedRanges(tuesdayOrThursdayMornings, '2030-01-07', 8, 18), []);
+    });
+
+    it('beschreibt Regeln ohne Label lesbar', () => {
+        assert.equal(TimeWindows.describeRule(tuesdayOrThursdayMornings[0]), 'nur Di/Do 08:00-12:00');
+        assert.equal(TimeWindows.describeRule({ exclude: true, date_from: '2030-01-14' }), 'nicht 2030-01-14 bis …');
+    });
+});
+
+for (const backend of BACKENDS) {
+    describe(`Zeitfenster in API und Wochenplanung (${backend.client})`, { skip: backend.skip }, () => {
+        const weekStart = futureMonday();
+        let server;
+        let ids;
+
+        before(async () => {
+            server = await startServer({ backend });
+            ids = {
+                thursday: await insertAppointment(server.db, { customer: 'Nur Donnerstag', duration: 2, lat: 52.39, lng: 9.75 }),
+                away: await insertAppointment(server.db, { customer: 'Im Urlaub', duration: 2, lat: 52.36, lng: 9.71 }),
+                fixed: await insertAppointment(server.db, {
+                    customer: 'Fix am Nachmittag', duration: 2, is_fixed: 1, fixed_date: weekStart, fixed_time: '14:00', lat: 52.37, lng: 9.72
+                })
+            };
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        const putWindows = (id, body) => server.request('PUT', `/api/appointments/${id}/time-windows`, { token: server.adminToken, body });
+
+        it('lehnt ungültige Regeln mit Details ab', async () => {
+            const response = await putWindows(ids.thursday, { time_windows: [{ weekdays: [8] }], excluded_dates: ['morgen'] });
+            assert.equal(response.status, 400);
+            assert.equal(response.body.details.length, 2);
+            assert.equal((await putWindows(999999, { time_windows: [] })).status, 404);
+        });
+
+        it('speichert Regeln und zeigt sie als Text', async () => {
+            const saved = await putWindows(ids.thursday, {
+                time_windows: [{ type: 'hard', weekdays: [4], from: '08:00', to: '12:00', label: 'nur Donnerstag vormittags' }]
+            });
+            assert.equal(saved.status, 200, saved.text);
+            assert.equal((await putWindows(ids.away, {
+                time_windows: [{ type: 'hard', exclude: true, date_from: weekStart, date_to: weekDay(weekStart, 6) }]
+            })).status, 200);
+            assert.equal((await putWindows(ids.fixed, {
+                time_windows: [{ type: 'hard', to: '12:00', label: 'nur vormittags' }]
+            })).status, 200);
+
+            const response = await server.request('GET', `/api/appointments/${ids.thursday}/time-windows`, { token: server.adminToken });
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.summary, [{ type: 'hard', exclude: false, text: 'nur Donnerstag vormittags' }]);
+        });
+
+        it('hält harte Fenster ein und meldet, was nicht ging', async () => {
+            const response = await server.request('POST', '/api/routes/optimize', {
+                token: server.adminToken,
+                body: { weekStart, driverId: 1, forceNew: true }
+            });
+            assert.equal(response.status, 200, response.text);
+            const route = response.body.route;
+
+            const placements = route.days.flatMap(day => day.appointments.map(apt => ({ ...apt, date: day.date })));
+            const thursday = placements.find(apt => apt.id === ids.thursday);
+            assert.equal(thursday.date, weekDay(weekStart, 3));
+            assert.ok(thursday.startTime >= '08:00' && thursday.endTime <= '12:00', `${thursday.startTime}-${thursday.endTime}`);
+            assert.equal(thursday.timeWindowStatus, 'ok');
+            assert.equal(placements.some(apt => apt.id === ids.away), false);
+
+            // Fixe Termine bleiben, wo sie sind - die Verletzung steht im Bericht
+            assert.deepEqual(route.timeWindows.violations.map(v => [v.id, v.fixed, v.violations[0].type]), [[ids.fixed, true, 'hard']]);
+            assert.deepEqual(route.timeWindows.blocked.map(b => [b.id, b.allowedDates]), [[ids.away, []]]);
+            assert.equal(route.stats.timeWindowViolations, 1);
+            assert.ok(route.optimizations.includes('1 Termine mit harten Zeitfenstern nicht eingeplant'));
+        });
+    });
+}
@@ -0,0 +1,294 @@
+// ======================================================================
+// ZEITFENSTER FÜR FLEXIBLE TERMINE
+// Kunden sagen z.B. "nur Dienstag oder Donnerstag vormittags" oder
+// "nicht in der Woche vom 14.". Ein Termin trägt dafür eine Liste von Regeln
+// (Spalte appointments.time_windows, JSON):
+//
+//   { type: 'hard' | 'soft',      hart = muss eingehalten werden, weich = bevorzugt
+//     exclude: true|false,        true = Sperrzeit ("nicht ..."), sonst Verfügbarkeit ("nur ...")
+//     dates: ['2026-11-03'],      einzelne Tage
+//     date_from, date_to,         Zeitraum (inklusive)
+//     weekdays: [2, 4],           1 = Montag ... 7 = Sonntag
+//     from: '08:00', to: '12:00', Uhrzeit - der ganze Termin muss hineinpassen
+//     label: 'nur vormittags' }   Freitext für Berichte
+//
+// Alle angegebenen Bedingungen einer Regel gelten gemeinsam (UND), mehrere
+// Verfügbarkeits-Regeln gleichen Typs sind Alternativen (ODER).
+// Die alten Spalten preferred_dates / excluded_dates werden als weiche
+// Wunschtage bzw. harte Sperrtage gelesen.
+// ======================================================================
+
+const WINDOW_TYPES = ['hard', 'soft'];
+const WEEKDAY_NAMES = ['', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+
+/**
+ * Regeln eines Termins (time_windows + Altspalten) einlesen.
+ * @param {object} appointment - Zeile aus appointments
+ * @returns {Array<object>} normalisierte Regeln (from/to als Stunden)
+ */
+function parseTimeWindows(appointment) {
+    const rules = [];
+
+    readJsonList(appointment.time_windows).forEach(rule => {
+        const normalized = normalizeRule(rule);
+        if (normalized) rules.push(normalized);
+    });
+
+    const preferred = readJsonList(appointment.preferred_dates).filter(isIsoDate);
+    if (preferred.length > 0) {
+        rules.push(normalizeRule({ type: 'soft', dates: preferred, label: 'Wunschtermin' }));
+    }
+    const excluded = readJsonList(appointment.excluded_dates).filter(isIsoDate);
+    if (excluded.length > 0) {
+        rules.push(normalizeRule({ type: 'hard', exclude: true, dates: excluded, label: 'Sperrtag' }));
+    }
+
+    return rules;
+}
+
+/**
+ * Eingabe aus der API prüfen.
+ * @returns {{ windows: Array<object>, errors: string[] }} windows im Speicherformat (from/to als "HH:MM")
+ */
+function validateTimeWindows(input) {
+    const errors = [];
+    if (!Array.isArray(input)) {
+        return { windows: [], errors: ['time_windows muss eine Liste von Regeln sein'] };
+    }
+
+    const windows = input.map((rule, index) => {
+        const prefix = `Regel ${index + 1}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${prefix}: kein Objekt`);
+            return null;
+        }
+
+        const type = rule.type || 'hard';
+        if (!WINDOW_TYPES.includes(type)) errors.push(`${prefix}: type muss "hard" oder "soft" sein`);
+
+        const dates = rule.dates === undefined ? undefined : [].concat(rule.dates);
+        if (dates && !dates.every(isIsoDate)) errors.push(`${prefix}: dates nur im Format YYYY-MM-DD`);
+        ['date_from', 'date_to'].forEach(key => {
+            if (rule[key] !== undefined && !isIsoDate(rule[key])) errors.push(`${prefix}: ${key} nur im Format YYYY-MM-DD`);
+        });
+        if (rule.date_from && rule.date_to && rule.date_from > rule.date_to) errors.push(`${prefix}: date_from liegt nach date_to`);
+
+        const weekdays = rule.weekdays === undefined ? undefined : [].concat(rule.weekdays).map(Number);
+        if (weekdays && !weekdays.every(d => Number.isInteger(d) && d >= 1 && d <= 7)) {
+            errors.push(`${prefix}: weekdays nur 1 (Montag) bis 7 (Sonntag)`);
+        }
+
+        ['from', 'to'].forEach(key => {
+            if (rule[key] !== undefined && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(String(rule[key]))) {
+                errors.push(`${prefix}: ${key} nur im Format HH:MM`);
+            }
+        });
+        if (rule.from && rule.to && toHours(rule.from) >= toHours(rule.to)) errors.push(`${prefix}: from muss vor to liegen`);
+
+        if (!dates && !rule.date_from && !rule.date_to && !weekdays && !rule.from && !rule.to) {
+            errors.push(`${prefix}: mindestens Datum, Zeitraum, Wochentag oder Uhrzeit angeben`);
+        }
+
+        const window = { type, exclude: !!rule.exclude };
+        if (dates) window.dates = [...new Set(dates)].sort();
+        if (rule.date_from) window.date_from = rule.date_from;
+        if (rule.date_to) window.date_to = rule.date_to;
+        if (weekdays) window.weekdays = [...new Set(weekdays)].sort();
+        if (rule.from) window.from = rule.from;
+        if (rule.to) window.to = rule.to;
+        if (rule.label) window.label = String(rule.label).slice(0, 100);
+        return window;
+    });
+
+    return { windows: errors.length > 0 ? [] : windows, errors };
+}
+
+/**
+ * Termin am Tag "date" von startHours bis endHours gegen alle Regeln prüfen.
+ * @returns {{ ok: boolean, hard: Array, soft: Array }} ok = keine harte Regel verletzt
+ */
+function evaluateTimeWindows(rules, date, startHours, endHours) {
+    const hard = [];
+    const soft = [];
+
+    WINDOW_TYPES.forEach(type => {
+        const target = type === 'hard' ? hard : soft;
+        const include = rules.filter(rule => rule.type === type && !rule.exclude);
+        if (include.length > 0 && !include.some(rule => coversSlot(rule, date, startHours, endHours))) {
+            target.push({
+                type,
+                rule: include.map(describeRule).join(' oder '),
+                reason: 'außerhalb der Verfügbarkeit'
+            });
+        }
+
+        rules.filter(rule => rule.type === type && rule.exclude && hitsSlot(rule, date, startHours, endHours))
+            .forEach(rule => target.push({ type, rule: describeRule(rule), reason: 'in einer Sperrzeit' }));
+    });
+
+    return { ok: hard.length === 0, hard, soft };
+}
+
+/**
+ * Zeitbereiche (Stunden) eines Tages, in denen der Termin liegen darf.
+ * @param {string} type - 'hard' (Pflicht) oder 'soft' (Wunsch, zusätzlich zu hart)
+ * @returns {Array<{from:number,to:number}>} leer = Tag nicht möglich
+ */
+function allowedRanges(rules, date, dayStart, dayEnd, type = 'hard') {
+    const types = type === 'soft' ? ['hard', 'soft'] : ['hard'];
+    let ranges = [{ from: dayStart, to: dayEnd }];
+
+    types.forEach(t => {
+        const include = rules.filter(rule => rule.type === t && !rule.exclude);
+        if (include.length > 0) {
+            const allowed = include
+                .filter(rule => matchesDate(rule, date))
+                .map(rule => ({ from: rule.from ?? dayStart, to: rule.to ?? dayEnd }));
+            ranges = intersect(ranges, allowed);
+        }
+
+        rules.filter(rule => rule.type === t && rule.exclude && matchesDate(rule, date)).forEach(rule => {
+            ranges = subtract(ranges, { from: rule.from ?? -Infinity, to: rule.to ?? Infinity });
+        });
+    });
+
+    return ranges.filter(range => range.to > range.from);
+}
+
+// Gibt es an diesem Tag einen Bereich, in den ein Termin der Länge duration passt?
+function isDateAllowed(rules, date, dayStart, dayEnd, duration, type = 'hard') {
+    return allowedRanges(rules, date, dayStart, dayEnd, type).some(range => range.to - range.from >= duration);
+}
+
+function describeRule(rule) {
+    if (rule.label) return rule.label;
+
+    const parts = [];
+    if (rule.dates) parts.push(rule.dates.join(', '));
+    if (rule.date_from || rule.date_to) parts.push(`${rule.date_from || '…'} bis ${rule.date_to || '…'}`);
+    if (rule.weekdays) parts.push(rule.weekdays.map(d => WEEKDAY_NAMES[d]).join('/'));
+    if (rule.from !== undefined || rule.to !== undefined) {
+        parts.push(`${rule.from !== undefined ? fromHours(rule.from) : ''}-${rule.to !== undefined ? fromHours(rule.to) : ''}`);
+    }
+    return `${rule.exclude ? 'nicht ' : 'nur '}${parts.join(' ')}`;
+}
+
+// ======================================================================
+// HILFSFUNKTIONEN
+// ======================================================================
+function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+    const normalized = {
+        type: WINDOW_TYPES.includes(rule.type) ? rule.type : 'hard',
+        exclude: !!rule.exclude
+    };
+    if (rule.dates) normalized.dates = [].concat(rule.dates).filter(isIsoDate);
+    if (isIsoDate(rule.date_from)) normalized.date_from = rule.date_from;
+    if (isIsoDate(rule.date_to)) normalized.date_to = rule.date_to;
+    if (rule.weekdays) normalized.weekdays = [].concat(rule.weekdays).map(Number);
+    if (rule.from) normalized.from = toHours(rule.from);
+    if (rule.to) normalized.to = toHours(rule.to);
+    if (rule.label) normalized.label = rule.label;
+    return normalized;
+}
+
+function matchesDate(rule, date) {
+    if (rule.dates && !rule.dates.includes(date)) return false;
+    if (rule.date_from && date < rule.date_from) return false;
+    if (rule.date_to && date > rule.date_to) return false;
+    if (rule.weekdays && !rule.weekdays.includes(isoWeekday(date))) return false;
+    return true;
+}
+
+// Verfügbarkeit: der ganze Termin liegt im Fenster
+function coversSlot(rule, date, start, end) {
+    if (!matchesDate(rule, date)) return false;
+    if (rule.from !== undefined && start < rule.from) return false;
+    if (rule.to !== undefined && end > rule.to) return false;
+    return true;
+}
+
+// Sperrzeit: jede Überschneidung zählt
+function hitsSlot(rule, date, start, end) {
+    if (!matchesDate(rule, date)) return false;
+    const from = rule.from ?? -Infinity;
+    const to = rule.to ?? Infinity;
+    return start < to && end > from;
+}
+
+function intersect(ranges, allowed) {
+    const result = [];
+    ranges.forEach(range => allowed.forEach(window => {
+        const from = Math.max(range.from, window.from);
+        const to = Math.min(range.to, window.to);
+        if (to > from) result.push({ from, to });
+    }));
+    return mergeRanges(result);
+}
+
+function subtract(ranges, cut) {
+    const result = [];
+    ranges.forEach(range => {
+        if (cut.to <= range.from || cut.from >= range.to) {
+            result.push(range);
+            return;
+        }
+        if (cut.from > range.from) result.push({ from: range.from, to: cut.from });
+        if (cut.to < range.to) result.push({ from: cut.to, to: range.to });
+    });
+    return result;
+}
+
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.from - b.from);
+    const merged = [];
+    sorted.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.from <= last.to) last.to = Math.max(last.to, range.to);
+        else merged.push({ ...range });
+    });
+    return merged;
+}
+
+function readJsonList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function isIsoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// 1 = Montag ... 7 = Sonntag
+function isoWeekday(date) {
+    const day = new Date(`${date}T12:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+}
+
+function toHours(time) {
+    if (typeof time === 'number') return time;
+    const [h, m] = String(time).split(':').map(Number);
+    return h + (m || 0) / 60;
+}
+
+function fromHours(hours) {
+    const h = Math.floor(hours);
+    const m = Math.round((hours - h) * 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+module.exports = {
+    WINDOW_TYPES,
+    parseTimeWindows,
+    validateTimeWindows,
+    evaluateTimeWindows,
+    allowedRanges,
+    isDateAllowed,
+    describeRule
+};